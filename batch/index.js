@@ -0,0 +1,314 @@
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { convertJspToJson } from '../jsp-to-json/index.js';
+import { generateReactFromJson, routeTables } from '../json-to-react/index.js';
+import { buildRouteTable, ROUTER_STYLES } from '../json-to-react/tools/routes.js';
+import { tilesDefinitions, strutsConfig, taglibLibraries, loadTaglibLibrary, removeTaglibLibrary } from '../jsp-to-json/tools/tools.js';
+import { buildFormBeanInterfaces } from '../jsp-to-json/tools/struts.js';
+import { linkFrameTargets } from '../jsp-to-json/tools/frames.js';
+import { buildComponentStubs } from '../jsp-to-json/tools/tld.js';
+import { buildLocaleMessages, decodePropertiesBuffer, readI18nConfigFromEnv } from '../utils/i18n.js';
+import { resolveServerObjectRules } from '../utils/serverObjects.js';
+import {
+    collectJspFiles,
+    collectTilesDefinitionFiles,
+    collectStrutsConfigFiles,
+    collectTldFiles,
+    collectMessageResourceFiles,
+    buildIncludeGraph,
+    orderByIncludes,
+    componentUrlToOutputPath
+} from "./tools/graph.js";
+
+// 创建路由实例
+const router = express.Router();
+
+/**
+ * 将上传的 zip（base64）解压到临时目录。
+ * @param {string} zipBase64 - zip 文件内容的 base64 编码。
+ * @returns {Promise<string>} - 解压后的目录。
+ */
+async function extractZipToTempDir(zipBase64) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsp-batch-'));
+    const zip = new AdmZip(Buffer.from(zipBase64, 'base64'));
+    zip.extractAllTo(tempDir, true);
+    return tempDir;
+}
+
+/**
+ * 把项目中的消息资源文件转换为 JSON 语言包，写入 <outputDir>/locales/<locale>.json。
+ * @returns {Promise<{files: string[], conflicts: Array<object>}>}
+ */
+async function convertMessageResources(sourceDir, outputDir) {
+    const { library, defaultLocale, bundles } = readI18nConfigFromEnv();
+    const resourceFiles = await collectMessageResourceFiles(sourceDir, bundles);
+    if (resourceFiles.length === 0) return { files: [], conflicts: [] };
+
+    const files = await Promise.all(resourceFiles.map(async file => ({
+        name: path.relative(sourceDir, file),
+        content: decodePropertiesBuffer(await fs.readFile(file))
+    })));
+    const { locales, conflicts } = buildLocaleMessages(files, { library, defaultLocale });
+    conflicts.forEach(({ locale, key, files }) => console.warn(`[batch] 资源键 ${key} (${locale}) 在多个文件中取值不同: ${files.join(', ')}`));
+
+    const localeDir = path.join(outputDir, 'locales');
+    await fs.mkdir(localeDir, { recursive: true });
+    const written = [];
+    for (const [locale, messages] of Object.entries(locales)) {
+        const outputPath = path.join(localeDir, `${locale}.json`);
+        await fs.writeFile(outputPath, JSON.stringify(messages, null, 2) + '\n', 'utf8');
+        written.push(outputPath);
+    }
+    console.log(`[batch] 已生成 ${written.length} 个语言包 (${library})`);
+    return { files: written, conflicts };
+}
+
+/**
+ * 导入项目中的 .tld 文件（注册转换规则），并把组件类标签的占位组件写入 <outputDir>/components/taglib。
+ * 内置标签库（Struts、JSTL 等）的 TLD 保持内置规则，不生成组件。
+ * @returns {Promise<{libraries: string[], components: string[], errors: Array<{file: string, error: string}>}>}
+ */
+async function importTaglibs(sourceDir, outputDir) {
+    const report = { libraries: [], components: [], errors: [] };
+    for (const file of await collectTldFiles(sourceDir)) {
+        const source = path.relative(sourceDir, file);
+        try {
+            const library = loadTaglibLibrary(await fs.readFile(file, 'utf8'), { source });
+            report.libraries.push(library.prefix);
+            for (const stub of buildComponentStubs(library)) {
+                const outputPath = componentUrlToOutputPath(stub.componentUrl, outputDir);
+                await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                await fs.writeFile(outputPath, stub.code, 'utf8');
+                report.components.push(outputPath);
+            }
+            console.log(`[batch] 已导入标签库 ${library.prefix} (${source})`);
+        } catch (error) {
+            console.warn(`[batch] 导入标签库描述文件 ${source} 失败:`, error.message);
+            report.errors.push({ file: source, error: error.message });
+        }
+    }
+    return report;
+}
+
+/**
+ * 加载项目中的 struts-config.xml（用于把页面中的 Struts 地址解析为路由），
+ * 并把 form-bean 生成的 TypeScript 接口写入 <outputDir>/types/formBeans.ts。
+ * @returns {Promise<{files: string[], actions: number, formBeans: number, types: string|null, errors: Array<{file: string, error: string}>}>}
+ */
+async function loadStrutsConfig(sourceDir, outputDir) {
+    const report = { files: [], actions: 0, formBeans: 0, types: null, errors: [] };
+    for (const file of await collectStrutsConfigFiles(sourceDir)) {
+        const source = path.relative(sourceDir, file);
+        try {
+            const counts = strutsConfig.load(await fs.readFile(file, 'utf8'), { source });
+            report.files.push(source);
+            report.actions += counts.actions;
+            report.formBeans += counts.formBeans;
+            console.log(`[batch] 已加载 struts-config：${counts.actions} 个 action，${counts.formBeans} 个 form-bean (${source})`);
+        } catch (error) {
+            console.warn(`[batch] 读取 struts-config 文件 ${source} 失败:`, error.message);
+            report.errors.push({ file: source, error: error.message });
+        }
+    }
+    if (report.formBeans > 0) {
+        const outputPath = path.join(outputDir, 'types', 'formBeans.ts');
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, buildFormBeanInterfaces(strutsConfig).code, 'utf8');
+        report.types = outputPath;
+    }
+    return report;
+}
+
+/**
+ * 把转换成功的页面生成为路由表文件（routes.tsx 或 App.tsx），写入输出根目录。
+ * @returns {Promise<{file: string|null, routes: number, unconverted: Array<object>, unknownFrames: Array<object>, duplicates: Array<object>}>}
+ */
+async function writeRouteTable(batchId, outputDir, style) {
+    const pages = routeTables.pages(batchId) || [];
+    routeTables.delete(batchId);
+    if (pages.length === 0) return { file: null, routes: 0, unconverted: [], unknownFrames: [], duplicates: [] };
+
+    const { fileName, code, unconverted, unknownFrames, duplicates } = buildRouteTable(pages, { style });
+    const outputPath = path.join(outputDir, fileName);
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(outputPath, code, 'utf8');
+    unconverted.forEach(item => console.warn(`[batch] ${item.page} 中的链接指向未转换的页面: ${item.path}`));
+    console.log(`[batch] 已生成路由表 ${fileName}（${pages.length} 个页面）`);
+    return { file: outputPath, routes: pages.length, unconverted, unknownFrames, duplicates };
+}
+
+/**
+ * 按包含依赖顺序转换整个项目，并写出对应的 @/pages 目录结构：先把所有页面转换为中间表示，
+ * 跨页面处理指向 frame 的链接（linkFrameTargets）之后再生成 React 组件。
+ * @param {object} params
+ * @param {string} params.sourceDir - JSP 项目根目录。
+ * @param {string} params.outputDir - 输出根目录。
+ * @param {string} params.batchId - 批次ID，用于派生每个页面的会话ID。
+ * @param {string} [params.mode] - JSP -> JSON 阶段的转换模式（"llm" 或 "parser"）。
+ * @param {string} [params.reactMode] - JSON -> React 阶段的生成模式（"llm" 或 "ast"）。
+ * @param {string|object} [params.serverObjectRules] - 服务端对象规则表，所有页面共用。
+ * @param {string} [params.routerStyle] - 路由表格式："data"（默认，routes.tsx）或 "jsx"（App.tsx）。
+ * @returns {Promise<object>} - 批处理报告。
+ */
+export async function convertProject({ sourceDir, outputDir, batchId, mode, reactMode, serverObjectRules, routerStyle = 'data' }) {
+    const pages = await collectJspFiles(sourceDir);
+    console.log(`[batch] 共发现 ${pages.length} 个 JSP 页面`);
+
+    // 全局仓库中可能还有上一个项目的 Tiles 定义、action 与标签库，先清空，只使用本项目中的文件
+    tilesDefinitions.clear();
+    strutsConfig.clear();
+    taglibLibraries.list().forEach(library => removeTaglibLibrary(library.prefix));
+
+    // 项目中的 tiles-defs.xml 加入全局定义仓库，供 <tiles:insert definition> 解析
+    const tilesFiles = await collectTilesDefinitionFiles(sourceDir);
+    for (const file of tilesFiles) {
+        const source = path.relative(sourceDir, file);
+        try {
+            const count = tilesDefinitions.load(await fs.readFile(file, 'utf8'), source);
+            console.log(`[batch] 已加载 ${count} 个 Tiles 定义 (${source})`);
+        } catch (error) {
+            console.warn(`[batch] 读取 Tiles 定义文件 ${source} 失败:`, error.message);
+        }
+    }
+
+    const struts = await loadStrutsConfig(sourceDir, outputDir);
+    const taglibs = await importTaglibs(sourceDir, outputDir);
+    const locales = await convertMessageResources(sourceDir, outputDir);
+
+    const { edges, componentUrls, unresolved } = await buildIncludeGraph(sourceDir, pages);
+    const { order, cycles } = orderByIncludes(edges);
+    cycles.forEach(cycle => console.warn(`[batch] 检测到包含环: ${cycle.join(' -> ')}`));
+    // 被其他页面包含的片段（头部、Tiles 布局与 put 页面等）不单独作为路由
+    const includedPages = new Set(Object.values(edges).flat());
+
+    // 第一遍：所有页面转换为中间表示
+    const results = [];
+    const converted = [];
+    for (const page of order) {
+        const outputPath = componentUrlToOutputPath(componentUrls[page], outputDir);
+        const pageResult = { page, componentUrl: componentUrls[page], includes: edges[page], warnings: [] };
+        results.push(pageResult);
+
+        console.log(`[batch] 正在转换 ${page}`);
+        try {
+            const message = await fs.readFile(path.join(sourceDir, page), 'utf8');
+            const jsonResult = await convertJspToJson({
+                message,
+                sessionId: `${batchId}:${page}:json`,
+                warnings: pageResult.warnings,
+                mode,
+                // 项目根目录即 web 根目录，静态包含按页面路径解析
+                webRoot: sourceDir,
+                pagePath: page
+            });
+            const ir = JSON.parse(jsonResult.reply);
+            // 内容模型检查报告（已修复与无法修复的嵌套）
+            pageResult.contentModel = ir.meta?.contentModel || [];
+            // 按 struts-config.xml 解析过的地址
+            pageResult.routes = ir.meta?.routes || [];
+            converted.push({
+                page, ir, outputPath, pageResult,
+                // 页面的路由与组件：frameset 中不是 <Outlet /> 的 frame 直接渲染它显示的页面
+                route: strutsConfig.resolve({ page }).path,
+                componentName: path.basename(outputPath, '.tsx'),
+                componentUrl: componentUrls[page]
+            });
+        } catch (error) {
+            console.error(`[batch] ${page} 在 JSP -> JSON 阶段失败:`, error);
+            Object.assign(pageResult, { success: false, stage: 'jsp-to-json', error: error.message });
+        }
+    }
+
+    // 跨页面：frameset 的路由出口按所有页面中指向 frame 的链接选择 <Outlet />
+    const frames = linkFrameTargets(converted);
+    frames.unknown.forEach(item => {
+        const warning = `target="${item.frame}" 指向的 frame 不是任何 frameset 中的路由出口（${item.to}）`;
+        console.warn(`[batch] ${item.page}: ${warning}`);
+        converted.find(entry => entry.page === item.page).pageResult.warnings.push(warning);
+    });
+
+    // 第二遍：生成 React 组件
+    for (const { page, ir, outputPath, pageResult } of converted) {
+        try {
+            const reactResult = await generateReactFromJson({
+                message: JSON.stringify(ir, null, 2),
+                sessionId: `${batchId}:${page}:react`,
+                mode: reactMode,
+                componentName: path.basename(outputPath, '.tsx'),
+                serverObjectRules,
+                pagePath: includedPages.has(page) ? undefined : page,
+                routeTable: batchId
+            });
+            pageResult.warnings.push(...reactResult.warnings);
+            if (!reactResult.success) {
+                Object.assign(pageResult, { success: false, stage: 'json-to-react', error: "代码生成失败，已达到最大重试次数。" });
+                continue;
+            }
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.writeFile(outputPath, reactResult.reactCode, 'utf8');
+            Object.assign(pageResult, { success: true, output: outputPath });
+        } catch (error) {
+            console.error(`[batch] ${page} 在 JSON -> React 阶段失败:`, error);
+            Object.assign(pageResult, { success: false, stage: 'json-to-react', error: error.message });
+        }
+    }
+
+    const router = await writeRouteTable(batchId, outputDir, routerStyle);
+
+    return {
+        batchId,
+        outputDir,
+        order,
+        cycles,
+        unresolvedIncludes: unresolved,
+        struts,
+        taglibs,
+        locales,
+        frames,
+        router,
+        pages: results
+    };
+}
+
+// --- API 路由 ---
+router.post('/convert', async (req, res) => {
+    const { sourceDir, zipBase64, batchId = `batch_${Date.now()}`, mode, reactMode, serverObjectRules, routerStyle } = req.body;
+    if (!sourceDir && !zipBase64) {
+        return res.status(400).json({ error: 'sourceDir 和 zipBase64 必须提供其一' });
+    }
+    // 输出目录固定为 output/<batchId>，batchId 只能是普通的名称
+    if (typeof batchId !== 'string' || !/^[\w.-]+$/.test(batchId) || /^\.+$/.test(batchId)) {
+        return res.status(400).json({ error: 'batchId 只能包含字母、数字、下划线、点与连字符' });
+    }
+    if (routerStyle !== undefined && !ROUTER_STYLES.includes(routerStyle)) {
+        return res.status(400).json({ error: `routerStyle 必须是 ${ROUTER_STYLES.join(' 或 ')}` });
+    }
+    try {
+        resolveServerObjectRules(serverObjectRules);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let tempDir = null;
+    try {
+        if (zipBase64) {
+            tempDir = await extractZipToTempDir(zipBase64);
+        }
+        const outputDir = path.resolve('output', batchId);
+        const report = await convertProject({ sourceDir: tempDir || sourceDir, outputDir, batchId, mode, reactMode, serverObjectRules, routerStyle });
+        return res.json(report);
+    } catch (error) {
+        console.error("批量转换出错:", error);
+        return res.status(500).json({ error: error.message, batchId });
+    } finally {
+        if (tempDir) {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+});
+
+// 导出路由
+export default router;
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { convertJspInclude, resolveComponentUrl, tilesDefinitions } from "../../jsp-to-json/tools/tools.js";
+import { parsePropertiesFileName } from "../../utils/i18n.js";
+
+/**
+ * 递归收集目录下满足条件的文件，跳过 node_modules 与以 "." 开头的目录。
+ * @param {string} rootDir - 项目根目录。
+ * @param {(name: string, fullPath: string) => boolean|Promise<boolean>} predicate - 按文件名与绝对路径判断是否收集。
+ * @returns {Promise<string[]>} - 文件的绝对路径（已排序）。
+ */
+export async function collectFiles(rootDir, predicate) {
+    const files = [];
+
+    async function walk(dir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+                await walk(fullPath);
+            } else if (await predicate(entry.name, fullPath)) {
+                files.push(fullPath);
+            }
+        }
+    }
+
+    await walk(rootDir);
+    return files.sort();
+}
+
+/**
+ * .xml 文件的内容中是否出现指定的根元素。
+ */
+async function isXmlWithRoot(name, fullPath, rootTag) {
+    return /\.xml$/i.test(name) && (await fs.readFile(fullPath, 'utf8')).includes(`<${rootTag}`);
+}
+
+/**
+ * 递归收集目录下所有的 .jsp 文件。
+ * @param {string} rootDir - 项目根目录。
+ * @returns {Promise<string[]>} - 以 "/" 开头、相对于根目录的页面路径，例如 "/admin/user.jsp"。
+ */
+export async function collectJspFiles(rootDir) {
+    return (await collectFiles(rootDir, name => /\.jsp$/i.test(name)))
+        .map(file => '/' + path.relative(rootDir, file).split(path.sep).join('/'));
+}
+
+/**
+ * 递归收集目录下所有的 Tiles 定义文件（根元素为 <tiles-definitions> 的 .xml 文件）。
+ * @param {string} rootDir - 项目根目录。
+ * @returns {Promise<string[]>} - 文件的绝对路径。
+ */
+export async function collectTilesDefinitionFiles(rootDir) {
+    return collectFiles(rootDir, (name, fullPath) => isXmlWithRoot(name, fullPath, 'tiles-definitions'));
+}
+
+/**
+ * 递归收集目录下所有的 Struts 配置文件（根元素为 <struts-config> 的 .xml 文件）。
+ * @param {string} rootDir - 项目根目录。
+ * @returns {Promise<string[]>} - 文件的绝对路径。
+ */
+export async function collectStrutsConfigFiles(rootDir) {
+    return collectFiles(rootDir, (name, fullPath) => isXmlWithRoot(name, fullPath, 'struts-config'));
+}
+
+/**
+ * 递归收集目录下所有的标签库描述文件（.tld）。
+ * @param {string} rootDir - 项目根目录。
+ * @returns {Promise<string[]>} - 文件的绝对路径。
+ */
+export async function collectTldFiles(rootDir) {
+    return collectFiles(rootDir, name => /\.tld$/i.test(name));
+}
+
+/**
+ * 递归收集目录下的消息资源文件（基础名在 bundles 中的 .properties，例如 ApplicationResources_zh_CN.properties）。
+ * @param {string} rootDir - 项目根目录。
+ * @param {string[]} bundles - 资源文件基础名。
+ * @returns {Promise<string[]>} - 文件的绝对路径。
+ */
+export async function collectMessageResourceFiles(rootDir, bundles) {
+    return collectFiles(rootDir, name => bundles.includes(parsePropertiesFileName(name, '')?.basename));
+}
+
+/**
+ * 把被包含页面的路径（page 属性）按发起包含的页面解析为以 "@/pages" 开头的组件地址。
+ * 例如 "/index.jsp" 中的 "inc/header.jsp" -> "@/pages/inc/Header.jsx"，"/admin/user.jsp" 中的 "../header.jsp" -> "@/pages/Header.jsx"。
+ * @param {string} pagePath - 被包含页面的路径，以 / 开头时相对于项目根目录。
+ * @param {string} fromPage - 发起包含的页面路径。
+ * @returns {string}
+ */
+export function resolveIncludedComponentUrl(pagePath, fromPage) {
+    const cleaned = pagePath.split(/[?#]/)[0];
+    const webPath = cleaned.startsWith('/') ? cleaned : path.posix.join(path.posix.dirname(fromPage), cleaned);
+    return resolveComponentUrl(path.posix.normalize(webPath)).componentUrl;
+}
+
+function attributeOf(snippet, name) {
+    return snippet.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+}
+
+/**
+ * 提取 JSP 源码中的所有 <jsp:include>，并使用 convertJspInclude 计算其 componentUrl。
+ * @param {string} source - JSP 源码。
+ * @param {string} fromPage - 当前页面路径。
+ * @returns {Array<{snippet: string, componentUrl?: string, error?: string}>}
+ */
+export function extractIncludes(source, fromPage) {
+    const includes = [];
+    const includeRegex = /<jsp:include\b[^>]*?\/?>/gi;
+    for (const match of source.matchAll(includeRegex)) {
+        const snippet = match[0];
+        const converted = JSON.parse(convertJspInclude(snippet));
+        if (converted.error) {
+            includes.push({ snippet, error: converted.error });
+        } else if (/<%|\$\{/.test(snippet)) {
+            includes.push({ snippet, error: "page 属性包含动态表达式，无法静态解析" });
+        } else {
+            includes.push({ snippet, componentUrl: resolveIncludedComponentUrl(attributeOf(snippet, 'page'), fromPage) });
+        }
+    }
+    includes.push(...extractTilesIncludes(source, fromPage));
+    return includes;
+}
+
+/**
+ * 提取 Tiles 引用的页面：<tiles:insert page/template>、<tiles:put value="*.jsp">，
+ * 以及 <tiles:insert definition> 对应定义（含继承链）中的布局页面与页面类型的 put。
+ * @param {string} source - JSP 源码。
+ * @param {string} fromPage - 当前页面路径。
+ * @returns {Array<{snippet: string, componentUrl?: string, error?: string}>}
+ */
+function extractTilesIncludes(source, fromPage) {
+    const includes = [];
+    const addPage = (snippet, pagePath) => {
+        if (/<%|\$\{/.test(pagePath)) {
+            includes.push({ snippet, error: "页面路径包含动态表达式，无法静态解析" });
+            return;
+        }
+        includes.push({ snippet, componentUrl: resolveIncludedComponentUrl(pagePath, fromPage) });
+    };
+
+    for (const match of source.matchAll(/<tiles:(?:insert|put)\b[^>]*?\/?>/gi)) {
+        const snippet = match[0];
+        const pagePath = attributeOf(snippet, 'page') || attributeOf(snippet, 'template');
+        const value = attributeOf(snippet, 'value');
+        const definitionName = attributeOf(snippet, 'definition');
+        if (pagePath) {
+            addPage(snippet, pagePath);
+        } else if (value && /\.jsp$/i.test(value)) {
+            addPage(snippet, value);
+        } else if (definitionName) {
+            const definition = tilesDefinitions.resolve(definitionName);
+            if (!definition) {
+                includes.push({ snippet, error: `未找到 Tiles 定义 "${definitionName}"` });
+                continue;
+            }
+            if (definition.path) addPage(snippet, definition.path);
+            definition.puts
+                .filter(put => /\.jsp$/i.test(put.value || ''))
+                .forEach(put => addPage(snippet, put.value));
+        }
+    }
+    return includes;
+}
+
+/**
+ * 构建页面间的包含依赖图。
+ * @param {string} rootDir - 项目根目录。
+ * @param {string[]} pages - collectJspFiles 返回的页面列表。
+ * @returns {Promise<{edges: Object<string, string[]>, componentUrls: Object<string, string>, unresolved: Array}>}
+ *   edges: 页面 -> 被它包含的页面列表；componentUrls: 页面 -> 其组件地址；unresolved: 无法解析的包含。
+ */
+export async function buildIncludeGraph(rootDir, pages) {
+    const componentUrls = {};
+    const pageByComponentUrl = {};
+    for (const page of pages) {
+        const { componentUrl } = resolveComponentUrl(page);
+        componentUrls[page] = componentUrl;
+        pageByComponentUrl[componentUrl] = page;
+    }
+
+    const edges = {};
+    const unresolved = [];
+    for (const page of pages) {
+        const source = await fs.readFile(path.join(rootDir, page), 'utf8');
+        edges[page] = [];
+        for (const include of extractIncludes(source, page)) {
+            const target = include.componentUrl && pageByComponentUrl[include.componentUrl];
+            if (target) {
+                if (!edges[page].includes(target)) edges[page].push(target);
+            } else {
+                unresolved.push({
+                    page,
+                    snippet: include.snippet,
+                    reason: include.error || `未找到 ${include.componentUrl} 对应的 JSP 文件`
+                });
+            }
+        }
+    }
+
+    return { edges, componentUrls, unresolved };
+}
+
+/**
+ * 对包含图做拓扑排序：被包含的片段排在包含它的页面之前。
+ * 遇到包含环时记录环路并跳过回边，保证不会无限循环。
+ * @param {Object<string, string[]>} edges - 页面 -> 被包含页面列表。
+ * @returns {{order: string[], cycles: string[][]}}
+ */
+export function orderByIncludes(edges) {
+    const order = [];
+    const cycles = [];
+    const state = {}; // undefined: 未访问, 1: 访问中, 2: 已完成
+    const stack = [];
+
+    function visit(page) {
+        state[page] = 1;
+        stack.push(page);
+        for (const dep of edges[page] || []) {
+            if (state[dep] === 1) {
+                cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+            } else if (!state[dep]) {
+                visit(dep);
+            }
+        }
+        stack.pop();
+        state[page] = 2;
+        order.push(page);
+    }
+
+    for (const page of Object.keys(edges).sort()) {
+        if (!state[page]) visit(page);
+    }
+    return { order, cycles };
+}
+
+/**
+ * 将组件地址映射为输出目录中的 .tsx 文件路径。
+ * 例如 "@/pages/admin/User.jsx" -> "<outputDir>/pages/admin/User.tsx"。
+ * @param {string} componentUrl - 绝对组件地址。
+ * @param {string} outputDir - 输出根目录。
+ * @returns {string}
+ */
+export function componentUrlToOutputPath(componentUrl, outputDir) {
+    const relative = componentUrl.replace(/^@\//, '').replace(/\.jsx$/i, '.tsx');
+    return path.join(outputDir, ...relative.split('/'));
+}
@@ -2,46 +2,69 @@ import express from 'express';
 import JSON5 from 'json5';
 import { parse } from '@babel/parser';
 import { tools, handleRouteOutlet, handleActiveXPlaceholder } from "./tools/tools.js";
+import { generateReactComponent } from "./tools/generator.js";
+import { createRouteTableStoreFromEnv, collectPageRoutes, buildRouteTable, ROUTER_STYLES } from "./tools/routes.js";
 import {
-    openai,
-    sessions,
+    llm,
     fixJsonWithLlm,
     normalizeToolCallsWithLlm,
-    initializeSession
+    initializeSession,
+    getSession,
+    appendMessage
 } from "../utils/common.js";
+import { openSseStream } from "../utils/sse.js";
+import { readI18nConfigFromEnv } from "../utils/i18n.js";
+import { translateElToCode } from "../utils/el.js";
+import { resolveServerObjectRules, describeServerObjectRules } from "../utils/serverObjects.js";
+import { strutsConfig } from "../jsp-to-json/tools/tools.js";
 
 // 创建路由实例
 const router = express.Router();
 
 const fileType = "tsx"
 
+// 消息与格式化节点使用的 i18n 库（I18N_LIBRARY）
+const { library: i18nLibrary } = readI18nConfigFromEnv();
+
 // 系统提示 (保持不变)
 const systemPrompt = `你是一位顶尖的React.js资深开发者，专注于将结构化的JSON中间表示（IR）精确地转换为高效、可维护的React ${fileType.toUpperCase()}代码。
 根据提供的JSON数据生成React组件(${fileType.toUpperCase()}格式)，严格遵循以下规则：
 1. 输出要保证是一个合法的React组件结构，并使用export default 导出
 2. HTML标准标签必须使用完整闭合语法（如<div></div>）
 3. 变量使用useState声明，禁止使用useEffect初始化
-4. 事件处理函数只需定义名称，内容统一用console.log()实现
+4. 事件处理函数只需定义名称，内容统一用console.log()实现（规则17中的表单除外）
 5. isComponent为true时为组件引用，componentUrl为组件地址
 6. 正确解析<%...%>中的变量和条件表达式
 7. 最终输出必须是完整的${fileType.toUpperCase()}文件内容
 8. 最终输出必须是一个有效的、经过清理的${fileType}代码，不包含任何解释、注释或Markdown代码块。
-9. 当处理tagName为'RouteOutlet'的节点或收到来自'handleRouteOutlet'工具的结果时，你必须:
-    a. 在文件顶部导入 'useNavigate' hook: import { useNavigate } from 'react-router-dom';
-    b. 在组件函数顶部初始化hook: const navigate = useNavigate();
-    c. 将该节点渲染为一个可点击的元素(例如<div>)，其onClick事件处理器调用 navigate() 函数进行跳转，跳转路径由节点的'to'属性或工具结果中的'path'字段指定。
+9. 'RouteOutlet' 是 frameset 中 frame 转换而来的路由出口，页面是布局组件。处理该节点或收到来自'handleRouteOutlet'工具的结果时，你必须:
+    a. 将 primary 为 true 的出口（没有时为第一个出口）渲染为 <div data-frame-name={name} style={{ overflow: 'auto', minHeight: 0 }}><Outlet /></div>，Outlet 从 'react-router-dom' 导入，不要渲染为可点击的元素。
+    b. 其余出口：节点带 route.componentUrl 时在同样的 <div> 中渲染该页面组件，否则在 <div> 中留下 TODO 注释。
+    c. 带 'frameTarget' 字段的 <a>（原来 target 指向 frame 的链接）渲染为 react-router-dom 的 <Link to={href}>，不要输出 target。
+    d. 带 'navigations' 字段的节点：对应事件（event）的处理函数调用 navigate(to)（const navigate = useNavigate()，从 'react-router-dom' 导入），事件属性中剩余的脚本仍按规则4输出为 console.log()；导航带 preventDefault: true 时处理函数接收 event 参数并先调用 event.preventDefault()。
 10. 当处理tagName为'ActiveXPlaceholder'的节点必须使用'handleActiveXPlaceholder'工具，收到来自'handleActiveXPlaceholder'工具的结果时，你必须:
     a. 创建一个新的React组件（如果它还不存在），其名称由工具结果中的 'componentName' 字段指定。
     b. 这个组件必须渲染一个带有明显警告样式（例如，红色虚线边框和浅红色背景）的 <div>。
     c. 在 <div> 内部，必须包含一个醒目的H3标题，内容为 "TODO: 替换遗留ActiveX控件"。
     d. 在标题下方，必须使用 <pre><code> 标签，将从工具结果的 'props' 字段接收到的所有属性和参数，格式化为JSON字符串并完整显示出来。
     e. 在组件文件的顶部，必须添加一个详细的多行注释，解释这个占位符的来源、风险以及需要开发人员采取的行动。
+11. JSTL 转换而来的节点按以下方式生成：
+    a. 'ChooseBlock' 的 children 依次为 'ConditionalBlock' 分支与可选的 'ElseBlock'，生成嵌套的三元表达式（没有 'ElseBlock' 时最后为 null）。
+    b. 'LoopBlock' 带 'status' 时，在 map 回调中声明同名对象 { index, count, first, last, current }；带 'begin'/'end'/'step' 时截取集合或生成数值序列；带 'tokens' 时先把 collection 字符串按 tokens.delims 中的任一字符拆分。
+    c. 'VariableBinding' 在渲染前声明为局部变量（name = value 或 children 的内容），不要为其创建 useState；'remove' 为 true 时忽略。
+    d. 'UrlValue' 渲染为 URL 字符串，params 作为查询参数拼接（使用 URLSearchParams）。
+    e. '#expression' 带 'default' 时使用 ?? 提供后备值；'escapeXml' 为 false 时使用 dangerouslySetInnerHTML 输出。
+12. 国际化节点：'#message' 渲染为 ${i18nLibrary === 'react-intl' ? "intl.formatMessage({ id: key }, { arg0, arg1 })，intl 由 react-intl 的 useIntl() 获取" : "t(key, { arg0, arg1 })，t 由 react-i18next 的 useTranslation() 获取"}（args 依次对应 arg0、arg1…）；'#format' 按 kind（number/date）与 pattern、type、dateStyle、timeStyle、currencyCode 等属性格式化 value，没有 pattern 时使用当前语言的 Intl.NumberFormat / Intl.DateTimeFormat；'#expression' 带 'format' 时按该数字/日期格式输出，带 'formatKey' 时格式取自同名消息。
+13. Tiles 布局节点：'SlotOutlet' 表示布局组件的 prop（名称为 name，asString 为 true 时类型为 string，否则为 ReactNode；importOnly 为 true 时只声明不渲染），在原位置渲染 {name}，组件函数通过解构参数接收这些 props；'DocumentTitle' 是布局页面的 <title>，其中的 SlotOutlet 同样是 string 类型的 prop，不渲染任何元素，而是用 useEffect 把 document.title 设置为 children（文本、SlotOutlet、EL）拼接成的字符串；布局组件引用的 children 中的 'SlotBlock' 作为同名的 JSX prop 传入，例如 body={<UserList />}。
+14. 'condition' 字段已经翻译为空值安全的 JavaScript 表达式，直接使用，不要改写：其中的 isPresent(x)（不为 null/undefined）、isEmpty(x)（null、空字符串、空数组/对象为 true）、fnLength(x)（数组/字符串长度、对象键数）与 readSession(key)（sessionStorage.getItem(key) 按 JSON 解析，为 null 时返回 undefined，解析失败时返回原字符串）需要在文件中定义为函数，searchParams 来自 react-router-dom 的 const [searchParams] = useSearchParams()，sessionStorage 是合法的全局对象，服务端状态已按服务端对象规则表翻译。
+15. 'TodoBlock' 是无法自动翻译的 Java 代码（reason 为原因，source 为原始代码）：在原位置输出 {/* TODO: reason: source */} 注释，不要尝试实现其中的逻辑；它的 children 照常渲染在注释之后。
+16. 其余字段中的 EL 服务端对象（param / paramValues、requestScope、sessionScope、applicationScope、pageScope、pageContext.request.contextPath）按用户消息附带的服务端对象规则表取值：规则为 props 时在组件参数中解构同名 prop，为 context 时在组件顶部用 useContext 获取 context 对象（变量名为首字母小写的 context 名，例如 const sessionContext = useContext(SessionContext)）并从规定的路径导入。
+17. Struts 表单：'FormBlock' 渲染为 <form onSubmit={handleXxxFormSubmit}>（action 为 Struts action 路径，去掉 .do 后作为提交地址；focus 为自动获得焦点的字段），表单内带 'binding' 的控件是受控控件：表单的值用一个 useState 对象保存，键为 binding.property，binding.initial 为初始值；kind 为 text/select 时绑定 value 与 onChange，checkbox 绑定 checked（boolean），radio 以自身的 value 比较，multibox 与多选 select 的值为字符串数组。提交时 event.preventDefault()，用 new FormData(event.currentTarget, event.nativeEvent.submitter) 以 POST 提交到 action，响应体为 { errors: { global: string[], fields: { 属性名: string[] } } } 时保存到错误 state。'FormErrors' 在原位置渲染该错误 state（有 property 时只显示该字段的错误），每条错误为 <div className="form-error">。
 请提供需要转换的JSON数据，我将严格按照上述规则生成对应的React ${fileType.toUpperCase()}组件代码。`;
 
 // --- React专用的工具处理函数 --- (保持不变)
-async function handleReactToolCalls(toolCalls, sessionId) {
+async function handleReactToolCalls(toolCalls, sessionId, onEvent = () => {}) {
     if (!toolCalls || toolCalls.length === 0) return [];
-    if (!sessions[sessionId]) sessions[sessionId] = [];
 
     console.log(`开始执行 ${toolCalls.length} 个工具调用...`);
 
@@ -49,6 +72,7 @@ async function handleReactToolCalls(toolCalls, sessionId) {
         const functionCall = toolCall.function;
         const toolName = functionCall.name;
         const toolCallId = toolCall.id;
+        onEvent('tool_call_start', { toolName, toolCallId, arguments: functionCall.arguments });
 
         try {
             let args;
@@ -74,30 +98,37 @@ async function handleReactToolCalls(toolCalls, sessionId) {
                     break;
                 default:
                     const errorResult = { error: `工具 '${toolName}' 不存在或在此上下文中不适用。` };
-                    sessions[sessionId].push({
+                    appendMessage(sessionId, {
                         role: "tool", tool_call_id: toolCallId, content: JSON.stringify(errorResult)
                     });
-                    return;
+                    onEvent('tool_call_result', { toolName, toolCallId, error: errorResult.error });
+                    return { toolName, toolCallId, error: errorResult.error };
             }
 
-            sessions[sessionId].push({
+            appendMessage(sessionId, {
                 role: "tool",
                 tool_call_id: toolCallId,
                 name: toolName,
                 content: JSON.stringify(result),
             });
 
+            onEvent('tool_call_result', { toolName, toolCallId, result });
+            return { toolName, toolCallId, result };
+
         } catch (error) {
             console.error(`执行工具 ${toolName} 出错:`, error);
             const errMsg = { error: `执行工具时出错: ${error.message}` };
-            sessions[sessionId].push({
+            appendMessage(sessionId, {
                 role: "tool", tool_call_id: toolCallId, name: toolName, content: JSON.stringify(errMsg)
             });
+            onEvent('tool_call_result', { toolName, toolCallId, error: error.message });
+            return { toolName, toolCallId, error: error.message };
         }
     });
 
-    await Promise.all(tasks.map(task => task()));
+    const results = await Promise.all(tasks.map(task => task()));
     console.log("所有工具调用完成 ✅");
+    return results;
 }
 
 
@@ -125,10 +156,10 @@ async function fixUndeclaredVariables(code) {
 不要修改任何已有的代码逻辑，只在顶部添加必要的 'useState' 声明。
 最终只返回完整的、修复后的${fileType.toUpperCase()}代码，不包含任何解释或Markdown。
 特殊情况：
-1.sessionStorage.getItem('someKey') 会被视为合法用法，无需修复。`;
+1.sessionStorage.getItem('someKey') 与文件中已定义的 readSession('someKey') 会被视为合法用法，无需修复。`;
 
     try {
-        const response = await openai.chat.completions.create({
+        const response = await llm.createChatCompletion({
             model: process.env.OPENAI_MODEL || "gpt-4-turbo",
             messages: [
                 { role: "system", content: repairPrompt },
@@ -149,36 +180,39 @@ async function fixUndeclaredVariables(code) {
 }
 
 
-// <<< 新增：语法转换字典 >>>
 /**
- * 语法转换字典.
- * 键是用于匹配的正则表达式.
- * 值是替换字符串或一个函数，用于动态替换.
- * 'g' 标志用于全局替换.
+ * 把中间表示中带 conditionAst 的条件预先翻译为空值安全的 JavaScript（见 utils/el.js），
+ * LLM 直接使用翻译结果，不再自行处理 EL 关键字运算符与 Java 写法。
+ * @param {string} message - JSON中间表示字符串。
+ * @param {Record<string, object>} serverObjects - 服务端对象规则表。
+ * @returns {string} - 条件已翻译的JSON字符串；无法解析时原样返回。
  */
-const syntaxDictionary = {
-    // 转换 .isEmpty() 为 !== ""
-    "\\.isEmpty\\(\\)": '!== ""',
-};
+function translateConditionsForLlm(message, serverObjects) {
+    let ir;
+    try {
+        ir = JSON5.parse(message);
+    } catch (error) {
+        return message;
+    }
 
-// <<< 新增：应用语法转换的函数 >>>
-/**
- * 根据语法字典转换代码.
- * @param {string} code - 需要转换的代码.
- * @returns {string} - 转换后的代码.
- */
-function applySyntaxTransformations(code) {
-    let transformedCode = code;
-    for (const pattern in syntaxDictionary) {
-        const replacement = syntaxDictionary[pattern];
-        try {
-            const regex = new RegExp(pattern, 'g');
-            transformedCode = transformedCode.replace(regex, replacement);
-        } catch (error) {
-            console.error(`应用语法转换时出错: ${error.message}`);
+    const visit = (node) => {
+        if (node === null || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
         }
-    }
-    return transformedCode;
+        if (node.conditionAst) {
+            try {
+                node.condition = translateElToCode(node.conditionAst, { serverObjects });
+            } catch (error) {
+                console.warn(`条件 "${node.condition}" 无法翻译为 JavaScript: ${error.message}`);
+            }
+            delete node.conditionAst;
+        }
+        visit(node.children);
+    };
+    visit(ir.elements ?? ir);
+    return JSON.stringify(ir);
 }
 
 
@@ -219,111 +253,273 @@ function getRequiredToolsForMessage(message) {
 }
 
 
-// --- API 路由 (已更新) ---
-router.post('/generate-react', async (req, res) => {
-    try {
-        const { message, sessionId = `session_${Date.now()}` } = req.body;
-        if (!message) {
-            return res.status(400).json({ error: 'message 不能为空' });
+/**
+ * 使用 LLM 补全 AST 生成器无法处理的单个节点（例如原始脚本片段）。
+ * @param {object} slot - 生成器提供的插槽信息。
+ * @param {'jsx'|'expression'} slot.kind - 需要返回 JSX 还是普通 JS 表达式。
+ * @param {string} slot.source - 原始片段。
+ * @param {string} slot.reason - 生成器无法处理的原因。
+ * @returns {Promise<string>} - 一段可被 @babel/parser 的 parseExpression 解析的代码。
+ */
+async function resolveSlotWithLlm({ kind, source, reason }) {
+    const target = kind === 'jsx'
+        ? "单个 JSX 表达式（多个元素时使用 <></> 包裹；若片段不产生任何输出，返回 null）"
+        : "单个 JavaScript 表达式";
+    const response = await llm.createChatCompletion({
+        model: process.env.OPENAI_MODEL || "qwen3-coder",
+        temperature: 0,
+        messages: [
+            {
+                role: "system",
+                content: `你是一位精通 JSP 与 React 的迁移专家。请把给定的 JSP/IR 片段转换为${target}，用于嵌入一个 React ${fileType.toUpperCase()} 组件。
+- 只输出代码本身，不要输出 import、组件定义、解释或 Markdown 代码块。
+- 片段中引用的服务端变量直接作为同名变量使用，组件会为其声明 state。`
+            },
+            { role: "user", content: `无法自动转换的原因: ${reason}\n片段:\n${source}` }
+        ]
+    });
+    const content = response.choices[0].message.content || "";
+    return content.replace(/^```(tsx|jsx|javascript|js|typescript|ts)?\n/i, '').replace(/\n```$/, '').trim();
+}
+
+/**
+ * 基于 AST 的本地生成流程：已定义的节点类型全部由生成器确定性地输出，
+ * 只有生成器无法处理的节点才逐个调用 LLM 补全。
+ * @param {object} params
+ * @param {string} params.message - JSON中间表示字符串。
+ * @param {string} params.sessionId - 会话ID。
+ * @param {string} [params.componentName] - 默认导出的组件名。
+ * @param {Record<string, object>} params.serverObjects - 服务端对象规则表。
+ * @param {Function} [params.onEvent] - 进度回调 (event, data)。
+ * @returns {Promise<{success: boolean, reactCode: string, sessionId: string, toolCalls: Array|null, warnings: string[]}>}
+ */
+async function generateReactWithAst({ message, sessionId, componentName, serverObjects, onEvent = () => {} }) {
+    initializeSession(sessionId, systemPrompt);
+    appendMessage(sessionId, { role: "user", content: `请根据以下JSON生成React组件: ${message}` });
+
+    const warnings = [];
+    const ir = JSON5.parse(message);
+    onEvent('stage', { stage: 'generation' });
+    let slotIndex = 0;
+    const { code, slots, todos } = await generateReactComponent(ir, {
+        componentName,
+        typescript: fileType === 'tsx',
+        i18nLibrary,
+        serverObjects,
+        resolveSlot: async (slot) => {
+            const toolName = 'resolveSlotWithLlm';
+            const toolCallId = `slot_${slotIndex++}`;
+            onEvent('tool_call_start', { toolName, toolCallId, arguments: JSON.stringify(slot) });
+            try {
+                const result = await resolveSlotWithLlm(slot);
+                onEvent('tool_call_result', { toolName, toolCallId, result });
+                return result;
+            } catch (error) {
+                onEvent('tool_call_result', { toolName, toolCallId, error: error.message });
+                throw error;
+            }
         }
+    });
+    slots.filter(slot => !slot.resolved).forEach(slot => {
+        warnings.push(`无法自动转换的节点已保留为 TODO 注释（${slot.reason}）: ${slot.source}`);
+    });
+    todos.forEach(todo => warnings.push(`需要人工迁移的 Java 代码已保留为 TODO 注释（${todo.reason}）: ${todo.source}`));
 
-        initializeSession(sessionId, systemPrompt);
-        
-        const currentUserContent = `请根据以下JSON生成React组件: ${message}`;
-        sessions[sessionId].push({ role: "user", content: currentUserContent });
+    let success = true;
+    onEvent('stage', { stage: 'validation' });
+    try {
+        await validateJsxSyntax(code);
+    } catch (error) {
+        success = false;
+        warnings.push(error.message);
+        onEvent('validation_failed', { attempt: 1, maxAttempts: 1, error: error.message });
+    }
 
-        // <<< 修改：调用新的、更智能的工具筛选函数 >>>
-        const availableTools = getRequiredToolsForMessage(message);
+    appendMessage(sessionId, { role: "assistant", content: code });
+    const toolCalls = slots.map((slot, index) => ({
+        toolName: 'resolveSlotWithLlm',
+        toolCallId: `slot_${index}`,
+        result: slot.code,
+        ...(slot.error ? { error: slot.error } : {})
+    }));
+    return { success, reactCode: code, sessionId, toolCalls: toolCalls.length > 0 ? toolCalls : null, warnings };
+}
 
-        const openAiOptions = {
-            model: process.env.OPENAI_MODEL || "gpt-4-turbo",
-            messages: sessions[sessionId],
-        };
+/**
+ * LLM 生成流程：规划 -> 工具调用 -> 生成/验证/修复循环。
+ * @param {object} params - 见 generateReactFromJson。
+ * @returns {Promise<{success: boolean, reactCode: string, sessionId: string, toolCalls: Array|null, warnings: string[]}>}
+ */
+async function generateReactWithLlm({ message, sessionId, serverObjects, onEvent = () => {} }) {
+    initializeSession(sessionId, systemPrompt);
+
+    const currentUserContent = `服务端对象规则表:\n${describeServerObjectRules(serverObjects)}\n\n请根据以下JSON生成React组件: ${translateConditionsForLlm(message, serverObjects)}`;
+    appendMessage(sessionId, { role: "user", content: currentUserContent });
+
+    // <<< 修改：调用新的、更智能的工具筛选函数 >>>
+    const availableTools = getRequiredToolsForMessage(message);
 
-        if (availableTools) {
-            openAiOptions.tools = availableTools;
-            openAiOptions.tool_choice = "auto";
+    const openAiOptions = {
+        model: process.env.OPENAI_MODEL || "gpt-4-turbo",
+        messages: getSession(sessionId),
+    };
+
+    if (availableTools) {
+        openAiOptions.tools = availableTools;
+        openAiOptions.tool_choice = "auto";
+    }
+
+    console.log("--- 进入组件生成阶段 ---");
+    onEvent('stage', { stage: 'planning' });
+    const componentGenPlannerResponse = await llm.createChatCompletion(openAiOptions);
+
+    const genResponseMessage = componentGenPlannerResponse.choices[0].message;
+    appendMessage(sessionId, genResponseMessage);
+
+    let toolCallsToProcess = genResponseMessage.tool_calls || [];
+
+    if (toolCallsToProcess.length === 0 && genResponseMessage.content) {
+        console.log("未找到标准 tool_calls，尝试从 content 内容中规范化...");
+        const normalizedCalls = await normalizeToolCallsWithLlm(genResponseMessage.content);
+        if (normalizedCalls.length > 0) {
+            toolCallsToProcess = normalizedCalls;
+            genResponseMessage.tool_calls = normalizedCalls;
         }
+    }
+
+    const hasToolCalls = toolCallsToProcess && toolCallsToProcess.length > 0;
+    let toolResults = null;
+    if (hasToolCalls) {
+        console.log("助手决定使用功能性工具，开始执行...");
+        onEvent('stage', { stage: 'tool_calls', count: toolCallsToProcess.length });
+        toolResults = await handleReactToolCalls(toolCallsToProcess, sessionId, onEvent);
+    }
 
-        console.log("--- 进入组件生成阶段 ---");
-        const componentGenPlannerResponse = await openai.chat.completions.create(openAiOptions);
+    // --- 统一的代码生成、验证与修复循环 (已更新) ---
+    let finalReactCode = "";
+    let isCodeValid = false;
+    let attempts = 0;
+    const maxAttempts = 3;
+    let generatedCode = "";
+    const warnings = [];
 
-        const genResponseMessage = componentGenPlannerResponse.choices[0].message;
-        sessions[sessionId].push(genResponseMessage);
+    console.log("启动统一的 LLM 代码生成与验证循环...");
 
-        let toolCallsToProcess = genResponseMessage.tool_calls || [];
+    while (!isCodeValid && attempts < maxAttempts) {
+        attempts++;
+        console.log(`--- 开始第 ${attempts}/${maxAttempts} 次代码生成与验证 ---`);
+        onEvent('stage', { stage: 'generation', attempt: attempts });
 
-        if (toolCallsToProcess.length === 0 && genResponseMessage.content) {
-            console.log("未找到标准 tool_calls，尝试从 content 内容中规范化...");
-            const normalizedCalls = await normalizeToolCallsWithLlm(genResponseMessage.content);
-            if (normalizedCalls.length > 0) {
-                toolCallsToProcess = normalizedCalls;
-                genResponseMessage.tool_calls = normalizedCalls;
+        try {
+            if (attempts === 1 && !hasToolCalls) {
+                generatedCode = genResponseMessage.content || "";
+            } else {
+                const finalResponse = await llm.createChatCompletion({
+                    model: process.env.OPENAI_MODEL || "qwen3-coder",
+                    messages: getSession(sessionId),
+                    temperature: 0.1 * attempts,
+                });
+                generatedCode = finalResponse.choices[0].message.content || "";
+                appendMessage(sessionId, finalResponse.choices[0].message);
             }
-        }
 
-        const hasToolCalls = toolCallsToProcess && toolCallsToProcess.length > 0;
-        if (hasToolCalls) {
-            console.log("助手决定使用功能性工具，开始执行...");
-            await handleReactToolCalls(toolCallsToProcess, sessionId);
-        }
+            generatedCode = generatedCode.replace(/^```(tsx|jsx|javascript|js)?\n/i, '').replace(/\n```$/, '');
+            if (!generatedCode) throw new Error("模型生成了空代码。");
 
-        // --- 统一的代码生成、验证与修复循环 (已更新) ---
-        let finalReactCode = "";
-        let isCodeValid = false;
-        let attempts = 0;
-        const maxAttempts = 3;
-        let generatedCode = "";
+            await validateJsxSyntax(generatedCode);
+            let fixedCode = await fixUndeclaredVariables(generatedCode);
 
-        console.log("启动统一的 LLM 代码生成与验证循环...");
+            finalReactCode = fixedCode;
 
-        while (!isCodeValid && attempts < maxAttempts) {
-            attempts++;
-            console.log(`--- 开始第 ${attempts}/${maxAttempts} 次代码生成与验证 ---`);
-            
-            try {
-                if (attempts === 1 && !hasToolCalls) {
-                    generatedCode = genResponseMessage.content || "";
-                } else {
-                    const finalResponse = await openai.chat.completions.create({
-                        model: process.env.OPENAI_MODEL || "qwen3-coder",
-                        messages: sessions[sessionId],
-                        temperature: 0.1 * attempts,
-                    });
-                    generatedCode = finalResponse.choices[0].message.content || "";
-                    sessions[sessionId].push(finalResponse.choices[0].message);
-                }
-
-                generatedCode = generatedCode.replace(/^```(tsx|jsx|javascript|js)?\n/i, '').replace(/\n```$/, '');
-                if (!generatedCode) throw new Error("模型生成了空代码。");
-                
-                await validateJsxSyntax(generatedCode);
-                let fixedCode = await fixUndeclaredVariables(generatedCode);
-                
-                // <<< 新增：在最终验证前应用语法转换 >>>
-                finalReactCode = applySyntaxTransformations(fixedCode);
-                
-                isCodeValid = true;
+            isCodeValid = true;
 
-            } catch (error) {
-                console.warn(`第 ${attempts} 次尝试失败: ${error.message}`);
-                finalReactCode = generatedCode || (error.code || "生成代码为空");
-                if (attempts < maxAttempts) {
-                    sessions[sessionId].push({
-                        role: "user",
-                        content: `你上次生成的代码存在以下错误，请修复它并重新生成：\n${error.message}`
-                    });
-                }
+        } catch (error) {
+            console.warn(`第 ${attempts} 次尝试失败: ${error.message}`);
+            warnings.push(`第 ${attempts} 次代码验证失败: ${error.message}`);
+            onEvent('validation_failed', { attempt: attempts, maxAttempts, error: error.message });
+            finalReactCode = generatedCode || (error.code || "生成代码为空");
+            if (attempts < maxAttempts) {
+                appendMessage(sessionId, {
+                    role: "user",
+                    content: `你上次生成的代码存在以下错误，请修复它并重新生成：\n${error.message}`
+                });
             }
         }
+    }
+
+    return { success: isCodeValid, reactCode: finalReactCode, sessionId, toolCalls: toolResults, warnings };
+}
+
+// 路由表：路由表 ID（默认为会话ID，批量转换为批次ID）-> 生成成功的页面
+export const routeTables = createRouteTableStoreFromEnv();
+
+/**
+ * 把页面登记到路由表：路由与页面组件按 struts-config.xml 解析（没有对应的 action 时为去掉扩展名的页面路径）。
+ * @param {string} routeTable - 路由表 ID。
+ * @param {string} pagePath - JSP 页面路径，例如 "/WEB-INF/jsp/users/home.jsp"。
+ * @param {object} ir - 页面的中间表示。
+ */
+export function registerPageRoute(routeTable, pagePath, ir) {
+    const { path: route, componentName, componentUrl } = strutsConfig.resolve({ page: pagePath });
+    routeTables.register(routeTable, collectPageRoutes(ir, { page: pagePath, route, componentName, componentUrl }));
+}
+
+/**
+ * JSON 中间表示到 React 组件的完整生成流程，供 /generate-react 路由以及跨模块的一体化转换流程复用。
+ * 提供 pagePath 时，生成成功的页面登记到路由表（见 GET /routes/:routeTable）。
+ * @param {object} params
+ * @param {string} params.message - JSON中间表示字符串。
+ * @param {string} params.sessionId - 会话ID。
+ * @param {string} [params.mode] - "llm"（默认，由 LLM 生成整个组件）或 "ast"（本地 AST 生成器，仅不支持的节点调用 LLM）。
+ * @param {string} [params.componentName] - ast 模式下默认导出的组件名。
+ * @param {string|object} [params.serverObjectRules] - 服务端对象规则表：预置名称（default / props / context）或 { preset, rules }，
+ *   未指定时使用环境变量 SERVER_OBJECT_RULES。
+ * @param {string} [params.pagePath] - 页面的 JSP 路径，例如 "/WEB-INF/jsp/users/home.jsp"。
+ * @param {string} [params.routeTable] - 登记到的路由表 ID，默认为 sessionId。
+ * @param {Function} [params.onEvent] - 进度回调 (event, data)，事件类型见 README 中的 SSE 说明。
+ * @returns {Promise<{success: boolean, reactCode: string, sessionId: string, toolCalls: Array|null, warnings: string[]}>}
+ */
+export async function generateReactFromJson({ message, sessionId, mode = 'llm', componentName, serverObjectRules, pagePath, routeTable = sessionId, onEvent = () => {} }) {
+    const serverObjects = resolveServerObjectRules(serverObjectRules);
+    const result = mode === 'ast'
+        ? await generateReactWithAst({ message, sessionId, componentName, serverObjects, onEvent })
+        : await generateReactWithLlm({ message, sessionId, serverObjects, onEvent });
+    if (result.success && pagePath) {
+        registerPageRoute(routeTable, pagePath, JSON5.parse(message));
+    }
+    return result;
+}
+
+// 登记到路由表的页面必须是 JSP 页面路径
+function isJspPagePath(pagePath) {
+    return typeof pagePath === 'string' && /\.jspx?$/i.test(pagePath);
+}
+
+// --- API 路由 (已更新) ---
+router.post('/generate-react', async (req, res) => {
+    try {
+        const { message, sessionId = `session_${Date.now()}`, mode, componentName, serverObjectRules, pagePath, routeTable } = req.body;
+        if (!message) {
+            return res.status(400).json({ error: 'message 不能为空' });
+        }
+        if (pagePath !== undefined && !isJspPagePath(pagePath)) {
+            return res.status(400).json({ error: 'pagePath 必须是 JSP 页面路径，例如 /users/home.jsp' });
+        }
+        try {
+            resolveServerObjectRules(serverObjectRules);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const { success, reactCode } = await generateReactFromJson({ message, sessionId, mode, componentName, serverObjectRules, pagePath, routeTable });
         console.log('结果已生成')
-        if (isCodeValid) {
-            res.json({ success: true, reactCode: finalReactCode, sessionId });
+        if (success) {
+            res.json({ success: true, reactCode, sessionId });
         } else {
             res.status(500).json({
                 success: false,
                 error: "代码生成失败，已达到最大重试次数。",
-                reactCode: finalReactCode,
+                reactCode,
                 sessionId
             });
         }
@@ -334,5 +530,68 @@ router.post('/generate-react', async (req, res) => {
     }
 });
 
+// SSE 版本：推送 stage / tool_call_start / tool_call_result / validation_failed 事件，
+// 最后以 result（与 /generate-react 的响应体相同）或 error 事件结束
+router.post('/generate-react/stream', async (req, res) => {
+    const { message, sessionId = `session_${Date.now()}`, mode, componentName, serverObjectRules, pagePath, routeTable } = req.body;
+    if (!message) {
+        return res.status(400).json({ error: 'message 不能为空' });
+    }
+    if (pagePath !== undefined && !isJspPagePath(pagePath)) {
+        return res.status(400).json({ error: 'pagePath 必须是 JSP 页面路径，例如 /users/home.jsp' });
+    }
+    try {
+        resolveServerObjectRules(serverObjectRules);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const { send, close } = openSseStream(req, res);
+    try {
+        const { success, reactCode, warnings } = await generateReactFromJson({
+            message, sessionId, mode, componentName, serverObjectRules, pagePath, routeTable, onEvent: send
+        });
+        if (success) {
+            send('result', { success: true, reactCode, sessionId, warnings });
+        } else {
+            send('error', {
+                success: false,
+                error: "代码生成失败，已达到最大重试次数。",
+                reactCode,
+                sessionId,
+                warnings
+            });
+        }
+    } catch (error) {
+        console.error("处理流式请求时出错:", error);
+        send('error', { error: error.message, sessionId });
+    } finally {
+        close();
+    }
+});
+
+// 路由表：列出已登记页面的路由表
+router.get('/routes', (req, res) => {
+    return res.json({ tables: routeTables.list() });
+});
+
+// 生成路由表文件：?style=data（默认，routes.tsx，createBrowserRouter）或 ?style=jsx（App.tsx，<Routes>）
+router.get('/routes/:routeTable', (req, res) => {
+    const pages = routeTables.pages(req.params.routeTable);
+    if (!pages) {
+        return res.status(404).json({ error: '路由表不存在' });
+    }
+    const { style = 'data' } = req.query;
+    if (!ROUTER_STYLES.includes(style)) {
+        return res.status(400).json({ error: `style 必须是 ${ROUTER_STYLES.join(' 或 ')}` });
+    }
+    const { fileName, code, routes, unconverted, unknownFrames, duplicates } = buildRouteTable(pages, { style, typescript: fileType === 'tsx' });
+    return res.json({ fileName, code, routes, unconverted, unknownFrames, duplicates, pages });
+});
+
+router.delete('/routes/:routeTable', (req, res) => {
+    return res.json({ success: routeTables.delete(req.params.routeTable) });
+});
+
 // 导出路由
 export default router;
\ No newline at end of file
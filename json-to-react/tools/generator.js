@@ -0,0 +1,1834 @@
+import * as t from '@babel/types';
+import _generate from '@babel/generator';
+import { parse, parseExpression } from '@babel/parser';
+import { getActiveXComponentName } from './tools.js';
+import { parseStyleString } from '../../utils/css.js';
+import { tryParseEl, translateEl } from '../../utils/el.js';
+import { resolveServerObjectRules } from '../../utils/serverObjects.js';
+
+const generate = _generate.default || _generate;
+
+/**
+ * 基于 AST 的确定性 IR -> TSX 生成器
+ * --------------------------------
+ * 使用 @babel/types 构建 JSX/TS 语法树，再由 @babel/generator 打印成代码。
+ * 已定义的节点类型全部在本地生成；生成器无法处理的节点（例如原始脚本片段、未解析的标签库标签）
+ * 会留下一个 "插槽 (slot)"，由调用方提供的 resolveSlot 回调（通常是 LLM）补全。
+ */
+
+// 没有结束标签的 HTML 空元素
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// HTML 属性名 -> React 属性名
+const ATTRIBUTE_NAME_MAP = {
+    'class': 'className',
+    'for': 'htmlFor',
+    'tabindex': 'tabIndex',
+    'readonly': 'readOnly',
+    'maxlength': 'maxLength',
+    'minlength': 'minLength',
+    'colspan': 'colSpan',
+    'rowspan': 'rowSpan',
+    'cellpadding': 'cellPadding',
+    'cellspacing': 'cellSpacing',
+    'accesskey': 'accessKey',
+    'contenteditable': 'contentEditable',
+    'enctype': 'encType',
+    'frameborder': 'frameBorder',
+    'usemap': 'useMap',
+    'autocomplete': 'autoComplete',
+    'autofocus': 'autoFocus',
+    'novalidate': 'noValidate',
+    'accept-charset': 'acceptCharset',
+    'http-equiv': 'httpEquiv',
+    'datetime': 'dateTime',
+    'crossorigin': 'crossOrigin',
+    'srcset': 'srcSet'
+};
+
+// 取值为空字符串时表示 true 的布尔属性
+const BOOLEAN_ATTRIBUTES = new Set([
+    'checked', 'disabled', 'selected', 'readOnly', 'multiple', 'required', 'autoFocus', 'hidden', 'noValidate'
+]);
+
+// 由多个单词组成的 DOM 事件名
+const EVENT_NAME_MAP = {
+    'dblclick': 'DoubleClick',
+    'mouseover': 'MouseOver',
+    'mouseout': 'MouseOut',
+    'mousedown': 'MouseDown',
+    'mouseup': 'MouseUp',
+    'mousemove': 'MouseMove',
+    'mouseenter': 'MouseEnter',
+    'mouseleave': 'MouseLeave',
+    'keydown': 'KeyDown',
+    'keyup': 'KeyUp',
+    'keypress': 'KeyPress',
+    'contextmenu': 'ContextMenu'
+};
+
+// 不需要声明为 state 的全局标识符
+const KNOWN_GLOBALS = new Set([
+    'sessionStorage', 'localStorage', 'window', 'document', 'JSON', 'Math', 'Number', 'String',
+    'Boolean', 'Array', 'Object', 'Date', 'console', 'navigate', 'undefined', 'NaN', 'Infinity',
+    'parseInt', 'parseFloat', 'isNaN', 'encodeURIComponent', 'decodeURIComponent'
+]);
+
+// 条件表达式中常见的辅助函数，被引用时在文件中生成其定义
+const HELPERS = {
+    isPresent: `function isPresent(value: any): boolean {
+  return value !== undefined && value !== null;
+}`,
+    // EL empty：null、空字符串、空数组/集合/普通对象
+    isEmpty: `function isEmpty(value: any): boolean {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (value instanceof Map || value instanceof Set) return value.size === 0;
+  if (typeof value === 'object' && value.constructor === Object) return Object.keys(value).length === 0;
+  return false;
+}`,
+    // sessionScope.x：sessionStorage 中的值按 JSON 保存，无法解析时原样返回
+    readSession: `function readSession(key: string): any {
+  const value = sessionStorage.getItem(key);
+  if (value === null) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}`,
+    // c:forEach begin/end（无 items）时的数值序列
+    range: `function range(begin: number, end: number, step: number = 1): number[] {
+  const values: number[] = [];
+  for (let value = begin; value <= end; value += step) {
+    values.push(value);
+  }
+  return values;
+}`,
+    // EL 函数 fn:length：数组/字符串长度，对象按键数计算
+    fnLength: `function fnLength(value: any): number {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  if (value instanceof Map || value instanceof Set) return value.size;
+  return Object.keys(value).length;
+}`,
+    // bean:write format：数字（#,##0.00）或日期（yyyy-MM-dd HH:mm:ss）格式
+    formatValue: `function formatValue(value: any, pattern: string): string {
+  if (value === undefined || value === null) return '';
+  if (/[yMdHhms]/.test(pattern)) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    const pad = (n: number) => String(n).padStart(2, '0');
+    const parts: Record<string, string> = {
+      yyyy: String(date.getFullYear()),
+      yy: pad(date.getFullYear() % 100),
+      MM: pad(date.getMonth() + 1),
+      dd: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      hh: pad(date.getHours() % 12 || 12),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+    return pattern.replace(/yyyy|yy|MM|dd|HH|hh|mm|ss/g, token => parts[token]);
+  }
+  const number = Number(value);
+  if (isNaN(number)) return String(value);
+  const decimals = (pattern.split('.')[1] || '').replace(/[^0#]/g, '');
+  return number.toLocaleString(undefined, {
+    useGrouping: pattern.includes(','),
+    minimumFractionDigits: decimals.replace(/#/g, '').length,
+    maximumFractionDigits: decimals.length
+  });
+}`,
+    // fmt:formatNumber：空值输出空字符串，非数字原样输出
+    formatNumber: `function formatNumber(value: any, locale: string, options: Intl.NumberFormatOptions): string {
+  if (value === undefined || value === null || value === '') return '';
+  const number = Number(value);
+  return isNaN(number) ? String(value) : new Intl.NumberFormat(locale, options).format(number);
+}`,
+    // fmt:formatDate：空值输出空字符串，无法解析的日期原样输出
+    formatDate: `function formatDate(value: any, locale: string, options: Intl.DateTimeFormatOptions): string {
+  if (value === undefined || value === null || value === '') return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? String(value) : new Intl.DateTimeFormat(locale, options).format(date);
+}`,
+    // html:form 提交：以表单参数 POST 到 action，跟随服务端的重定向；失败时返回服务端给出的校验错误
+    // （响应体 { errors: { global: [...], fields: { property: [...] } } }）
+    submitForm: `async function submitForm(action: string, data: FormData, multipart: boolean = false): Promise<FormErrors> {
+  const body = multipart ? data : new URLSearchParams([...data.entries()].map(([name, value]) => [name, String(value)]));
+  const response = await fetch(action, { method: 'POST', body });
+  if (response.redirected) {
+    window.location.assign(response.url);
+    return {};
+  }
+  if (response.ok) return {};
+  const result = await response.json().catch(() => null);
+  return result?.errors ?? { global: [response.statusText || 'HTTP ' + response.status] };
+}`,
+    // html:errors：有 property 时只取该字段的错误，否则取全部错误
+    formErrorMessages: `function formErrorMessages(errors: FormErrors, property: string = ''): string[] {
+  if (property) return errors.fields?.[property] ?? [];
+  return [...(errors.global ?? []), ...Object.values(errors.fields ?? {}).flat()];
+}`,
+    // html:multibox：勾选时加入数组，取消时移除
+    toggleValue: `function toggleValue(values: string[], value: string, checked: boolean): string[] {
+  const rest = values.filter(item => item !== value);
+  return checked ? [...rest, value] : rest;
+}`,
+    // c:url + c:param
+    buildUrl: `function buildUrl(path: string, params: Record<string, any>): string {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) query.append(name, String(value));
+  });
+  const search = query.toString();
+  return search ? path + (path.includes('?') ? '&' : '?') + search : path;
+}`
+};
+
+// ---------------------------------------------------------------------------
+// 上下文与工具函数
+// ---------------------------------------------------------------------------
+
+function createFileContext(options) {
+    return {
+        typescript: options.typescript !== false,
+        i18nLibrary: options.i18nLibrary || 'react-i18next',
+        serverObjects: options.serverObjects || resolveServerObjectRules(),
+        imports: new Map(),      // source -> { defaultName, named: Set }
+        helpers: new Set(),
+        components: [],          // 额外生成的局部组件（如 ActiveX 占位组件）
+        componentNames: new Map(), // 组件名 -> 导入地址
+        slots: [],
+        todos: [],               // 中间表示中无法自动翻译的 Java 代码（TodoBlock）
+        primaryOutlet: null      // 渲染为 <Outlet /> 的 RouteOutlet（见 findPrimaryOutlet）
+    };
+}
+
+function createComponentContext() {
+    // props：布局组件的插槽（SlotOutlet）与按 props 规则传入的服务端状态，名称 -> 'string' | 'node' | 'any'
+    // contexts：按 context 规则读取的服务端状态，context 变量名 -> 规则
+    // forms：html:form 生成的受控表单，FormBlock 节点 -> 表单（见 formFor）；defaultForm 为页面中的第一个 FormBlock
+    return {
+        hooks: new Set(), stateVars: new Set(), props: new Map(), contexts: new Map(),
+        forms: new Map(), defaultForm: null, block: createBlockContext()
+    };
+}
+
+/**
+ * 语句块上下文：VariableBinding 生成的声明语句放在组件函数体或循环回调体的 return 之前。
+ */
+function createBlockContext() {
+    return { statements: [], declarations: new Map() };
+}
+
+function addImport(fileCtx, source, { defaultName, named }) {
+    if (!fileCtx.imports.has(source)) {
+        fileCtx.imports.set(source, { defaultName: null, named: new Set() });
+    }
+    const entry = fileCtx.imports.get(source);
+    if (defaultName) entry.defaultName = defaultName;
+    if (named) entry.named.add(named);
+}
+
+/**
+ * 把任意字符串转换为合法的 JSX 组件名（首字母大写）。
+ */
+function toComponentIdentifier(name) {
+    const cleaned = String(name).replace(/[^A-Za-z0-9_$]/g, '');
+    const safe = /^[0-9]/.test(cleaned) ? `_${cleaned}` : cleaned || 'Component';
+    return safe.charAt(0).toUpperCase() + safe.slice(1);
+}
+
+function toVariableIdentifier(name, fallback) {
+    const cleaned = String(name || '').replace(/[^A-Za-z0-9_$]/g, '');
+    return cleaned && !/^[0-9]/.test(cleaned) ? cleaned : fallback;
+}
+
+/**
+ * 将 Babel 节点原地替换为另一个节点（保持外部持有的引用有效）。
+ */
+function replaceNodeInPlace(target, replacement) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, replacement);
+}
+
+function anyType(fileCtx) {
+    return fileCtx.typescript ? t.tsTypeAnnotation(t.tsAnyKeyword()) : null;
+}
+
+// ---------------------------------------------------------------------------
+// 表达式
+// ---------------------------------------------------------------------------
+
+function parseJsExpression(code) {
+    try {
+        return parseExpression(code, { plugins: ['jsx', 'typescript'] });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 收集表达式中的自由标识符（不包括成员访问的属性名、对象字面量的键和函数内部）。
+ */
+function collectFreeIdentifiers(node, found = new Set()) {
+    if (!node || typeof node.type !== 'string') return found;
+    switch (node.type) {
+        case 'Identifier':
+            found.add(node.name);
+            return found;
+        case 'MemberExpression':
+        case 'OptionalMemberExpression':
+            collectFreeIdentifiers(node.object, found);
+            if (node.computed) collectFreeIdentifiers(node.property, found);
+            return found;
+        case 'ObjectProperty':
+            if (node.computed) collectFreeIdentifiers(node.key, found);
+            collectFreeIdentifiers(node.value, found);
+            return found;
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+            return found;
+        default:
+            break;
+    }
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => collectFreeIdentifiers(item, found));
+        } else {
+            collectFreeIdentifiers(value, found);
+        }
+    }
+    return found;
+}
+
+/**
+ * 为表达式引用的变量登记 state 声明或辅助函数。
+ */
+function registerIdentifiers(expr, ctx, scope) {
+    for (const name of collectFreeIdentifiers(expr)) {
+        if (scope.has(name) || KNOWN_GLOBALS.has(name) || ctx.component.contexts.has(name)) continue;
+        if (name === 'searchParams') {
+            // EL 隐式对象 param / paramValues
+            ctx.component.hooks.add('searchParams');
+        } else if (HELPERS[name]) {
+            ctx.file.helpers.add(name);
+        } else {
+            ctx.component.stateVars.add(name);
+        }
+    }
+}
+
+/**
+ * 将条件/集合等 EL 表达式文本翻译为空值安全的 JS 表达式 AST；无法翻译时返回 null。
+ * 不符合 EL 语法的文本（例如 LLM 生成的 JavaScript 条件）按 JavaScript 表达式解析。
+ * @param {object} [elAst] - 中间表示中已解析好的 EL AST（conditionAst），提供时不再解析文本。
+ */
+function expressionFromText(text, ctx, scope, elAst = null) {
+    if (!text || !String(text).trim()) return null;
+    const ast = elAst || tryParseEl(text);
+    let expr;
+    if (ast) {
+        // 翻译成功后才登记服务端对象对应的 props / context
+        const serverObjects = [];
+        try {
+            expr = translateEl(ast, {
+                isGlobal: name => KNOWN_GLOBALS.has(name) && !scope.has(name),
+                serverObjects: ctx.file.serverObjects,
+                onServerObject: (rule, name) => serverObjects.push({ rule, name })
+            });
+        } catch (error) {
+            return null;
+        }
+        for (const { rule, name } of serverObjects) {
+            if (rule.target === 'props' && !scope.has(name)) ctx.component.props.set(name, 'any');
+            if (rule.target === 'context') ctx.component.contexts.set(name, rule);
+        }
+    } else {
+        expr = parseJsExpression(String(text).trim());
+    }
+    if (!expr) return null;
+    registerIdentifiers(expr, ctx, scope);
+    return expr;
+}
+
+/**
+ * Java 表达式只在形如 a.b.c 的简单取值时直接使用，其余（方法调用、类型转换等）交给 LLM。
+ */
+function isSimpleJavaExpression(code) {
+    return /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(String(code).trim());
+}
+
+/**
+ * 创建一个待 LLM 补全的插槽。
+ * @param {'jsx'|'expression'} kind - jsx：作为 JSX 子节点；expression：作为 JS 表达式。
+ */
+function createSlot(ctx, scope, kind, source, reason) {
+    const placeholder = kind === 'jsx'
+        ? t.jsxExpressionContainer(t.jsxEmptyExpression())
+        : t.identifier('undefined');
+    ctx.file.slots.push({ kind, source, reason, placeholder, scope: new Set(scope), component: ctx.component });
+    return placeholder;
+}
+
+/**
+ * 将可能包含 ${...} 或 <%= %> 的属性值转换为字符串字面量或表达式。
+ */
+function attributeValueExpression(value, ctx, scope) {
+    const text = String(value);
+    const dynamicRegex = /\$\{[^}]*\}|<%=[\s\S]*?%>/g;
+    if (!dynamicRegex.test(text)) {
+        return t.stringLiteral(text);
+    }
+
+    const quasis = [];
+    const expressions = [];
+    let pending = '';
+    let lastIndex = 0;
+    dynamicRegex.lastIndex = 0;
+    let match;
+    while ((match = dynamicRegex.exec(text)) !== null) {
+        pending += text.slice(lastIndex, match.index);
+        const raw = match[0];
+        const isJava = raw.startsWith('<%=');
+        const code = isJava ? raw.slice(3, -2).trim() : raw;
+        const expr = ((!isJava || isSimpleJavaExpression(code)) && expressionFromText(code, ctx, scope))
+            || createSlot(ctx, scope, 'expression', raw, '无法解析的属性表达式');
+        if (t.isStringLiteral(expr)) {
+            // 翻译结果为常量（例如 contextPath）时直接并入文本
+            pending += expr.value;
+        } else {
+            quasis.push(pending);
+            pending = '';
+            expressions.push(expr);
+        }
+        lastIndex = dynamicRegex.lastIndex;
+    }
+    quasis.push(pending + text.slice(lastIndex));
+
+    if (expressions.length === 0) {
+        return t.stringLiteral(quasis[0]);
+    }
+    if (expressions.length === 1 && quasis.every(q => q === '')) {
+        return expressions[0];
+    }
+    return t.templateLiteral(
+        quasis.map((q, i) => t.templateElement({ raw: q.replace(/[`\\]|\$\{/g, m => `\\${m}`), cooked: q }, i === quasis.length - 1)),
+        expressions
+    );
+}
+
+// ---------------------------------------------------------------------------
+// JSX 构建
+// ---------------------------------------------------------------------------
+
+function jsxElement(name, attributes, children, selfClosing) {
+    const jsxName = t.jsxIdentifier(name);
+    const isSelfClosing = selfClosing || children.length === 0;
+    return t.jsxElement(
+        t.jsxOpeningElement(jsxName, attributes, isSelfClosing),
+        isSelfClosing ? null : t.jsxClosingElement(t.jsxIdentifier(name)),
+        isSelfClosing ? [] : children,
+        isSelfClosing
+    );
+}
+
+/**
+ * 文本中含有 JSX 特殊字符或换行（pre 等元素中保留的空白，JSX 文本会去掉换行两侧的空白）时使用 {"..."} 形式输出。
+ */
+function jsxTextNode(text) {
+    if (/[{}<>\n]/.test(text)) {
+        return t.jsxExpressionContainer(t.stringLiteral(text));
+    }
+    return t.jsxText(text);
+}
+
+/**
+ * 把若干 JSX 子节点包装为一个表达式：单个元素直接返回，否则使用 Fragment。
+ */
+function wrapChildren(children) {
+    const meaningful = children.filter(c => !(t.isJSXText(c) && !c.value.trim()));
+    if (meaningful.length === 1 && (t.isJSXElement(meaningful[0]) || t.isJSXFragment(meaningful[0]))) {
+        return meaningful[0];
+    }
+    if (meaningful.length === 0) {
+        return t.nullLiteral();
+    }
+    return t.jsxFragment(t.jsxOpeningFragment(), t.jsxClosingFragment(), children);
+}
+
+function styleObjectExpression(style) {
+    const styleObject = typeof style === 'string' ? parseStyleString(style) : style;
+    return t.objectExpression(Object.entries(styleObject).map(([key, value]) =>
+        t.objectProperty(
+            t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key),
+            typeof value === 'number' ? t.numericLiteral(value) : t.stringLiteral(String(value))
+        )
+    ));
+}
+
+/**
+ * 内联事件属性对应的 React 事件名：onclick -> onClick、ondblclick -> onDoubleClick。
+ * @param {string} name - 属性名。
+ * @returns {string}
+ */
+export function reactEventName(name) {
+    const eventName = name.slice(2).toLowerCase();
+    return `on${EVENT_NAME_MAP[eventName] || eventName.charAt(0).toUpperCase() + eventName.slice(1)}`;
+}
+
+/**
+ * 事件属性：onclick="doSave()" -> onClick={() => { console.log("doSave()"); }}
+ */
+function eventHandlerAttribute(name, value) {
+    const reactName = reactEventName(name);
+    const handler = t.arrowFunctionExpression([], t.blockStatement([
+        t.expressionStatement(t.callExpression(
+            t.memberExpression(t.identifier('console'), t.identifier('log')),
+            [t.stringLiteral(String(value))]
+        ))
+    ]));
+    return t.jsxAttribute(t.jsxIdentifier(reactName), t.jsxExpressionContainer(handler));
+}
+
+/**
+ * 将 IR 的 attributes 转换为 JSX 属性列表。
+ * @param {object} attributes - IR 节点的 attributes。
+ * @param {object} options
+ * @param {boolean} [options.isComponent] - 组件的属性按 props 原样传递，不做 DOM 属性名映射。
+ * @param {string} [options.tagName] - 元素标签名，用于表单控件的默认值映射。
+ */
+function renderAttributes(attributes, ctx, scope, { isComponent = false, tagName = '' } = {}) {
+    const result = [];
+    for (const [rawName, value] of Object.entries(attributes || {})) {
+        if (!/^[a-zA-Z_][\w-]*$/.test(rawName)) continue; // 例如 <%= %> 或带命名空间的属性
+
+        if (rawName === 'style') {
+            if (value && (typeof value === 'object' || String(value).trim())) {
+                result.push(t.jsxAttribute(t.jsxIdentifier('style'), t.jsxExpressionContainer(styleObjectExpression(value))));
+            }
+            continue;
+        }
+        if (/^on[a-z]+$/i.test(rawName) && typeof value === 'string') {
+            result.push(eventHandlerAttribute(rawName, value));
+            continue;
+        }
+
+        let name = rawName;
+        if (!isComponent) {
+            name = ATTRIBUTE_NAME_MAP[rawName.toLowerCase()] || rawName;
+            // 非受控表单控件使用 defaultValue / defaultChecked，避免 React 的受控组件警告
+            if (name === 'value' && ['input', 'textarea', 'select'].includes(tagName)) name = 'defaultValue';
+            if (name === 'checked' && tagName === 'input') name = 'defaultChecked';
+            if (name === 'property') name = 'data-property';
+        }
+
+        if (BOOLEAN_ATTRIBUTES.has(name) || name === 'defaultChecked') {
+            if (value === '' || value === true || value === name || value === rawName) {
+                result.push(t.jsxAttribute(t.jsxIdentifier(name), null));
+                continue;
+            }
+        }
+
+        if (typeof value === 'object' && value !== null) {
+            result.push(t.jsxAttribute(t.jsxIdentifier(name), t.jsxExpressionContainer(t.valueToNode(value))));
+            continue;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            result.push(t.jsxAttribute(t.jsxIdentifier(name), t.jsxExpressionContainer(t.valueToNode(value))));
+            continue;
+        }
+
+        const expr = attributeValueExpression(value ?? '', ctx, scope);
+        if (t.isStringLiteral(expr) && !/["\\]/.test(expr.value)) {
+            result.push(t.jsxAttribute(t.jsxIdentifier(name), expr));
+        } else {
+            result.push(t.jsxAttribute(t.jsxIdentifier(name), t.jsxExpressionContainer(expr)));
+        }
+    }
+    return result;
+}
+
+/**
+ * 渲染可能包含 ${...} / <%= %> 的文本。
+ */
+function renderTextContent(text, ctx, scope) {
+    const children = [];
+    const dynamicRegex = /\$\{[^}]*\}|<%=[\s\S]*?%>/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = dynamicRegex.exec(text)) !== null) {
+        if (match.index > lastIndex) children.push(jsxTextNode(text.slice(lastIndex, match.index)));
+        const raw = match[0];
+        children.push(renderExpressionNode({
+            expression: raw.startsWith('<%=') ? raw.slice(3, -2).trim() : raw,
+            language: raw.startsWith('<%=') ? 'java' : 'el'
+        }, ctx, scope));
+        lastIndex = dynamicRegex.lastIndex;
+    }
+    if (lastIndex < text.length) children.push(jsxTextNode(text.slice(lastIndex)));
+    return children;
+}
+
+function renderExpressionNode(node, ctx, scope) {
+    const isJava = node.language === 'java';
+    const source = isJava ? `<%= ${node.expression} %>` : node.expression;
+    const expr = !isJava || isSimpleJavaExpression(node.expression)
+        ? expressionFromText(node.expression, ctx, scope)
+        : null;
+    if (!expr) {
+        return createSlot(ctx, scope, 'jsx', source, '无法直接转换的表达式');
+    }
+
+    // c:out default：表达式为 null/undefined 时的后备内容
+    let value = node.default !== undefined
+        ? t.logicalExpression('??', expr, attributeValueExpression(node.default, ctx, scope))
+        : expr;
+    // bean:write format / formatKey（格式模式来自资源文件）
+    if (node.format || node.formatKey) {
+        ctx.file.helpers.add('formatValue');
+        const pattern = node.format ? t.stringLiteral(node.format) : messageExpression(node.formatKey, [], ctx, scope);
+        value = t.callExpression(t.identifier('formatValue'), [value, pattern]);
+    }
+    // c:out escapeXml="false"：按 HTML 输出
+    if (node.escapeXml === false) {
+        const html = t.callExpression(t.identifier('String'), [t.logicalExpression('??', value, t.stringLiteral(''))]);
+        return jsxElement('span', [
+            t.jsxAttribute(t.jsxIdentifier('dangerouslySetInnerHTML'), t.jsxExpressionContainer(
+                t.objectExpression([t.objectProperty(t.identifier('__html'), html)])
+            ))
+        ], [], true);
+    }
+    return t.jsxExpressionContainer(value);
+}
+
+/**
+ * 消息文本：react-i18next 生成 t("key", { arg0 })，react-intl 生成 intl.formatMessage({ id: "key" }, { arg0 })。
+ * 参数命名与 utils/i18n.js 转换出的语言包占位符一致。
+ */
+function messageExpression(key, args, ctx, scope) {
+    ctx.component.hooks.add('i18n');
+    ctx.component.hooks.add('translate');
+    const keyExpr = attributeValueExpression(key || '', ctx, scope);
+    const values = (args || []).map((arg, i) => t.objectProperty(
+        t.identifier(`arg${i}`),
+        attributeValueExpression(arg ?? '', ctx, scope)
+    ));
+    const callArgs = values.length > 0 ? [t.objectExpression(values)] : [];
+
+    if (ctx.file.i18nLibrary === 'react-intl') {
+        return t.callExpression(
+            t.memberExpression(t.identifier('intl'), t.identifier('formatMessage')),
+            [t.objectExpression([t.objectProperty(t.identifier('id'), keyExpr)]), ...callArgs]
+        );
+    }
+    return t.callExpression(t.identifier('t'), [keyExpr, ...callArgs]);
+}
+
+/**
+ * 当前语言：react-i18next 为 i18n.language，react-intl 为 intl.locale。
+ */
+function localeExpression(ctx) {
+    ctx.component.hooks.add('i18n');
+    if (ctx.file.i18nLibrary === 'react-intl') {
+        return t.memberExpression(t.identifier('intl'), t.identifier('locale'));
+    }
+    ctx.component.hooks.add('locale');
+    return t.memberExpression(t.identifier('i18n'), t.identifier('language'));
+}
+
+/**
+ * bean:message / fmt:message -> {t("key", { arg0, ... })}
+ */
+function renderMessageNode(node, ctx, scope) {
+    return t.jsxExpressionContainer(messageExpression(node.key, node.args, ctx, scope));
+}
+
+// fmt:formatNumber 的位数属性 -> Intl.NumberFormat 选项
+const NUMBER_DIGIT_OPTIONS = {
+    maxIntegerDigits: null,  // Intl 不支持截断整数位
+    minIntegerDigits: 'minimumIntegerDigits',
+    maxFractionDigits: 'maximumFractionDigits',
+    minFractionDigits: 'minimumFractionDigits'
+};
+
+// JSTL dateStyle/timeStyle 的 default 对应 medium
+function intlStyle(value) {
+    const style = String(value || 'default').toLowerCase();
+    return ['short', 'medium', 'long', 'full'].includes(style) ? style : 'medium';
+}
+
+function formatOptionValue(value, ctx, scope) {
+    if (typeof value === 'number' || typeof value === 'boolean') return t.valueToNode(value);
+    if (/^\d+$/.test(String(value).trim())) return t.numericLiteral(Number(value));
+    return attributeValueExpression(String(value), ctx, scope);
+}
+
+/**
+ * fmt:formatNumber / fmt:formatDate：有 pattern 时沿用 formatValue，否则按当前语言用 Intl 格式化。
+ */
+function formatExpression(node, ctx, scope) {
+    const value = attributeValueExpression(node.value ?? '', ctx, scope);
+    if (node.pattern) {
+        ctx.file.helpers.add('formatValue');
+        return t.callExpression(t.identifier('formatValue'), [value, attributeValueExpression(node.pattern, ctx, scope)]);
+    }
+
+    const options = [];
+    const option = (name, expr) => options.push(t.objectProperty(t.identifier(name), expr));
+    if (node.kind === 'date') {
+        const type = String(node.type || 'date').toLowerCase();
+        if (type !== 'time') option('dateStyle', t.stringLiteral(intlStyle(node.dateStyle)));
+        if (type !== 'date') option('timeStyle', t.stringLiteral(intlStyle(node.timeStyle)));
+        if (node.timeZone) option('timeZone', attributeValueExpression(node.timeZone, ctx, scope));
+    } else {
+        const type = String(node.type || 'number').toLowerCase();
+        if (type === 'currency') {
+            option('style', t.stringLiteral('currency'));
+            // 未指定 currencyCode 时 JSTL 使用当前语言的货币，Intl 必须显式给出，这里默认人民币
+            option('currency', node.currencyCode ? attributeValueExpression(node.currencyCode, ctx, scope) : t.stringLiteral('CNY'));
+        } else if (type === 'percent') {
+            option('style', t.stringLiteral('percent'));
+        }
+        for (const [name, intlName] of Object.entries(NUMBER_DIGIT_OPTIONS)) {
+            if (intlName && node[name] !== undefined) option(intlName, formatOptionValue(node[name], ctx, scope));
+        }
+        if (node.groupingUsed === false) option('useGrouping', t.booleanLiteral(false));
+    }
+
+    const helper = node.kind === 'date' ? 'formatDate' : 'formatNumber';
+    ctx.file.helpers.add(helper);
+    return t.callExpression(t.identifier(helper), [value, localeExpression(ctx), t.objectExpression(options)]);
+}
+
+function renderConditionalBlock(node, ctx, scope) {
+    const elseBlock = (node.children || []).find(c => c && c.tagName === 'ElseBlock');
+    const consequentNodes = (node.children || []).filter(c => c !== elseBlock);
+
+    const test = expressionFromText(node.condition, ctx, scope, node.conditionAst)
+        || createSlot(ctx, scope, 'expression', node.condition || '', '无法解析的条件表达式');
+    const consequent = wrapChildren(renderChildren(consequentNodes, ctx, scope));
+
+    if (elseBlock) {
+        const alternate = wrapChildren(renderChildren(elseBlock.children || [], ctx, scope));
+        return t.jsxExpressionContainer(t.conditionalExpression(test, consequent, alternate));
+    }
+    return t.jsxExpressionContainer(t.logicalExpression('&&', test, consequent));
+}
+
+/**
+ * c:choose：when 分支依次组成嵌套的三元表达式，otherwise 作为最后的分支（没有时为 null）。
+ */
+function renderChooseBlock(node, ctx, scope) {
+    const branches = (node.children || []).filter(c => c && c.tagName === 'ConditionalBlock');
+    const elseBlock = (node.children || []).find(c => c && c.tagName === 'ElseBlock');
+
+    let result = elseBlock
+        ? wrapChildren(renderChildren(elseBlock.children || [], ctx, scope))
+        : t.nullLiteral();
+    // 先渲染所有分支再从后向前组合，保证插槽与变量登记的顺序与源码一致
+    const rendered = branches.map(branch => ({
+        test: expressionFromText(branch.condition, ctx, scope, branch.conditionAst)
+            || createSlot(ctx, scope, 'expression', branch.condition || '', '无法解析的条件表达式'),
+        consequent: wrapChildren(renderChildren(branch.children || [], ctx, scope))
+    }));
+    for (let i = rendered.length - 1; i >= 0; i--) {
+        result = t.conditionalExpression(rendered[i].test, rendered[i].consequent, result);
+    }
+    return t.jsxExpressionContainer(result);
+}
+
+/**
+ * 循环边界（begin/end/step）：数字直接使用，字符串按 EL 表达式转换。
+ */
+function numberExpression(value, ctx, scope) {
+    if (typeof value === 'number') return t.numericLiteral(value);
+    const expr = attributeValueExpression(value, ctx, scope);
+    return t.isStringLiteral(expr) && /^-?\d+$/.test(expr.value.trim())
+        ? t.numericLiteral(Number(expr.value))
+        : t.callExpression(t.identifier('Number'), [expr]);
+}
+
+/**
+ * 计算循环遍历的数组表达式：
+ * - tokens（c:forTokens）：String(collection).split(/[delims]/)
+ * - 只有 begin/end：range(begin, end, step)
+ * - 集合 + begin/end/step：先 slice 再按步长过滤
+ */
+function loopItemsExpression(node, ctx, scope) {
+    const hasRange = node.begin !== undefined || node.end !== undefined;
+    const step = node.step !== undefined ? numberExpression(node.step, ctx, scope) : null;
+
+    if (!node.collection && hasRange) {
+        ctx.file.helpers.add('range');
+        const args = [numberExpression(node.begin ?? 0, ctx, scope), numberExpression(node.end ?? 0, ctx, scope)];
+        if (step) args.push(step);
+        return t.callExpression(t.identifier('range'), args);
+    }
+
+    // c:forTokens 的 items 常常是字面量字符串
+    const collection = (node.tokens
+        ? attributeValueExpression(node.collection, ctx, scope)
+        : expressionFromText(node.collection, ctx, scope))
+        || createSlot(ctx, scope, 'expression', node.collection || '', '无法解析的集合表达式');
+
+    let items;
+    if (node.tokens) {
+        const delims = String(node.tokens.delims || ',').replace(/[\]\\^-]/g, '\\$&');
+        const source = t.isStringLiteral(collection)
+            ? collection
+            : t.callExpression(t.identifier('String'), [t.logicalExpression('??', collection, t.stringLiteral(''))]);
+        const split = t.callExpression(
+            t.memberExpression(source, t.identifier('split')),
+            [t.regExpLiteral(`[${delims}]`)]
+        );
+        // 与 StringTokenizer 一致，忽略连续分隔符产生的空字符串
+        items = t.callExpression(t.memberExpression(split, t.identifier('filter')), [t.identifier('Boolean')]);
+    } else {
+        items = t.logicalExpression('??', collection, t.arrayExpression([]));
+    }
+
+    if (hasRange) {
+        const sliceArgs = [node.begin !== undefined ? numberExpression(node.begin, ctx, scope) : t.numericLiteral(0)];
+        if (node.end !== undefined) {
+            sliceArgs.push(t.binaryExpression('+', numberExpression(node.end, ctx, scope), t.numericLiteral(1)));
+        }
+        items = t.callExpression(t.memberExpression(items, t.identifier('slice')), sliceArgs);
+    }
+    if (step) {
+        const skipped = t.identifier('_');
+        const position = t.identifier('i');
+        items = t.callExpression(t.memberExpression(items, t.identifier('filter')), [
+            t.arrowFunctionExpression([skipped, position], t.binaryExpression('===',
+                t.binaryExpression('%', position, step), t.numericLiteral(0)))
+        ]);
+    }
+    return items;
+}
+
+/**
+ * varStatus 对象：{ index, count, first, last, current }。
+ * index 为在原集合中的下标（range 循环时为当前数值），count 从 1 开始。
+ */
+function loopStatusDeclaration(node, statusName, itemName, indexName, itemsName, ctx, scope) {
+    const index = t.identifier(indexName);
+    let originalIndex = index;
+    if (!node.collection && (node.begin !== undefined || node.end !== undefined)) {
+        originalIndex = t.identifier(itemName);
+    } else if (node.begin !== undefined || node.step !== undefined) {
+        const begin = node.begin !== undefined ? numberExpression(node.begin, ctx, scope) : t.numericLiteral(0);
+        const offset = node.step !== undefined
+            ? t.binaryExpression('*', index, numberExpression(node.step, ctx, scope))
+            : index;
+        originalIndex = t.binaryExpression('+', begin, offset);
+    }
+    return t.variableDeclaration('const', [t.variableDeclarator(t.identifier(statusName), t.objectExpression([
+        t.objectProperty(t.identifier('index'), originalIndex),
+        t.objectProperty(t.identifier('count'), t.binaryExpression('+', index, t.numericLiteral(1))),
+        t.objectProperty(t.identifier('first'), t.binaryExpression('===', index, t.numericLiteral(0))),
+        t.objectProperty(t.identifier('last'), t.binaryExpression('===', index,
+            t.binaryExpression('-', t.memberExpression(t.identifier(itemsName), t.identifier('length')), t.numericLiteral(1)))),
+        t.objectProperty(t.identifier('current'), t.identifier(itemName))
+    ]))]);
+}
+
+function renderLoopBlock(node, ctx, scope) {
+    const itemName = toVariableIdentifier(node.item, 'item');
+    const indexName = itemName === 'index' ? 'i' : 'index';
+    const statusName = node.status ? toVariableIdentifier(node.status, null) : null;
+    const itemsName = 'items';
+    const innerScope = new Set([...scope, itemName, indexName]);
+    if (statusName) innerScope.add(statusName);
+
+    const items = loopItemsExpression(node, ctx, scope);
+    // 循环体中的 VariableBinding 声明在回调函数内部
+    const innerCtx = { ...ctx, block: createBlockContext() };
+    const children = renderChildren(node.children || [], innerCtx, innerScope);
+
+    // 单个元素直接加 key，否则用 Fragment 包裹
+    const meaningful = children.filter(c => !(t.isJSXText(c) && !c.value.trim()));
+    let body;
+    const keyAttribute = t.jsxAttribute(t.jsxIdentifier('key'), t.jsxExpressionContainer(t.identifier(indexName)));
+    if (meaningful.length === 1 && t.isJSXElement(meaningful[0])) {
+        body = meaningful[0];
+        body.openingElement.attributes.unshift(keyAttribute);
+    } else {
+        addImport(ctx.file, 'react', { named: 'Fragment' });
+        body = t.jsxElement(
+            t.jsxOpeningElement(t.jsxIdentifier('Fragment'), [keyAttribute]),
+            t.jsxClosingElement(t.jsxIdentifier('Fragment')),
+            children
+        );
+    }
+
+    const itemParam = t.identifier(itemName);
+    const indexParam = t.identifier(indexName);
+    const params = [itemParam, indexParam];
+    if (ctx.file.typescript) {
+        itemParam.typeAnnotation = anyType(ctx.file);
+        indexParam.typeAnnotation = t.tsTypeAnnotation(t.tsNumberKeyword());
+    }
+
+    const statements = [...innerCtx.block.statements];
+    if (statusName) {
+        const itemsParam = t.identifier(itemsName);
+        if (ctx.file.typescript) itemsParam.typeAnnotation = t.tsTypeAnnotation(t.tsArrayType(t.tsAnyKeyword()));
+        params.push(itemsParam);
+        statements.unshift(loopStatusDeclaration(node, statusName, itemName, indexName, itemsName, ctx, scope));
+    }
+    const callbackBody = statements.length > 0
+        ? t.blockStatement([...statements, t.returnStatement(body)])
+        : body;
+
+    return t.jsxExpressionContainer(t.callExpression(
+        t.memberExpression(items, t.identifier('map')),
+        [t.arrowFunctionExpression(params, callbackBody)]
+    ));
+}
+
+/**
+ * c:url：路径 + 查询参数（参数值可以包含 EL）。
+ */
+function urlExpression(node, ctx, scope) {
+    const pathExpr = attributeValueExpression(node.value || '', ctx, scope);
+    const params = Object.entries(node.params || {});
+    if (params.length === 0) return pathExpr;
+
+    ctx.file.helpers.add('buildUrl');
+    return t.callExpression(t.identifier('buildUrl'), [
+        pathExpr,
+        t.objectExpression(params.map(([name, value]) => t.objectProperty(
+            t.isValidIdentifier(name) ? t.identifier(name) : t.stringLiteral(name),
+            attributeValueExpression(value ?? '', ctx, scope)
+        )))
+    ]);
+}
+
+/**
+ * VariableBinding 的值：value 属性按 EL 转换；否则由 children 组成（纯文本拼接为字符串，其余渲染为 JSX）。
+ */
+function bindingValueExpression(node, ctx, scope) {
+    if (node.value !== undefined) {
+        return attributeValueExpression(node.value, ctx, scope);
+    }
+    const children = (node.children || []).filter(Boolean);
+    if (children.length === 1 && children[0].tagName === 'UrlValue') {
+        return urlExpression(children[0], ctx, scope);
+    }
+    if (children.length === 1 && children[0].tagName === '#message') {
+        return messageExpression(children[0].key, children[0].args, ctx, scope);
+    }
+    if (children.length === 1 && children[0].tagName === '#format') {
+        return formatExpression(children[0], ctx, scope);
+    }
+    if (children.every(c => c.tagName === '#text' || c.tagName === '#expression')) {
+        const text = children.map(c => {
+            if (c.tagName === '#text') return c.text || '';
+            return c.language === 'java' ? `<%= ${c.expression} %>` : c.expression;
+        }).join('').trim();
+        return attributeValueExpression(text, ctx, scope);
+    }
+    return wrapChildren(renderChildren(children, ctx, scope));
+}
+
+/**
+ * c:set / c:remove：在当前语句块中声明变量（同一块内重复赋值时改为 let），之后的兄弟节点可以直接引用。
+ * 不产生 JSX 输出。
+ */
+function renderVariableBinding(node, ctx, scope) {
+    if (node.remove) return null;
+
+    if (node.target) {
+        const target = expressionFromText(node.target, ctx, scope);
+        if (!target || !node.property) {
+            return createSlot(ctx, scope, 'jsx', JSON.stringify(node), '无法解析的 c:set target 赋值');
+        }
+        const member = t.isValidIdentifier(node.property)
+            ? t.memberExpression(target, t.identifier(node.property))
+            : t.memberExpression(target, t.stringLiteral(node.property), true);
+        ctx.block.statements.push(t.expressionStatement(
+            t.assignmentExpression('=', member, bindingValueExpression(node, ctx, scope))
+        ));
+        return null;
+    }
+
+    const name = toVariableIdentifier(node.name, null);
+    if (!name) {
+        return createSlot(ctx, scope, 'jsx', JSON.stringify(node), `非法的变量名: ${node.name}`);
+    }
+    const value = bindingValueExpression(node, ctx, scope);
+    const existing = ctx.block.declarations.get(name);
+    if (existing) {
+        existing.kind = 'let';
+        ctx.block.statements.push(t.expressionStatement(t.assignmentExpression('=', t.identifier(name), value)));
+    } else {
+        const declaration = t.variableDeclaration('const', [t.variableDeclarator(t.identifier(name), value)]);
+        ctx.block.declarations.set(name, declaration);
+        ctx.block.statements.push(declaration);
+    }
+    scope.add(name);
+    return null;
+}
+
+/**
+ * Tiles 布局中的插槽：登记为组件的 prop，并在原位置渲染 {name}。
+ * asString 的插槽类型为 string，importOnly 只声明 prop 不渲染。
+ */
+function renderSlotOutlet(node, ctx, scope) {
+    const name = toVariableIdentifier(node.name, null);
+    if (!name) {
+        return createSlot(ctx, scope, 'jsx', JSON.stringify(node), `非法的插槽名: ${node.name}`);
+    }
+    const type = node.importOnly ? 'any' : node.asString ? 'string' : 'node';
+    const existing = ctx.component.props.get(name);
+    ctx.component.props.set(name, existing && existing !== type ? 'any' : type);
+    scope.add(name);
+    return node.importOnly ? null : t.jsxExpressionContainer(t.identifier(name));
+}
+
+/**
+ * 布局页面的 <title>（DocumentTitle）：其中的插槽登记为 string 类型的 prop，
+ * 拼接出的标题在 useEffect 中写入 document.title，不渲染任何元素。
+ */
+function renderDocumentTitle(node, ctx, scope) {
+    const quasis = [];
+    const expressions = [];
+    // 标题只依赖插槽 prop 与变量时以它们为依赖项，否则（null）每次渲染后都更新
+    let deps = [];
+    let pending = '';
+    for (const child of node.children || []) {
+        if (child.tagName === '#text') {
+            pending += String(child.text || '').replace(/\s+/g, ' ');
+            continue;
+        }
+        let expr = null;
+        if (child.tagName === 'SlotOutlet') {
+            const name = toVariableIdentifier(child.name, null);
+            if (name) {
+                const existing = ctx.component.props.get(name);
+                ctx.component.props.set(name, existing && existing !== 'string' ? 'any' : 'string');
+                scope.add(name);
+                expr = t.logicalExpression('??', t.identifier(name), t.stringLiteral(''));
+                deps?.push(name);
+            }
+        } else if (child.tagName === '#expression' && child.language !== 'java') {
+            expr = expressionFromText(child.expression, ctx, scope);
+            if (t.isIdentifier(expr)) deps?.push(expr.name);
+            else deps = null;
+        }
+        if (!expr) {
+            expr = createSlot(ctx, scope, 'expression', JSON.stringify(child), '页面标题中无法转换的内容');
+            deps = null;
+        }
+        quasis.push(pending);
+        pending = '';
+        expressions.push(expr);
+    }
+    quasis.push(pending);
+    quasis[0] = quasis[0].trimStart();
+    quasis[quasis.length - 1] = quasis[quasis.length - 1].trimEnd();
+
+    const title = expressions.length === 1 && !quasis[0] && !quasis[1]
+        ? expressions[0]
+        : t.templateLiteral(
+            quasis.map((q, i) => t.templateElement({ raw: q.replace(/[`\\]|\$\{/g, m => `\\${m}`), cooked: q }, i === quasis.length - 1)),
+            expressions
+        );
+    addImport(ctx.file, 'react', { named: 'useEffect' });
+    ctx.component.block.statements.push(t.expressionStatement(t.callExpression(t.identifier('useEffect'), [
+        t.arrowFunctionExpression([], t.blockStatement([t.expressionStatement(t.assignmentExpression('=',
+            t.memberExpression(t.identifier('document'), t.identifier('title')), title))])),
+        ...(deps ? [t.arrayExpression([...new Set(deps)].map(name => t.identifier(name)))] : [])
+    ])));
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Struts 表单（FormBlock）
+// ---------------------------------------------------------------------------
+
+/**
+ * Struts action 路径 -> 提交地址：去掉 .do 后缀并补全开头的 /，例如 "saveUser.do?id=1" -> "/saveUser?id=1"。
+ */
+function cleanActionPath(action) {
+    const [, path, rest] = /^([^?#]*)(.*)$/s.exec(String(action || '').trim());
+    const cleaned = path.replace(/\.do$/i, '');
+    if (!cleaned || cleaned.startsWith('/') || cleaned.startsWith('$') || /^[a-z][a-z0-9+.-]*:/i.test(cleaned)) {
+        return cleaned + rest;
+    }
+    return `/${cleaned}${rest}`;
+}
+
+function findFirstFormBlock(nodes) {
+    for (const node of nodes || []) {
+        if (!node || typeof node !== 'object') continue;
+        if (node.tagName === 'FormBlock') return node;
+        const found = findFirstFormBlock(node.children);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * 取 FormBlock 对应的表单：按 action 的最后一段命名（"/admin/saveUser.do" -> saveUserForm），同名时加序号。
+ * 表单的 state、更新函数与提交函数在 buildFormStatements 中声明。
+ */
+function formFor(node, ctx) {
+    const forms = ctx.component.forms;
+    if (forms.has(node)) return forms.get(node);
+
+    const segment = cleanActionPath(node.action).split(/[?#]/)[0].split('/').pop();
+    const base = toVariableIdentifier(segment.includes('$') ? '' : segment, 'form');
+    const stem = `${base.charAt(0).toLowerCase()}${base.slice(1)}`;
+    const names = new Set([...forms.values()].map(form => form.name));
+    let name = /form$/i.test(stem) ? stem : `${stem}Form`;
+    for (let suffix = 2; names.has(name); suffix++) {
+        name = `${/form$/i.test(stem) ? stem : `${stem}Form`}${suffix}`;
+    }
+    const pascal = `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+    const attributes = node.attributes || {};
+    const attributeValue = (key) => Object.entries(attributes).find(([item]) => item.toLowerCase() === key)?.[1];
+
+    const form = {
+        name,
+        setter: `set${pascal}`,
+        errors: `${name}Errors`,
+        setErrors: `set${pascal}Errors`,
+        update: `update${pascal}`,
+        submit: `handle${pascal}Submit`,
+        typeName: `${pascal}Values`,
+        action: attributeValueExpression(cleanActionPath(node.action), ctx, new Set()),
+        multipart: /multipart\/form-data/i.test(String(attributeValue('enctype') || '')),
+        onsubmit: attributeValue('onsubmit'),
+        focus: node.focus || null,
+        fields: new Map()   // property -> { type: 'string' | 'boolean' | 'array', initial }
+    };
+    forms.set(node, form);
+    ctx.file.helpers.add('submitForm');
+    if (ctx.file.typescript && !ctx.file.components.some(c => c.name === 'FormErrors')) {
+        const member = (key, type) => Object.assign(t.tsPropertySignature(t.identifier(key), t.tsTypeAnnotation(type)), { optional: true });
+        const messages = t.tsArrayType(t.tsStringKeyword());
+        ctx.file.components.push({
+            name: 'FormErrors',
+            declaration: t.tsInterfaceDeclaration(t.identifier('FormErrors'), null, null, t.tsInterfaceBody([
+                member('global', messages),
+                member('fields', t.tsTypeReference(t.identifier('Record'), t.tsTypeParameterInstantiation([t.tsStringKeyword(), messages])))
+            ]))
+        });
+    }
+    return form;
+}
+
+/**
+ * 登记控件绑定的字段：checkbox 为 boolean，multibox 与多选 select 为字符串数组，其余为字符串。
+ */
+function registerFormField(form, binding, multiple, ctx) {
+    const type = binding.kind === 'checkbox' ? 'boolean' : binding.kind === 'multibox' || multiple ? 'array' : 'string';
+    const existing = form.fields.get(binding.property);
+    if (existing && (existing.type === type || type !== 'array')) return existing;
+    const field = { type, initial: existing?.initial ?? null };
+    if (type === 'string' && binding.initial !== undefined && !field.initial) {
+        field.initial = attributeValueExpression(binding.initial, ctx, new Set());
+    }
+    form.fields.set(binding.property, field);
+    return field;
+}
+
+function formValueExpression(form, property) {
+    return t.isValidIdentifier(property)
+        ? t.memberExpression(t.identifier(form.name), t.identifier(property))
+        : t.memberExpression(t.identifier(form.name), t.stringLiteral(property), true);
+}
+
+/**
+ * 绑定控件的受控属性：value / checked 取自表单 state，onChange 调用表单的更新函数。
+ * @returns {Array<object>} - JSX 属性。
+ */
+function controlledAttributes(node, form, ctx, scope) {
+    const { property, kind } = node.binding;
+    const attributes = node.attributes || {};
+    const multiple = kind === 'select' && attributes.multiple !== undefined && String(attributes.multiple).toLowerCase() !== 'false';
+    registerFormField(form, node.binding, multiple, ctx);
+
+    const value = formValueExpression(form, property);
+    const event = t.identifier('event');
+    const target = t.memberExpression(event, t.identifier('target'));
+    const update = (newValue) => t.callExpression(t.identifier(form.update), [t.stringLiteral(property), newValue]);
+    const attribute = (name, expr) => t.jsxAttribute(t.jsxIdentifier(name), t.jsxExpressionContainer(expr));
+    const onChange = (newValue, params = [event]) => attribute('onChange', t.arrowFunctionExpression(params, update(newValue)));
+    const ownValue = attributeValueExpression(attributes.value ?? 'on', ctx, scope);
+
+    const result = [];
+    if (kind === 'checkbox') {
+        if (attributes.value !== undefined) result.push(attribute('value', ownValue));
+        result.push(attribute('checked', value), onChange(t.memberExpression(target, t.identifier('checked'))));
+    } else if (kind === 'radio') {
+        result.push(attribute('value', ownValue), attribute('checked', t.binaryExpression('===', value, ownValue)), onChange(ownValue, []));
+    } else if (kind === 'multibox') {
+        ctx.file.helpers.add('toggleValue');
+        result.push(
+            attribute('value', ownValue),
+            attribute('checked', t.callExpression(t.memberExpression(value, t.identifier('includes')), [ownValue])),
+            onChange(t.callExpression(t.identifier('toggleValue'), [value, ownValue, t.memberExpression(target, t.identifier('checked'))]))
+        );
+    } else {
+        result.push(attribute('value', value));
+        if (multiple) {
+            const option = t.identifier('option');
+            result.push(onChange(t.callExpression(t.memberExpression(t.identifier('Array'), t.identifier('from')), [
+                t.memberExpression(target, t.identifier('selectedOptions')),
+                t.arrowFunctionExpression([option], t.memberExpression(option, t.identifier('value')))
+            ])));
+        } else if (String(attributes.type).toLowerCase() !== 'hidden') {
+            result.push(onChange(t.memberExpression(target, t.identifier('value'))));
+        }
+    }
+    // html:form focus：第一个绑定到该属性的控件自动获得焦点
+    if (form.focus === property) {
+        result.push(t.jsxAttribute(t.jsxIdentifier('autoFocus'), null));
+        form.focus = null;
+    }
+    return result;
+}
+
+/**
+ * html:form -> <form onSubmit={handleXxxFormSubmit}>，其中的绑定控件为受控控件。
+ * action / method / enctype / onsubmit 由提交函数处理，不再输出到 <form> 上。
+ */
+function renderFormBlock(node, ctx, scope) {
+    const form = formFor(node, ctx);
+    const rest = Object.fromEntries(Object.entries(node.attributes || {})
+        .filter(([name]) => !['action', 'method', 'enctype', 'onsubmit'].includes(name.toLowerCase())));
+    const attributes = renderAttributes(rest, ctx, scope, { tagName: 'form' });
+    attributes.push(t.jsxAttribute(t.jsxIdentifier('onSubmit'), t.jsxExpressionContainer(t.identifier(form.submit))));
+    const children = renderChildren(node.children || [], { ...ctx, form }, scope);
+    return jsxElement('form', attributes, children, false);
+}
+
+/**
+ * html:errors：渲染所在表单（不在表单中时为页面中的第一个表单）的错误信息。
+ */
+function renderFormErrors(node, ctx) {
+    const formNode = ctx.form ? null : ctx.component.defaultForm;
+    const form = ctx.form || (formNode && formFor(formNode, ctx));
+    if (!form) {
+        const comment = t.jsxExpressionContainer(t.jsxEmptyExpression());
+        t.addComment(comment.expression, 'inner', ' TODO: html:errors 所在的页面没有 html:form，需要确定错误信息的来源 ');
+        return comment;
+    }
+    ctx.file.helpers.add('formErrorMessages');
+    const args = [t.identifier(form.errors)];
+    if (node.property) args.push(t.stringLiteral(node.property));
+    const message = t.identifier('message');
+    const index = t.identifier('index');
+    const item = jsxElement('div', [
+        t.jsxAttribute(t.jsxIdentifier('key'), t.jsxExpressionContainer(index)),
+        t.jsxAttribute(t.jsxIdentifier('className'), t.stringLiteral('form-error'))
+    ], [t.jsxExpressionContainer(message)], false);
+    return t.jsxExpressionContainer(t.callExpression(
+        t.memberExpression(t.callExpression(t.identifier('formErrorMessages'), args), t.identifier('map')),
+        [t.arrowFunctionExpression([message, index], item)]
+    ));
+}
+
+/**
+ * 表单的 state 与处理函数：
+ *   const [loginForm, setLoginForm] = useState<LoginFormValues>({ ... });
+ *   const [loginFormErrors, setLoginFormErrors] = useState<FormErrors>({});
+ *   function updateLoginForm(property, value) { ... }
+ *   async function handleLoginFormSubmit(event) { ... }
+ * 提交时使用表单元素的 FormData（包含触发提交的按钮），与浏览器原生提交的参数一致。
+ */
+function buildFormStatements(form, fileCtx) {
+    const ts = fileCtx.typescript;
+    addImport(fileCtx, 'react', { named: 'useState' });
+    if (ts) addImport(fileCtx, 'react', { named: 'FormEvent' });
+
+    const initialValues = t.objectExpression([...form.fields].map(([property, field]) => {
+        const initial = field.type === 'boolean' ? t.booleanLiteral(false)
+            : field.type === 'array' ? t.arrayExpression([])
+                : field.initial || t.stringLiteral('');
+        return t.objectProperty(t.isValidIdentifier(property) ? t.identifier(property) : t.stringLiteral(property), initial);
+    }));
+    const print = node => generate(node, { jsescOption: { minimal: true } }).code;
+    const submitter = ts ? '(event.nativeEvent as SubmitEvent).submitter' : 'event.nativeEvent.submitter';
+    const submitArgs = [print(form.action), 'data', ...(form.multipart ? ['true'] : [])].join(', ');
+    const source = `
+const [${form.name}, ${form.setter}] = useState${ts ? `<${form.typeName}>` : ''}(${print(initialValues)});
+const [${form.errors}, ${form.setErrors}] = useState${ts ? '<FormErrors>' : ''}({});
+function ${form.update}(property${ts ? `: keyof ${form.typeName}, value: any` : ', value'}) {
+  ${form.setter}(values => ({ ...values, [property]: value }));
+}
+async function ${form.submit}(event${ts ? ': FormEvent<HTMLFormElement>' : ''}) {
+  event.preventDefault();${form.onsubmit ? `\n  // TODO: 原 onsubmit 中的客户端校验需要人工迁移: ${String(form.onsubmit).replace(/\s+/g, ' ')}` : ''}
+  const data = new FormData(event.currentTarget, ${submitter});
+  ${form.setErrors}(await submitForm(${submitArgs}));
+}`;
+    const statements = parse(source, { sourceType: 'module', plugins: ['typescript'] }).program.body;
+
+    if (ts) {
+        const members = [...form.fields].map(([property, field]) => {
+            const type = field.type === 'boolean' ? t.tsBooleanKeyword()
+                : field.type === 'array' ? t.tsArrayType(t.tsStringKeyword())
+                    : t.tsStringKeyword();
+            const key = t.isValidIdentifier(property) ? t.identifier(property) : t.stringLiteral(property);
+            return t.tsPropertySignature(key, t.tsTypeAnnotation(type));
+        });
+        fileCtx.components.push({
+            name: form.typeName,
+            declaration: t.tsInterfaceDeclaration(t.identifier(form.typeName), null, null, t.tsInterfaceBody(members))
+        });
+    }
+    return statements;
+}
+
+function findPrimaryOutlet(nodes) {
+    const outlets = [];
+    (function visit(list) {
+        for (const node of list || []) {
+            if (!node || typeof node !== 'object') continue;
+            if (node.tagName === 'RouteOutlet') outlets.push(node);
+            visit(node.children);
+        }
+    })(nodes);
+    return outlets.find(outlet => outlet.primary) || outlets[0] || null;
+}
+
+/**
+ * 路由出口（原 frame）渲染为 grid 中的一个单元格：primary 出口中是嵌套路由的 <Outlet />，
+ * 其余出口显示 defaultRoute 对应的页面组件（按 struts-config.xml 解析出 componentUrl 时），否则留下 TODO。
+ */
+function renderRouteOutlet(node, ctx) {
+    const { defaultRoute, to, name } = node.attributes || {};
+    const path = defaultRoute || to || '/';
+
+    const attributes = [];
+    if (name) attributes.push(t.jsxAttribute(t.jsxIdentifier('data-frame-name'), t.stringLiteral(String(name))));
+    // frame 中的页面独立滚动
+    attributes.push(t.jsxAttribute(t.jsxIdentifier('style'), t.jsxExpressionContainer(styleObjectExpression({ overflow: 'auto', minHeight: 0 }))));
+
+    if (node === ctx.file.primaryOutlet) {
+        addImport(ctx.file, 'react-router-dom', { named: 'Outlet' });
+        return jsxElement('div', attributes, [jsxElement('Outlet', [], [], true)], false);
+    }
+    if (node.route?.componentUrl) {
+        const page = { tagName: node.route.componentName || 'FramePage', componentUrl: node.route.componentUrl, attributes: {}, children: [] };
+        return jsxElement('div', attributes, [renderComponentReference(page, ctx, new Set())], false);
+    }
+    const comment = t.jsxExpressionContainer(t.jsxEmptyExpression());
+    t.addComment(comment.expression, 'inner', ` TODO: frame ${name ? `"${name}" ` : ''}显示的 ${String(path).replace(/\*\//g, '* /')} 不是布局的 <Outlet />，需要人工迁移 `);
+    return jsxElement('div', attributes, [comment], false);
+}
+
+/**
+ * 事件属性中指向 frame 的导航（navigations）：navigate(to)，事件属性中剩余的脚本仍然输出为 console.log；
+ * 导航带 preventDefault 时处理函数接收 event 并先调用 event.preventDefault()。
+ */
+function navigationHandlerAttributes(node, ctx, scope) {
+    const byEvent = new Map();
+    for (const navigation of node.navigations || []) {
+        const event = reactEventName(navigation.event);
+        if (!byEvent.has(event)) byEvent.set(event, []);
+        byEvent.get(event).push(navigation);
+    }
+    if (byEvent.size === 0) return [];
+
+    ctx.component.hooks.add('navigate');
+    addImport(ctx.file, 'react-router-dom', { named: 'useNavigate' });
+    const attributes = node.attributes || {};
+    return [...byEvent].map(([event, navigations]) => {
+        const statements = [];
+        // 原脚本 return false 或链接本身不跳转时阻止默认行为（否则 href="#" 会改变地址）
+        const preventDefault = navigations.some(navigation => navigation.preventDefault);
+        if (preventDefault) {
+            statements.push(t.expressionStatement(t.callExpression(
+                t.memberExpression(t.identifier('event'), t.identifier('preventDefault')), []
+            )));
+        }
+        const rawName = Object.keys(attributes).find(key => /^on[a-z]+$/i.test(key) && reactEventName(key) === event);
+        if (rawName !== undefined && typeof attributes[rawName] === 'string') {
+            statements.push(t.expressionStatement(t.callExpression(
+                t.memberExpression(t.identifier('console'), t.identifier('log')),
+                [t.stringLiteral(attributes[rawName])]
+            )));
+        }
+        navigations.forEach(navigation => {
+            statements.push(t.expressionStatement(t.callExpression(t.identifier('navigate'), [attributeValueExpression(navigation.to, ctx, scope)])));
+        });
+        const params = preventDefault ? [t.identifier('event')] : [];
+        return t.jsxAttribute(t.jsxIdentifier(event), t.jsxExpressionContainer(t.arrowFunctionExpression(params, t.blockStatement(statements))));
+    });
+}
+
+/**
+ * 原来指向 frame 的链接（frameTarget）：react-router 的 <Link to>，在布局的 <Outlet /> 中显示目标路由。
+ */
+function renderFrameLink(node, ctx, scope, attributes) {
+    addImport(ctx.file, 'react-router-dom', { named: 'Link' });
+    const linkAttributes = attributes.map(attribute => (
+        t.isJSXIdentifier(attribute.name, { name: 'href' }) ? t.jsxAttribute(t.jsxIdentifier('to'), attribute.value) : attribute
+    ));
+    const children = [];
+    if (node.text) children.push(...renderTextContent(node.text, ctx, scope));
+    children.push(...renderChildren(node.children || [], ctx, scope));
+    return jsxElement('Link', linkAttributes, children, false);
+}
+
+/**
+ * 为 ActiveXPlaceholder 生成一个带醒目警告样式的局部占位组件，并返回对它的引用。
+ */
+function renderActiveXPlaceholder(node, ctx) {
+    const attributes = node.attributes || {};
+    const params = (node.children || []).find(c => c && c.params)?.params || {};
+    const componentName = getActiveXComponentName(attributes);
+
+    if (!ctx.file.components.some(c => c.name === componentName)) {
+        const propsParam = t.identifier('props');
+        if (ctx.file.typescript) propsParam.typeAnnotation = anyType(ctx.file);
+        const declaration = t.functionDeclaration(t.identifier(componentName), [propsParam], t.blockStatement([
+            t.returnStatement(jsxElement('div', [
+                t.jsxAttribute(t.jsxIdentifier('style'), t.jsxExpressionContainer(styleObjectExpression({
+                    border: '2px dashed red',
+                    backgroundColor: '#fff0f0',
+                    padding: '12px'
+                })))
+            ], [
+                jsxElement('h3', [], [t.jsxText('TODO: 替换遗留ActiveX控件')], false),
+                jsxElement('pre', [], [
+                    jsxElement('code', [], [t.jsxExpressionContainer(t.callExpression(
+                        t.memberExpression(t.identifier('JSON'), t.identifier('stringify')),
+                        [t.identifier('props'), t.nullLiteral(), t.numericLiteral(2)]
+                    ))], false)
+                ], false)
+            ], false))
+        ]));
+        t.addComment(declaration, 'leading', `*
+ * ${componentName}: 遗留 ActiveX 控件的占位组件。
+ * 来源：原 JSP 页面中的 <object> 标签（classid 等信息见下方 props）。
+ * 风险：ActiveX 只能在旧版 IE 中运行，现代浏览器会直接忽略，相关功能在迁移后不可用。
+ * 行动：请确认该控件承担的业务功能，使用 Web 标准技术或替代组件重新实现后删除此占位组件。
+ `);
+        ctx.file.components.push({ name: componentName, declaration });
+    }
+
+    return jsxElement(componentName, [
+        t.jsxAttribute(t.jsxIdentifier('attributes'), t.jsxExpressionContainer(t.valueToNode(attributes))),
+        t.jsxAttribute(t.jsxIdentifier('params'), t.jsxExpressionContainer(t.valueToNode(params)))
+    ], [], true);
+}
+
+function renderComponentReference(node, ctx, scope) {
+    let componentName = toComponentIdentifier(node.tagName);
+    const source = node.componentUrl.replace(/\.(jsx|tsx|js|ts)$/i, '');
+
+    // 同名但来源不同的组件使用别名
+    let suffix = 2;
+    while (ctx.file.componentNames.has(componentName) && ctx.file.componentNames.get(componentName) !== source) {
+        componentName = `${toComponentIdentifier(node.tagName)}${suffix++}`;
+    }
+    ctx.file.componentNames.set(componentName, source);
+    addImport(ctx.file, source, { defaultName: componentName });
+
+    const attributes = renderAttributes(node.attributes, ctx, scope, { isComponent: true });
+    // Tiles 的 SlotBlock 作为 JSX 类型的 prop 传入布局组件
+    const slotBlocks = (node.children || []).filter(c => c && c.tagName === 'SlotBlock');
+    slotBlocks.forEach(slot => {
+        const value = wrapChildren(renderChildren(slot.children || [], ctx, scope));
+        attributes.push(t.jsxAttribute(t.jsxIdentifier(toVariableIdentifier(slot.name, 'slot')), t.jsxExpressionContainer(value)));
+    });
+    const children = renderChildren((node.children || []).filter(c => !slotBlocks.includes(c)), ctx, scope);
+    return jsxElement(componentName, attributes, children, false);
+}
+
+function renderElement(node, ctx, scope) {
+    const tagName = node.tagName;
+    // 表单中绑定了表单属性的控件：value / checked 由表单 state 提供
+    const controlled = Boolean(node.binding && ctx.form);
+    // 带 frame 导航的事件属性由 navigationHandlerAttributes 生成
+    const navigationEvents = new Set((node.navigations || []).map(navigation => reactEventName(navigation.event)));
+    const ownAttributes = Object.fromEntries(Object.entries(node.attributes || {}).filter(([name]) => {
+        if (controlled && ['value', 'checked'].includes(name.toLowerCase())) return false;
+        return !(/^on[a-z]+$/i.test(name) && navigationEvents.has(reactEventName(name)));
+    }));
+    const attributes = renderAttributes(ownAttributes, ctx, scope, { tagName });
+    attributes.push(...navigationHandlerAttributes(node, ctx, scope));
+    if (controlled) attributes.push(...controlledAttributes(node, ctx.form, ctx, scope));
+    if (tagName === 'a' && node.frameTarget) {
+        return renderFrameLink(node, ctx, scope, attributes);
+    }
+    if (VOID_ELEMENTS.has(tagName)) {
+        return jsxElement(tagName, attributes, [], true);
+    }
+    const children = [];
+    if (node.text) children.push(...renderTextContent(node.text, ctx, scope));
+    children.push(...renderChildren(node.children || [], ctx, scope));
+    return jsxElement(tagName, attributes, children, false);
+}
+
+/**
+ * 无法自动翻译的 Java 代码（TodoBlock）：原位保留为 TODO 注释，不交给 LLM 猜测；
+ * 代码块形式的 TodoBlock（如 while 循环）随后渲染其中的内容。
+ */
+function renderTodoBlock(node, ctx, scope) {
+    const source = String(node.source || '');
+    ctx.file.todos.push({ reason: node.reason, source });
+    const comment = t.jsxExpressionContainer(t.jsxEmptyExpression());
+    t.addComment(comment.expression, 'inner', ` TODO: 需要人工迁移的 Java 代码（${node.reason}）: ${source.replace(/\*\//g, '* /')} `);
+    return [comment, ...renderChildren(node.children || [], ctx, scope)];
+}
+
+/**
+ * 渲染单个 IR 节点，返回 JSX 子节点（JSXElement / JSXExpressionContainer / JSXText）。
+ */
+function renderNode(node, ctx, scope) {
+    if (!node || typeof node !== 'object' || !node.tagName) {
+        return null;
+    }
+
+    switch (node.tagName) {
+        case '#text':
+            return node.text ? renderTextContent(node.text, ctx, scope) : null;
+        case '#expression':
+            return renderExpressionNode(node, ctx, scope);
+        case '#message':
+            return renderMessageNode(node, ctx, scope);
+        case '#format':
+            return t.jsxExpressionContainer(formatExpression(node, ctx, scope));
+        case '#scriptlet':
+            return createSlot(ctx, scope, 'jsx', `<% ${node.code} %>`, '脚本片段需要人工或 LLM 转换');
+        case 'ConditionalBlock':
+            return renderConditionalBlock(node, ctx, scope);
+        case 'ElseBlock':
+            return renderChildren(node.children || [], ctx, scope);
+        case 'LoopBlock':
+            return renderLoopBlock(node, ctx, scope);
+        case 'ChooseBlock':
+            return renderChooseBlock(node, ctx, scope);
+        case 'VariableBinding':
+            return renderVariableBinding(node, ctx, scope);
+        case 'UrlValue':
+            return t.jsxExpressionContainer(urlExpression(node, ctx, scope));
+        case 'SlotOutlet':
+            return renderSlotOutlet(node, ctx, scope);
+        case 'DocumentTitle':
+            return renderDocumentTitle(node, ctx, scope);
+        case 'SlotBlock':
+            // 只在布局组件引用中作为 prop 使用，单独出现时直接渲染其内容
+            return renderChildren(node.children || [], ctx, scope);
+        case 'FormBlock':
+            return renderFormBlock(node, ctx, scope);
+        case 'FormErrors':
+            return renderFormErrors(node, ctx);
+        case 'RouteOutlet':
+            return renderRouteOutlet(node, ctx);
+        case 'ActiveXPlaceholder':
+            return renderActiveXPlaceholder(node, ctx);
+        case 'TodoBlock':
+            return renderTodoBlock(node, ctx, scope);
+        default:
+            break;
+    }
+
+    if (node.unresolved) {
+        return createSlot(ctx, scope, 'jsx', node.source || JSON.stringify(node), '未解析的标签库标签');
+    }
+    if (node.isComponent && node.componentUrl) {
+        return renderComponentReference(node, ctx, scope);
+    }
+    if (/^[a-z][a-z0-9-]*$/.test(node.tagName)) {
+        return renderElement(node, ctx, scope);
+    }
+    return createSlot(ctx, scope, 'jsx', JSON.stringify(node), `生成器不支持的节点类型: ${node.tagName}`);
+}
+
+function renderChildren(nodes, ctx, scope) {
+    const children = [];
+    for (const node of nodes || []) {
+        const rendered = renderNode(node, ctx, scope);
+        if (Array.isArray(rendered)) {
+            children.push(...rendered);
+        } else if (rendered) {
+            children.push(rendered);
+        }
+    }
+    return children;
+}
+
+// ---------------------------------------------------------------------------
+// 插槽补全、排版与文件组装
+// ---------------------------------------------------------------------------
+
+/**
+ * 使用 resolveSlot 回调补全插槽；失败时保留 TODO 注释。
+ */
+async function fillSlots(fileCtx, resolveSlot) {
+    const results = [];
+    for (const slot of fileCtx.slots) {
+        let code = null;
+        let error = null;
+        if (resolveSlot) {
+            try {
+                code = await resolveSlot({ kind: slot.kind, source: slot.source, reason: slot.reason });
+            } catch (e) {
+                error = e.message;
+            }
+        }
+        const expr = code ? parseJsExpression(code) : null;
+
+        if (expr) {
+            registerIdentifiers(expr, { file: fileCtx, component: slot.component }, slot.scope);
+            if (slot.kind === 'jsx' && (t.isJSXElement(expr) || t.isJSXFragment(expr))) {
+                replaceNodeInPlace(slot.placeholder, expr);
+            } else if (slot.kind === 'jsx') {
+                slot.placeholder.expression = expr;
+            } else {
+                replaceNodeInPlace(slot.placeholder, expr);
+            }
+        } else {
+            const note = ` TODO: 无法自动转换（${slot.reason}）: ${slot.source.replace(/\*\//g, '* /')} `;
+            if (slot.kind === 'jsx') {
+                t.addComment(slot.placeholder.expression, 'inner', note);
+            } else {
+                t.addComment(slot.placeholder, 'leading', note);
+            }
+        }
+        results.push({ kind: slot.kind, source: slot.source, reason: slot.reason, code, resolved: !!expr, error });
+    }
+    return results;
+}
+
+/**
+ * 给只包含元素的 JSX 子节点插入换行与缩进，使输出更易读。
+ * 含有文本的元素保持单行，避免改变空白语义。
+ */
+function formatJsxWhitespace(node, indent) {
+    if (!node || typeof node !== 'object') return;
+    if (t.isJSXElement(node) || t.isJSXFragment(node)) {
+        const hasText = node.children.some(c => t.isJSXText(c));
+        const childIndent = indent + '  ';
+        node.children.forEach(child => formatJsxWhitespace(child, hasText ? indent : childIndent));
+        if (!hasText && node.children.length > 0) {
+            const formatted = [];
+            node.children.forEach(child => {
+                formatted.push(t.jsxText(`\n${childIndent}`), child);
+            });
+            formatted.push(t.jsxText(`\n${indent}`));
+            node.children = formatted;
+        }
+        return;
+    }
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => formatJsxWhitespace(item, indent));
+        } else {
+            formatJsxWhitespace(value, indent);
+        }
+    }
+}
+
+/**
+ * const { t, i18n } = useTranslation(); 或 const intl = useIntl();
+ */
+function buildI18nHook(component, fileCtx) {
+    if (fileCtx.i18nLibrary === 'react-intl') {
+        addImport(fileCtx, 'react-intl', { named: 'useIntl' });
+        return t.variableDeclaration('const', [
+            t.variableDeclarator(t.identifier('intl'), t.callExpression(t.identifier('useIntl'), []))
+        ]);
+    }
+    addImport(fileCtx, 'react-i18next', { named: 'useTranslation' });
+    const names = [
+        component.hooks.has('translate') && 't',
+        component.hooks.has('locale') && 'i18n'
+    ].filter(Boolean);
+    return t.variableDeclaration('const', [t.variableDeclarator(
+        t.objectPattern(names.map(name => t.objectProperty(t.identifier(name), t.identifier(name), false, true))),
+        t.callExpression(t.identifier('useTranslation'), [])
+    )]);
+}
+
+function buildComponentFunction(name, component, rootJsx, fileCtx, { exportDefault = false } = {}) {
+    const body = [];
+    if (component.hooks.has('navigate')) {
+        body.push(t.variableDeclaration('const', [
+            t.variableDeclarator(t.identifier('navigate'), t.callExpression(t.identifier('useNavigate'), []))
+        ]));
+    }
+    if (component.hooks.has('searchParams')) {
+        addImport(fileCtx, 'react-router-dom', { named: 'useSearchParams' });
+        body.push(t.variableDeclaration('const', [
+            t.variableDeclarator(t.arrayPattern([t.identifier('searchParams')]), t.callExpression(t.identifier('useSearchParams'), []))
+        ]));
+    }
+    for (const [variable, rule] of [...component.contexts].sort(([a], [b]) => a.localeCompare(b))) {
+        addImport(fileCtx, 'react', { named: 'useContext' });
+        addImport(fileCtx, rule.from, { named: rule.context });
+        body.push(t.variableDeclaration('const', [
+            t.variableDeclarator(t.identifier(variable), t.callExpression(t.identifier('useContext'), [t.identifier(rule.context)]))
+        ]));
+    }
+    if (component.hooks.has('i18n')) {
+        body.push(buildI18nHook(component, fileCtx));
+    }
+    for (const variable of [...component.stateVars].sort()) {
+        // 由 VariableBinding 声明的变量与 props 不需要 state
+        if (component.block.declarations.has(variable) || component.props.has(variable)) continue;
+        addImport(fileCtx, 'react', { named: 'useState' });
+        const setter = `set${variable.charAt(0).toUpperCase()}${variable.slice(1)}`;
+        const call = t.callExpression(t.identifier('useState'), []);
+        if (fileCtx.typescript) {
+            call.typeParameters = t.tsTypeParameterInstantiation([t.tsAnyKeyword()]);
+        }
+        body.push(t.variableDeclaration('const', [
+            t.variableDeclarator(t.arrayPattern([t.identifier(variable), t.identifier(setter)]), call)
+        ]));
+    }
+    body.push(...component.block.statements);
+    // 表单的初始值可能引用上面声明的 state 与变量
+    for (const form of component.forms.values()) {
+        body.push(...buildFormStatements(form, fileCtx));
+    }
+    body.push(t.returnStatement(rootJsx));
+
+    const declaration = t.functionDeclaration(t.identifier(name), buildPropsParams(name, component, fileCtx), t.blockStatement(body));
+    return exportDefault ? t.exportDefaultDeclaration(declaration) : declaration;
+}
+
+/**
+ * 组件的参数：({ header, body, title }: LayoutProps)，TSX 下同时生成 LayoutProps 接口。
+ */
+function buildPropsParams(name, component, fileCtx) {
+    if (component.props.size === 0) return [];
+    const names = [...component.props.keys()].sort();
+    const pattern = t.objectPattern(names.map(prop =>
+        t.objectProperty(t.identifier(prop), t.identifier(prop), false, true)
+    ));
+    if (!fileCtx.typescript) return [pattern];
+
+    const interfaceName = `${name}Props`;
+    const members = names.map(prop => {
+        const type = component.props.get(prop);
+        let annotation = t.tsAnyKeyword();
+        if (type === 'string') {
+            annotation = t.tsStringKeyword();
+        } else if (type === 'node') {
+            addImport(fileCtx, 'react', { named: 'ReactNode' });
+            annotation = t.tsTypeReference(t.identifier('ReactNode'));
+        }
+        const member = t.tsPropertySignature(t.identifier(prop), t.tsTypeAnnotation(annotation));
+        member.optional = true;
+        return member;
+    });
+    fileCtx.components.push({
+        name: interfaceName,
+        declaration: t.tsInterfaceDeclaration(t.identifier(interfaceName), null, null, t.tsInterfaceBody(members))
+    });
+    pattern.typeAnnotation = t.tsTypeAnnotation(t.tsTypeReference(t.identifier(interfaceName)));
+    return [pattern];
+}
+
+function buildImportDeclarations(fileCtx) {
+    const sources = [...fileCtx.imports.keys()].sort((a, b) => {
+        const rank = s => (s === 'react' ? 0 : s.startsWith('.') || s.startsWith('@/') ? 2 : 1);
+        return rank(a) - rank(b) || a.localeCompare(b);
+    });
+    return sources.map(source => {
+        const { defaultName, named } = fileCtx.imports.get(source);
+        const specifiers = [];
+        if (defaultName) specifiers.push(t.importDefaultSpecifier(t.identifier(defaultName)));
+        [...named].sort().forEach(name => specifiers.push(t.importSpecifier(t.identifier(name), t.identifier(name))));
+        return t.importDeclaration(specifiers, t.stringLiteral(source));
+    });
+}
+
+/**
+ * 根据 IR 生成完整的 React 组件文件。
+ * @param {object} ir - 形如 { elements: [...] } 的中间表示。
+ * @param {object} [options]
+ * @param {string} [options.componentName="Page"] - 默认导出的组件名。
+ * @param {boolean} [options.typescript=true] - 是否生成 TSX（带类型注解）。
+ * @param {string} [options.i18nLibrary="react-i18next"] - 消息与格式化使用的 i18n 库（"react-i18next" 或 "react-intl"）。
+ * @param {Record<string, object>} [options.serverObjects] - 服务端对象规则表（resolveServerObjectRules 的结果），默认读取环境变量。
+ * @param {(slot: {kind: string, source: string, reason: string}) => Promise<string>} [options.resolveSlot]
+ *   生成器无法处理的节点的补全回调，返回一段 JSX/JS 表达式代码。
+ * @returns {Promise<{code: string, slots: Array<object>, todos: Array<{reason: string, source: string}>}>}
+ */
+export async function generateReactComponent(ir, options = {}) {
+    const fileCtx = createFileContext(options);
+    const component = createComponentContext();
+    const ctx = { file: fileCtx, component, block: component.block };
+    const componentName = toComponentIdentifier(options.componentName || 'Page');
+    component.defaultForm = findFirstFormBlock(ir.elements);
+    fileCtx.primaryOutlet = findPrimaryOutlet(ir.elements);
+
+    const children = renderChildren(ir.elements || [], ctx, new Set());
+    const rootJsx = wrapChildren(children);
+
+    const slots = await fillSlots(fileCtx, options.resolveSlot);
+    formatJsxWhitespace(rootJsx, '  ');
+    fileCtx.components.forEach(c => formatJsxWhitespace(c.declaration, '  '));
+
+    // 组件函数需要在补全插槽之后构建，以便登记插槽代码引用到的变量
+    const mainFunction = buildComponentFunction(componentName, component, rootJsx, fileCtx, { exportDefault: true });
+    const helperDeclarations = [...fileCtx.helpers].sort().map(name =>
+        parseHelper(HELPERS[name], fileCtx.typescript)
+    );
+    const program = t.program([
+        ...buildImportDeclarations(fileCtx),
+        ...helperDeclarations,
+        ...fileCtx.components.map(c => c.declaration),
+        mainFunction
+    ]);
+
+    const { code } = generate(t.file(program), { jsescOption: { minimal: true } });
+    return { code: separateTopLevelStatements(code), slots, todos: fileCtx.todos };
+}
+
+function parseHelper(source, typescript) {
+    const fn = parseExpression(`(${source})`, { plugins: ['typescript'] });
+    if (!typescript) stripTypeAnnotations(fn);
+    const declaration = t.functionDeclaration(fn.id, fn.params, fn.body, fn.generator, fn.async);
+    declaration.returnType = fn.returnType;
+    return declaration;
+}
+
+/**
+ * 生成 JSX 时去掉辅助函数中的类型注解。
+ */
+function stripTypeAnnotations(node) {
+    if (!node || typeof node.type !== 'string') return;
+    node.typeAnnotation = null;
+    node.returnType = null;
+    node.typeParameters = null;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(stripTypeAnnotations);
+        } else {
+            stripTypeAnnotations(value);
+        }
+    }
+}
+
+/**
+ * 在 import 区与各个顶层函数之间插入空行。
+ */
+function separateTopLevelStatements(code) {
+    const lines = code.split('\n');
+    const output = [];
+    lines.forEach((line, i) => {
+        const previous = i > 0 ? lines[i - 1] : '';
+        const startsBlock = /^((async )?function |export |interface |\/\*\*)/.test(line);
+        if (startsBlock && previous !== '' && !previous.endsWith('*/')) {
+            output.push('');
+        }
+        output.push(line);
+    });
+    return output.join('\n') + '\n';
+}
@@ -0,0 +1,404 @@
+import path from 'path';
+import { splitUrl, isRouteUrl } from '../../utils/url.js';
+
+/**
+ * 路由表生成 (Route Table)
+ * --------------------------------
+ * 每次生成只得到一个独立的页面组件；这里把一个会话或一次批量转换中的页面汇总为 react-router 的路由表：
+ *
+ * - 每个页面是一条路由（路径由调用方按 struts-config.xml 或页面路径给出）
+ * - 含 RouteOutlet 的页面（frameset）是布局：生成为无路径的布局路由，
+ *   渲染为 <Outlet/> 的出口（primary）的 defaultRoute、任一页面中 target 指向该布局的 frame 名称的链接，
+ *   以及从它们出发经不带 target 的链接可达的页面是它的子路由（与 frame 中的链接默认在 frame 内打开一致），
+ *   布局页面自身的路径重定向到 defaultRoute；target 为 _top / _parent 的链接指向顶层路由
+ * - 没有根路径的页面时，根路径重定向到 /index 或 /welcome
+ * - 最后是匹配所有路径的 NotFound 路由
+ * - 链接、RouteOutlet 与 frame 指向的路径没有对应页面时，记录为未转换的页面；target 指向不存在的 frame 时同样记录
+ *
+ * style 为 "data" 时生成 routes.tsx（createBrowserRouter），为 "jsx" 时生成 App.tsx（<BrowserRouter> + <Routes>）。
+ */
+
+export const ROUTER_STYLES = ['data', 'jsx'];
+
+// 离开 frameset 打开页面的 target
+const TOP_LEVEL_TARGETS = new Set(['_top', '_parent']);
+
+/**
+ * 链接地址 -> 路由路径：去掉 .do / .jsp 后缀与查询串，相对地址按所在页面的路由解析。
+ * @returns {string|null} - 不是应用内路由时为 null。
+ */
+export function normalizeRoutePath(url, fromRoute = '/') {
+    const value = String(url || '').trim();
+    if (!isRouteUrl(value)) return null;
+    const pathPart = splitUrl(value).path.replace(/\.(do|jspx?)$/i, '');
+    if (!pathPart) return null;
+    const absolute = pathPart.startsWith('/') ? pathPart : path.posix.join(path.posix.dirname(fromRoute), pathPart);
+    return path.posix.normalize(absolute).replace(/(.)\/$/, '$1');
+}
+
+/**
+ * 从页面的中间表示中收集路由信息。
+ * @param {object} ir - 中间表示（{ elements, meta }）。
+ * @param {object} page
+ * @param {string} page.page - 页面路径，例如 "/WEB-INF/jsp/users/home.jsp"。
+ * @param {string} page.route - 页面的路由，例如 "/users/home"。
+ * @param {string} page.componentName - 页面组件名。
+ * @param {string} page.componentUrl - 页面组件地址，例如 "@/pages/WEB-INF/jsp/users/Home.jsx"。
+ * @returns {{page: string, route: string, componentName: string, componentUrl: string,
+ *   outlets: Array<{name?: string, defaultRoute: string, primary: boolean}>, links: Array<{path: string, source: string, target?: string}>}}
+ */
+export function collectPageRoutes(ir, { page, route, componentName, componentUrl }) {
+    const entry = { page, route: normalizeRoutePath(route) || '/', componentName, componentUrl, outlets: [], links: [] };
+    // 同一路径在不同 frame 中打开是不同的链接（决定子路由归属），按路径 + target 去重
+    const seen = new Set();
+    const addLink = (source, url = source, frame) => {
+        const linkPath = normalizeRoutePath(url, entry.route);
+        const key = `${linkPath}\n${frame || ''}`;
+        if (!linkPath || seen.has(key)) return;
+        seen.add(key);
+        const link = { path: linkPath, source: String(source) };
+        if (frame) link.target = String(frame);
+        entry.links.push(link);
+    };
+
+    function visit(nodes) {
+        for (const node of nodes || []) {
+            if (!node || typeof node !== 'object') continue;
+            const attributes = node.attributes || {};
+            if (node.tagName === 'RouteOutlet') {
+                const defaultRoute = attributes.defaultRoute || attributes.to;
+                if (defaultRoute) {
+                    const outlet = { defaultRoute: String(defaultRoute), primary: node.primary === true };
+                    if (attributes.name) outlet.name = String(attributes.name);
+                    entry.outlets.push(outlet);
+                    addLink(defaultRoute);
+                }
+            } else if (node.tagName === 'a' && typeof attributes.href === 'string') {
+                addLink(node.route?.source ?? attributes.href, attributes.href, node.frameTarget);
+            } else if ((node.tagName === 'frame' || node.tagName === 'iframe') && typeof attributes.src === 'string') {
+                addLink(node.route?.source ?? attributes.src, attributes.src);
+            }
+            // 事件属性中指向 frame 的脚本导航
+            (node.navigations || []).forEach(navigation => addLink(navigation.source ?? navigation.to, navigation.to, navigation.frame));
+            if (Array.isArray(node.children)) visit(node.children);
+        }
+    }
+
+    visit(ir?.elements);
+    return entry;
+}
+
+/**
+ * 创建路由表仓库：路由表 ID（会话ID、批次ID 等）-> 页面路径 -> collectPageRoutes 的结果。
+ * 路由表自最后一次登记起超过 ttlMs 即过期（读取时删除）；超过 maxTables 个时丢弃最久未登记的路由表。
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - 存活时间，0 表示永不过期。
+ * @param {number} [options.maxTables] - 最多保留的路由表数，0 表示不限制。
+ * @returns {object}
+ */
+export function createRouteTableStore({ ttlMs = 0, maxTables = 0 } = {}) {
+    // Map 按插入顺序遍历：每次登记都把路由表移到末尾，最前面的就是最久未登记的
+    const tables = new Map();
+
+    function evictExpired(now = Date.now()) {
+        for (const [tableId, table] of tables) {
+            if (ttlMs > 0 && now - table.lastActivity > ttlMs) tables.delete(tableId);
+        }
+    }
+
+    return {
+        /**
+         * 登记页面，同一页面再次登记时覆盖。
+         */
+        register(tableId, entry) {
+            evictExpired();
+            const table = tables.get(tableId) || { pages: new Map() };
+            tables.delete(tableId);
+            table.pages.set(entry.page, entry);
+            table.lastActivity = Date.now();
+            tables.set(tableId, table);
+            while (maxTables > 0 && tables.size > maxTables) {
+                tables.delete(tables.keys().next().value);
+            }
+        },
+
+        pages(tableId) {
+            evictExpired();
+            return tables.has(tableId) ? [...tables.get(tableId).pages.values()] : null;
+        },
+
+        list() {
+            evictExpired();
+            return [...tables.entries()].map(([tableId, table]) => ({
+                tableId,
+                pageCount: table.pages.size,
+                lastActivity: new Date(table.lastActivity).toISOString()
+            }));
+        },
+
+        delete(tableId) {
+            return tables.delete(tableId);
+        }
+    };
+}
+
+/**
+ * 根据环境变量创建路由表仓库：
+ * - ROUTE_TABLE_TTL_MS: 存活时间，默认与会话相同（SESSION_TTL_MS，24 小时）
+ * - ROUTE_TABLE_MAX: 最多保留的路由表数，默认 100
+ * @returns {object}
+ */
+export function createRouteTableStoreFromEnv() {
+    const readInt = (name, fallback) => {
+        const value = parseInt(process.env[name], 10);
+        return Number.isNaN(value) ? fallback : value;
+    };
+    const ttlMs = readInt('ROUTE_TABLE_TTL_MS', readInt('SESSION_TTL_MS', 24 * 60 * 60 * 1000));
+    return createRouteTableStore({ ttlMs, maxTables: readInt('ROUTE_TABLE_MAX', 100) });
+}
+
+// ---------------------------------------------------------------------------
+// 路由树
+// ---------------------------------------------------------------------------
+
+/**
+ * 组件的导入名：组件名重复时依次加上所在目录名（"Edit" -> "UsersEdit"），仍重复时加序号。
+ */
+function assignImportNames(entries) {
+    const names = new Map();
+    const used = new Set(['NotFound', 'Navigate', 'App', 'router']);
+    for (const entry of entries) {
+        const directories = entry.componentUrl.replace(/^@\/pages\/?/, '').split('/').slice(0, -1).reverse();
+        let name = entry.componentName;
+        for (const directory of directories) {
+            if (!used.has(name)) break;
+            const prefix = directory.replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''));
+            name = `${prefix.charAt(0).toUpperCase()}${prefix.slice(1)}${name}`;
+        }
+        const base = /^[A-Za-z_$]/.test(name) ? name : `Page${name}`;
+        let unique = base;
+        for (let suffix = 2; used.has(unique); suffix++) unique = `${base}${suffix}`;
+        used.add(unique);
+        names.set(entry.page, unique);
+    }
+    return names;
+}
+
+/**
+ * 把页面组织为路由树。
+ * @param {Array<object>} pages - collectPageRoutes 的结果。
+ * @returns {{routes: Array<object>, welcome: string|null, unconverted: Array<{page: string, path: string, source: string}>,
+ *   unknownFrames: Array<{page: string, frame: string, path: string}>, duplicates: Array<object>}}
+ *   welcome 为根路径重定向到的首页路由；routes 的节点为 { path, page, component, importName } 或 { layout, page, component, importName, redirect, children }。
+ */
+export function buildRouteTree(pages) {
+    // 同一路由只保留第一个页面
+    const byRoute = new Map();
+    const duplicates = [];
+    for (const entry of [...pages].sort((a, b) => a.route.localeCompare(b.route) || a.page.localeCompare(b.page))) {
+        if (byRoute.has(entry.route)) {
+            duplicates.push({ route: entry.route, page: entry.page, kept: byRoute.get(entry.route).page });
+            continue;
+        }
+        byRoute.set(entry.route, entry);
+    }
+    const entries = [...byRoute.values()];
+    const importNames = assignImportNames(entries);
+
+    // 链接指向的路径没有对应页面
+    const unconverted = [];
+    for (const entry of entries) {
+        for (const link of entry.links) {
+            // 同一路径可能以不同 target 出现多次，只报告一次
+            if (!byRoute.has(link.path) && !unconverted.some(item => item.page === entry.page && item.path === link.path)) {
+                unconverted.push({ page: entry.page, path: link.path, source: link.source });
+            }
+        }
+    }
+
+    const isLayout = entry => entry.outlets.length > 0;
+    const primaryOutlet = entry => entry.outlets.find(outlet => outlet.primary) || entry.outlets[0];
+
+    // frame 名称 -> 布局的路由；同名的 frame 以先出现的布局为准
+    const frameOwners = new Map();
+    for (const layout of entries.filter(isLayout)) {
+        layout.outlets.forEach(outlet => {
+            if (outlet.name && !frameOwners.has(outlet.name)) frameOwners.set(outlet.name, layout.route);
+        });
+    }
+    const unknownFrames = [];
+    for (const entry of entries) {
+        for (const link of entry.links) {
+            if (link.target && !TOP_LEVEL_TARGETS.has(link.target) && !frameOwners.has(link.target)) {
+                unknownFrames.push({ page: entry.page, frame: link.target, path: link.path });
+            }
+        }
+    }
+    // 链接不带 target 时在所在 frame 中打开；带 target 时由对应的布局认领，_top / _parent 为顶层路由
+    const followsInFrame = link => !link.target;
+
+    // 布局认领子页面：从 defaultRoute 与 target 指向该布局的链接出发，沿不带 target 的链接广度优先，
+    // 已被认领的页面与祖先布局不再认领
+    const parentOf = new Map();
+    const isAncestor = (candidate, route) => {
+        for (let current = route; current !== undefined; current = parentOf.get(current)) {
+            if (current === candidate) return true;
+        }
+        return false;
+    };
+    for (const layout of entries.filter(isLayout)) {
+        const targeted = entries.flatMap(entry => entry.links)
+            .filter(link => link.target && frameOwners.get(link.target) === layout.route)
+            .map(link => link.path);
+        const queue = [normalizeRoutePath(primaryOutlet(layout).defaultRoute, layout.route), ...targeted];
+        const visited = new Set([layout.route]);
+        while (queue.length > 0) {
+            const route = queue.shift();
+            if (!route || visited.has(route)) continue;
+            visited.add(route);
+            const entry = byRoute.get(route);
+            if (!entry || parentOf.has(route) || isAncestor(route, layout.route)) continue;
+            parentOf.set(route, layout.route);
+            // 子布局中的页面由子布局认领
+            if (!isLayout(entry)) queue.push(...entry.links.filter(followsInFrame).map(link => link.path));
+        }
+    }
+
+    function routeNode(entry) {
+        const node = { page: entry.page, component: entry.componentUrl, importName: importNames.get(entry.page) };
+        if (!isLayout(entry)) return { path: entry.route, ...node };
+        const children = entries.filter(child => parentOf.get(child.route) === entry.route).map(routeNode);
+        // 布局自身的路径重定向到 defaultRoute（保留其中的查询串）
+        const defaultRoute = primaryOutlet(entry).defaultRoute;
+        const redirect = `${normalizeRoutePath(defaultRoute, entry.route) || '/'}${defaultRoute.match(/[?#].*$/)?.[0] || ''}`;
+        return { layout: entry.route, ...node, redirect, children };
+    }
+
+    const routes = entries.filter(entry => !parentOf.has(entry.route)).map(routeNode);
+    // 没有根路径的页面时，根路径重定向到首页（index.jsp / welcome.jsp）
+    const welcome = byRoute.has('/') ? null : ['/index', '/welcome'].find(route => byRoute.has(route)) || null;
+    return { routes, welcome, unconverted, unknownFrames, duplicates };
+}
+
+// ---------------------------------------------------------------------------
+// 代码生成
+// ---------------------------------------------------------------------------
+
+function importSpecifier(componentUrl) {
+    return componentUrl.replace(/\.(jsx|tsx|js|ts)$/i, '');
+}
+
+function collectImports(routes, imports = new Map()) {
+    for (const route of routes) {
+        imports.set(route.importName, importSpecifier(route.component));
+        if (route.children) collectImports(route.children, imports);
+    }
+    return imports;
+}
+
+function dataRoutes(routes, indent) {
+    const pad = ' '.repeat(indent);
+    return routes.map(route => {
+        if (!route.layout) {
+            return `${pad}{ path: ${JSON.stringify(route.path)}, element: <${route.importName} /> }`;
+        }
+        // 布局自身的路径显示 defaultRoute（frameset 首次加载时 frame 中的页面）
+        const children = [
+            `${pad}    { path: ${JSON.stringify(route.layout)}, element: <Navigate to=${JSON.stringify(route.redirect)} replace /> }`,
+            ...(route.children.length > 0 ? [dataRoutes(route.children, indent + 4)] : [])
+        ];
+        return `${pad}{\n${pad}  // ${route.page}\n${pad}  element: <${route.importName} />,\n${pad}  children: [\n${children.join(',\n')}\n${pad}  ]\n${pad}}`;
+    }).join(',\n');
+}
+
+function jsxRoutes(routes, indent) {
+    const pad = ' '.repeat(indent);
+    return routes.map(route => {
+        if (!route.layout) {
+            return `${pad}<Route path=${JSON.stringify(route.path)} element={<${route.importName} />} />`;
+        }
+        return [
+            `${pad}{/* ${route.page} */}`,
+            `${pad}<Route element={<${route.importName} />}>`,
+            `${pad}  <Route path=${JSON.stringify(route.layout)} element={<Navigate to=${JSON.stringify(route.redirect)} replace />} />`,
+            ...(route.children.length > 0 ? [jsxRoutes(route.children, indent + 2)] : []),
+            `${pad}</Route>`
+        ].join('\n');
+    }).join('\n');
+}
+
+function unconvertedComment(unconverted) {
+    if (unconverted.length === 0) return '';
+    const lines = unconverted.map(item => ` *   ${item.path}（${item.page}: ${item.source}）`.replace(/\*\//g, '* /'));
+    return `/**\n * TODO: 以下链接指向未转换的页面，访问时显示 NotFound：\n${lines.join('\n')}\n */\n`;
+}
+
+function unknownFramesComment(unknownFrames) {
+    if (unknownFrames.length === 0) return '';
+    const lines = unknownFrames.map(item => ` *   target="${item.frame}" -> ${item.path}（${item.page}）`.replace(/\*\//g, '* /'));
+    return `/**\n * TODO: 以下链接的 target 指向的 frame 不是任何布局中的路由出口，已按顶层路由处理：\n${lines.join('\n')}\n */\n`;
+}
+
+/**
+ * 生成路由表文件。
+ * @param {Array<object>} pages - collectPageRoutes 的结果。
+ * @param {object} [options]
+ * @param {string} [options.style] - "data"（默认，routes.tsx，createBrowserRouter）或 "jsx"（App.tsx，<Routes>）。
+ * @param {boolean} [options.typescript] - 是否生成 .tsx，默认 true。
+ * @returns {{fileName: string, code: string, routes: Array<object>, unconverted: Array<object>, unknownFrames: Array<object>, duplicates: Array<object>}}
+ */
+export function buildRouteTable(pages, { style = 'data', typescript = true } = {}) {
+    if (!ROUTER_STYLES.includes(style)) {
+        throw new Error(`不支持的路由表格式 "${style}"，可选值为 ${ROUTER_STYLES.join(' / ')}`);
+    }
+    const { routes, welcome, unconverted, unknownFrames, duplicates } = buildRouteTree(pages);
+    const extension = typescript ? 'tsx' : 'jsx';
+    const imports = [...collectImports(routes)].map(([name, specifier]) => `import ${name} from '${specifier}';`);
+    const notFound = `/**
+ * 没有匹配的路由时显示。
+ */
+function NotFound() {
+  const location = useLocation();
+  return <div className="not-found">页面不存在: {location.pathname}</div>;
+}
+`;
+    const summary = `// 由 ${pages.length} 个转换后的页面生成；frameset 页面为布局路由，frame 中显示的页面为其子路由\n`;
+
+    if (style === 'data') {
+        const body = [
+            welcome ? `  { path: "/", element: <Navigate to=${JSON.stringify(welcome)} replace /> }` : '',
+            dataRoutes(routes, 2),
+            `  { path: "*", element: <NotFound /> }`
+        ].filter(Boolean).join(',\n');
+        const code = `import { createBrowserRouter, Navigate, useLocation } from 'react-router-dom';
+${imports.join('\n')}${imports.length > 0 ? '\n' : ''}
+${notFound}
+${unconvertedComment(unconverted)}${unknownFramesComment(unknownFrames)}${summary}export const router = createBrowserRouter([
+${body}
+]);
+
+export default router;
+`;
+        return { fileName: `routes.${extension}`, code, routes, unconverted, unknownFrames, duplicates };
+    }
+
+    const body = [
+        welcome ? `        <Route path="/" element={<Navigate to=${JSON.stringify(welcome)} replace />} />` : '',
+        jsxRoutes(routes, 8),
+        `        <Route path="*" element={<NotFound />} />`
+    ].filter(Boolean).join('\n');
+    const code = `import { BrowserRouter, Navigate, Route, Routes, useLocation } from 'react-router-dom';
+${imports.join('\n')}${imports.length > 0 ? '\n' : ''}
+${notFound}
+${unconvertedComment(unconverted)}${unknownFramesComment(unknownFrames)}${summary}export default function App() {
+  return (
+    <BrowserRouter>
+      <Routes>
+${body}
+      </Routes>
+    </BrowserRouter>
+  );
+}
+`;
+    return { fileName: `App.${extension}`, code, routes, unconverted, unknownFrames, duplicates };
+}
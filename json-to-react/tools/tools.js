@@ -1,4 +1,4 @@
-// import { openai } from "../../utils/common.js";
+// import { llm } from "../../utils/common.js";
 
 // 1. 定义工具 (工具的接口定义保持不变)
 // 这个定义告诉模型：有一个名为 'filterAndGenerateReactComponent' 的工具，
@@ -26,16 +26,24 @@ export const tools = [
         type: "function",
         function: {
             name: "handleRouteOutlet",
-            description: "处理 tagName 为 RouteOutlet 的节点，用于页面跳转。需要从节点的 attributes 中提取 'to' 属性作为跳转路径。",
+            description: "处理 tagName 为 RouteOutlet 的节点（由 frameset 中的 frame 转换而来的路由出口）。需要从节点的 attributes 中提取 'defaultRoute' 与 'name'，以及节点的 'primary' 字段。",
             parameters: {
                 type: "object",
                 properties: {
-                    to: {
+                    defaultRoute: {
                         type: "string",
-                        description: "目标跳转路径, 例如 '/home' 或 '/user/profile'。",
+                        description: "frame 默认显示的路由, 例如 '/home' 或 '/user/profile'。",
+                    },
+                    name: {
+                        type: "string",
+                        description: "原 frame 的名称, 例如 'main'。",
+                    },
+                    primary: {
+                        type: "boolean",
+                        description: "节点的 primary 字段，为 true 时该出口渲染嵌套路由。",
                     },
                 },
-                required: ["to"],
+                required: ["defaultRoute"],
             },
         },
     },
@@ -82,7 +90,7 @@ export const tools = [
 //   5. 输入的原始JSON结构为 { "elements": [...] }，你返回的清理后的JSON也必须保持 { "elements": [...] } 这种结构。`;
 
 //   try {
-//     const response = await openai.chat.completions.create({
+//     const response = await llm.createChatCompletion({
 //         model: process.env.OPENAI_MODEL || "gpt-4-turbo",
 //         messages: [
 //             { role: "system", content: systemPrompt },
@@ -107,23 +115,39 @@ export const tools = [
 
 /**
  * <<< 新增：实现RouteOutlet工具函数 >>>
- * 实际处理导航的函数。
- * @param {object} args 包含跳转路径 'to' 的对象。
- * @returns {Promise<object>} 一个包含导航指令和路径的对象。
+ * 路由出口（原 frame）的渲染指令：primary 出口渲染 react-router 的 <Outlet />，其余出口显示默认路由对应的页面。
+ * @param {object} args 包含默认路由 'defaultRoute'、frame 名称 'name' 与 'primary' 的对象。
+ * @returns {Promise<object>} 一个包含渲染指令和路径的对象。
  */
-export async function handleRouteOutlet({ to }) {
-    console.log(`识别到导航请求，目标路径: '${to}'`);
-    if (!to || typeof to !== 'string') {
-        throw new Error("导航路径 'to' 不能为空且必须是字符串。");
+export async function handleRouteOutlet({ defaultRoute, to, name, primary }) {
+    const path = defaultRoute || to;
+    console.log(`识别到路由出口 ${name || ''}，默认路由: '${path}'`);
+    if (!path || typeof path !== 'string') {
+        throw new Error("路由出口的默认路由 'defaultRoute' 不能为空且必须是字符串。");
     }
     // 返回一个结构化的对象，主LLM将根据这个对象的意图来生成最终代码
     return {
-        type: "navigation-instruction",
-        path: to,
-        message: `请生成一个使用react-router-dom的useNavigate钩子跳转到'${to}'的代码。`
+        type: "outlet-instruction",
+        path,
+        name: name || null,
+        primary: primary !== false,
+        message: primary !== false
+            ? `请在该 grid 单元格中渲染一个 <div data-frame-name="${name || ''}" style={{ overflow: 'auto', minHeight: 0 }}>，其中放置 react-router-dom 的 <Outlet />，'${path}' 等子路由在其中显示。`
+            : `该出口不是布局的 <Outlet />：如果节点的 route.componentUrl 存在，在单元格中直接渲染该页面组件，否则留下 TODO 注释说明 '${path}' 需要人工迁移。`
     };
 }
 
+/**
+ * 根据 <object> 的原始 id 生成一个更有意义的占位组件名。
+ * @param {object} [attributes] - <object> 标签的属性。
+ * @returns {string}
+ */
+export function getActiveXComponentName(attributes) {
+    return attributes?.id
+        ? `${attributes.id.charAt(0).toUpperCase() + attributes.id.slice(1)}Placeholder`
+        : "LegacyActiveXPlaceholder";
+}
+
 /**
  * <<< 新增：实现 ActiveXPlaceholder 工具函数 >>>
  * 处理遗留 ActiveX 控件的元数据。
@@ -135,10 +159,7 @@ export async function handleRouteOutlet({ to }) {
 export async function handleActiveXPlaceholder({ attributes, params }) {
     console.log(`识别到ActiveX占位符，元数据:`, { attributes, params });
 
-    // 根据原始id生成一个更有意义的组件名
-    const componentName = attributes?.id 
-        ? `${attributes.id.charAt(0).toUpperCase() + attributes.id.slice(1)}Placeholder` 
-        : "LegacyActiveXPlaceholder";
+    const componentName = getActiveXComponentName(attributes);
 
     // 返回一个结构化指令。主LLM将使用它来生成最终代码。
     return {
@@ -1,17 +1,47 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { availableTools, tools } from "./tools/tools.js";
 import {
-    openai,
-    sessions,
+    availableTools,
+    tools,
+    parseJspWithLocalConverters,
+    conversionCache,
+    invalidateStaleConversionCache,
+    seedConversionCache,
+    tilesDefinitions,
+    strutsConfig,
+    taglibLibraries,
+    loadTaglibLibrary,
+    removeTaglibLibrary,
+    customRules,
+    listRuleKeys,
+    testRule
+} from "./tools/tools.js";
+import { collectUnresolvedNodes, replaceUnresolvedNode } from "./tools/parser.js";
+import { convertScriptletNodes, normalizeServerObjectCalls } from "./tools/scriptlet.js";
+import { preprocessJspDirectives } from "./tools/directives.js";
+import { buildComponentStubs } from "./tools/tld.js";
+import { validateContentModel } from "./tools/contentModel.js";
+import { resolveStrutsReferences, buildFormBeanInterfaces } from "./tools/struts.js";
+import { resolveFrameTargets } from "./tools/frames.js";
+import { irSchema, validateIr, formatValidationErrors } from "./tools/validator.js";
+import {
+    llm,
     fixJsonWithLlm,
     normalizeToolCallsWithLlm,
     handleToolCalls,
+    runWithConcurrencyLimit,
+    MAX_CONCURRENT,
     initializeSession,
     getSession,
-    deleteSession
+    appendMessage,
+    deleteSession,
+    listSessions
 } from "../utils/common.js";
+import { parseStyleString, normalizeStyleObject } from "../utils/css.js";
+import { openSseStream } from "../utils/sse.js";
+import { buildLocaleMessages, decodePropertiesBuffer, readI18nConfigFromEnv } from "../utils/i18n.js";
+import { parseEl } from "../utils/el.js";
 
 // 创建路由实例而不是应用实例
 const router = express.Router();
@@ -61,28 +91,6 @@ function traverseAndTransformObjects(node) {
     }
 }
 
-/**
- * 辅助函数：将CSS字符串解析为CSS-in-JS对象。
- * @param {string} cssText - CSS样式字符串。
- * @returns {object} - CSS-in-JS格式的样式对象。
- */
-function parseCssStringToObject(cssText) {
-    if (typeof cssText !== 'string' || !cssText) {
-        return {};
-    }
-    const style = {};
-    cssText.split(';').forEach(declaration => {
-        if (declaration.trim()) {
-            const [property, value] = declaration.split(':');
-            if (property && value) {
-                const camelCaseProperty = property.trim().replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
-                style[camelCaseProperty] = value.trim();
-            }
-        }
-    });
-    return style;
-}
-
 // --- (新增) 属性到样式的转换 ---
 
 /**
@@ -147,9 +155,10 @@ function traverseAndApplyPresentationalAttributes(node) {
         // 确保与现有的 style 属性合并
         if (node.attributes.style) {
             if (typeof node.attributes.style === 'string') {
-                styleObject = parseCssStringToObject(node.attributes.style);
+                styleObject = parseStyleString(node.attributes.style);
             } else if (typeof node.attributes.style === 'object') {
-                styleObject = { ...node.attributes.style };
+                // LLM 输出的样式对象同样可能带 hack 前缀、缺失单位等问题
+                styleObject = normalizeStyleObject(node.attributes.style);
             }
         }
 
@@ -198,12 +207,8 @@ function traverseAndApplyPresentationalAttributes(node) {
 
 
 /**
- * (已重构) 递归地遍历JSON树，仅处理表格的 *结构性* 问题。
- * 1. 对于 <table>: 
- *    - 检查并自动包裹缺少 <tbody> 的子元素。
- *    - 将 cellpadding 属性转换为其子单元格的 padding 样式。
- * 2. 对于 <tr>: 
- *    - 检查其直接子元素，如果不是 <td> 或 <th>，则用隐藏的 <td> 包裹。
+ * 递归地遍历JSON树，把 <table> 的 cellpadding 属性转换为其单元格的 padding 样式。
+ * 缺少 <tbody>、<tr> 中的无效子元素等结构问题由内容模型校验（tools/contentModel.js）处理。
  * @param {any} node - JSON树中的当前节点。
  */
 function traverseAndProcessTableStructure(node) {
@@ -217,15 +222,7 @@ function traverseAndProcessTableStructure(node) {
     }
 
     if (node.tagName === 'table') {
-        // 1a. 修复缺失的 <tbody>
-        const hasChildren = node.children && Array.isArray(node.children) && node.children.length > 0;
-        if (hasChildren && node.children[0].tagName !== 'tbody') {
-            console.log("发现一个 <table> 缺少 <tbody>，正在包裹其子元素...");
-            const tbodyElement = { tagName: 'tbody', children: node.children };
-            node.children = [tbodyElement];
-        }
-
-        // 1b. 处理 cellpadding (因为它影响子元素，所以留在这里)
+        // 处理 cellpadding (因为它影响子元素，所以留在这里)
         if (node.attributes && node.attributes.cellpadding) {
             console.log(`发现 cellpadding="${node.attributes.cellpadding}"，转换为子元素 td/th 的 style...`);
             const paddingValue = addPxIfNeeded(node.attributes.cellpadding);
@@ -240,7 +237,7 @@ function traverseAndProcessTableStructure(node) {
 
                         let cellStyle = {};
                         if (currentNode.attributes.style && typeof currentNode.attributes.style === 'string') {
-                            cellStyle = parseCssStringToObject(currentNode.attributes.style);
+                            cellStyle = parseStyleString(currentNode.attributes.style);
                         } else if (currentNode.attributes.style && typeof currentNode.attributes.style === 'object') {
                             cellStyle = { ...currentNode.attributes.style };
                         }
@@ -259,20 +256,6 @@ function traverseAndProcessTableStructure(node) {
             }
             delete node.attributes.cellpadding;
         }
-    } else if (node.tagName === 'tr' && node.children && Array.isArray(node.children)) {
-        // 2. 修复 <tr> 的无效子元素
-        node.children = node.children.map(child => {
-            const isInvalid = !(child && typeof child === 'object' && (child.tagName === 'td' || child.tagName === 'th'));
-            if (isInvalid) {
-                console.log("在 <tr> 中发现无效的子元素，正在用隐藏的 <td> 包裹...");
-                return {
-                    tagName: 'td',
-                    attributes: { style: { display: 'none' } },
-                    children: [child]
-                };
-            }
-            return child;
-        });
     }
 
     if (node.children && Array.isArray(node.children)) {
@@ -282,43 +265,88 @@ function traverseAndProcessTableStructure(node) {
 
 
 /**
- * 递归地遍历JSON树，将 'condition' 字段中的 'session.getAttribute(KEY)'
- * 智能地替换为 'sessionStorage.getItem('KEY')'。
+ * 递归地遍历JSON树，把 condition、属性值、文本与 EL 表达式中残留的服务端对象 Java 调用
+ * （session.getAttribute(KEY)、request.getParameter(KEY)、request.getContextPath() 等）改写为 EL，
+ * 中间表示因此与前端的取值方式无关，由 React 阶段按所选的服务端对象规则表生成代码。
+ * 属性值与文本只改写 ${...} 片段内部，普通文本保持原样。
  * @param {any} node - JSON树中的当前节点（对象或数组）。
  */
-function traverseAndReplaceSessionGetAttribute(node) {
+function traverseAndNormalizeServerObjectCalls(node) {
     if (node === null || typeof node !== 'object') {
         return;
     }
 
     if (Array.isArray(node)) {
-        node.forEach(item => traverseAndReplaceSessionGetAttribute(item));
+        node.forEach(item => traverseAndNormalizeServerObjectCalls(item));
         return;
     }
 
-    if (typeof node.condition === 'string' && node.condition.includes('session.getAttribute')) {
-        console.log(`发现 condition 字段: "${node.condition}"，正在转换...`);
-        const regex = /session\.getAttribute\((.*?)\)/g;
+    const normalizeElSegments = text => text.replace(/\$\{[^}]*\}/g, segment => normalizeServerObjectCalls(segment));
 
-        node.condition = node.condition.replace(regex, (match, capturedArg) => {
-            let key = capturedArg.trim();
-            if ((key.startsWith('"') && key.endsWith('"')) || (key.startsWith("'") && key.endsWith("'"))) {
-                key = key.substring(1, key.length - 1);
+    if (typeof node.condition === 'string') {
+        const condition = normalizeServerObjectCalls(node.condition);
+        if (condition !== node.condition) {
+            console.log(`condition 中的服务端对象调用已改写: "${node.condition}" -> "${condition}"`);
+            node.condition = condition;
+        }
+    }
+    if (node.tagName === '#expression' && node.language === 'el' && typeof node.expression === 'string') {
+        node.expression = normalizeServerObjectCalls(node.expression);
+    }
+    if (typeof node.text === 'string') {
+        node.text = normalizeElSegments(node.text);
+    }
+    for (const key of ['value', 'collection']) {
+        if (typeof node[key] === 'string') {
+            node[key] = normalizeElSegments(node[key]);
+        }
+    }
+    if (node.attributes && typeof node.attributes === 'object' && !node.unresolved) {
+        for (const [name, value] of Object.entries(node.attributes)) {
+            if (typeof value === 'string') {
+                node.attributes[name] = normalizeElSegments(value);
             }
-            return `sessionStorage.getItem('${key}')`;
-        });
+        }
+    }
 
-        console.log(`转换后: "${node.condition}"`);
+    if (node.children && Array.isArray(node.children)) {
+        node.children.forEach(child => traverseAndNormalizeServerObjectCalls(child));
+    }
+}
+
+/**
+ * 递归地解析所有非空的 'condition' 字段，把 EL AST 写入相邻的 'conditionAst' 字段，
+ * 供 React 阶段翻译为空值安全的 JavaScript。无法解析的条件保留原文，不写入 conditionAst。
+ * @param {any} node - JSON树中的当前节点（对象或数组）。
+ */
+function traverseAndParseConditions(node) {
+    if (node === null || typeof node !== 'object') {
+        return;
+    }
+
+    if (Array.isArray(node)) {
+        node.forEach(item => traverseAndParseConditions(item));
+        return;
+    }
+
+    delete node.conditionAst;
+    if (typeof node.condition === 'string' && node.condition.trim()) {
+        try {
+            node.conditionAst = parseEl(node.condition);
+        } catch (error) {
+            console.warn(`条件 "${node.condition}" 无法按 EL 解析: ${error.message}`);
+        }
     }
 
     if (node.children && Array.isArray(node.children)) {
-        node.children.forEach(child => traverseAndReplaceSessionGetAttribute(child));
+        node.children.forEach(child => traverseAndParseConditions(child));
     }
 }
 
 /**
  * 根据指定规则递归处理 JSON 元素数组。
- * 1. 移除 tagName 为 'meta', 'title', 'link', 'script', 'noscript', 'style' 的节点。
+ * 1. 移除 tagName 为 'meta', 'title', 'link', 'script', 'noscript', 'style' 的节点；
+ *    包含 Tiles 插槽的 title（<title><tiles:getAsString name="title"/></title>）改为 DocumentTitle，由生成器设置 document.title。
  * 2. 对于 tagName 为 'html', 'head', 'body' 的节点，不包含节点本身，而是直接处理其 children。
  * 3. 递归处理所有子节点。
  * @param {Array} elements - 需要处理的元素节点数组。
@@ -328,6 +356,12 @@ function processJsonElements(elements) {
     if (!Array.isArray(elements)) return [];
 
     return elements.reduce((accumulator, currentElement) => {
+        const children = currentElement.children || [];
+        if (currentElement.tagName === 'title' && children.some(child => child.tagName === 'SlotOutlet')) {
+            accumulator.push({ tagName: 'DocumentTitle', attributes: {}, children, isComponent: false });
+            return accumulator;
+        }
+
         const tagsToRemove = ['meta', 'title', 'link', 'script', 'noscript', 'style'];
         if (tagsToRemove.includes(currentElement.tagName)) {
             return accumulator;
@@ -335,7 +369,6 @@ function processJsonElements(elements) {
 
         const tagsToUnwrap = ['html', 'head', 'body'];
         if (tagsToUnwrap.includes(currentElement.tagName)) {
-            const children = currentElement.children || [];
             return accumulator.concat(processJsonElements(children));
         }
 
@@ -351,147 +384,123 @@ function processJsonElements(elements) {
     }, []);
 }
 
-// --- 配置化规则表 ---
-const nestingRules = [
-    {
-        match: (node, parent) => parent?.tagName === 'tr' && node.tagName === 'form',
-        fix: (node, parent) => {
-            console.log("修复: <tr> 下直接有 <form>");
-            const wrapperTd = { tagName: 'td', attributes: {}, children: [node] };
-            const idx = parent.children.indexOf(node);
-            parent.children[idx] = wrapperTd;
-        }
-    },
-    {
-        match: (node, parent) => parent?.tagName === 'p' && node.tagName === 'form',
-        fix: (node, parent) => {
-            console.log("修复: <p> 下直接有 <form>");
-            if (parent.parent) {
-                const parentIndex = parent.parent.children.indexOf(parent);
-                parent.parent.children.splice(parentIndex, 0, node);
-                parent.children = parent.children.filter(c => c !== node);
-            }
-        }
-    },
-    {
-        match: (node, parent) => parent?.tagName === 'table' && node.tagName === 'form',
-        fix: (node, parent) => {
-            console.log("修复: <table> 下直接有 <form>");
-            if (parent.parent) {
-                const idx = parent.parent.children.indexOf(parent);
-                parent.parent.children[idx] = {
-                    tagName: 'form',
-                    attributes: {},
-                    children: [parent]
-                };
-            }
-        }
-    },
-    {
-        match: (node, parent) => node.tagName === 'td' && (!parent || parent?.tagName !== 'tr'),
-        fix: (node, parent, rootRef) => {
-            console.log("修复: 孤立 <td>");
-            const wrapperTr = { tagName: 'tr', attributes: {}, children: [node] };
-            const wrapperTable = { tagName: 'table', attributes: {}, children: [wrapperTr] };
-            if (parent) {
-                const idx = parent.children.indexOf(node);
-                parent.children[idx] = wrapperTable;
-            } else {
-                // parent 为 null，说明 node 在根级
-                if (Array.isArray(rootRef.elements)) {
-                    const idx = rootRef.elements.indexOf(node);
-                    if (idx !== -1) {
-                        rootRef.elements[idx] = wrapperTable;
-                    }
-                }
-            }
-        }
-    }
+/**
+ * 对中间表示运行所有的后处理函数（原地修改）。
+ * LLM 生成的结果与本地解析器生成的结果共用同一套后处理。
+ * @param {object} parsedJson - 形如 { elements: [...] } 的中间表示。
+ * @param {string[]} [warnings] - 收集无法翻译的脚本片段等非致命问题。
+ * @param {string} [pagePath] - 页面相对于 web 根目录的路径，页面中的相对地址按它解析。
+ */
+function applyIrPostProcessing(parsedJson, warnings = [], pagePath) {
+    // 1. (新) 通用处理：将所有废弃的展示性属性转换为 style 对象
+    traverseAndApplyPresentationalAttributes(parsedJson.elements);
 
-];
+    // 2. 特殊处理 <object> 标签
+    traverseAndTransformObjects(parsedJson.elements);
 
+    // 2.1 翻译脚本片段与 <%= %> 表达式，无法翻译的部分转换为 TodoBlock
+    const scriptletWarnings = [];
+    parsedJson.elements = convertScriptletNodes(parsedJson.elements, scriptletWarnings);
+    scriptletWarnings.forEach(warning => console.warn(warning));
+    warnings.push(...scriptletWarnings);
 
-// --- 统一的修复器 ---
-function traverseAndFixInvalidNesting(node, parent = null, rootRef = null) {
-  if (!node || typeof node !== 'object') return;
-  if (Array.isArray(node)) {
-    node.forEach(child => traverseAndFixInvalidNesting(child, parent, rootRef));
-    return;
-  }
+    // 3. 服务端对象调用（session.getAttribute 等）改写为 EL
+    traverseAndNormalizeServerObjectCalls(parsedJson.elements);
 
-  for (const rule of nestingRules) {
-    if (rule.match(node, parent)) {
-      rule.fix(node, parent, rootRef);
-    }
-  }
+    // 3.1 解析 EL 条件（在服务端对象调用改写之后）
+    traverseAndParseConditions(parsedJson.elements);
 
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => traverseAndFixInvalidNesting(child, node, rootRef));
-  }
-}
+    // 4. 表格的 cellpadding 转换为单元格样式
+    traverseAndProcessTableStructure(parsedJson.elements);
 
+    // 5. 应用节点过滤和结构扁平化规则
+    parsedJson.elements = processJsonElements(parsedJson.elements);
 
+    // 5.1 按 struts-config.xml 把表单、链接、路由出口与 frame 中的 Struts 地址解析为路由，页面中的地址记录为 meta.routes
+    const routes = resolveStrutsReferences(parsedJson.elements, strutsConfig, warnings, pagePath);
+    if (routes.length > 0) parsedJson.meta = { ...parsedJson.meta, routes };
+
+    // 5.2 指向 frame 的链接与脚本导航改写为对嵌套路由的导航，路由出口（原 frame）记录为 meta.frames
+    const frames = resolveFrameTargets(parsedJson.elements, strutsConfig, warnings, pagePath);
+    if (frames.length > 0) parsedJson.meta = { ...parsedJson.meta, frames };
+
+    // 6. (最终) 按 HTML5 内容模型检查并修复嵌套，结果记录为 meta.contentModel，无法修复的问题同时作为警告
+    const contentModel = validateContentModel(parsedJson.elements);
+    parsedJson.meta = { ...parsedJson.meta, contentModel };
+    contentModel
+        .filter(entry => entry.action === 'unfixable')
+        .forEach(entry => warnings.push(`无法修复的嵌套: ${entry.message}（${entry.path}）`));
+}
 
 /**
  * 确保从LLM获取的内容是有效的JSON，如果不是则要求LLM重新生成，最多重试3次。
  * @param {string} sessionId - 当前会话的ID。
  * @param {string} initialContent - LLM的初次响应内容。
+ * @param {string[]} [warnings] - 可选：记录每次校验失败原因的数组。
+ * @param {Function} [onEvent] - 进度回调 (event, data)，推送 validation_failed 以及重新生成时的 token。
+ * @param {string} [pagePath] - 页面相对于 web 根目录的路径，见 applyIrPostProcessing。
  * @returns {Promise<string>} - 经过验证和处理后的JSON字符串。
  */
-async function generateAndValidateJson(sessionId, initialContent) {
+async function generateAndValidateJson(sessionId, initialContent, warnings = [], onEvent = () => {}, pagePath) {
     let currentContent = initialContent;
     const maxAttempts = 3;
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
             let parsedJson = JSON.parse(currentContent);
-            console.log(`Attempt ${attempt}: JSON is valid.`);
-
-            // --- 运行所有的后处理函数 ---
 
-            // 1. (新) 通用处理：将所有废弃的展示性属性转换为 style 对象
-            traverseAndApplyPresentationalAttributes(parsedJson.elements);
-
-            // 2. 特殊处理 <object> 标签
-            traverseAndTransformObjects(parsedJson.elements);
-
-            // 3. 特殊处理 session.getAttribute
-            traverseAndReplaceSessionGetAttribute(parsedJson.elements);
-
-            // 4. (重构) 仅处理表格的 *结构性* 问题
-            traverseAndProcessTableStructure(parsedJson.elements);
+            // 结构校验：所有节点都必须符合中间表示的 JSON Schema
+            const { valid, errors } = validateIr(parsedJson);
+            if (!valid) {
+                const schemaError = new Error(`JSON 不符合中间表示 Schema:\n${formatValidationErrors(errors)}`);
+                schemaError.validationErrors = errors;
+                throw schemaError;
+            }
+            console.log(`Attempt ${attempt}: JSON is valid.`);
 
-            // 新增步骤: 修复不规范嵌套
-            traverseAndFixInvalidNesting(parsedJson.elements, null, parsedJson);
-            // 5. (最终) 应用节点过滤和结构扁平化规则
-            parsedJson.elements = processJsonElements(parsedJson.elements);
+            applyIrPostProcessing(parsedJson, warnings, pagePath);
 
             return JSON.stringify(parsedJson, null, 2); // 成功
 
         } catch (error) {
-            console.error(`Attempt ${attempt}/${maxAttempts} failed: Content is not valid JSON.`);
+            console.error(`Attempt ${attempt}/${maxAttempts} failed: ${error.message}`);
+            warnings.push(`第 ${attempt} 次 JSON 校验失败: ${error.message}`);
+            onEvent('validation_failed', {
+                attempt,
+                maxAttempts,
+                error: error.message,
+                errors: error.validationErrors || []
+            });
 
             if (attempt >= maxAttempts) {
                 throw new Error("Failed to generate valid JSON after multiple attempts.");
             }
 
-            sessions[sessionId].push({ role: "assistant", content: currentContent });
-            sessions[sessionId].push({
+            // 把具体的错误位置反馈给 LLM，而不是笼统地要求重新整合
+            const retryMessage = error.validationErrors
+                ? `整合结果不符合中间表示的 JSON Schema，请修正以下位置（JSON Pointer）后重新输出完整的 JSON：\n${formatValidationErrors(error.validationErrors)}`
+                : `整合结果不是合法的 JSON（${error.message}），请重新整合并只输出完整的 JSON 对象。`;
+
+            appendMessage(sessionId, { role: "assistant", content: currentContent });
+            appendMessage(sessionId, {
                 role: "user",
-                content: "整合结果错误，请重新整合"
+                content: retryMessage
             });
 
             console.log("Requesting regeneration from LLM...");
-            const stream = await openai.chat.completions.create({
+            onEvent('stage', { stage: 'regeneration', attempt: attempt + 1 });
+            const stream = await llm.createChatCompletion({
                 model: process.env.OPENAI_MODEL || "qwen3-coder",
-                messages: sessions[sessionId],
+                messages: getSession(sessionId),
                 temperature: 0,
                 stream: true,
             });
 
             let regeneratedContent = "";
             for await (const chunk of stream) {
-                regeneratedContent += chunk.choices[0]?.delta?.content || "";
+                const delta = chunk.choices[0]?.delta?.content || "";
+                if (delta) onEvent('token', { stage: 'regeneration', content: delta });
+                regeneratedContent += delta;
             }
             currentContent = regeneratedContent;
         }
@@ -499,23 +508,89 @@ async function generateAndValidateJson(sessionId, initialContent) {
 }
 
 
-// --- API 路由 ---
-router.post('/chat', async (req, res) => {
-    try {
-        const { message, sessionId = 'default' } = req.body;
-        console.log("收到请求 sessionId:", sessionId);
-
-        if (!message) {
-            return res.status(400).json({ error: '消息不能为空' });
+/**
+ * 本地解析模式：先用确定性的 JSP 解析器构建中间表示，
+ * 只把解析器标记为 unresolved 的标签片段交给 convertJspSnippet（LLM）处理。
+ * @param {object} params
+ * @param {string} params.message - 需要转换的JSP代码。
+ * @param {string[]} params.warnings - 收集无法转换的节点等非致命问题。
+ * @param {string} [params.pagePath] - 页面相对于 web 根目录的路径，见 applyIrPostProcessing。
+ * @param {Function} [params.onEvent] - 进度回调 (event, data)。
+ * @returns {Promise<{parsedJson: object, toolCalls: Array}>}
+ */
+async function convertJspWithParser({ message, warnings, pagePath, onEvent = () => {} }) {
+    onEvent('stage', { stage: 'parsing' });
+    const parsedJson = parseJspWithLocalConverters(message, warnings);
+    const unresolved = collectUnresolvedNodes(parsedJson.elements);
+    console.log(`本地解析完成，共有 ${unresolved.length} 个节点需要 LLM 处理`);
+
+    if (unresolved.length > 0) {
+        onEvent('stage', { stage: 'tool_calls', count: unresolved.length });
+    }
+    const tasks = unresolved.map(({ node, parent }, index) => async () => {
+        const toolName = 'convertJspSnippet';
+        const toolCallId = `parser_${index}`;
+        onEvent('tool_call_start', { toolName, toolCallId, arguments: JSON.stringify({ content: node.source }) });
+        const result = await availableTools.convertJspSnippet({ content: node.source });
+        if (!replaceUnresolvedNode(parent, node, result)) {
+            warnings.push(`节点 <${node.tagName}> 未能转换，已保留原始片段: ${result}`);
+            onEvent('tool_call_result', { toolName, toolCallId, error: result });
+            return { toolName, toolCallId, error: result };
         }
+        onEvent('tool_call_result', { toolName, toolCallId, result });
+        return { toolName, toolCallId, result };
+    });
+    const toolCalls = await runWithConcurrencyLimit(tasks, MAX_CONCURRENT);
+
+    onEvent('stage', { stage: 'validation' });
+
+    // 本地解析模式不会重试，Schema 错误作为警告返回
+    const { valid, errors } = validateIr(parsedJson);
+    if (!valid) {
+        warnings.push(`JSON 不符合中间表示 Schema:\n${formatValidationErrors(errors)}`);
+        onEvent('validation_failed', { attempt: 1, maxAttempts: 1, error: 'JSON 不符合中间表示 Schema', errors });
+    }
 
-        initializeSession(sessionId, `你是一位专业的AI代码助手。你的核心任务是根据用户的需求，独立完成代码的编写、重构或解释，并始终以一个完整的JSON对象作为最终输出。
+    applyIrPostProcessing(parsedJson, warnings, pagePath);
+    return { parsedJson, toolCalls };
+}
+
+/**
+ * JSP 到 JSON 的完整转换流程：规划 -> 工具调用 -> 整合 -> 校验与后处理。
+ * 供 /chat 路由以及跨模块的一体化转换流程复用。
+ * @param {object} params
+ * @param {string} params.message - 需要转换的JSP代码。
+ * @param {string} params.sessionId - 会话ID。
+ * @param {string[]} [params.warnings] - 可选：收集校验失败等非致命问题的数组。
+ * @param {string} [params.mode] - "llm"（默认，由 LLM 生成整棵树）或 "parser"（本地解析，仅未解析节点调用 LLM）。
+ * @param {string} [params.webRoot] - 静态包含（<%@ include %>）的 web 根目录，默认读取环境变量 JSP_WEB_ROOT。
+ *   只由服务端指定（例如批量转换的项目根目录），不能来自请求参数。
+ * @param {string} [params.pagePath] - 页面相对于 web 根目录的路径，用于解析相对路径的静态包含与页面中的相对地址。
+ * @param {Function} [params.onEvent] - 进度回调 (event, data)，事件类型见 README 中的 SSE 说明。
+ * @returns {Promise<{reply: string, sessionId: string, toolCalls: Array|null}>}
+ */
+export async function convertJspToJson({ message: rawMessage, sessionId, warnings = [], mode = 'llm', webRoot, pagePath, onEvent = () => {} }) {
+    // 指令预处理：内联静态包含、改写标签库前缀，page / taglib 指令记录到 meta
+    const { source: message, meta } = await preprocessJspDirectives(rawMessage, { webRoot, pagePath, taglibUris: taglibLibraries.uriPrefixes(), warnings });
+
+    if (mode === 'parser') {
+        initializeSession(sessionId, "JSP 本地解析会话");
+        appendMessage(sessionId, { role: "user", content: message });
+        const { parsedJson, toolCalls } = await convertJspWithParser({ message, warnings, pagePath, onEvent });
+        parsedJson.meta = { ...parsedJson.meta, ...meta };
+        const reply = JSON.stringify(parsedJson, null, 2);
+        appendMessage(sessionId, { role: "assistant", content: reply });
+        return { reply, sessionId, toolCalls: toolCalls.length > 0 ? toolCalls : null };
+    }
+
+    initializeSession(sessionId, `你是一位专业的AI代码助手。你的核心任务是根据用户的需求，独立完成代码的编写、重构或解释，并始终以一个完整的JSON对象作为最终输出。
 
 规则：
 - 自主优先: 优先尝试自己直接完成用户的请求。
 - 工具辅助: 当你遇到需要转换的特定标签片段时（例如JSP自定义标签、Struts标签库，或像 <font> 这样的废弃HTML标签），必须调用 'convertJspSnippet' 工具进行处理。
 - 样式修复（重要）: 任何时候只要发现属性 'style' 是字符串或存在不规范写法（如下划线/星号 hack、大小写混乱、缺失单位、连字符属性名等），必须优先调用 'normalizeStyleWithLlm' 工具获得修复后的 JSON 样式对象，并用结果替换原有的 style。
 - 调用时只传递最小片段。
+- 脚本片段: 不要自行翻译 <% %> 中的 Java 代码，每个 <% %> 原样输出为一个 {"tagName":"#scriptlet","code":"..."} 节点（保持与相邻 HTML 节点的先后顺序，即使 if / for 的花括号跨越了多个 <% %>），<%= %> 输出为 {"tagName":"#expression","expression":"...","language":"java"}；后处理会统一翻译，无法翻译的代码会标记为 TodoBlock。
 - 如果片段中有多个需要转换的标签，请调用工具多次，每次传入一个完整标签。
 - 合并工作流:
    a. 在代码中插入 <!--MCP_TOOL_RESULT_HERE--> 占位符。
@@ -523,69 +598,96 @@ router.post('/chat', async (req, res) => {
    c. 收到结果后整合，输出完整代码。
 - 输出格式：最终的、完整的响应必须是一个JSON对象，没有任何其他文本或解释。`);
 
-        sessions[sessionId].push({ role: "user", content: message });
+    appendMessage(sessionId, { role: "user", content: message });
+
+    onEvent('stage', { stage: 'planning' });
+    const plannerResponse = await llm.createChatCompletion({
+        model: process.env.OPENAI_MODEL || "qwen3-coder",
+        messages: getSession(sessionId),
+        temperature: 0,
+        tools: tools,
+        tool_choice: "auto"
+    });
+
+    const responseMessage = plannerResponse.choices[0].message;
+    let finalContent;
+    let toolResultsForResponse = null;
+
+    let toolCallsToProcess = responseMessage.tool_calls || [];
+    if (toolCallsToProcess.length === 0 && responseMessage.content) {
+        const normalizedCalls = await normalizeToolCallsWithLlm(responseMessage.content);
+        if (normalizedCalls.length > 0) {
+            toolCallsToProcess = normalizedCalls;
+            responseMessage.tool_calls = normalizedCalls;
+        }
+    }
+
+    appendMessage(sessionId, responseMessage);
+
+    if (toolCallsToProcess && toolCallsToProcess.length > 0) {
+        console.log("助手决定使用工具，开始执行...");
+        onEvent('stage', { stage: 'tool_calls', count: toolCallsToProcess.length });
+        const toolResults = await handleToolCalls(toolCallsToProcess, sessionId, availableTools, onEvent);
+        toolResultsForResponse = toolResults;
 
-        const plannerResponse = await openai.chat.completions.create({
+        console.log("工具执行完毕，启动 LLM 整合结果...");
+        onEvent('stage', { stage: 'integration' });
+        appendMessage(sessionId, {
+            role: "user",
+            content: "你已经完成了工具调用，现在请整合结果并只输出 JSON"
+        });
+        let integrationContent = "";
+        const stream = await llm.createChatCompletion({
             model: process.env.OPENAI_MODEL || "qwen3-coder",
-            messages: sessions[sessionId],
+            messages: getSession(sessionId),
             temperature: 0,
-            tools: tools,
-            tool_choice: "auto"
+            stream: true,
+            response_format: { type: "json_object" }
         });
 
-        const responseMessage = plannerResponse.choices[0].message;
-        let finalContent;
-        let toolResultsForResponse = null;
-
-        let toolCallsToProcess = responseMessage.tool_calls || [];
-        if (toolCallsToProcess.length === 0 && responseMessage.content) {
-            const normalizedCalls = await normalizeToolCallsWithLlm(responseMessage.content);
-            if (normalizedCalls.length > 0) {
-                toolCallsToProcess = normalizedCalls;
-                responseMessage.tool_calls = normalizedCalls;
-            }
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content || "";
+            if (delta) onEvent('token', { stage: 'integration', content: delta });
+            integrationContent += delta;
         }
 
-        sessions[sessionId].push(responseMessage);
+        onEvent('stage', { stage: 'validation' });
+        finalContent = await generateAndValidateJson(sessionId, integrationContent, warnings, onEvent, pagePath);
 
-        if (toolCallsToProcess && toolCallsToProcess.length > 0) {
-            console.log("助手决定使用工具，开始执行...");
-            const toolResults = await handleToolCalls(toolCallsToProcess, sessionId, availableTools);
-            toolResultsForResponse = toolResults;
+    } else {
+        onEvent('stage', { stage: 'validation' });
+        finalContent = await generateAndValidateJson(sessionId, responseMessage.content, warnings, onEvent, pagePath);
+    }
 
-            console.log("工具执行完毕，启动 LLM 整合结果...");
-            sessions[sessionId].push({
-                role: "user",
-                content: "你已经完成了工具调用，现在请整合结果并只输出 JSON"
-            });
-            let integrationContent = "";
-            const stream = await openai.chat.completions.create({
-                model: process.env.OPENAI_MODEL || "qwen3-coder",
-                messages: sessions[sessionId],
-                temperature: 0,
-                stream: true,
-                response_format: { type: "json_object" }
-            });
+    const parsedJson = JSON.parse(finalContent);
+    parsedJson.meta = { ...parsedJson.meta, ...meta };
+    finalContent = JSON.stringify(parsedJson, null, 2);
+    appendMessage(sessionId, { role: "assistant", content: finalContent });
 
-            for await (const chunk of stream) {
-                integrationContent += chunk.choices[0]?.delta?.content || "";
-            }
+    return { reply: finalContent, sessionId, toolCalls: toolResultsForResponse };
+}
 
-            finalContent = await generateAndValidateJson(sessionId, integrationContent);
+// --- API 路由 ---
+router.post('/chat', async (req, res) => {
+    try {
+        const { message, sessionId = 'default', mode, pagePath } = req.body;
+        console.log("收到请求 sessionId:", sessionId);
 
-        } else {
-            finalContent = await generateAndValidateJson(sessionId, responseMessage.content);
+        if (!message) {
+            return res.status(400).json({ error: '消息不能为空' });
         }
 
-        sessions[sessionId].push({ role: "assistant", content: finalContent });
+        const warnings = [];
+        const { reply, toolCalls } = await convertJspToJson({ message, sessionId, mode, pagePath, warnings });
         console.log("结果已返回");
 
         const responsePayload = {
-            reply: finalContent,
-            sessionId
+            reply,
+            sessionId,
+            warnings
         };
-        if (toolResultsForResponse) {
-            responsePayload.toolCalls = toolResultsForResponse;
+        if (toolCalls) {
+            responsePayload.toolCalls = toolCalls;
         }
 
         return res.json(responsePayload);
@@ -596,7 +698,299 @@ router.post('/chat', async (req, res) => {
     }
 });
 
+// SSE 版本：在转换过程中推送 stage / tool_call_start / tool_call_result / token / validation_failed 事件，
+// 最后以 result（与 /chat 的响应体相同）或 error 事件结束
+router.post('/chat/stream', async (req, res) => {
+    const { message, sessionId = 'default', mode, pagePath } = req.body;
+    if (!message) {
+        return res.status(400).json({ error: '消息不能为空' });
+    }
+
+    const { send, close } = openSseStream(req, res);
+    const warnings = [];
+    try {
+        const { reply, toolCalls } = await convertJspToJson({ message, sessionId, mode, pagePath, warnings, onEvent: send });
+        const responsePayload = { reply, sessionId, warnings };
+        if (toolCalls) {
+            responsePayload.toolCalls = toolCalls;
+        }
+        send('result', responsePayload);
+    } catch (error) {
+        console.error("处理流式请求时出错:", error);
+        send('error', { error: error.message, sessionId, warnings });
+    } finally {
+        close();
+    }
+});
+
+// 发布中间表示的 JSON Schema
+router.get('/schema', (req, res) => {
+    return res.json(irSchema);
+});
+
+// 转换缓存
+router.get('/cache/stats', (req, res) => {
+    return res.json(conversionCache.stats());
+});
+
+// 删除缓存条目，可通过 ?tagType=font 只删除某一类标签
+router.delete('/cache', (req, res) => {
+    const removed = conversionCache.invalidate({ tagType: req.query.tagType });
+    return res.json({ removed });
+});
+
+// 删除提示词模板已修改的过期条目
+router.post('/cache/invalidate-stale', (req, res) => {
+    const removed = invalidateStaleConversionCache();
+    return res.json({ removed });
+});
+
+router.post('/cache/seed', (req, res) => {
+    const { entries } = req.body;
+    if (!Array.isArray(entries)) {
+        return res.status(400).json({ error: 'entries 必须是数组' });
+    }
+    try {
+        return res.json(seedConversionCache(entries));
+    } catch (error) {
+        console.error("预热缓存出错:", error);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Tiles 定义
+router.get('/tiles/definitions', (req, res) => {
+    return res.json({ definitions: tilesDefinitions.list() });
+});
+
+// 上传 tiles-defs.xml 内容，replace 为 true 时先清空已有定义
+router.post('/tiles/definitions', (req, res) => {
+    const { xml, source = 'upload', replace = false } = req.body;
+    if (!xml || typeof xml !== 'string') {
+        return res.status(400).json({ error: 'xml 必须是 tiles-defs.xml 的文本内容' });
+    }
+    try {
+        if (replace) tilesDefinitions.clear();
+        const loaded = tilesDefinitions.load(xml, source);
+        return res.json({ loaded, total: tilesDefinitions.list().length });
+    } catch (error) {
+        console.error("加载 Tiles 定义出错:", error);
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 已加载的 struts-config.xml：来源、action 映射、form-bean 与全局 forward
+router.get('/struts/config', (req, res) => {
+    return res.json(strutsConfig.list());
+});
+
+// 上传 struts-config.xml 内容：{ xml, source?, prefix?, replace? }，prefix 为模块前缀（例如 "/admin"），replace 为 true 时先清空已有配置
+router.post('/struts/config', (req, res) => {
+    const { xml, source = 'upload', prefix = '', replace = false } = req.body;
+    if (!xml || typeof xml !== 'string') {
+        return res.status(400).json({ error: 'xml 必须是 struts-config.xml 的文本内容' });
+    }
+    try {
+        if (replace) strutsConfig.clear();
+        const loaded = strutsConfig.load(xml, { source, prefix });
+        const { actions, formBeans, globalForwards } = strutsConfig.list();
+        return res.json({ loaded, total: { actions: actions.length, formBeans: formBeans.length, globalForwards: globalForwards.length } });
+    } catch (error) {
+        console.error("加载 struts-config 出错:", error);
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/struts/config', (req, res) => {
+    strutsConfig.clear();
+    return res.json({ success: true });
+});
+
+// 所有 action 的路由与页面组件
+router.get('/struts/routes', (req, res) => {
+    return res.json({ routes: strutsConfig.routes() });
+});
+
+// 解析单个地址：{ action } | { forward } | { page }
+router.post('/struts/resolve', (req, res) => {
+    const reference = ['action', 'forward', 'page'].find(key => typeof req.body?.[key] === 'string');
+    if (!reference) {
+        return res.status(400).json({ error: '必须提供 action、forward 或 page 之一' });
+    }
+    const warnings = [];
+    const from = typeof req.body.from === 'string' ? req.body.from : undefined;
+    const route = strutsConfig.resolve({ [reference]: req.body[reference], from }, warnings);
+    return res.json({ route, warnings });
+});
+
+// form-bean -> TypeScript 接口
+router.get('/struts/form-beans/types', (req, res) => {
+    return res.json(buildFormBeanInterfaces(strutsConfig));
+});
+
+// 运行时规则：rules 为注册的规则（含历史版本），active 为当前生效的全部规则键（内置、TLD 导入与运行时规则）
+router.get('/rules', (req, res) => {
+    return res.json({ rules: customRules.list(), active: listRuleKeys() });
+});
+
+router.get('/rules/:key', (req, res) => {
+    const rule = customRules.get(req.params.key);
+    if (!rule) {
+        return res.status(404).json({ error: '规则不存在' });
+    }
+    return res.json(rule);
+});
+
+// 注册规则：{ key, description?, systemPrompt, userTemplate, examples?, converter?, enabled? }，
+// userTemplate 中的 ${content} 替换为片段；提供 converter（如 "jsp:include"）时使用本地转换器
+router.post('/rules', (req, res) => {
+    try {
+        return res.json(customRules.create(req.body));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 更新规则内容，生成新版本
+router.put('/rules/:key', (req, res) => {
+    if (!customRules.get(req.params.key)) {
+        return res.status(404).json({ error: '规则不存在' });
+    }
+    try {
+        return res.json(customRules.update(req.params.key, req.body));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 启用 / 停用：{ enabled: false }，不产生新版本
+router.patch('/rules/:key', (req, res) => {
+    if (!customRules.get(req.params.key)) {
+        return res.status(404).json({ error: '规则不存在' });
+    }
+    if (typeof req.body?.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled 必须是布尔值' });
+    }
+    return res.json(customRules.setEnabled(req.params.key, req.body.enabled));
+});
+
+// 以历史版本的内容生成新版本：{ version }
+router.post('/rules/:key/rollback', (req, res) => {
+    if (!customRules.get(req.params.key)) {
+        return res.status(404).json({ error: '规则不存在' });
+    }
+    try {
+        return res.json(customRules.rollback(req.params.key, req.body?.version));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/rules/:key', (req, res) => {
+    return res.json({ success: customRules.remove(req.params.key) });
+});
+
+// 试运行：{ content, version? }，不读写转换缓存，返回提示词、转换结果与 Schema 校验结果
+router.post('/rules/:key/test', async (req, res) => {
+    const { content, version } = req.body || {};
+    if (!customRules.get(req.params.key)) {
+        return res.status(404).json({ error: '规则不存在' });
+    }
+    if (!content || typeof content !== 'string') {
+        return res.status(400).json({ error: 'content 必须是 JSP 片段' });
+    }
+    try {
+        return res.json(await testRule(req.params.key, content, { version }));
+    } catch (error) {
+        console.error("试运行规则出错:", error);
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 已导入的自定义标签库
+router.get('/taglibs', (req, res) => {
+    return res.json({ libraries: taglibLibraries.list() });
+});
+
+// 导入 .tld 文件，生成转换规则与占位组件。
+// files: [{ name, content, prefix? }] 或 [{ name, contentBase64, prefix? }]，prefix 缺省时使用 TLD 的 short-name；
+// equivalents: 标签名 -> 等价 HTML 元素（null 表示强制生成组件），覆盖内置的对应关系
+router.post('/taglibs', (req, res) => {
+    const { files, equivalents = {} } = req.body;
+    const valid = Array.isArray(files) && files.length > 0 && files.every(file =>
+        file && typeof file.name === 'string' && (typeof file.content === 'string' || typeof file.contentBase64 === 'string'));
+    if (!valid) {
+        return res.status(400).json({ error: 'files 必须是 { name, content } 或 { name, contentBase64 } 组成的非空数组' });
+    }
+    if (!equivalents || typeof equivalents !== 'object' || Array.isArray(equivalents)) {
+        return res.status(400).json({ error: 'equivalents 必须是 标签名 -> HTML 元素名 的对象' });
+    }
+    try {
+        const libraries = files.map(file => loadTaglibLibrary(
+            typeof file.content === 'string' ? file.content : Buffer.from(file.contentBase64, 'base64').toString('utf8'),
+            { prefix: file.prefix, source: file.name, equivalents }
+        ));
+        return res.json({
+            libraries: libraries.map(library => ({
+                prefix: library.prefix,
+                uri: library.uri,
+                source: library.source,
+                rules: library.tags.map(tag => ({
+                    tag: `${library.prefix}:${tag.name}`,
+                    rule: tag.rule,
+                    ...(tag.htmlTag ? { htmlTag: tag.htmlTag } : {}),
+                    ...(tag.componentUrl ? { componentUrl: tag.componentUrl } : {})
+                }))
+            })),
+            components: libraries.flatMap(buildComponentStubs)
+        });
+    } catch (error) {
+        console.error("导入标签库出错:", error);
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 重新生成某个标签库的占位组件
+router.get('/taglibs/:prefix/components', (req, res) => {
+    const library = taglibLibraries.get(req.params.prefix);
+    if (!library) {
+        return res.status(404).json({ error: '标签库不存在' });
+    }
+    return res.json({ components: buildComponentStubs(library) });
+});
+
+router.delete('/taglibs/:prefix', (req, res) => {
+    return res.json({ success: removeTaglibLibrary(req.params.prefix) });
+});
+
+// 资源文件（ApplicationResources*.properties）转换为 JSON 语言包。
+// files: [{ name, content }] 或 [{ name, contentBase64 }]（按 UTF-8 / ISO-8859-1 自动解码）
+router.post('/i18n/locales', (req, res) => {
+    const { files, library, defaultLocale } = req.body;
+    const valid = Array.isArray(files) && files.length > 0 && files.every(file =>
+        file && typeof file.name === 'string' && (typeof file.content === 'string' || typeof file.contentBase64 === 'string'));
+    if (!valid) {
+        return res.status(400).json({ error: 'files 必须是 { name, content } 或 { name, contentBase64 } 组成的非空数组' });
+    }
+    try {
+        const config = readI18nConfigFromEnv();
+        const resolvedLibrary = library || config.library;
+        const result = buildLocaleMessages(files.map(file => ({
+            name: file.name,
+            content: typeof file.content === 'string' ? file.content : decodePropertiesBuffer(Buffer.from(file.contentBase64, 'base64'))
+        })), { library: resolvedLibrary, defaultLocale: defaultLocale || config.defaultLocale });
+        return res.json({ library: resolvedLibrary, ...result });
+    } catch (error) {
+        console.error("转换资源文件出错:", error);
+        return res.status(400).json({ error: error.message });
+    }
+});
+
 // 会话管理
+router.get('/sessions', (req, res) => {
+    return res.json({ sessions: listSessions() });
+});
+
 router.get('/sessions/:sessionId', (req, res) => {
     const { sessionId } = req.params;
     const session = getSession(sessionId);
@@ -0,0 +1,166 @@
+/**
+ * Struts bean 标签的本地转换 (Bean Tag Converter)
+ * --------------------------------
+ * 与 jstl.js 相同，本地解析器先把 <bean:*> 解析为普通元素节点，再由 convertBeanNodes 改写：
+ *
+ * - <bean:write>   -> #expression（language: "el"），bean 字段记录 name/property/scope，
+ *                     filter="false" 记为 escapeXml: false，format/formatKey 原样保留
+ * - <bean:message> -> #message（key、args、bundle）
+ * - <bean:define>  -> VariableBinding（id 绑定到 name.property、value 或标签体）
+ * - <bean:size>    -> VariableBinding（id 绑定到 ${fn:length(集合)}）
+ */
+
+import { contentOf } from './parser.js';
+
+// 本模块能够处理的标签（小写）
+const BEAN_TAGS = new Set(['bean:write', 'bean:message', 'bean:define', 'bean:size']);
+
+// bean:message 的 arg0 ~ arg4
+const MESSAGE_ARG_COUNT = 5;
+
+/**
+ * 判断标签是否为可本地转换的 Struts bean 标签。
+ * @param {string} tagName - 标签名（大小写不敏感）。
+ * @returns {boolean}
+ */
+export function isBeanTag(tagName) {
+    return BEAN_TAGS.has(String(tagName).toLowerCase());
+}
+
+/**
+ * name + property 组成的 EL 表达式：name="user" property="address.city" -> ${user.address.city}
+ */
+function beanExpression(name, property) {
+    const path = [name, property].filter(Boolean).join('.');
+    return path ? `\${${path}}` : '';
+}
+
+/**
+ * 属性值中内联的 <bean:write name="..." property="..."/>（例如 value="<bean:write name='user' property='name'/>"）
+ * 不会被解析为标签，这里替换为等价的 EL 表达式。
+ */
+function inlineAttributeTags(attributes) {
+    if (!attributes || typeof attributes !== 'object') return;
+    for (const [name, value] of Object.entries(attributes)) {
+        if (typeof value !== 'string' || !/<bean:write\b/i.test(value)) continue;
+        attributes[name] = value.replace(/<bean:write\b([^>]*?)\/?>/gi, (match, attributeText) => {
+            const attrs = {};
+            for (const m of attributeText.matchAll(/([\w-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+                attrs[m[1]] = m[3];
+            }
+            return beanExpression(attrs.name, attrs.property) || match;
+        });
+    }
+}
+
+/**
+ * 转换单个 bean 节点（其子节点已转换完毕），返回替换后的节点数组。
+ */
+function convertNode(node, warnings) {
+    const tag = String(node.tagName).toLowerCase();
+    const attributes = node.attributes || {};
+
+    switch (tag) {
+        case 'bean:write': {
+            if (!attributes.name) {
+                warnings.push('<bean:write> 缺少 name 属性，已忽略');
+                return [];
+            }
+            const bean = { name: attributes.name };
+            if (attributes.property) bean.property = attributes.property;
+            if (attributes.scope) bean.scope = attributes.scope;
+            const expression = {
+                tagName: '#expression',
+                expression: beanExpression(attributes.name, attributes.property),
+                language: 'el',
+                bean,
+                attributes: {},
+                children: [],
+                isComponent: false
+            };
+            // filter 默认为 true（HTML 转义），与 c:out 的 escapeXml 含义相同
+            if (String(attributes.filter).toLowerCase() === 'false') expression.escapeXml = false;
+            if (attributes.format) expression.format = attributes.format;
+            if (attributes.formatKey) expression.formatKey = attributes.formatKey;
+            return [expression];
+        }
+
+        case 'bean:message': {
+            const key = attributes.key || (attributes.name ? beanExpression(attributes.name, attributes.property) : '');
+            if (!key) {
+                warnings.push('<bean:message> 缺少 key 属性，已忽略');
+                return [];
+            }
+            const message = { tagName: '#message', key, attributes: {}, children: [], isComponent: false };
+            const args = [];
+            for (let i = 0; i < MESSAGE_ARG_COUNT; i++) {
+                if (attributes[`arg${i}`] !== undefined) args[i] = attributes[`arg${i}`];
+            }
+            if (args.length > 0) message.args = Array.from(args, arg => arg ?? '');
+            if (attributes.bundle) message.bundle = attributes.bundle;
+            return [message];
+        }
+
+        case 'bean:define': {
+            if (!attributes.id) {
+                warnings.push('<bean:define> 缺少 id 属性，已忽略');
+                return [];
+            }
+            const binding = { tagName: 'VariableBinding', name: attributes.id, attributes: {}, children: [], isComponent: false };
+            if (attributes.value !== undefined) {
+                binding.value = attributes.value;
+            } else if (attributes.name) {
+                binding.value = beanExpression(attributes.name, attributes.property);
+            } else {
+                binding.children = contentOf(node);
+            }
+            if (attributes.toScope) binding.scope = attributes.toScope;
+            return [binding];
+        }
+
+        case 'bean:size': {
+            if (!attributes.id || !attributes.name) {
+                warnings.push('<bean:size> 缺少 id 或 name 属性，已忽略');
+                return [];
+            }
+            const path = [attributes.name, attributes.property].filter(Boolean).join('.');
+            return [{
+                tagName: 'VariableBinding',
+                name: attributes.id,
+                value: `\${fn:length(${path})}`,
+                attributes: {},
+                children: [],
+                isComponent: false
+            }];
+        }
+
+        default:
+            return [node];
+    }
+}
+
+/**
+ * 递归改写节点数组中的 Struts bean 标签（自底向上）。
+ * @param {Array<object>} elements - 本地解析器产出的节点数组。
+ * @param {string[]} [warnings] - 收集无法转换的情况。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertBeanNodes(elements, warnings = []) {
+    const result = [];
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') {
+            result.push(node);
+            continue;
+        }
+        inlineAttributeTags(node.attributes);
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertBeanNodes(node.children, warnings);
+        }
+        if (isBeanTag(node.tagName)) {
+            result.push(...convertNode(node, warnings));
+        } else {
+            result.push(node);
+        }
+    }
+    return result;
+}
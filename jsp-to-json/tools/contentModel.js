@@ -0,0 +1,409 @@
+/**
+ * HTML5 内容模型校验 (Content Model Validator)
+ * --------------------------------
+ * 旧 JSP 页面中常见浏览器能容忍、但 React 会在渲染或 hydration 时警告甚至报错的嵌套，
+ * 例如 <p><div>、<a><a>、<table><form><tr>、<ul> 之外的 <li>。
+ * 本模块按下面的规则表检查中间表示，能修复的就地修复，无法修复的记录下来：
+ *
+ * - PERMITTED_CHILDREN：父元素 -> 允许的子元素；不允许的子元素包裹到 wrap 指定的元素中
+ * - REQUIRED_PARENTS：子元素 -> 必须出现在其中的父元素；放在其他位置时包裹到 wrap 指定的元素链中
+ * - FORBIDDEN_DESCENDANTS：祖先元素 -> 不能出现在其内部的元素，以及修复方式
+ *
+ * 父元素按 HTML 元素计算：ConditionalBlock、LoopBlock 等控制节点是透明的，它们的子节点视为外层元素的子节点；
+ * 组件引用与未解析节点的渲染结果未知，其子节点从空的上下文重新开始检查。
+ */
+
+const TABLE_SECTIONS = ['thead', 'tbody', 'tfoot'];
+
+// 放在表格结构中的 <form> 不包裹，而是把整个表格移入表单（见 hoistFormAroundTable）
+const TABLE_FORM_PARENTS = new Set(['table', ...TABLE_SECTIONS, 'tr']);
+
+// 父元素 -> 允许的子元素。text 为 false 表示不允许文本；wrap 按子元素指定包裹的元素链，wrapOther 用于其余子元素
+const PERMITTED_CHILDREN = {
+    table: {
+        allowed: ['caption', 'colgroup', 'thead', 'tbody', 'tfoot', 'script', 'template'],
+        text: false,
+        wrap: { tr: ['tbody'], td: ['tbody', 'tr'], th: ['tbody', 'tr'], col: ['colgroup'] }
+    },
+    thead: { allowed: ['tr', 'script', 'template'], text: false, wrap: { td: ['tr'], th: ['tr'] } },
+    tbody: { allowed: ['tr', 'script', 'template'], text: false, wrap: { td: ['tr'], th: ['tr'] } },
+    tfoot: { allowed: ['tr', 'script', 'template'], text: false, wrap: { td: ['tr'], th: ['tr'] } },
+    // 与原有的表格结构处理一致：<tr> 中的其他内容（隐藏域等）放入隐藏的 <td>
+    tr: { allowed: ['td', 'th', 'script', 'template'], text: false, wrapOther: [{ tagName: 'td', attributes: { style: { display: 'none' } } }] },
+    colgroup: { allowed: ['col', 'template'], text: false },
+    ul: { allowed: ['li', 'script', 'template'], text: false, wrapOther: ['li'] },
+    ol: { allowed: ['li', 'script', 'template'], text: false, wrapOther: ['li'] },
+    menu: { allowed: ['li', 'script', 'template'], text: false, wrapOther: ['li'] },
+    dl: { allowed: ['dt', 'dd', 'div', 'script', 'template'], text: false },
+    select: { allowed: ['option', 'optgroup', 'hr', 'script', 'template'], text: false },
+    optgroup: { allowed: ['option', 'script', 'template'], text: false }
+};
+
+// 直接放在表格或表格分组中的隐藏域（<table><input type="hidden">）放入隐藏的行与单元格，与 <tr> 中的处理一致
+const HIDDEN_ROW = { tagName: 'tr', attributes: { style: { display: 'none' } } };
+const HIDDEN_FIELD_WRAP = {
+    table: ['tbody', HIDDEN_ROW, 'td'],
+    thead: [HIDDEN_ROW, 'td'],
+    tbody: [HIDDEN_ROW, 'td'],
+    tfoot: [HIDDEN_ROW, 'td']
+};
+
+function isHiddenField(tag, node) {
+    return tag === 'input' && String(node.attributes?.type || '').toLowerCase() === 'hidden';
+}
+
+// 这些父元素中的空白文本直接删除（React 会对 <table>、<tr> 等元素中的空白文本报警）
+const WHITESPACE_SENSITIVE = new Set(['table', ...TABLE_SECTIONS, 'tr', 'colgroup', 'select', 'optgroup']);
+
+// 子元素 -> 必须出现在其中的父元素（根节点的父元素记为 null）
+const REQUIRED_PARENTS = {
+    li: { parents: ['ul', 'ol', 'menu'], wrap: ['ul'] },
+    tr: { parents: ['table', ...TABLE_SECTIONS], wrap: ['table', 'tbody'] },
+    td: { parents: ['tr'], wrap: ['table', 'tbody', 'tr'] },
+    th: { parents: ['tr'], wrap: ['table', 'tbody', 'tr'] },
+    thead: { parents: ['table'], wrap: ['table'] },
+    tbody: { parents: ['table'], wrap: ['table'] },
+    tfoot: { parents: ['table'], wrap: ['table'] },
+    caption: { parents: ['table'], wrap: ['table'] },
+    colgroup: { parents: ['table'], wrap: ['table'] },
+    col: { parents: ['colgroup'], wrap: ['table', 'colgroup'] },
+    option: { parents: ['select', 'datalist', 'optgroup'] },
+    optgroup: { parents: ['select'] },
+    dt: { parents: ['dl', 'div'] },
+    dd: { parents: ['dl', 'div'] },
+    legend: { parents: ['fieldset'] },
+    figcaption: { parents: ['figure'] },
+    summary: { parents: ['details'] }
+};
+
+// 会使浏览器提前结束 <p> 的元素
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl', 'dd', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'li', 'listing', 'main', 'menu', 'nav', 'ol', 'p', 'plaintext', 'pre', 'section', 'summary', 'table', 'ul', 'xmp'
+]);
+
+// 查找外层 <p> 时不跨越的元素（HTML 解析器的 button scope 边界）
+const P_SCOPE_BOUNDARIES = new Set(['applet', 'button', 'caption', 'html', 'marquee', 'object', 'table', 'td', 'template', 'th']);
+
+function isInteractive(tag, node) {
+    if (tag === 'input') return String(node.attributes?.type || '').toLowerCase() !== 'hidden';
+    return ['a', 'button', 'details', 'embed', 'iframe', 'label', 'select', 'textarea'].includes(tag);
+}
+
+// 祖先元素 -> 不能出现在其内部的元素。fix: "span" 把该元素改为 <span>（只适用于 renamable 中的元素），"unwrap" 去掉该元素保留其内容，
+// "ancestorDiv" 把祖先元素改为 <div>；boundaries 为向上查找祖先时不跨越的元素
+const FORBIDDEN_DESCENDANTS = [
+    { rule: 'nested-form', ancestor: 'form', matches: (tag) => tag === 'form', fix: 'unwrap' },
+    { rule: 'nested-interactive', ancestor: 'a', matches: isInteractive, fix: 'span', renamable: ['a', 'button'] },
+    { rule: 'nested-interactive', ancestor: 'button', matches: isInteractive, fix: 'span', renamable: ['a', 'button'] },
+    { rule: 'block-in-p', ancestor: 'p', matches: (tag) => BLOCK_ELEMENTS.has(tag), fix: 'ancestorDiv', boundaries: P_SCOPE_BOUNDARIES }
+];
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// 改为 <span> 时去掉的属性
+const INTERACTIVE_ATTRIBUTES = ['href', 'target', 'type', 'disabled', 'form', 'formaction', 'name', 'value', 'download', 'rel'];
+
+// 透明的控制节点：子节点视为外层元素的子节点
+const TRANSPARENT_NODES = new Set(['ConditionalBlock', 'ElseBlock', 'ChooseBlock', 'LoopBlock', 'TodoBlock']);
+
+// 渲染为文本的节点
+const TEXT_NODES = new Set(['#text', '#expression', '#message', '#format']);
+
+// 渲染为 HTML 元素的 IR 节点 -> 元素名
+const ELEMENT_NODES = { FormBlock: 'form' };
+
+// 父元素未知（组件引用内部）
+const UNKNOWN_PARENT = undefined;
+
+function kindOf(node) {
+    if (!node || typeof node !== 'object' || typeof node.tagName !== 'string') return 'none';
+    if (node.isComponent || node.unresolved || node.tagName.includes(':')) return 'opaque';
+    if (TEXT_NODES.has(node.tagName)) return 'text';
+    if (TRANSPARENT_NODES.has(node.tagName)) return 'transparent';
+    if (Object.hasOwn(ELEMENT_NODES, node.tagName)) return 'element';
+    // 其余 IR 节点（VariableBinding、SlotOutlet、UrlValue 等）不产生 HTML 元素
+    if (node.tagName.startsWith('#') || /^[A-Z]/.test(node.tagName)) return 'none';
+    return 'element';
+}
+
+function tagOf(node) {
+    return ELEMENT_NODES[node.tagName] || node.tagName.toLowerCase();
+}
+
+function isWhitespaceText(node) {
+    return node.tagName === '#text' && !String(node.text || '').trim();
+}
+
+function describeParent(parent) {
+    return parent ? `<${parent}> 中` : '页面根部';
+}
+
+function pathOf(frames, tag) {
+    return [...frames.map(frame => frame.tag), tag].join(' > ');
+}
+
+// 去掉的表单的 action（FormBlock 的 action 在节点上，普通 <form> 的在 attributes 中）
+function droppedAction(node) {
+    const action = node.action ?? node.attributes?.action;
+    return action ? `（丢弃 action="${action}"）` : '';
+}
+
+function record(report, entry) {
+    report.push(entry);
+    if (entry.action === 'fixed') {
+        console.log(`修复: ${entry.message}（${entry.path}）`);
+    } else {
+        console.warn(`无法修复的嵌套: ${entry.message}（${entry.path}）`);
+    }
+}
+
+/**
+ * 子节点放在 parent 中时需要的包裹元素链。
+ * @returns {{chain: Array<string|object>}|{unfixable: string}|null}
+ */
+function wrapperFor(node, parent) {
+    if (parent === UNKNOWN_PARENT) return null;
+    const kind = kindOf(node);
+    const permitted = parent ? PERMITTED_CHILDREN[parent] : null;
+
+    if (kind === 'text') {
+        if (isWhitespaceText(node) || !permitted || permitted.text !== false) return null;
+        return permitted.wrapOther ? { chain: permitted.wrapOther } : { unfixable: `${describeParent(parent)}不能直接出现文本` };
+    }
+    if (kind === 'transparent') {
+        // 控制节点的内容全部需要同一种包裹时，包裹整个控制节点（例如 <table> 中循环输出的 <tr> 包裹到同一个 <tbody>）
+        const decisions = effectiveChildren(node).map(child => wrapperFor(child, parent));
+        if (decisions.length === 0 || decisions.some(decision => !decision || decision.unfixable)) return null;
+        const key = JSON.stringify(decisions[0].chain);
+        return decisions.every(decision => JSON.stringify(decision.chain) === key) ? decisions[0] : null;
+    }
+    if (kind !== 'element') return null;
+
+    const tag = tagOf(node);
+    if (tag === 'form' && TABLE_FORM_PARENTS.has(parent)) return null;
+    if (isHiddenField(tag, node) && HIDDEN_FIELD_WRAP[parent]) return { chain: HIDDEN_FIELD_WRAP[parent] };
+    if (permitted && !permitted.allowed.includes(tag)) {
+        const chain = permitted.wrap?.[tag] || permitted.wrapOther;
+        return chain ? { chain } : { unfixable: `<${tag}> 不能直接放在 ${describeParent(parent)}` };
+    }
+    const required = REQUIRED_PARENTS[tag];
+    if (required && !required.parents.includes(parent)) {
+        return required.wrap
+            ? { chain: required.wrap }
+            : { unfixable: `<${tag}> 必须位于 ${required.parents.map(name => `<${name}>`).join('、')} 中，不能放在 ${describeParent(parent)}` };
+    }
+    return null;
+}
+
+/**
+ * 控制节点渲染出的子节点（展开嵌套的控制节点，忽略空白文本与不产生内容的节点）。
+ */
+function effectiveChildren(node) {
+    const result = [];
+    for (const child of node.children || []) {
+        const kind = kindOf(child);
+        if (kind === 'transparent') {
+            result.push(...effectiveChildren(child));
+        } else if (kind !== 'none' && !(kind === 'text' && isWhitespaceText(child))) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function buildWrapper(chain, content) {
+    return chain.reduceRight((inner, spec) => {
+        const { tagName, attributes = {} } = typeof spec === 'string' ? { tagName: spec } : spec;
+        return { tagName, attributes: structuredClone(attributes), children: Array.isArray(inner) ? inner : [inner] };
+    }, content);
+}
+
+function describeChain(chain) {
+    return chain.map(spec => `<${typeof spec === 'string' ? spec : spec.tagName}>`).join('');
+}
+
+/**
+ * 把需要同一种包裹的相邻子节点（中间的空白文本一并）包裹到一个元素链中。
+ */
+function wrapRuns(children, parent, frames, report) {
+    const decisions = children.map(child => wrapperFor(child, parent));
+    const result = [];
+    for (let i = 0; i < children.length; i++) {
+        const decision = decisions[i];
+        if (!decision) {
+            result.push(children[i]);
+            continue;
+        }
+        const child = children[i];
+        const childName = kindOf(child) === 'element' ? tagOf(child) : child.tagName;
+        const description = kindOf(child) === 'element' ? `<${childName}>` : kindOf(child) === 'text' ? '文本' : childName;
+        if (decision.unfixable) {
+            record(report, { rule: 'permitted-children', action: 'unfixable', path: pathOf(frames, childName), message: decision.unfixable });
+            result.push(child);
+            continue;
+        }
+        const key = JSON.stringify(decision.chain);
+        let end = i;
+        for (let j = i + 1; j < children.length; j++) {
+            if (decisions[j] && JSON.stringify(decisions[j].chain) === key) {
+                end = j;
+            } else if (!(kindOf(children[j]) === 'text' && isWhitespaceText(children[j]))) {
+                break;
+            }
+        }
+        const run = children.slice(i, end + 1);
+        result.push(buildWrapper(decision.chain, run));
+        record(report, {
+            rule: 'permitted-children',
+            action: 'fixed',
+            path: pathOf(frames, childName),
+            message: `${description} 不能直接放在 ${describeParent(parent)}，已包裹 ${describeChain(decision.chain)}`
+        });
+        i = end;
+    }
+    children.splice(0, children.length, ...result);
+}
+
+/**
+ * 把放在表格结构中的 <form> 改为包裹整个表格，表单的内容留在原处。
+ * 同一个表格中的多个表单合并为第一个表单。
+ */
+function hoistFormAroundTable(node, container, index, frames, report) {
+    const tableFrame = [...frames].reverse().find(frame => frame.tag === 'table');
+    const path = pathOf(frames, 'form');
+    if (!tableFrame) {
+        record(report, { rule: 'form-in-table', action: 'unfixable', path, message: '<form> 位于表格结构中，但找不到外层 <table>' });
+        return false;
+    }
+    if (tableFrame.hoistedForm) {
+        record(report, {
+            rule: 'form-in-table',
+            action: 'fixed',
+            path,
+            message: `同一个 <table> 中有多个 <form>，已合并到第一个表单${droppedAction(node)}`
+        });
+    } else {
+        const { children, ...form } = node;
+        const wrapper = { ...form, children: [tableFrame.node] };
+        tableFrame.container[tableFrame.container.indexOf(tableFrame.node)] = wrapper;
+        tableFrame.hoistedForm = wrapper;
+        record(report, { rule: 'form-in-table', action: 'fixed', path, message: '<form> 不能放在表格结构中，已改为包裹整个 <table>' });
+    }
+    container.splice(index, 1, ...(node.children || []));
+    return true;
+}
+
+/**
+ * 检查祖先元素规则；返回 true 表示节点已被移除（内容已展开到原位置）。
+ */
+function applyForbiddenDescendants(node, container, index, frames, report) {
+    const tag = tagOf(node);
+    for (const rule of FORBIDDEN_DESCENDANTS) {
+        if (!rule.matches(tag, node)) continue;
+        let ancestor = null;
+        for (let i = frames.length - 1; i >= 0; i--) {
+            if (frames[i].tag === rule.ancestor) {
+                ancestor = frames[i];
+                break;
+            }
+            if (rule.boundaries?.has(frames[i].tag)) break;
+        }
+        if (!ancestor) continue;
+
+        const path = pathOf(frames, tag);
+        if (rule.fix === 'unwrap') {
+            container.splice(index, 1, ...(node.children || []));
+            record(report, {
+                rule: rule.rule,
+                action: 'fixed',
+                path,
+                message: `<${tag}> 不能嵌套在 <${rule.ancestor}> 中，已去掉内层的 <${tag}>${droppedAction(node)}`
+            });
+            return true;
+        }
+        if (rule.fix === 'ancestorDiv') {
+            ancestor.node.tagName = 'div';
+            ancestor.tag = 'div';
+            record(report, { rule: rule.rule, action: 'fixed', path, message: `<p> 中不能包含 <${tag}>，已把 <p> 改为 <div>` });
+            continue;
+        }
+        if (rule.fix === 'span' && rule.renamable.includes(tag)) {
+            node.tagName = 'span';
+            INTERACTIVE_ATTRIBUTES.forEach(name => delete node.attributes?.[name]);
+            record(report, { rule: rule.rule, action: 'fixed', path, message: `<${tag}> 不能嵌套在 <${rule.ancestor}> 中，已改为 <span>` });
+            return false;
+        }
+        record(report, { rule: rule.rule, action: 'unfixable', path, message: `<${tag}> 不能嵌套在 <${rule.ancestor}> 中` });
+    }
+    return false;
+}
+
+/**
+ * 删除不允许的空白文本，并包裹放错位置的子节点。
+ */
+function normalizeChildren(children, parent, frames, report) {
+    if (WHITESPACE_SENSITIVE.has(parent)) {
+        const kept = children.filter(child => !(kindOf(child) === 'text' && isWhitespaceText(child)));
+        children.splice(0, children.length, ...kept);
+    }
+    wrapRuns(children, parent, frames, report);
+}
+
+function processChildren(children, parent, frames, report) {
+    if (!Array.isArray(children)) return;
+    normalizeChildren(children, parent, frames, report);
+
+    for (let i = 0; i < children.length; i++) {
+        const node = children[i];
+        const kind = kindOf(node);
+        if (kind === 'transparent') {
+            processChildren(node.children, parent, frames, report);
+        } else if (kind === 'opaque') {
+            processChildren(node.children, UNKNOWN_PARENT, [], report);
+        } else if (kind === 'element') {
+            // 元素被移除时，展开到原位置的内容需要重新检查
+            if (processElement(node, children, i, parent, frames, report)) {
+                normalizeChildren(children, parent, frames, report);
+                i--;
+            }
+        }
+    }
+}
+
+/**
+ * 检查并修复一个元素；返回 true 表示元素已被移除、其内容展开到了原位置，需要从同一位置重新检查。
+ */
+function processElement(node, container, index, parent, frames, report) {
+    const tag = tagOf(node);
+    if (tag === 'form' && !frames.some(frame => frame.tag === 'form') && TABLE_FORM_PARENTS.has(parent)) {
+        if (hoistFormAroundTable(node, container, index, frames, report)) return true;
+    }
+    if (applyForbiddenDescendants(node, container, index, frames, report)) return true;
+
+    const currentTag = tagOf(node);
+    if (VOID_ELEMENTS.has(currentTag) && Array.isArray(node.children) && node.children.some(child => !(kindOf(child) === 'text' && isWhitespaceText(child)))) {
+        container.splice(index + 1, 0, ...node.children);
+        node.children = [];
+        record(report, { rule: 'void-children', action: 'fixed', path: pathOf(frames, currentTag), message: `<${currentTag}> 不能有子节点，已移到其后` });
+    }
+
+    frames.push({ node, container, tag: currentTag });
+    processChildren(node.children, currentTag, frames, report);
+    frames.pop();
+    return false;
+}
+
+/**
+ * 按 HTML5 内容模型检查并修复中间表示（原地修改）。
+ * @param {Array<object>} elements - 中间表示的 elements。
+ * @returns {Array<{rule: string, action: "fixed"|"unfixable", path: string, message: string}>}
+ *   检查报告：rule 为规则名（permitted-children、form-in-table、nested-form、nested-interactive、block-in-p、void-children），
+ *   path 为从根到问题节点的元素路径（例如 "div > table > form"）。
+ */
+export function validateContentModel(elements) {
+    const report = [];
+    processChildren(elements, null, [], report);
+    return report;
+}
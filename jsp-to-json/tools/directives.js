@@ -0,0 +1,214 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { tokenizeJsp } from './parser.js';
+
+/**
+ * JSP 指令预处理 (Directive Preprocessor)
+ * --------------------------------
+ * 在 LLM 转换与本地解析之前处理页面中的指令（两种模式相同）：
+ * - <%@ include file="..." %>：静态包含，按 web 根目录读取被包含的文件并原样内联（递归处理）
+ * - <%@ taglib prefix="..." uri="..." %>：已知 uri 的自定义前缀改写为注册表中的标准前缀，
+ *   例如 prefix="bean2" uri="http://struts.apache.org/tags-bean" 时 <bean2:write> -> <bean:write>；
+ *   通过 TLD 导入的标签库按其 uri 改写为导入时的前缀
+ * - <%@ page ... %>：import、contentType、errorPage 等属性记录为中间表示的 meta.page
+ */
+
+// 静态包含的最大嵌套深度
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * 标签库 uri -> 注册表中的标准前缀（promptRegistry / 本地转换器使用的前缀）。
+ * 同时匹配 web.xml 中常见的 TLD 路径写法（/WEB-INF/struts-bean.tld、/tags/struts-bean 等）。
+ */
+const TAGLIB_URI_PREFIXES = [
+    { pattern: /^(http:\/\/java\.sun\.com\/(jsp\/)?jstl|http:\/\/xmlns\.jcp\.org\/jsp\/jstl)\/core(_rt)?$|^jakarta\.tags\.core$|\/c(-rt)?\.tld$/, prefix: 'c' },
+    { pattern: /^(http:\/\/java\.sun\.com\/(jsp\/)?jstl|http:\/\/xmlns\.jcp\.org\/jsp\/jstl)\/fmt(_rt)?$|^jakarta\.tags\.fmt$|\/fmt(-rt)?\.tld$/, prefix: 'fmt' },
+    { pattern: /^(http:\/\/java\.sun\.com\/jsp\/jstl|http:\/\/xmlns\.jcp\.org\/jsp\/jstl)\/functions$|^jakarta\.tags\.functions$|\/fn\.tld$/, prefix: 'fn' },
+    { pattern: /^http:\/\/(struts\.apache\.org|jakarta\.apache\.org\/struts)\/tags-bean(-el)?$|struts-bean(-el)?(\.tld)?$/, prefix: 'bean' },
+    { pattern: /^http:\/\/(struts\.apache\.org|jakarta\.apache\.org\/struts)\/tags-html(-el)?$|struts-html(-el)?(\.tld)?$/, prefix: 'html' },
+    { pattern: /^http:\/\/(struts\.apache\.org|jakarta\.apache\.org\/struts)\/tags-logic(-el)?$|struts-logic(-el)?(\.tld)?$/, prefix: 'logic' },
+    { pattern: /^http:\/\/(struts\.apache\.org|jakarta\.apache\.org\/struts)\/tags-tiles(-el)?$|struts-tiles(-el)?(\.tld)?$/, prefix: 'tiles' },
+    // Struts 2
+    { pattern: /^\/struts-tags$/, prefix: 's' }
+];
+
+/**
+ * 根据 uri 查找标签库在注册表中的标准前缀。
+ * @param {string} uri - taglib 指令的 uri。
+ * @param {Record<string, string>} [customPrefixes] - 通过 TLD 导入的标签库：uri -> 前缀，优先于内置的对应关系。
+ * @returns {string|null}
+ */
+export function resolveTaglibPrefix(uri, customPrefixes = {}) {
+    const normalized = String(uri || '').trim();
+    if (Object.hasOwn(customPrefixes, normalized)) return customPrefixes[normalized];
+    const entry = TAGLIB_URI_PREFIXES.find(({ pattern }) => pattern.test(normalized));
+    return entry ? entry.prefix : null;
+}
+
+/**
+ * 读取环境变量 JSP_WEB_ROOT：静态包含以 / 开头的路径相对于该目录解析。
+ * @returns {string|null}
+ */
+export function readWebRootFromEnv() {
+    return process.env.JSP_WEB_ROOT ? path.resolve(process.env.JSP_WEB_ROOT) : null;
+}
+
+function isIncludeDirective(token) {
+    return token.type === 'directive' && token.name === 'include';
+}
+
+/**
+ * 把页面路径（以 / 开头、相对于 web 根目录）换算为文件路径；超出 web 根目录时返回 null。
+ */
+function resolveWebPath(webRoot, webPath) {
+    const filePath = path.resolve(webRoot, `.${path.posix.normalize(webPath)}`);
+    const relative = path.relative(webRoot, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : filePath;
+}
+
+/**
+ * 递归内联 <%@ include file="..." %> 静态包含。
+ * 以 / 开头的路径相对于 web 根目录，其余路径相对于当前文件所在目录（与 JSP 规范一致）。
+ * 无法读取的包含保留原指令并记录警告。
+ * @param {string} source - JSP 源码。
+ * @param {object} options
+ * @param {string|null} options.webRoot - web 根目录。
+ * @param {string} [options.pagePath="/index.jsp"] - 当前页面相对于 web 根目录的路径，用于解析相对路径。
+ * @param {string[]} [options.warnings] - 收集无法内联的包含。
+ * @returns {Promise<{source: string, includes: Array<{file: string, path: string, inlined: boolean}>}>}
+ */
+export async function inlineStaticIncludes(source, { webRoot, pagePath = '/index.jsp', warnings = [] }) {
+    const includes = [];
+
+    async function inline(text, currentPath, stack) {
+        const tokens = tokenizeJsp(text).filter(isIncludeDirective);
+        let result = '';
+        let lastIndex = 0;
+        for (const token of tokens) {
+            result += text.slice(lastIndex, token.start);
+            lastIndex = token.end;
+            const directive = text.slice(token.start, token.end);
+            const file = String(token.attributes.file || '').trim();
+            const webPath = file.startsWith('/') ? file : path.posix.join(path.posix.dirname(currentPath), file);
+            const record = { file, path: webPath, inlined: false };
+            includes.push(record);
+
+            let reason = null;
+            const filePath = webRoot && file ? resolveWebPath(webRoot, webPath) : null;
+            if (!file) {
+                reason = '缺少 file 属性';
+            } else if (!webRoot) {
+                reason = '未配置 web 根目录（环境变量 JSP_WEB_ROOT）';
+            } else if (!filePath) {
+                reason = '路径超出了 web 根目录';
+            } else if (stack.includes(webPath)) {
+                reason = `检测到包含环 ${[...stack, webPath].join(' -> ')}`;
+            } else if (stack.length > MAX_INCLUDE_DEPTH) {
+                reason = `嵌套超过 ${MAX_INCLUDE_DEPTH} 层`;
+            }
+
+            let content = null;
+            if (!reason) {
+                try {
+                    content = await fs.readFile(filePath, 'utf8');
+                } catch (error) {
+                    reason = error.code === 'ENOENT' ? '文件不存在' : `读取文件失败: ${error.message}`;
+                }
+            }
+            if (reason) {
+                warnings.push(`静态包含 ${file || directive} 未内联（${reason}）`);
+                result += directive;
+                continue;
+            }
+            record.inlined = true;
+            result += await inline(content, webPath, [...stack, webPath]);
+        }
+        return result + text.slice(lastIndex);
+    }
+
+    const inlined = await inline(source, pagePath, [pagePath]);
+    return { source: inlined, includes };
+}
+
+/**
+ * 收集页面中的 page 与 taglib 指令。
+ * @param {string} source - JSP 源码（静态包含已内联）。
+ * @returns {{page: object, taglibs: Array<{prefix: string, uri?: string, tagdir?: string}>}}
+ */
+export function collectDirectives(source) {
+    const page = {};
+    const taglibs = [];
+    for (const token of tokenizeJsp(source)) {
+        if (token.type !== 'directive') continue;
+        if (token.name === 'page') {
+            for (const [name, value] of Object.entries(token.attributes)) {
+                if (name === 'import') {
+                    // 多个 page 指令中的 import 累加，其余属性以最后一次出现为准
+                    const imports = value.split(',').map(item => item.trim()).filter(Boolean);
+                    page.imports = [...new Set([...(page.imports || []), ...imports])];
+                } else {
+                    page[name] = value;
+                }
+            }
+        } else if (token.name === 'taglib' && token.attributes.prefix) {
+            const { prefix, uri, tagdir } = token.attributes;
+            taglibs.push({ prefix, ...(uri ? { uri } : {}), ...(tagdir ? { tagdir } : {}) });
+        }
+    }
+    return { page, taglibs };
+}
+
+/**
+ * 把已知 uri 的自定义前缀改写为注册表中的标准前缀：标签名（<p:x>、</p:x>）与 EL 函数（${p:length(x)}）。
+ * 标准前缀已被页面用于其他标签库时不改写。
+ * @param {string} source - JSP 源码。
+ * @param {Array<object>} taglibs - collectDirectives 的结果，命中的条目会补充 canonicalPrefix。
+ * @param {string[]} [warnings]
+ * @param {Record<string, string>} [customPrefixes] - 通过 TLD 导入的标签库：uri -> 前缀。
+ * @returns {string}
+ */
+export function remapTaglibPrefixes(source, taglibs, warnings = [], customPrefixes = {}) {
+    const declared = new Map(taglibs.map(taglib => [taglib.prefix, taglib]));
+    const mapping = new Map();
+    for (const taglib of taglibs) {
+        const canonicalPrefix = taglib.uri ? resolveTaglibPrefix(taglib.uri, customPrefixes) : null;
+        if (!canonicalPrefix) continue;
+        taglib.canonicalPrefix = canonicalPrefix;
+        if (canonicalPrefix === taglib.prefix) continue;
+        const occupant = declared.get(canonicalPrefix);
+        if (occupant && resolveTaglibPrefix(occupant.uri, customPrefixes) !== canonicalPrefix) {
+            warnings.push(`标签库前缀 ${taglib.prefix} 无法映射为 ${canonicalPrefix}：该前缀已被 ${occupant.uri || occupant.tagdir} 使用`);
+            delete taglib.canonicalPrefix;
+            continue;
+        }
+        mapping.set(taglib.prefix, canonicalPrefix);
+    }
+    if (mapping.size === 0) return source;
+
+    const prefixes = [...mapping.keys()].map(prefix => prefix.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')).join('|');
+    const tagRegex = new RegExp(`(<\\/?)(${prefixes}):(?=[A-Za-z])`, 'g');
+    const functionRegex = new RegExp(`(^|[^\\w.:])(${prefixes}):(?=[A-Za-z_]\\w*\\s*\\()`, 'g');
+    return source
+        .replace(tagRegex, (match, open, prefix) => `${open}${mapping.get(prefix)}:`)
+        .replace(/\$\{[^}]*\}/g, segment => segment.replace(functionRegex, (match, before, prefix) => `${before}${mapping.get(prefix)}:`));
+}
+
+/**
+ * 指令预处理：内联静态包含、改写标签库前缀并收集页面元数据。
+ * @param {string} source - JSP 源码。
+ * @param {object} [options]
+ * @param {string|null} [options.webRoot] - web 根目录，默认读取环境变量 JSP_WEB_ROOT。
+ * @param {string} [options.pagePath] - 当前页面相对于 web 根目录的路径（例如 "/admin/user.jsp"）。
+ * @param {Record<string, string>} [options.taglibUris] - 通过 TLD 导入的标签库：uri -> 前缀。
+ * @param {string[]} [options.warnings]
+ * @returns {Promise<{source: string, meta: {page: object, taglibs: Array<object>, includes: Array<object>}}>}
+ */
+export async function preprocessJspDirectives(source, { webRoot = readWebRootFromEnv(), pagePath, taglibUris = {}, warnings = [] } = {}) {
+    const localWarnings = [];
+    const inlined = await inlineStaticIncludes(source, { webRoot: webRoot ? path.resolve(webRoot) : null, pagePath, warnings: localWarnings });
+    const { page, taglibs } = collectDirectives(inlined.source);
+    const remapped = remapTaglibPrefixes(inlined.source, taglibs, localWarnings, taglibUris);
+    localWarnings.forEach(warning => console.warn(`JSP 指令处理警告: ${warning}`));
+    warnings.push(...localWarnings);
+    return { source: remapped, meta: { page, taglibs, includes: inlined.includes } };
+}
@@ -0,0 +1,180 @@
+/**
+ * JSTL fmt 标签的本地转换 (JSTL Fmt Converter)
+ * --------------------------------
+ * - <fmt:message key="..."> + <fmt:param>  -> #message（key、args、bundle），带 var 时包裹在 VariableBinding 中
+ * - <fmt:bundle basename prefix>           -> 展开子节点，其中的 #message 使用该 bundle，key 加上 prefix
+ * - <fmt:setBundle basename var>           -> 不产生节点，之后的 <fmt:message>（bundle="${var}" 或未指定）使用该 bundle
+ * - <fmt:formatDate>                       -> #format（kind: "date"）
+ * - <fmt:formatNumber>                     -> #format（kind: "number"）
+ * - <fmt:setLocale>                        -> 丢弃（语言由前端的 i18n 库决定）
+ */
+
+import { contentOf } from './parser.js';
+
+// 本模块能够处理的标签（小写）
+const FMT_TAGS = new Set([
+    'fmt:message', 'fmt:param', 'fmt:bundle', 'fmt:setbundle',
+    'fmt:formatdate', 'fmt:formatnumber', 'fmt:setlocale'
+]);
+
+// 原样复制到 #format 节点的 formatDate / formatNumber 属性
+const FORMAT_DATE_ATTRIBUTES = ['pattern', 'type', 'dateStyle', 'timeStyle', 'timeZone'];
+const FORMAT_NUMBER_ATTRIBUTES = [
+    'pattern', 'type', 'currencyCode', 'currencySymbol',
+    'maxIntegerDigits', 'minIntegerDigits', 'maxFractionDigits', 'minFractionDigits'
+];
+// 取值为枚举、JSTL 不区分大小写的属性
+const LOWERCASE_ATTRIBUTES = new Set(['type', 'dateStyle', 'timeStyle']);
+
+/**
+ * 判断标签是否为可本地转换的 JSTL fmt 标签。
+ * @param {string} tagName - 标签名（大小写不敏感）。
+ * @returns {boolean}
+ */
+export function isFmtTag(tagName) {
+    return FMT_TAGS.has(String(tagName).toLowerCase());
+}
+
+/**
+ * 标签体中的文本与 EL 表达式拼接为字符串（例如 <fmt:param>${user.name}</fmt:param>）。
+ */
+function bodyText(node) {
+    return contentOf(node).map(child => {
+        if (child.tagName === '#text') return child.text || '';
+        if (child.tagName === '#expression') return child.language === 'java' ? `<%= ${child.expression} %>` : child.expression;
+        return '';
+    }).join('').trim();
+}
+
+/**
+ * 带 var 属性时把结果包裹为 VariableBinding，否则原样返回。
+ */
+function bindIfVar(node, attributes) {
+    if (!attributes.var) return [node];
+    const binding = { tagName: 'VariableBinding', name: attributes.var, attributes: {}, children: [node], isComponent: false };
+    if (attributes.scope) binding.scope = attributes.scope;
+    return [binding];
+}
+
+/**
+ * 转换单个 fmt 节点（其子节点已转换完毕），返回替换后的节点数组。
+ * @param {object} bundles - { default, vars: Map<var, basename>, stack: Array<{basename, prefix}> }
+ */
+function convertNode(node, params, bundles, warnings) {
+    const tag = String(node.tagName).toLowerCase();
+    const attributes = node.attributes || {};
+
+    switch (tag) {
+        case 'fmt:message': {
+            const enclosing = bundles.stack[bundles.stack.length - 1];
+            const key = attributes.key ?? bodyText(node);
+            if (!key) {
+                warnings.push('<fmt:message> 缺少 key，已忽略');
+                return [];
+            }
+            const message = {
+                tagName: '#message',
+                key: enclosing?.prefix ? `${enclosing.prefix}${key}` : key,
+                attributes: {},
+                children: [],
+                isComponent: false
+            };
+            if (params.length > 0) message.args = params;
+
+            // bundle="${loc}" 引用 <fmt:setBundle var="loc">
+            const bundleVar = attributes.bundle?.match(/^\$\{\s*([\w$]+)\s*\}$/)?.[1];
+            const bundle = (bundleVar && bundles.vars.get(bundleVar)) || attributes.bundle || enclosing?.basename || bundles.default;
+            if (bundle) message.bundle = bundle;
+            return bindIfVar(message, attributes);
+        }
+
+        case 'fmt:param':
+            // 由外层 <fmt:message> 读取
+            return [];
+
+        case 'fmt:bundle':
+            return contentOf(node);
+
+        case 'fmt:setbundle':
+            if (!attributes.basename) return [];
+            if (attributes.var) {
+                bundles.vars.set(attributes.var, attributes.basename);
+            } else {
+                bundles.default = attributes.basename;
+            }
+            return [];
+
+        case 'fmt:setlocale':
+            warnings.push(`<fmt:setLocale value="${attributes.value || ''}"> 已忽略，语言由前端 i18n 库决定`);
+            return [];
+
+        case 'fmt:formatdate':
+        case 'fmt:formatnumber': {
+            const isDate = tag === 'fmt:formatdate';
+            const value = attributes.value ?? bodyText(node);
+            if (!value) {
+                warnings.push(`<${node.tagName}> 缺少 value，已忽略`);
+                return [];
+            }
+            const format = { tagName: '#format', kind: isDate ? 'date' : 'number', value, attributes: {}, children: [], isComponent: false };
+            for (const name of isDate ? FORMAT_DATE_ATTRIBUTES : FORMAT_NUMBER_ATTRIBUTES) {
+                if (attributes[name] === undefined || attributes[name] === '') continue;
+                format[name] = LOWERCASE_ATTRIBUTES.has(name) ? String(attributes[name]).toLowerCase() : attributes[name];
+            }
+            if (!isDate && attributes.groupingUsed !== undefined) {
+                format.groupingUsed = String(attributes.groupingUsed).toLowerCase() !== 'false';
+            }
+            return bindIfVar(format, attributes);
+        }
+
+        default:
+            return [node];
+    }
+}
+
+/**
+ * 收集 <fmt:message> 的 <fmt:param> 子节点（value 属性或标签体）。
+ */
+function collectParams(node) {
+    return contentOf(node)
+        .filter(child => String(child.tagName).toLowerCase() === 'fmt:param')
+        .map(child => child.attributes?.value ?? bodyText(child));
+}
+
+function convertChildren(elements, bundles, warnings) {
+    const result = [];
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') {
+            result.push(node);
+            continue;
+        }
+        const tag = String(node.tagName).toLowerCase();
+        const params = tag === 'fmt:message' ? collectParams(node) : [];
+
+        // <fmt:bundle> 需要在转换子节点之前生效
+        const isBundle = tag === 'fmt:bundle';
+        if (isBundle) {
+            bundles.stack.push({ basename: node.attributes?.basename, prefix: node.attributes?.prefix || '' });
+        }
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertChildren(node.children, bundles, warnings);
+        }
+        if (isFmtTag(tag)) {
+            result.push(...convertNode(node, params, bundles, warnings));
+        } else {
+            result.push(node);
+        }
+        if (isBundle) bundles.stack.pop();
+    }
+    return result;
+}
+
+/**
+ * 递归改写节点数组中的 JSTL fmt 标签。兄弟节点按文档顺序处理，因此 <fmt:setBundle> 对其后的消息生效。
+ * @param {Array<object>} elements - 本地解析器产出的节点数组。
+ * @param {string[]} [warnings] - 收集无法转换的情况。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertFmtNodes(elements, warnings = []) {
+    return convertChildren(elements, { default: null, vars: new Map(), stack: [] }, warnings);
+}
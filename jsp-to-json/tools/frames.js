@@ -0,0 +1,266 @@
+import { stripContextPath, splitUrl, isDynamic, isExternalUrl } from '../../utils/url.js';
+
+/**
+ * frame 的命名目标 (Frame Targets)
+ * --------------------------------
+ * frameset 规则把 <frame src="*.do"> 转换为 CSS Grid 中的 RouteOutlet，frame 已不存在；
+ * 其他页面中指向 frame 的导航在这里改写为对嵌套路由的导航：
+ *
+ * - RouteOutlet 的 attributes.name 为原 frame 的名称，页面中的路由出口记录为 meta.frames
+ * - <a target="main">（包括 html:link 的 target）：去掉 target，节点记录 frameTarget: "main"，生成器输出 <Link to>
+ * - 事件属性与 href="javascript:..." 中的 parent.frames['main'].location = '...'、top.main.location.href = '...'、
+ *   parent.frames.main.location.replace('...')、window.open('...', 'main') 以及 top.location = '...'：
+ *   从脚本中移除，节点记录 navigations: [{ event, frame, to, source, preventDefault }]，生成器输出 navigate(to)；
+ *   原脚本 return false 或所在链接本身不跳转（href="#"、"javascript:..."）时 preventDefault 为 true，处理函数先阻止默认行为
+ *
+ * 同一页面中的 <iframe name> 仍然是真实的 iframe，指向它的 target 保持原样。
+ * react-router 的布局只有一个 <Outlet/>：有多个路由出口时，被链接指向的出口（primary）渲染为 <Outlet/>，
+ * 单个页面内按本页的链接选择，批量转换时由 linkFrameTargets 按所有页面的链接重新选择。
+ */
+
+// 浏览器保留的 target；_top / _parent 在 frameset 中表示离开 frameset 打开页面，对应顶层路由
+const RESERVED_TARGETS = new Set(['_blank', '_self', '_top', '_parent']);
+
+// top / parent 上的 frame 导航：frame 按名称（.main、['main']）或下标（[1]）引用，省略时为 top / parent 本身
+const FRAME_NAVIGATION_PATTERN = /(?:window\.)?(?<scope>top|parent)(?:(?:\.frames)?(?:\.(?!location\b)(?<name>[A-Za-z_$][\w$]*)|\[\s*(?<nameQuote>['"])(?<quotedName>[^'"]+)\k<nameQuote>\s*\]|\[\s*(?<index>\d+)\s*\]))?\.location(?:\.href)?\s*(?:=\s*|\.(?:replace|assign)\(\s*)(?<quote>['"])(?<url>[^'"]*)\k<quote>\s*\)?\s*(?:;|(?=\s*(?:\}|$)))/g;
+const WINDOW_OPEN_PATTERN = /window\.open\(\s*(?<quote>['"])(?<url>[^'"]*)\k<quote>\s*,\s*(?<frameQuote>['"])(?<frame>[^'"]+)\k<frameQuote>[^)]*\)\s*(?:;|(?=\s*(?:\}|$)))/g;
+// 未能改写的 frame 导航（地址不是字符串字面量、按下标引用 frame 等）
+const REMAINING_NAVIGATION_PATTERN = /\b(?:top|parent)(?:\.frames|\.(?!location\b)[A-Za-z_$][\w$]*|\[[^\]]+\])*\.location\b/;
+
+/**
+ * 从脚本中提取 frame 导航。
+ * @param {string} code - 事件属性或 javascript: 地址中的脚本。
+ * @returns {{navigations: Array<{frame: string, url: string, source: string}>, rest: string, unresolved: boolean}}
+ *   rest 为移除导航语句后剩余的脚本；unresolved 表示还有无法改写的 frame 导航。
+ */
+function parseFrameNavigations(code) {
+    const found = [];
+    for (const match of String(code).matchAll(FRAME_NAVIGATION_PATTERN)) {
+        const { scope, name, quotedName, index, url } = match.groups;
+        if (index !== undefined) continue; // 按下标引用的 frame 无法确定名称
+        found.push({ offset: match.index, frame: name || quotedName || `_${scope}`, url, source: match[0].trim() });
+    }
+    for (const match of String(code).matchAll(WINDOW_OPEN_PATTERN)) {
+        const { url, frame } = match.groups;
+        if (frame === '_blank' || frame === '_self') continue;
+        found.push({ offset: match.index, frame, url, source: match[0].trim() });
+    }
+    found.sort((a, b) => a.offset - b.offset);
+
+    let rest = String(code);
+    for (const { source } of found) rest = rest.replace(source, '');
+    rest = rest.replace(/^\s*;+|\s+$/g, '').trim();
+    return {
+        navigations: found.map(({ frame, url, source }) => ({ frame, url, source })),
+        rest,
+        unresolved: REMAINING_NAVIGATION_PATTERN.test(rest)
+    };
+}
+
+/**
+ * 导航地址 -> 路由：加载了 struts-config.xml 时按配置解析（相对地址按所在页面的路由 from 解析），
+ * 否则去掉 context path 与 .do / .jsp 后缀。
+ */
+function routeFor(url, config, warnings, from) {
+    const value = stripContextPath(url);
+    const { path: pathPart, suffix } = splitUrl(value);
+    if (config && !config.isEmpty()) {
+        if (/\.do$/i.test(pathPart)) return config.resolve({ action: value, from }, warnings).path;
+        if (/\.jspx?$/i.test(pathPart)) return config.resolve({ page: value, from }, warnings).path;
+    }
+    return `${pathPart.replace(/\.(do|jspx?)$/i, '')}${suffix}`;
+}
+
+function attributeKey(attributes, name) {
+    return Object.keys(attributes).find(key => key.toLowerCase() === name);
+}
+
+/**
+ * 去掉 return false、void(0) 等不影响导航的语句，返回剩余的脚本。
+ */
+function stripNoopStatements(code) {
+    return String(code).replace(/\b(return\s+(false|true)|void\s*\(?\s*0\s*\)?)\s*;?/g, '').replace(/;/g, '').trim();
+}
+
+function eachNode(nodes, visit) {
+    for (const node of nodes || []) {
+        if (!node || typeof node !== 'object' || typeof node.tagName !== 'string') continue;
+        visit(node);
+        if (Array.isArray(node.children)) eachNode(node.children, visit);
+    }
+}
+
+/**
+ * 页面中的路由出口（RouteOutlet）。
+ */
+function collectOutlets(elements) {
+    const outlets = [];
+    eachNode(elements, node => {
+        if (node.tagName === 'RouteOutlet') outlets.push(node);
+    });
+    return outlets;
+}
+
+/**
+ * 选择渲染为 <Outlet/> 的路由出口：第一个名称在 targets 中的出口，否则为第一个出口。
+ * @returns {Array<{name?: string, defaultRoute: string, primary: boolean}>} - 记录为 meta.frames。
+ */
+function selectPrimaryOutlet(outlets, targets) {
+    const primary = outlets.find(outlet => targets.has(String(outlet.attributes?.name || ''))) || outlets[0];
+    return outlets.map(outlet => {
+        if (outlet === primary) outlet.primary = true;
+        else delete outlet.primary;
+        const frame = { defaultRoute: String(outlet.attributes?.defaultRoute || ''), primary: outlet === primary };
+        if (outlet.attributes?.name) frame.name = String(outlet.attributes.name);
+        return frame;
+    });
+}
+
+/**
+ * 改写中间表示中指向 frame 的导航（就地修改），见文件头部说明。
+ * @param {Array<object>} elements - 中间表示节点数组。
+ * @param {object} [config] - createStrutsConfigStore 返回的仓库，用于把导航地址解析为路由。
+ * @param {string[]} [warnings] - 收集无法改写的导航。
+ * @param {string} [pagePath] - 页面相对于 web 根目录的路径，相对的导航地址按该页面的路由解析。
+ * @returns {Array<{name?: string, defaultRoute: string, primary: boolean}>} - 页面中的路由出口，记录为 meta.frames。
+ */
+export function resolveFrameTargets(elements, config, warnings = [], pagePath) {
+    const from = pagePath && config && !config.isEmpty() ? config.resolve({ page: pagePath }).path : undefined;
+    // 同一页面中的 iframe 仍然存在，指向它们的 target 不改写
+    const iframeNames = new Set();
+    eachNode(elements, node => {
+        if (node.tagName === 'iframe' && node.attributes?.name) iframeNames.add(String(node.attributes.name));
+    });
+    const isFrameTarget = target => Boolean(target) && target !== '_blank' && target !== '_self' && !iframeNames.has(target);
+    const targets = new Set();
+
+    eachNode(elements, node => {
+        const attributes = node.attributes;
+        if (!attributes || typeof attributes !== 'object') return;
+
+        if (node.tagName === 'a') {
+            const hrefKey = attributeKey(attributes, 'href');
+            const href = hrefKey !== undefined ? String(attributes[hrefKey] ?? '') : '';
+
+            // href="javascript:parent.main.location='...'" 只包含一次 frame 导航时改写为 href + target
+            if (/^javascript:/i.test(href)) {
+                const { navigations, rest, unresolved } = parseFrameNavigations(href.replace(/^javascript:\s*/i, ''));
+                const navigation = navigations.find(item => isFrameTarget(item.frame));
+                if (navigation && navigations.length === 1 && !stripNoopStatements(rest)) {
+                    const targetKey = attributeKey(attributes, 'target');
+                    if (targetKey !== undefined) delete attributes[targetKey];
+                    attributes[hrefKey] = navigation.url;
+                    attributes.target = navigation.frame;
+                } else if (navigation || unresolved) {
+                    warnings.push(`无法改写 <a href="${href}"> 中的 frame 导航，需要人工迁移`);
+                }
+            }
+
+            const targetKey = attributeKey(attributes, 'target');
+            const target = targetKey !== undefined ? String(attributes[targetKey] ?? '').trim() : '';
+            if (isFrameTarget(target)) {
+                const url = String(attributes[hrefKey] ?? '');
+                if (!url || isExternalUrl(url)) {
+                    warnings.push(`<a target="${target}"> 指向外部地址 "${url}"，frame 已不存在，链接将在当前窗口打开`);
+                } else {
+                    // 已按 struts-config.xml 解析过的 href 保持不变
+                    if (!node.route && !isDynamic(stripContextPath(url))) attributes[hrefKey] = routeFor(url, config, warnings, from);
+                    delete attributes[targetKey];
+                    node.frameTarget = target;
+                    targets.add(target);
+                }
+            }
+        }
+
+        for (const [name, value] of Object.entries(attributes)) {
+            if (!/^on[a-z]+$/i.test(name) || typeof value !== 'string') continue;
+            const { navigations, rest, unresolved } = parseFrameNavigations(value);
+            if (unresolved) {
+                warnings.push(`无法改写 ${name}="${value}" 中的 frame 导航（地址不是字符串字面量或按下标引用 frame），需要人工迁移`);
+            }
+            const frameNavigations = navigations.filter(item => isFrameTarget(item.frame) && !isExternalUrl(item.url));
+            if (frameNavigations.length === 0) continue;
+
+            // 移除脚本后 return false 就不存在了，阻止默认行为的意图记录在导航上
+            const href = node.tagName === 'a' ? String(attributes[attributeKey(attributes, 'href')] ?? '').trim() : '';
+            const preventDefault = /\breturn\s+false\b/.test(value) || href === '#' || /^javascript:/i.test(href);
+
+            node.navigations = [
+                ...(node.navigations || []),
+                ...frameNavigations.map(item => ({
+                    event: name,
+                    frame: item.frame,
+                    to: isDynamic(stripContextPath(item.url)) ? item.url : routeFor(item.url, config, warnings, from),
+                    source: item.source,
+                    ...(preventDefault ? { preventDefault: true } : {})
+                }))
+            ];
+            frameNavigations.forEach(item => targets.add(item.frame));
+            // 只剩 return false 等语句时去掉事件属性
+            const remaining = frameNavigations.reduce((code, item) => code.replace(item.source, ''), value).trim().replace(/^;+\s*/, '');
+            if (stripNoopStatements(remaining)) attributes[name] = remaining;
+            else delete attributes[name];
+        }
+    });
+
+    const outlets = collectOutlets(elements);
+    return outlets.length > 0 ? selectPrimaryOutlet(outlets, targets) : [];
+}
+
+/**
+ * 中间表示中所有指向 frame 的导航。
+ * @returns {Array<{frame: string, to: string}>}
+ */
+function collectFrameNavigations(elements) {
+    const found = [];
+    eachNode(elements, node => {
+        if (node.frameTarget) found.push({ frame: node.frameTarget, to: String(node.attributes?.href ?? '') });
+        (node.navigations || []).forEach(item => found.push({ frame: item.frame, to: item.to }));
+    });
+    return found;
+}
+
+/**
+ * 跨页面处理（批量转换）：frameset 页面与链接指向其 frame 的页面分别转换，
+ * 这里按所有页面的链接为每个 frameset 重新选择渲染为 <Outlet/> 的路由出口，并找出指向不存在的 frame 的链接；
+ * 其余出口的 defaultRoute 是某个页面的路由时，记录该页面组件（route 字段），生成器在单元格中直接渲染它。
+ * 在所有页面转换为中间表示之后、生成 React 代码之前调用（就地修改 elements 与 meta.frames）。
+ * @param {Array<{page: string, ir: object, route?: string, componentName?: string, componentUrl?: string}>} pages
+ *   页面路径、中间表示，以及页面的路由与组件。
+ * @returns {{frames: Array<{page: string, name?: string, defaultRoute: string, primary: boolean}>,
+ *   unknown: Array<{page: string, frame: string, to: string}>}}
+ */
+export function linkFrameTargets(pages) {
+    const navigations = pages.flatMap(({ page, ir }) =>
+        collectFrameNavigations(ir?.elements).map(item => ({ page, ...item }))
+    );
+    const targets = new Set(navigations.map(item => item.frame));
+
+    const byRoute = new Map(pages.filter(entry => entry.route && entry.componentUrl).map(entry => [entry.route, entry]));
+    const frames = [];
+    const outletNames = new Set();
+    for (const { page, ir } of pages) {
+        const outlets = collectOutlets(ir?.elements);
+        if (outlets.length === 0) continue;
+        const pageFrames = selectPrimaryOutlet(outlets, targets);
+        for (const outlet of outlets.filter(item => !item.primary && !item.route?.componentUrl)) {
+            const defaultRoute = String(outlet.attributes?.defaultRoute || '');
+            const shown = byRoute.get(defaultRoute.split(/[?#]/)[0]);
+            if (!shown) continue;
+            outlet.route = {
+                ...(outlet.route || { source: defaultRoute, kind: 'page', path: defaultRoute, resolved: true }),
+                page: shown.page,
+                componentName: shown.componentName,
+                componentUrl: shown.componentUrl
+            };
+        }
+        ir.meta = { ...ir.meta, frames: pageFrames };
+        pageFrames.forEach(frame => {
+            frames.push({ page, ...frame });
+            if (frame.name) outletNames.add(frame.name);
+        });
+    }
+
+    const unknown = navigations.filter(item => !RESERVED_TARGETS.has(item.frame) && !outletNames.has(item.frame));
+    return { frames, unknown };
+}
@@ -0,0 +1,300 @@
+/**
+ * Struts html 表单标签的本地转换 (Html Form Tag Converter)
+ * --------------------------------
+ * 与 jstl.js 相同，本地解析器先把 <html:*> 解析为普通元素节点，再由 convertHtmlFormNodes 改写：
+ *
+ * - <html:form action>                 -> FormBlock（action 为原始的 Struts action 路径，focus 为获得焦点的字段）
+ * - <html:text> / <html:password> / <html:textarea> / <html:hidden> / <html:checkbox> / <html:multibox> / <html:radio> / <html:select>
+ *                                      -> 对应的表单控件元素，binding 记录绑定的 property 与控件种类（kind），
+ *                                         value 属性记为 binding.initial（checkbox、multibox、radio 的 value 是控件自身的取值，保留在 attributes 中）
+ * - <html:option>                      -> <option>（key 转换为 #message）
+ * - <html:options> / <html:optionsCollection>
+ *                                      -> LoopBlock 循环输出 <option>
+ * - <html:submit> / <html:cancel> / <html:reset> / <html:button>
+ *                                      -> <button>
+ * - <html:errors property>             -> FormErrors（有 property 时只显示该字段的错误）
+ *
+ * React 阶段把 FormBlock 生成为受控表单（见 json-to-react/tools/generator.js）。
+ * 其余 html 标签（html:link、html:img 等）仍交给 LLM 转换。
+ */
+
+import { createTextNode, createExpressionNode, contentOf } from './parser.js';
+
+// 本模块能够处理的标签（小写）
+const HTML_FORM_TAGS = new Set([
+    'html:form', 'html:text', 'html:password', 'html:textarea', 'html:hidden', 'html:checkbox', 'html:multibox',
+    'html:radio', 'html:select', 'html:option', 'html:options', 'html:optionscollection',
+    'html:submit', 'html:cancel', 'html:reset', 'html:button', 'html:errors'
+]);
+
+// Struts 专用、不输出到 HTML 元素上的属性（小写）
+const STRUTS_ONLY_ATTRIBUTES = new Set([
+    'property', 'name', 'indexed', 'bundle', 'key', 'titlekey', 'altkey', 'errorkey', 'errorstyle', 'errorstyleclass',
+    'errorstyleid', 'scope', 'redisplay', 'filter', 'write', 'idname', 'labelname', 'labelproperty', 'collection',
+    'label', 'focus', 'focusindex', 'type', 'value'
+]);
+
+// Struts 属性名 -> HTML 属性名
+const ATTRIBUTE_RENAMES = { styleid: 'id', styleclass: 'class' };
+
+// 输入控件的 type
+const INPUT_TYPES = {
+    'html:text': 'text',
+    'html:password': 'password',
+    'html:hidden': 'hidden',
+    'html:checkbox': 'checkbox',
+    'html:multibox': 'checkbox',
+    'html:radio': 'radio'
+};
+
+// 按钮的 type 与默认文字（与 Struts 的默认值一致）
+const BUTTONS = {
+    'html:submit': { type: 'submit', label: 'Submit' },
+    'html:cancel': { type: 'submit', label: 'Cancel' },
+    'html:reset': { type: 'reset', label: 'Reset' },
+    'html:button': { type: 'button', label: 'Click' }
+};
+
+// html:cancel 提交的参数名，Struts 据此跳过校验
+const CANCEL_PROPERTY = 'org.apache.struts.taglib.html.CANCEL';
+
+/**
+ * 判断标签是否为可本地转换的 Struts html 表单标签。
+ * @param {string} tagName - 标签名（大小写不敏感）。
+ * @returns {boolean}
+ */
+export function isHtmlFormTag(tagName) {
+    return HTML_FORM_TAGS.has(String(tagName).toLowerCase());
+}
+
+/**
+ * 标签体中的纯文本（例如 <html:multibox>admin</html:multibox>）。
+ */
+function bodyText(node) {
+    return contentOf(node).map(child => (child.tagName === '#text' ? child.text || '' : '')).join('').trim();
+}
+
+/**
+ * 按属性名（大小写不敏感）取值。
+ */
+function attributeOf(attributes, name) {
+    const key = Object.keys(attributes).find(item => item.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : attributes[key];
+}
+
+/**
+ * Struts 属性 -> HTML 属性：styleId/styleClass 改名，去掉 Struts 专用属性。
+ */
+function htmlAttributes(attributes) {
+    const result = {};
+    for (const [name, value] of Object.entries(attributes || {})) {
+        const lowerName = name.toLowerCase();
+        if (STRUTS_ONLY_ATTRIBUTES.has(lowerName)) continue;
+        result[ATTRIBUTE_RENAMES[lowerName] || name] = value;
+    }
+    return result;
+}
+
+/**
+ * name + property 组成的 EL 表达式：name="user" property="roles" -> ${user.roles}
+ */
+function beanExpression(name, property) {
+    return `\${${[name, property].filter(Boolean).join('.')}}`;
+}
+
+function createElement(tagName, attributes, children = []) {
+    return { tagName, attributes, children, isComponent: false };
+}
+
+/**
+ * 绑定到表单属性的控件，binding.kind 为 text | checkbox | multibox | radio | select。
+ */
+function createControl(tag, node, warnings) {
+    const attributes = node.attributes || {};
+    const property = attributeOf(attributes, 'property');
+    if (!property) {
+        warnings.push(`<${node.tagName}> 缺少 property 属性，已按普通控件转换`);
+    }
+    if (String(attributeOf(attributes, 'indexed')).toLowerCase() === 'true') {
+        warnings.push(`<${node.tagName} property="${property}"> 的 indexed 属性未转换，已按普通字段绑定`);
+    }
+    const value = attributeOf(attributes, 'value');
+    const element = tag === 'html:textarea' || tag === 'html:select'
+        ? createElement(tag.slice(5), htmlAttributes(attributes))
+        : createElement('input', { type: INPUT_TYPES[tag], ...htmlAttributes(attributes) });
+    if (property) element.attributes.name = property;
+
+    const kinds = { 'html:checkbox': 'checkbox', 'html:multibox': 'multibox', 'html:radio': 'radio', 'html:select': 'select' };
+    const binding = { property: property || '', kind: kinds[tag] || 'text' };
+
+    if (tag === 'html:radio') {
+        const idName = attributeOf(attributes, 'idName');
+        const radioValue = idName ? beanExpression(idName, value) : value;
+        if (radioValue === undefined) warnings.push(`<html:radio property="${property}"> 缺少 value 属性`);
+        else element.attributes.value = radioValue;
+    } else if (tag === 'html:multibox') {
+        const boxValue = value ?? bodyText(node);
+        if (boxValue) element.attributes.value = boxValue;
+    } else if (tag === 'html:checkbox') {
+        if (value !== undefined) element.attributes.value = value;
+    } else if (value !== undefined) {
+        binding.initial = value;
+    }
+
+    if (tag === 'html:select') {
+        element.children = contentOf(node);
+    }
+    if (property) element.binding = binding;
+    return element;
+}
+
+function createOptionLoop(collection, valueExpression, labelExpression, status) {
+    const loop = {
+        tagName: 'LoopBlock',
+        attributes: {},
+        collection,
+        item: 'option',
+        children: [createElement('option', { value: valueExpression }, [createExpressionNode(labelExpression)])],
+        isComponent: false
+    };
+    if (status) loop.status = status;
+    return loop;
+}
+
+/**
+ * 转换单个 html 表单节点（其子节点已转换完毕），返回替换后的节点数组。
+ */
+function convertNode(node, warnings) {
+    const tag = String(node.tagName).toLowerCase();
+    const attributes = node.attributes || {};
+
+    switch (tag) {
+        case 'html:form': {
+            const action = attributeOf(attributes, 'action');
+            if (!action) {
+                warnings.push('<html:form> 缺少 action 属性');
+            }
+            const form = {
+                tagName: 'FormBlock',
+                action: action || '',
+                attributes: htmlAttributes(attributes),
+                children: contentOf(node),
+                isComponent: false
+            };
+            delete form.attributes.action;
+            const focus = attributeOf(attributes, 'focus');
+            if (focus) form.focus = focus;
+            return [form];
+        }
+
+        case 'html:text':
+        case 'html:password':
+        case 'html:hidden':
+        case 'html:textarea':
+        case 'html:checkbox':
+        case 'html:multibox':
+        case 'html:radio':
+        case 'html:select':
+            return [createControl(tag, node, warnings)];
+
+        case 'html:option': {
+            const key = attributeOf(attributes, 'key');
+            const option = createElement('option', htmlAttributes(attributes), contentOf(node));
+            option.attributes.value = attributeOf(attributes, 'value') ?? '';
+            if (key) {
+                const message = { tagName: '#message', key, attributes: {}, children: [], isComponent: false };
+                const bundle = attributeOf(attributes, 'bundle');
+                if (bundle) message.bundle = bundle;
+                option.children = [message];
+            }
+            return [option];
+        }
+
+        case 'html:options': {
+            const property = attributeOf(attributes, 'property');
+            const labelProperty = attributeOf(attributes, 'labelProperty');
+            const collection = attributeOf(attributes, 'collection');
+            if (collection) {
+                // collection 中的每个 bean：value 取 property，文字取 labelProperty（缺省同 property）
+                const valuePath = property ? `option.${property}` : 'option';
+                const labelPath = labelProperty ? `option.${labelProperty}` : valuePath;
+                return [createOptionLoop(`\${${collection}}`, `\${${valuePath}}`, `\${${labelPath}}`)];
+            }
+            // 取值与文字分别来自两个数组：name.property 与 labelName.labelProperty（缺省同取值）
+            const name = attributeOf(attributes, 'name');
+            const labelName = attributeOf(attributes, 'labelName');
+            if (!property && !name) {
+                warnings.push('<html:options> 缺少 collection、name 或 property 属性，已忽略');
+                return [];
+            }
+            const values = beanExpression(name, property);
+            if (!labelName && !labelProperty) {
+                return [createOptionLoop(values, '${option}', '${option}')];
+            }
+            const labels = [labelName || name, labelProperty].filter(Boolean).join('.');
+            return [createOptionLoop(values, '${option}', `\${${labels}[optionStatus.index]}`, 'optionStatus')];
+        }
+
+        case 'html:optionscollection': {
+            const property = attributeOf(attributes, 'property');
+            const name = attributeOf(attributes, 'name');
+            if (!property && !name) {
+                warnings.push('<html:optionsCollection> 缺少 name 或 property 属性，已忽略');
+                return [];
+            }
+            const value = attributeOf(attributes, 'value') || 'value';
+            const label = attributeOf(attributes, 'label') || 'label';
+            return [createOptionLoop(beanExpression(name, property), `\${option.${value}}`, `\${option.${label}}`)];
+        }
+
+        case 'html:submit':
+        case 'html:cancel':
+        case 'html:reset':
+        case 'html:button': {
+            const { type, label } = BUTTONS[tag];
+            const button = createElement('button', { type, ...htmlAttributes(attributes) }, contentOf(node));
+            const property = tag === 'html:cancel' ? CANCEL_PROPERTY : attributeOf(attributes, 'property');
+            if (property) button.attributes.name = property;
+            if (tag === 'html:cancel') button.attributes.formNoValidate = '';
+            const value = attributeOf(attributes, 'value');
+            if (value !== undefined) button.attributes.value = value;
+            if (button.children.length === 0) button.children = [createTextNode(value ?? label)];
+            return [button];
+        }
+
+        case 'html:errors': {
+            const errors = { tagName: 'FormErrors', attributes: {}, children: [], isComponent: false };
+            const property = attributeOf(attributes, 'property');
+            if (property) errors.property = property;
+            return [errors];
+        }
+
+        default:
+            return [node];
+    }
+}
+
+/**
+ * 递归改写节点数组中的 Struts html 表单标签（自底向上）。
+ * @param {Array<object>} elements - 本地解析器产出的节点数组。
+ * @param {string[]} [warnings] - 收集无法完整转换的情况。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertHtmlFormNodes(elements, warnings = []) {
+    const result = [];
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') {
+            result.push(node);
+            continue;
+        }
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertHtmlFormNodes(node.children, warnings);
+        }
+        if (isHtmlFormTag(node.tagName)) {
+            result.push(...convertNode(node, warnings));
+        } else {
+            result.push(node);
+        }
+    }
+    return result;
+}
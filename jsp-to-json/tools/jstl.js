@@ -0,0 +1,274 @@
+/**
+ * JSTL core 标签的本地转换 (JSTL Core Converter)
+ * --------------------------------
+ * 本地解析器把 <c:*> 标签解析为普通的元素节点（子节点已递归解析），
+ * 再由 convertJstlNodes 将其改写为中间表示中的控制流与数据节点，不需要调用 LLM：
+ *
+ * - <c:if>                      -> ConditionalBlock（带 var 时前置一个 VariableBinding）
+ * - <c:choose>/<c:when>/<c:otherwise> -> ChooseBlock，子节点为 ConditionalBlock 与可选的 ElseBlock
+ * - <c:forEach>                 -> LoopBlock（collection/item/status/begin/end/step）
+ * - <c:forTokens>               -> LoopBlock（tokens.delims）
+ * - <c:set> / <c:remove>        -> VariableBinding
+ * - <c:out>                     -> #expression（escapeXml/default）
+ * - <c:url> + <c:param>         -> UrlValue（带 var 时包裹在 VariableBinding 中）
+ * - <c:import>                  -> 页面组件引用，外部 URL 转为 <iframe>
+ * - <c:catch>                   -> 直接展开子节点
+ */
+
+import { contentOf } from './parser.js';
+
+// 本模块能够处理的标签（小写）
+const JSTL_CORE_TAGS = new Set([
+    'c:if', 'c:choose', 'c:when', 'c:otherwise', 'c:foreach', 'c:fortokens',
+    'c:set', 'c:remove', 'c:out', 'c:url', 'c:param', 'c:import', 'c:catch'
+]);
+
+/**
+ * 判断标签是否为可本地转换的 JSTL core 标签。
+ * @param {string} tagName - 标签名（大小写不敏感）。
+ * @returns {boolean}
+ */
+export function isJstlCoreTag(tagName) {
+    return JSTL_CORE_TAGS.has(String(tagName).toLowerCase());
+}
+
+/**
+ * 数值型属性（begin/end/step）：纯数字转为 number，EL 表达式保持字符串。
+ */
+function numericAttribute(value) {
+    if (value === undefined || value === '') return undefined;
+    return /^-?\d+$/.test(String(value).trim()) ? Number(value) : value;
+}
+
+/**
+ * 收集 <c:param> 子节点为 { name: value }。
+ */
+function collectParams(node) {
+    const params = {};
+    contentOf(node).forEach(child => {
+        if (String(child.tagName).toLowerCase() === 'c:param' && child.attributes?.name) {
+            params[child.attributes.name] = child.attributes.value ?? child.text ?? '';
+        }
+    });
+    return params;
+}
+
+/**
+ * 属性值中内联的 <c:url value="..."/> 与 <c:out value="..."/>（例如 href="<c:url value='/a.do'/>"）
+ * 不会被解析为标签，这里直接替换为其 value。
+ */
+function inlineAttributeTags(attributes) {
+    if (!attributes || typeof attributes !== 'object') return;
+    for (const [name, value] of Object.entries(attributes)) {
+        if (typeof value !== 'string' || !/<c:(url|out)\b/i.test(value)) continue;
+        attributes[name] = value.replace(/<c:(?:url|out)\s+value\s*=\s*(["'])([\s\S]*?)\1[^>]*?\/?>/gi, '$2');
+    }
+}
+
+/**
+ * 将 forEach/forTokens 的公共属性写入 LoopBlock。
+ */
+function createLoopBlock(attributes, children) {
+    const loop = {
+        tagName: 'LoopBlock',
+        attributes: {},
+        item: attributes.var || 'item',
+        children,
+        isComponent: false
+    };
+    if (attributes.items !== undefined) loop.collection = attributes.items;
+    if (attributes.varStatus) loop.status = attributes.varStatus;
+    for (const key of ['begin', 'end', 'step']) {
+        const value = numericAttribute(attributes[key]);
+        if (value !== undefined) loop[key] = value;
+    }
+    return loop;
+}
+
+/**
+ * 转换单个 JSTL 节点（其子节点已转换完毕），返回替换后的节点数组。
+ * @param {object} params - 转换子节点之前收集的 <c:param>（子节点转换时 c:param 会被移除）。
+ */
+function convertNode(node, options, warnings, params) {
+    const tag = String(node.tagName).toLowerCase();
+    const attributes = node.attributes || {};
+    const children = contentOf(node);
+
+    switch (tag) {
+        case 'c:if': {
+            const block = {
+                tagName: 'ConditionalBlock',
+                condition: attributes.test || '',
+                attributes: {},
+                children,
+                isComponent: false
+            };
+            if (!attributes.var) return [block];
+            return [createBinding(attributes.var, { value: attributes.test, scope: attributes.scope }), block];
+        }
+
+        case 'c:choose': {
+            const branches = [];
+            children.forEach(child => {
+                if (child.tagName === 'ConditionalBlock' || child.tagName === 'ElseBlock') {
+                    branches.push(child);
+                } else if (child.tagName !== '#text' || child.text.trim()) {
+                    warnings.push(`<c:choose> 中出现了 <c:when>/<c:otherwise> 以外的内容，已忽略: ${child.tagName}`);
+                }
+            });
+            return [{ tagName: 'ChooseBlock', attributes: {}, children: branches, isComponent: false }];
+        }
+
+        case 'c:when':
+            return [{
+                tagName: 'ConditionalBlock',
+                condition: attributes.test || '',
+                attributes: {},
+                children,
+                isComponent: false
+            }];
+
+        case 'c:otherwise':
+            return [{ tagName: 'ElseBlock', attributes: {}, children, isComponent: false }];
+
+        case 'c:foreach':
+            return [createLoopBlock(attributes, children)];
+
+        case 'c:fortokens': {
+            const loop = createLoopBlock(attributes, children);
+            loop.tokens = { delims: attributes.delims ?? ',' };
+            return [loop];
+        }
+
+        case 'c:set': {
+            if (attributes.target) {
+                return [{
+                    tagName: 'VariableBinding',
+                    target: attributes.target,
+                    property: attributes.property || '',
+                    ...(attributes.value !== undefined ? { value: attributes.value } : {}),
+                    attributes: {},
+                    children: attributes.value !== undefined ? [] : children,
+                    isComponent: false
+                }];
+            }
+            if (!attributes.var) {
+                warnings.push('<c:set> 缺少 var 属性，已忽略');
+                return [];
+            }
+            return [createBinding(attributes.var, {
+                value: attributes.value,
+                scope: attributes.scope,
+                children: attributes.value !== undefined ? [] : children
+            })];
+        }
+
+        case 'c:remove':
+            if (!attributes.var) return [];
+            return [{ ...createBinding(attributes.var, { scope: attributes.scope }), remove: true }];
+
+        case 'c:out': {
+            const expression = {
+                tagName: '#expression',
+                expression: attributes.value ?? '',
+                language: 'el',
+                attributes: {},
+                children: [],
+                isComponent: false
+            };
+            // escapeXml 默认为 true，只在显式关闭时记录
+            if (String(attributes.escapeXml).toLowerCase() === 'false') expression.escapeXml = false;
+            if (attributes.default !== undefined) {
+                expression.default = attributes.default;
+            } else if (node.text || children.length > 0) {
+                expression.default = children.map(c => c.text || '').join('');
+            }
+            return [expression];
+        }
+
+        case 'c:url': {
+            const url = {
+                tagName: 'UrlValue',
+                value: attributes.value || '',
+                params,
+                attributes: {},
+                children: [],
+                isComponent: false
+            };
+            if (attributes.context) url.context = attributes.context;
+            if (!attributes.var) return [url];
+            return [createBinding(attributes.var, { scope: attributes.scope, children: [url] })];
+        }
+
+        case 'c:import': {
+            const target = attributes.url || '';
+            if (attributes.var || attributes.varReader) {
+                warnings.push(`<c:import url="${target}"> 的 var 属性无法在 React 中保留，已按组件引用处理`);
+            }
+            if (/^[a-z]+:\/\//i.test(target)) {
+                const query = new URLSearchParams(params).toString();
+                return [{
+                    tagName: 'iframe',
+                    attributes: { src: query ? `${target}${target.includes('?') ? '&' : '?'}${query}` : target, title: target },
+                    children: [],
+                    isComponent: false
+                }];
+            }
+            const { componentName, componentUrl } = options.resolveComponentUrl(target);
+            return [{
+                tagName: componentName,
+                attributes: params,
+                children: [],
+                isComponent: true,
+                componentUrl
+            }];
+        }
+
+        case 'c:catch':
+            return children;
+
+        case 'c:param':
+            // <c:url>/<c:import> 会直接读取 c:param，其余位置的 c:param 没有意义
+            return [];
+
+        default:
+            return [node];
+    }
+}
+
+function createBinding(name, { value, scope, children = [] } = {}) {
+    const binding = { tagName: 'VariableBinding', name, attributes: {}, children, isComponent: false };
+    if (value !== undefined) binding.value = value;
+    if (scope) binding.scope = scope;
+    return binding;
+}
+
+/**
+ * 递归改写节点数组中的 JSTL core 标签（自底向上，子节点先于父节点转换）。
+ * @param {Array<object>} elements - 本地解析器产出的节点数组。
+ * @param {object} options
+ * @param {(pagePath: string) => {componentName: string, componentUrl: string}} options.resolveComponentUrl
+ *   <c:import> 引用本地页面时用于生成组件名与 componentUrl。
+ * @param {string[]} [warnings] - 收集无法完整转换的情况。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertJstlNodes(elements, options, warnings = []) {
+    const result = [];
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') {
+            result.push(node);
+            continue;
+        }
+        inlineAttributeTags(node.attributes);
+        const params = collectParams(node);
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertJstlNodes(node.children, options, warnings);
+        }
+        if (isJstlCoreTag(node.tagName)) {
+            result.push(...convertNode(node, options, warnings, params));
+        } else {
+            result.push(node);
+        }
+    }
+    return result;
+}
@@ -0,0 +1,496 @@
+/**
+ * JSP 解析器 (JSP Parser)
+ * --------------------------------
+ * 一个不依赖 LLM 的确定性 JSP 词法/语法分析器，直接产出与 /chat 相同结构的 JSON 中间表示：
+ * { elements: [{ tagName, attributes, children, text, condition, isComponent }], meta: { directives } }
+ *
+ * 支持的语法：
+ * - HTML 元素（含自闭合、空元素、常见的隐式闭合规则）
+ * - 指令 <%@ ... %>（记录到 meta.directives）
+ * - 脚本片段 <% ... %>、声明 <%! ... %>（转换为 "#scriptlet" 节点）
+ * - 表达式 <%= ... %> 与文本中的 EL ${...}（转换为 "#expression" 节点）
+ * - JSP 注释 <%-- --%> 与 HTML 注释 <!-- -->（丢弃）
+ * - 带前缀的标签库标签，如 <html:text>（标记为 unresolved，保留原始片段供 LLM 处理）
+ *   JSTL core 标签（<c:if>、<c:forEach> 等）由调用方通过 isUnresolvedTag 排除，解析为普通节点后交给 jstl.js 改写
+ */
+
+import JSON5 from 'json5';
+
+// 没有结束标签的 HTML 空元素
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// 内容按纯文本处理的元素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// 空白有意义的元素：其中（包括后代）的文本不折叠空白
+const WHITESPACE_PRESERVING_ELEMENTS = new Set(['pre', 'textarea', 'script', 'style']);
+
+// 会隐式关闭一个打开中的 <p> 的块级元素
+const P_CLOSING_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer',
+    'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'menu', 'nav',
+    'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+/**
+ * 隐式闭合规则：开始标签 -> 栈顶为这些元素时先将其关闭。
+ */
+const IMPLIED_END_TAGS = {
+    'li': ['li'],
+    'dt': ['dt', 'dd'],
+    'dd': ['dt', 'dd'],
+    'option': ['option'],
+    'tr': ['td', 'th', 'tr'],
+    'td': ['td', 'th'],
+    'th': ['td', 'th'],
+    'thead': ['tbody', 'tfoot', 'tr', 'td', 'th'],
+    'tbody': ['thead', 'tfoot', 'tr', 'td', 'th'],
+    'tfoot': ['thead', 'tbody', 'tr', 'td', 'th']
+};
+
+// ---------------------------------------------------------------------------
+// 词法分析
+// ---------------------------------------------------------------------------
+
+/**
+ * 从 start 开始查找 terminator，返回其起始下标；找不到时返回源码长度。
+ */
+function indexOfOrEnd(source, terminator, start) {
+    const idx = source.indexOf(terminator, start);
+    return idx === -1 ? source.length : idx;
+}
+
+/**
+ * 解析标签内的属性串。属性值中允许出现 <%= %>、${} 以及嵌套的同类引号。
+ * @param {string} source - 完整源码。
+ * @param {number} start - 属性区起始下标（标签名之后）。
+ * @returns {{attributes: object, end: number, selfClosing: boolean}}
+ */
+function readAttributes(source, start) {
+    const attributes = {};
+    let i = start;
+    let selfClosing = false;
+
+    while (i < source.length) {
+        // 跳过空白
+        while (i < source.length && /\s/.test(source[i])) i++;
+        if (source.startsWith('/>', i)) {
+            selfClosing = true;
+            i += 2;
+            break;
+        }
+        if (source[i] === '>') {
+            i++;
+            break;
+        }
+
+        // 属性位置直接出现的 <% %>（例如 <input <%= checked %>>）
+        if (source.startsWith('<%', i)) {
+            const end = indexOfOrEnd(source, '%>', i + 2);
+            const raw = source.slice(i, end + 2);
+            attributes[raw] = "";
+            i = end + 2;
+            continue;
+        }
+
+        // 属性名
+        const nameStart = i;
+        while (i < source.length && !/[\s=>]/.test(source[i]) && !source.startsWith('/>', i)) i++;
+        const name = source.slice(nameStart, i);
+        if (!name) {
+            i++;
+            continue;
+        }
+
+        while (i < source.length && /\s/.test(source[i])) i++;
+        if (source[i] !== '=') {
+            attributes[name] = "";
+            continue;
+        }
+        i++;
+        while (i < source.length && /\s/.test(source[i])) i++;
+
+        // 属性值
+        let value = "";
+        const quote = source[i] === '"' || source[i] === "'" ? source[i] : null;
+        if (quote) i++;
+        while (i < source.length) {
+            if (source.startsWith('<%', i)) {
+                const end = indexOfOrEnd(source, '%>', i + 2);
+                value += source.slice(i, end + 2);
+                i = end + 2;
+                continue;
+            }
+            if (source.startsWith('${', i)) {
+                const end = indexOfOrEnd(source, '}', i + 2);
+                value += source.slice(i, end + 1);
+                i = end + 1;
+                continue;
+            }
+            const ch = source[i];
+            if (quote ? ch === quote : (/\s/.test(ch) || ch === '>' || source.startsWith('/>', i))) {
+                break;
+            }
+            value += ch;
+            i++;
+        }
+        if (quote) i++;
+        attributes[name] = value;
+    }
+
+    return { attributes, end: i, selfClosing };
+}
+
+/**
+ * 将 JSP 源码切分为标记 (token) 序列。
+ * @param {string} source - JSP 源码。
+ * @returns {Array<object>} - token 列表，每个 token 都带有 type、start、end。
+ */
+export function tokenizeJsp(source) {
+    const tokens = [];
+    let i = 0;
+    let textStart = 0;
+
+    const flushText = (end) => {
+        if (end > textStart) {
+            tokens.push({ type: 'text', value: source.slice(textStart, end), start: textStart, end });
+        }
+    };
+
+    while (i < source.length) {
+        if (source[i] !== '<') {
+            i++;
+            continue;
+        }
+
+        if (source.startsWith('<%--', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '--%>', i + 4) + 4;
+            tokens.push({ type: 'jspComment', value: source.slice(i + 4, end - 4), start: i, end });
+            i = textStart = end;
+        } else if (source.startsWith('<%@', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '%>', i + 3);
+            const body = source.slice(i + 3, end).trim();
+            const nameMatch = body.match(/^([a-zA-Z.:]+)/);
+            const name = nameMatch ? nameMatch[1] : '';
+            const { attributes } = readAttributes(body + ' >', name.length);
+            tokens.push({ type: 'directive', name, attributes, start: i, end: end + 2 });
+            i = textStart = end + 2;
+        } else if (source.startsWith('<%=', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '%>', i + 3);
+            tokens.push({ type: 'expression', value: source.slice(i + 3, end).trim(), start: i, end: end + 2 });
+            i = textStart = end + 2;
+        } else if (source.startsWith('<%!', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '%>', i + 3);
+            tokens.push({ type: 'declaration', value: source.slice(i + 3, end).trim(), start: i, end: end + 2 });
+            i = textStart = end + 2;
+        } else if (source.startsWith('<%', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '%>', i + 2);
+            tokens.push({ type: 'scriptlet', value: source.slice(i + 2, end).trim(), start: i, end: end + 2 });
+            i = textStart = end + 2;
+        } else if (source.startsWith('<!--', i)) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '-->', i + 4) + 3;
+            tokens.push({ type: 'htmlComment', value: source.slice(i + 4, end - 3), start: i, end });
+            i = textStart = end;
+        } else if (source.startsWith('<!', i) || source.startsWith('<?', i)) {
+            // <!DOCTYPE ...> / <?xml ...?>
+            flushText(i);
+            const end = indexOfOrEnd(source, '>', i) + 1;
+            tokens.push({ type: 'doctype', value: source.slice(i, end), start: i, end });
+            i = textStart = end;
+        } else if (/^<\/[a-zA-Z]/.test(source.slice(i, i + 3))) {
+            flushText(i);
+            const end = indexOfOrEnd(source, '>', i);
+            const name = source.slice(i + 2, end).trim();
+            tokens.push({ type: 'endTag', name, start: i, end: end + 1 });
+            i = textStart = end + 1;
+        } else if (/^<[a-zA-Z]/.test(source.slice(i, i + 2))) {
+            flushText(i);
+            const nameMatch = source.slice(i + 1).match(/^[a-zA-Z][\w:.-]*/);
+            const name = nameMatch[0];
+            const { attributes, end, selfClosing } = readAttributes(source, i + 1 + name.length);
+            tokens.push({ type: 'startTag', name, attributes, selfClosing, start: i, end });
+            i = textStart = end;
+
+            // script/style 的内容整体作为文本
+            const lowerName = name.toLowerCase();
+            if (RAW_TEXT_ELEMENTS.has(lowerName) && !selfClosing) {
+                const closeRegex = new RegExp(`</${lowerName}\\s*>`, 'i');
+                const closeMatch = closeRegex.exec(source.slice(i));
+                const contentEnd = closeMatch ? i + closeMatch.index : source.length;
+                if (contentEnd > i) {
+                    tokens.push({ type: 'rawText', value: source.slice(i, contentEnd), start: i, end: contentEnd });
+                }
+                i = textStart = contentEnd;
+            }
+        } else {
+            i++;
+        }
+    }
+    flushText(source.length);
+    return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// 语法分析：token -> IR 树
+// ---------------------------------------------------------------------------
+
+/**
+ * 判断标签名是否为带前缀的标签库标签（例如 html:text、c:if）。
+ */
+function isPrefixedTag(name) {
+    return name.includes(':');
+}
+
+function createElementNode(tagName, attributes) {
+    return { tagName, attributes, children: [], text: "", condition: "", isComponent: false };
+}
+
+export function createTextNode(text) {
+    return { tagName: '#text', text, attributes: {}, children: [], isComponent: false };
+}
+
+/**
+ * @param {string} expression - 表达式源码，例如 "${user.name}"。
+ * @param {'el'|'java'} [language]
+ */
+export function createExpressionNode(expression, language = 'el') {
+    return { tagName: '#expression', expression, language, attributes: {}, children: [], isComponent: false };
+}
+
+/**
+ * 取节点的全部子节点；解析器会把唯一的文本子节点提升到 text 字段，这里还原回来。
+ * 供各个标签库转换器（jstl.js、bean.js、html.js 等）使用。
+ */
+export function contentOf(node) {
+    const children = Array.isArray(node.children) ? node.children : [];
+    if (node.text && children.length === 0) {
+        return [createTextNode(node.text)];
+    }
+    return children;
+}
+
+/**
+ * 将文本切分为纯文本与 EL 表达式节点。
+ * @param {string} text - 原始文本。
+ * @returns {Array<object>}
+ */
+function splitTextWithEl(text) {
+    const nodes = [];
+    const elRegex = /\$\{([^}]*)\}/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = elRegex.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            nodes.push(createTextNode(text.slice(lastIndex, match.index)));
+        }
+        nodes.push(createExpressionNode(match[0], 'el'));
+        lastIndex = elRegex.lastIndex;
+    }
+    if (lastIndex < text.length) {
+        nodes.push(createTextNode(text.slice(lastIndex)));
+    }
+    return nodes;
+}
+
+/**
+ * 规整文本节点：折叠空白、去除纯空白节点；若元素只有一个文本子节点，则提升到 text 字段。
+ * pre、textarea、script 与 style 中的文本保持原样。
+ */
+function normalizeChildren(node, preserveWhitespace = false) {
+    const preserve = preserveWhitespace || WHITESPACE_PRESERVING_ELEMENTS.has(String(node.tagName).toLowerCase());
+    if (!preserve) {
+        node.children = node.children.filter(child => {
+            if (child.tagName !== '#text') return true;
+            child.text = child.text.replace(/\s+/g, ' ');
+            return child.text.trim() !== '';
+        });
+    }
+
+    if (node.children.length === 1 && node.children[0].tagName === '#text' && node.tagName !== '#root') {
+        node.text = preserve ? node.children[0].text : node.children[0].text.trim();
+        node.children = [];
+    }
+    node.children.forEach(child => {
+        if (child.children && child.children.length > 0) normalizeChildren(child, preserve);
+    });
+}
+
+/**
+ * 解析 JSP 源码，生成 JSON 中间表示。
+ * @param {string} source - JSP 源码。
+ * @param {object} [options]
+ * @param {(tagName: string) => boolean} [options.isUnresolvedTag] - 判断某个标签是否需要交给 LLM 处理；
+ *   默认所有带前缀的标签库标签都视为未解析。
+ * @returns {{elements: Array<object>, meta: {directives: Array<object>}}}
+ */
+export function parseJsp(source, options = {}) {
+    const isUnresolvedTag = options.isUnresolvedTag || isPrefixedTag;
+    const tokens = tokenizeJsp(source);
+    const root = createElementNode('#root', {});
+    const stack = [root];
+    const directives = [];
+    const current = () => stack[stack.length - 1];
+
+    /**
+     * 关闭栈顶元素。对于未解析节点，记录其完整原始片段。
+     */
+    const popElement = (endOffset) => {
+        const node = stack.pop();
+        if (node.unresolved) {
+            node.source = source.slice(node.sourceStart, endOffset);
+        }
+        delete node.sourceStart;
+        return node;
+    };
+
+    for (const token of tokens) {
+        switch (token.type) {
+            case 'text':
+                current().children.push(...splitTextWithEl(token.value));
+                break;
+
+            case 'rawText':
+                current().children.push(createTextNode(token.value));
+                break;
+
+            case 'expression':
+                current().children.push(createExpressionNode(token.value, 'java'));
+                break;
+
+            case 'scriptlet':
+            case 'declaration':
+                current().children.push({
+                    tagName: '#scriptlet',
+                    code: token.value,
+                    declaration: token.type === 'declaration',
+                    attributes: {},
+                    children: [],
+                    isComponent: false,
+                    unresolved: true
+                });
+                break;
+
+            case 'directive':
+                directives.push({ name: token.name, attributes: token.attributes });
+                break;
+
+            case 'startTag': {
+                const prefixed = isPrefixedTag(token.name);
+                const tagName = prefixed ? token.name : token.name.toLowerCase();
+                const attributes = {};
+                for (const [name, value] of Object.entries(token.attributes)) {
+                    attributes[prefixed || name.startsWith('<%') ? name : name.toLowerCase()] = value;
+                }
+
+                // 隐式闭合
+                const closers = P_CLOSING_ELEMENTS.has(tagName) ? ['p'] : (IMPLIED_END_TAGS[tagName] || []);
+                while (stack.length > 1 && closers.includes(current().tagName)) {
+                    popElement(token.start);
+                }
+
+                const node = createElementNode(tagName, attributes);
+                if (isUnresolvedTag(tagName)) {
+                    node.unresolved = true;
+                    node.sourceStart = token.start;
+                }
+                current().children.push(node);
+
+                if (token.selfClosing || VOID_ELEMENTS.has(tagName)) {
+                    if (node.unresolved) {
+                        node.source = source.slice(token.start, token.end);
+                        delete node.sourceStart;
+                    }
+                } else {
+                    stack.push(node);
+                }
+                break;
+            }
+
+            case 'endTag': {
+                const tagName = isPrefixedTag(token.name) ? token.name : token.name.toLowerCase();
+                const openIndex = stack.map(n => n.tagName).lastIndexOf(tagName);
+                if (openIndex <= 0) {
+                    // 没有对应的开始标签，忽略
+                    break;
+                }
+                while (stack.length > openIndex + 1) {
+                    popElement(token.start);
+                }
+                popElement(token.end);
+                break;
+            }
+
+            default:
+                // 注释与 DOCTYPE 不进入中间表示
+                break;
+        }
+    }
+
+    while (stack.length > 1) {
+        popElement(source.length);
+    }
+
+    normalizeChildren(root);
+    return { elements: root.children, meta: { directives } };
+}
+
+/**
+ * 收集树中所有标记为 unresolved 的标签节点（不进入其内部，因为外层节点的原始片段已包含子节点）。
+ * 脚本片段 (#scriptlet) 不在此列，由后处理阶段的 scriptlet.js 翻译。
+ * @param {Array<object>} elements - IR 元素数组。
+ * @returns {Array<{node: object, parent: Array<object>}>}
+ */
+export function collectUnresolvedNodes(elements) {
+    const found = [];
+    const walk = (children) => {
+        children.forEach(node => {
+            if (node.unresolved && node.tagName !== '#scriptlet') {
+                found.push({ node, parent: children });
+                return;
+            }
+            if (Array.isArray(node.children)) walk(node.children);
+        });
+    };
+    walk(elements);
+    return found;
+}
+
+/**
+ * 将 convertJspSnippet 的返回结果替换到树中。
+ * 返回结果可能是单个节点、节点数组或 { elements: [...] }。
+ * @returns {boolean} - 是否替换成功。
+ */
+export function replaceUnresolvedNode(parent, node, rawResult) {
+    let converted;
+    try {
+        converted = JSON5.parse(rawResult);
+    } catch (error) {
+        return false;
+    }
+    if (!converted || typeof converted !== 'object' || converted.error) {
+        return false;
+    }
+
+    let replacements;
+    if (Array.isArray(converted)) {
+        replacements = converted;
+    } else if (Array.isArray(converted.elements)) {
+        replacements = converted.elements;
+    } else if (converted.tagName) {
+        replacements = [converted];
+    } else {
+        return false;
+    }
+
+    parent.splice(parent.indexOf(node), 1, ...replacements);
+    return true;
+}
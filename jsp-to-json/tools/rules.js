@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 运行时标签规则 (Runtime Rules)
+ * --------------------------------
+ * 通过 /api/jsp-to-json/rules 注册的标签规则，与 tools.js 中的内置 promptRegistry 条目形式相同：
+ * - systemPrompt + userTemplate（含 ${content} 占位符）+ examples：交给 LLM 转换
+ * - converter：使用本地转换器（例如 "jsp:include"），不调用 LLM
+ * 同键的运行时规则优先于内置规则；停用后恢复使用内置规则（如果有）。
+ * 每次更新生成一个新版本，旧版本保存在 history 中，可以回滚。规则保存在一个 JSON 文件中，启动时加载。
+ */
+
+// 运行时规则可以使用的本地转换器类型
+export const RULE_CONVERTER_TYPES = ['jsp:include'];
+
+// 规则中随版本变化的字段
+const VERSIONED_FIELDS = ['description', 'systemPrompt', 'userTemplate', 'examples', 'converter'];
+
+/**
+ * 规范化规则的键：小写的标签名，带前缀（"ui:datepicker"）或不带前缀（"marquee"）。
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeRuleKey(key) {
+    const normalized = String(key || '').trim().toLowerCase();
+    if (!/^[a-z][\w.-]*(:[a-z][\w.-]*)?$/.test(normalized)) {
+        throw new Error(`规则的键无效: "${key}"，应为标签名，例如 "ui:datepicker" 或 "marquee"`);
+    }
+    return normalized;
+}
+
+/**
+ * 校验并提取规则内容。
+ * @param {object} input - 请求体。
+ * @returns {object} - 只包含 VERSIONED_FIELDS 的规则内容。
+ */
+function validateRuleInput(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('规则必须是对象');
+    }
+    const { description = '', systemPrompt, userTemplate, examples = [], converter } = input;
+    if (typeof description !== 'string') {
+        throw new Error('description 必须是字符串');
+    }
+    if (converter !== undefined && converter !== null) {
+        if (!RULE_CONVERTER_TYPES.includes(converter)) {
+            throw new Error(`未知的本地转换器类型: ${converter}，可选值: ${RULE_CONVERTER_TYPES.join(', ')}`);
+        }
+        return { description, systemPrompt: '', userTemplate: '', examples: [], converter };
+    }
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+        throw new Error('systemPrompt 必须是非空字符串（或提供 converter 使用本地转换器）');
+    }
+    if (typeof userTemplate !== 'string' || !userTemplate.includes('${content}')) {
+        throw new Error('userTemplate 必须是包含 ${content} 占位符的字符串');
+    }
+    const validExamples = Array.isArray(examples) && examples.every(example =>
+        example && typeof example.input === 'string' && example.output !== undefined && example.output !== null);
+    if (!validExamples) {
+        throw new Error('examples 必须是 { input, output } 组成的数组，input 为 JSP 片段，output 为 JSON 对象或字符串');
+    }
+    return {
+        description,
+        systemPrompt,
+        userTemplate,
+        examples: examples.map(({ input, output }) => ({ input, output })),
+        converter: null
+    };
+}
+
+function snapshotOf(rule) {
+    const snapshot = { version: rule.version, updatedAt: rule.updatedAt };
+    VERSIONED_FIELDS.forEach(field => { snapshot[field] = rule[field]; });
+    return snapshot;
+}
+
+/**
+ * 创建规则仓库。
+ * @param {object} options
+ * @param {string} options.file - 保存规则的 JSON 文件。
+ * @param {(key: string) => string|null} [options.reservedKeyReason] - 返回不允许注册该键的原因，允许时返回 null。
+ * @returns {object}
+ */
+export function createRuleStore({ file, reservedKeyReason = () => null }) {
+    const rules = new Map();
+
+    if (fs.existsSync(file)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            (Array.isArray(saved) ? saved : []).forEach(rule => rules.set(rule.key, rule));
+            console.log(`已加载 ${rules.size} 条运行时规则 (${file})`);
+        } catch (error) {
+            console.warn(`读取规则文件 ${file} 失败:`, error.message);
+        }
+    }
+
+    const persist = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify([...rules.values()], null, 2), 'utf8');
+    };
+
+    const requireRule = (key) => {
+        const rule = rules.get(normalizeRuleKey(key));
+        if (!rule) throw new Error(`规则 ${key} 不存在`);
+        return rule;
+    };
+
+    return {
+        list() {
+            return [...rules.values()];
+        },
+
+        get(key) {
+            return rules.get(String(key).toLowerCase()) || null;
+        },
+
+        /**
+         * 查找启用中的规则。
+         * @param {string} key - 小写的标签名。
+         * @returns {object|null}
+         */
+        getActive(key) {
+            const rule = rules.get(key);
+            return rule && rule.enabled ? rule : null;
+        },
+
+        /**
+         * 注册新规则（版本 1）。
+         * @param {object} input - { key, description?, systemPrompt, userTemplate, examples?, converter?, enabled? }
+         * @returns {object}
+         */
+        create(input) {
+            const key = normalizeRuleKey(input?.key);
+            if (rules.has(key)) {
+                throw new Error(`规则 ${key} 已存在，请使用 PUT 更新`);
+            }
+            const reason = reservedKeyReason(key);
+            if (reason) {
+                throw new Error(`不能为 ${key} 注册规则：${reason}`);
+            }
+            const now = new Date().toISOString();
+            const rule = {
+                key,
+                ...validateRuleInput(input),
+                enabled: input.enabled !== false,
+                version: 1,
+                createdAt: now,
+                updatedAt: now,
+                history: []
+            };
+            rules.set(key, rule);
+            persist();
+            return rule;
+        },
+
+        /**
+         * 更新规则内容，生成新版本；当前版本移入 history。
+         * @param {string} key
+         * @param {object} input - 与 create 相同（key 除外）。
+         * @returns {object}
+         */
+        update(key, input) {
+            const rule = requireRule(key);
+            const content = validateRuleInput(input);
+            rule.history.push(snapshotOf(rule));
+            Object.assign(rule, content, { version: rule.version + 1, updatedAt: new Date().toISOString() });
+            if (typeof input.enabled === 'boolean') rule.enabled = input.enabled;
+            persist();
+            return rule;
+        },
+
+        /**
+         * 以历史版本的内容生成新版本。
+         * @param {string} key
+         * @param {number} version - 要恢复的版本号。
+         * @returns {object}
+         */
+        rollback(key, version) {
+            const rule = requireRule(key);
+            const snapshot = rule.history.find(item => item.version === Number(version));
+            if (!snapshot) {
+                throw new Error(`规则 ${rule.key} 没有版本 ${version}`);
+            }
+            return this.update(rule.key, { ...snapshot, enabled: rule.enabled });
+        },
+
+        /**
+         * 启用或停用规则（不产生新版本）。
+         */
+        setEnabled(key, enabled) {
+            const rule = requireRule(key);
+            rule.enabled = Boolean(enabled);
+            rule.updatedAt = new Date().toISOString();
+            persist();
+            return rule;
+        },
+
+        /**
+         * 取规则的某个版本，缺省为当前版本。
+         * @returns {object|null}
+         */
+        getVersion(key, version) {
+            const rule = this.get(key);
+            if (!rule) return null;
+            if (version === undefined || version === null || Number(version) === rule.version) return rule;
+            return rule.history.find(item => item.version === Number(version)) || null;
+        },
+
+        remove(key) {
+            const removed = rules.delete(String(key).toLowerCase());
+            if (removed) persist();
+            return removed;
+        }
+    };
+}
+
+/**
+ * 根据环境变量 RULES_FILE 创建规则仓库（默认 data/rules.json）。
+ * @param {object} [options] - 传给 createRuleStore 的其余选项。
+ * @returns {object}
+ */
+export function createRuleStoreFromEnv(options = {}) {
+    return createRuleStore({
+        ...options,
+        file: path.resolve(process.env.RULES_FILE || path.join('data', 'rules.json'))
+    });
+}
@@ -0,0 +1,1143 @@
+/**
+ * 脚本片段的本地翻译 (Scriptlet Translator)
+ * --------------------------------
+ * 把 <% %> 中常见的 Java 语句翻译为中间表示节点，表达式统一翻译为 EL（${...}），再由 React 阶段转换为空值安全的 JavaScript：
+ * - if / else if / else                         -> ConditionalBlock（带 ElseBlock）或 ChooseBlock，代码块可以跨越多个 <% %>
+ * - for (Item item : items)                     -> LoopBlock（collection、item）
+ * - for (int i = 0; i < n; i++)                 -> LoopBlock（begin、end、step）
+ * - String s = ...; / s = ...;                  -> VariableBinding（分支内对外部变量的赋值改写为条件表达式）
+ * - request / session / pageContext.setAttribute -> VariableBinding（scope），removeAttribute -> remove
+ * - out.print / out.println / out.write         -> 文本与 #expression 节点（字符串中的 HTML 按 JSP 重新解析）
+ * - <%= expr %> 与属性值中的 <%= %>             -> EL 表达式
+ *
+ * 表达式中 request.getParameter("id") -> ${param.id}，session.getAttribute("user") -> ${sessionScope.user}，
+ * request.getAttribute("list") -> ${requestScope.list}，user.getName() -> ${user.name}，字符串拼接 -> EL 3.0 的 +=。
+ * 无法翻译的内容（JDBC、静态工具方法、while / try 等）转换为 TodoBlock 节点，记录原始代码与原因，不做猜测。
+ */
+
+import { parseJsp } from './parser.js';
+import { printEl } from '../../utils/el.js';
+
+// JSP 隐式对象：除下面列出的方法外没有浏览器中的等价物
+const IMPLICIT_OBJECTS = new Set(['request', 'response', 'session', 'application', 'pageContext', 'out', 'config', 'page', 'exception']);
+
+// xxx.getAttribute("name") -> EL 作用域对象
+const ATTRIBUTE_SCOPES = {
+    request: 'requestScope',
+    session: 'sessionScope',
+    application: 'applicationScope',
+    pageContext: 'pageScope'
+};
+
+// xxx.setAttribute("name", value) -> VariableBinding 的 scope
+const BINDING_SCOPES = {
+    request: 'request',
+    session: 'session',
+    application: 'application',
+    pageContext: 'page'
+};
+
+// EL 中可以直接调用、由 translateEl 映射为 JavaScript 的方法
+const PASS_THROUGH_METHODS = new Set([
+    'size', 'length', 'isEmpty', 'equalsIgnoreCase', 'toString', 'contains',
+    'startsWith', 'endsWith', 'indexOf', 'substring', 'trim', 'toUpperCase', 'toLowerCase'
+]);
+
+// JDBC 按列名或列序号读写的方法：rs.getString("name")、ps.setInt(1, id)
+const JDBC_COLUMN_METHODS = new Set([
+    'getString', 'getInt', 'getLong', 'getDouble', 'getBoolean', 'getDate', 'getTimestamp', 'getObject',
+    'getBigDecimal', 'setString', 'setInt', 'setLong', 'setObject'
+]);
+
+// 页面中声明为这些类型的变量是 JDBC 对象，它们的方法调用单独给出原因，提示改为调用后端接口
+const JDBC_DECLARATION = /\b(?:java\.sql\.)?(?:Connection|Statement|PreparedStatement|CallableStatement|ResultSet)\s+([A-Za-z_$][\w$]*)\s*[=;,)]/g;
+
+// 不支持的语句关键字：整条语句（或代码块的开头）转换为 TodoBlock
+const UNSUPPORTED_STATEMENTS = new Set([
+    'while', 'do', 'try', 'catch', 'finally', 'switch', 'case', 'default', 'synchronized',
+    'return', 'break', 'continue', 'throw', 'class', 'import'
+]);
+
+// EL 保留字不能作为变量名
+const EL_RESERVED_WORDS = new Set([
+    'and', 'or', 'not', 'eq', 'ne', 'lt', 'gt', 'le', 'ge', 'div', 'mod', 'empty', 'instanceof', 'true', 'false', 'null'
+]);
+
+const PRIMITIVE_TYPES = new Set(['boolean', 'byte', 'char', 'short', 'int', 'long', 'float', 'double']);
+
+const PUNCTUATORS = [
+    '...', '->', '::', '++', '--', '&&', '||', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '%=',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '?', ':', '.', ',', ';', '(', ')', '[', ']', '{', '}', '&', '|', '^', '@'
+];
+
+const BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '>': 4, '<=': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+};
+
+const JAVA_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0' };
+
+/**
+ * 无法翻译的 Java 代码。message 作为 TodoBlock 的 reason。
+ * 翻译过程中只捕获这一种错误，其余错误（程序缺陷）照常抛出。
+ */
+class UnsupportedJavaError extends Error {}
+
+function unsupported(message) {
+    return new UnsupportedJavaError(message);
+}
+
+/**
+ * 捕获到的错误不是 unsupported(...) 时重新抛出。
+ */
+function rethrowUnexpected(error) {
+    if (!(error instanceof UnsupportedJavaError)) throw error;
+}
+
+// ---------------------------------------------------------------------------
+// 词法分析
+// ---------------------------------------------------------------------------
+
+function readQuoted(source, start, quote) {
+    let value = '';
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+            const next = source[i + 1];
+            const unicode = next === 'u' && source.slice(i + 2, i + 6).match(/^[0-9a-fA-F]{4}$/);
+            if (unicode) {
+                value += String.fromCharCode(parseInt(unicode[0], 16));
+                i += 6;
+            } else {
+                value += JAVA_ESCAPES[next] ?? next;
+                i += 2;
+            }
+            continue;
+        }
+        if (source[i] === '\n') break;
+        value += source[i++];
+    }
+    if (source[i] !== quote) throw unsupported('Java 字符串没有结束');
+    return { value, end: i + 1 };
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (source.startsWith('//', i)) {
+            const end = source.indexOf('\n', i);
+            i = end === -1 ? source.length : end;
+            continue;
+        }
+        if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+            continue;
+        }
+        const start = i;
+        if (char === '"' || char === "'") {
+            const { value, end } = readQuoted(source, i, char);
+            i = end;
+            tokens.push({ type: 'string', value, start, end });
+            continue;
+        }
+        // 十六进制字面量中的 f/F/d/D 是数字，只有 l/L 是后缀
+        const number = source.slice(i).match(/^(?:0[xX][0-9a-fA-F_]+[lL]?|(?:\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[lLfFdD]?)/);
+        if (number) {
+            i += number[0].length;
+            const digits = number[0].replace(/_/g, '');
+            const value = /^0[xX]/.test(digits)
+                ? parseInt(digits.replace(/[lL]$/, ''), 16)
+                : Number(digits.replace(/[lLfFdD]$/, ''));
+            tokens.push({ type: 'number', value, start, end: i });
+            continue;
+        }
+        const identifier = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+        if (identifier) {
+            i += identifier[0].length;
+            tokens.push({ type: 'identifier', value: identifier[0], start, end: i });
+            continue;
+        }
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punctuator) throw unsupported(`无法识别的字符 "${char}"`);
+        i += punctuator.length;
+        tokens.push({ type: 'punctuator', value: punctuator, start, end: i });
+    }
+    tokens.push({ type: 'eof', value: null, start: source.length, end: source.length });
+    return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Java 表达式 -> EL AST
+// ---------------------------------------------------------------------------
+
+const literal = value => ({ type: 'Literal', value });
+const identifier = name => ({ type: 'Identifier', name });
+const member = (object, key) => ({ type: 'Member', object, property: literal(key), computed: false });
+const not = argument => ({ type: 'Unary', operator: '!', argument });
+const and = (left, right) => ({ type: 'Binary', operator: '&&', left, right });
+
+function isStringNode(node) {
+    return (node.type === 'Literal' && typeof node.value === 'string') || (node.type === 'Binary' && node.operator === '+=');
+}
+
+function describeCallee(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'Member' && !callee.computed) return `${describeCallee(callee.object)}.${callee.property.value}`;
+    return '(...)';
+}
+
+/**
+ * @param {Array<object>} tokens - tokenize 的结果。
+ * @param {Set<string>} [jdbcVariables] - 页面中声明的 JDBC 变量（collectJdbcVariables）。
+ */
+function createExpressionParser(tokens, jdbcVariables = new Set()) {
+    let index = 0;
+    const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+    const next = () => tokens[Math.min(index++, tokens.length - 1)];
+    const is = (token, value) => token.type === 'punctuator' && token.value === value;
+
+    function expect(value) {
+        const token = next();
+        if (!is(token, value)) throw unsupported(`Java 语法错误：缺少 "${value}"`);
+        return token;
+    }
+
+    function parseExpression() {
+        const test = parseBinary(1);
+        if (is(peek(), '?')) {
+            next();
+            const consequent = parseExpression();
+            expect(':');
+            const alternate = parseExpression();
+            return { type: 'Conditional', test, consequent, alternate };
+        }
+        if (['=', '+=', '-=', '*=', '/=', '%='].includes(peek().value) && peek().type === 'punctuator') {
+            throw unsupported('表达式中的赋值需要人工改写');
+        }
+        return test;
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            if (token.type === 'identifier' && token.value === 'instanceof') throw unsupported('不支持 instanceof 类型判断');
+            const precedence = token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (!precedence || precedence < minPrecedence) return left;
+            next();
+            const right = parseBinary(precedence + 1);
+            // Java 中任一操作数为字符串时 + 是字符串拼接
+            const operator = token.value === '+' && (isStringNode(left) || isStringNode(right)) ? '+=' : token.value;
+            left = { type: 'Binary', operator, left, right };
+        }
+    }
+
+    /**
+     * 判断 "(" 之后是否为类型转换：(String) x、(List<Item>) request.getAttribute("items")。
+     */
+    function castLength() {
+        let offset = 1;
+        const name = peek(offset);
+        if (name.type !== 'identifier') return 0;
+        offset++;
+        while (is(peek(offset), '.') && peek(offset + 1).type === 'identifier') offset += 2;
+        if (is(peek(offset), '<')) {
+            let depth = 0;
+            do {
+                if (is(peek(offset), '<')) depth++;
+                if (is(peek(offset), '>')) depth--;
+                if (peek(offset).type === 'eof') return 0;
+                offset++;
+            } while (depth > 0);
+        }
+        while (is(peek(offset), '[') && is(peek(offset + 1), ']')) offset += 2;
+        if (!is(peek(offset), ')')) return 0;
+        // 基本类型后面可以是任意一元表达式；引用类型后面不能是 +/-（否则是带括号的加减法）
+        const following = peek(offset + 1);
+        const startsOperand = following.type === 'identifier' || following.type === 'string' || following.type === 'number'
+            || is(following, '(') || is(following, '!');
+        if (PRIMITIVE_TYPES.has(name.value) ? startsOperand || is(following, '-') : startsOperand && (offset > 2 || /^[A-Z]/.test(name.value))) {
+            return offset + 1;
+        }
+        return 0;
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (is(token, '!')) {
+            next();
+            return not(parseUnary());
+        }
+        if (is(token, '-')) {
+            next();
+            const argument = parseUnary();
+            return argument.type === 'Literal' && typeof argument.value === 'number'
+                ? literal(-argument.value)
+                : { type: 'Unary', operator: '-', argument };
+        }
+        if (is(token, '+')) {
+            next();
+            return parseUnary();
+        }
+        if (is(token, '++') || is(token, '--')) throw unsupported('表达式中的自增/自减需要人工改写');
+        if (is(token, '(')) {
+            const length = castLength();
+            if (length) {
+                index += length;
+                return parseUnary();
+            }
+        }
+        const expression = parsePostfix(parsePrimary());
+        if (is(peek(), '++') || is(peek(), '--')) throw unsupported('表达式中的自增/自减需要人工改写');
+        return expression;
+    }
+
+    function parseArguments() {
+        expect('(');
+        const args = [];
+        if (!is(peek(), ')')) {
+            do {
+                args.push(parseExpression());
+            } while (is(peek(), ',') && next());
+        }
+        expect(')');
+        return args;
+    }
+
+    function parsePostfix(expression) {
+        for (;;) {
+            const token = peek();
+            if (is(token, '.')) {
+                next();
+                const property = next();
+                if (property.type !== 'identifier') throw unsupported('Java 语法错误："." 之后需要成员名');
+                if (is(peek(), '(')) {
+                    expression = translateMethodCall(expression, property.value, parseArguments(), jdbcVariables);
+                } else {
+                    expression = translateFieldAccess(expression, property.value);
+                }
+            } else if (is(token, '[')) {
+                next();
+                const property = parseExpression();
+                expect(']');
+                expression = { type: 'Member', object: expression, property, computed: true };
+            } else if (is(token, '(')) {
+                throw unsupported(`不支持调用 JSP 声明中的方法 ${describeCallee(expression)}()`);
+            } else if (is(token, '::') || is(token, '->')) {
+                throw unsupported('不支持方法引用与 lambda 表达式');
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    function parsePrimary() {
+        const token = next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return literal(token.value);
+            case 'identifier':
+                if (token.value === 'true' || token.value === 'false') return literal(token.value === 'true');
+                if (token.value === 'null') return literal(null);
+                if (token.value === 'new') throw unsupported('不支持用 new 创建 Java 对象');
+                if (token.value === 'this' || token.value === 'super') throw unsupported(`不支持 ${token.value} 引用`);
+                if (EL_RESERVED_WORDS.has(token.value)) throw unsupported(`变量名 ${token.value} 是 EL 保留字`);
+                return identifier(token.value);
+            case 'punctuator':
+                if (token.value === '(') {
+                    const expression = parseExpression();
+                    expect(')');
+                    return expression;
+                }
+                throw unsupported(`Java 语法错误：意外的符号 "${token.value}"`);
+            default:
+                throw unsupported('Java 语法错误：表达式不完整');
+        }
+    }
+
+    return { parseExpression, parseArguments, peek, next, is, expect, get index() { return index; }, set index(value) { index = value; } };
+}
+
+/**
+ * 字段访问：只有 ClassName.FIELD 形式的静态常量无法翻译。
+ */
+function translateFieldAccess(object, name) {
+    if (object.type === 'Identifier' && IMPLICIT_OBJECTS.has(object.name)) {
+        throw unsupported(`隐式对象 ${object.name}.${name} 在浏览器中没有对应的值`);
+    }
+    if (object.type === 'Identifier' && /^[A-Z]/.test(object.name)) {
+        throw unsupported(`不支持静态字段 ${object.name}.${name}`);
+    }
+    if (name === 'length') return { type: 'Call', callee: member(object, 'length'), arguments: [] };
+    return member(object, name);
+}
+
+/**
+ * 是否为 JDBC 调用：对象是 DriverManager 或页面中声明的 JDBC 变量，或按列名/列序号读写（getString("name")、setInt(1, id)）。
+ * 没有参数的 getDate()、next() 等同名方法按普通方法处理。
+ */
+function isJdbcCall(object, name, args, jdbcVariables) {
+    if (object.type === 'Identifier' && (jdbcVariables.has(object.name) || object.name === 'DriverManager')) return true;
+    const [column] = args;
+    return JDBC_COLUMN_METHODS.has(name) && column?.type === 'Literal'
+        && (typeof column.value === 'string' || typeof column.value === 'number');
+}
+
+/**
+ * 方法调用：隐式对象的常用方法映射为 EL 隐式对象，getter 改为属性访问，equals 改为 ==，
+ * 其余 translateEl 能够处理的方法原样保留；JDBC、静态方法与其他方法调用无法翻译。
+ */
+function translateMethodCall(object, name, args, jdbcVariables) {
+    const description = `${describeCallee(object)}.${name}()`;
+
+    if (object.type === 'Identifier' && IMPLICIT_OBJECTS.has(object.name)) {
+        const [key] = args;
+        const keyed = scopeObject => key.type === 'Literal' && typeof key.value === 'string'
+            ? member(identifier(scopeObject), key.value)
+            : { type: 'Member', object: identifier(scopeObject), property: key, computed: true };
+
+        if (object.name === 'request' && name === 'getParameter' && args.length === 1) return keyed('param');
+        if (object.name === 'request' && name === 'getParameterValues' && args.length === 1) return keyed('paramValues');
+        if (object.name === 'request' && name === 'getContextPath' && args.length === 0) {
+            return member(member(identifier('pageContext'), 'request'), 'contextPath');
+        }
+        if (name === 'getAttribute' && ATTRIBUTE_SCOPES[object.name] && args.length === 1) return keyed(ATTRIBUTE_SCOPES[object.name]);
+        throw unsupported(`隐式对象方法 ${description} 在浏览器中没有对应的值`);
+    }
+    if (isJdbcCall(object, name, args, jdbcVariables)) {
+        throw unsupported(`JDBC 数据库访问 ${description} 需要改为调用后端接口`);
+    }
+    if (object.type === 'Identifier' && /^[A-Z]/.test(object.name)) {
+        throw unsupported(`不支持静态方法调用 ${description}`);
+    }
+
+    if (PASS_THROUGH_METHODS.has(name)) return { type: 'Call', callee: member(object, name), arguments: args };
+    if (name === 'equals' && args.length === 1) return { type: 'Binary', operator: '==', left: object, right: args[0] };
+    if (name === 'get' && args.length === 1) return { type: 'Member', object, property: args[0], computed: true };
+    const getter = name.match(/^(?:get|is)([A-Z][\w$]*)$/);
+    if (getter && args.length === 0 && name !== 'getClass') {
+        return member(object, getter[1].charAt(0).toLowerCase() + getter[1].slice(1));
+    }
+    throw unsupported(`不支持的方法调用 ${description}`);
+}
+
+/**
+ * 把单个 Java 表达式翻译为 EL AST。
+ * @param {string} code - Java 表达式（<%= %> 的内容）。
+ * @param {Set<string>} [jdbcVariables] - 页面中声明的 JDBC 变量。
+ * @returns {object} - EL AST。
+ * @throws {Error} - 表达式无法翻译，message 为原因。
+ */
+export function translateJavaExpression(code, jdbcVariables = new Set()) {
+    const parser = createExpressionParser(tokenize(code), jdbcVariables);
+    const expression = parser.parseExpression();
+    if (parser.is(parser.peek(), ';')) parser.next();
+    if (parser.peek().type !== 'eof') throw unsupported(`Java 语法错误：多余的内容 "${parser.peek().value}"`);
+    return expression;
+}
+
+// 读取服务端状态的 Java 调用：request.getParameter("id")、session.getAttribute("user")、request.getContextPath() 等
+const SERVER_OBJECT_CALL = /\b(?:request|session|application|pageContext)\s*\.\s*(?:getParameterValues|getParameter|getAttribute|getContextPath)\s*\([^()]*\)/g;
+
+/**
+ * 把条件或 EL 表达式中残留的服务端对象 Java 调用改写为对应的 EL（session.getAttribute("user") -> sessionScope.user），
+ * 前端的取值方式由 React 阶段的服务端对象规则表决定。无法翻译的调用保持原样。
+ * @param {string} text - 条件文本或 ${...} 表达式。
+ * @returns {string}
+ */
+export function normalizeServerObjectCalls(text) {
+    return text.replace(SERVER_OBJECT_CALL, call => {
+        try {
+            return printEl(translateJavaExpression(call)).slice(2, -1);
+        } catch (error) {
+            rethrowUnexpected(error);
+            return call;
+        }
+    });
+}
+
+/**
+ * 把文本中的 <%= %> 片段替换为等价的 ${...}；存在无法翻译的片段时返回 null。
+ */
+function translateInlineExpressions(text, jdbcVariables) {
+    let failed = false;
+    const result = text.replace(/<%=([\s\S]*?)%>/g, (match, code) => {
+        try {
+            return printEl(translateJavaExpression(code, jdbcVariables));
+        } catch (error) {
+            rethrowUnexpected(error);
+            failed = true;
+            return match;
+        }
+    });
+    return failed ? null : result;
+}
+
+// ---------------------------------------------------------------------------
+// Java 语句 -> 片段
+// ---------------------------------------------------------------------------
+
+/**
+ * 把一个脚本片段的代码解析为片段序列：
+ * - { type: 'open', kind: 'if' | 'elseif' | 'else' | 'loop' | 'block' | 'todo', ... } 代码块开始
+ * - { type: 'close' } 代码块结束
+ * - { type: 'output', template } out.print 输出的 JSP 文本
+ * - { type: 'assign', name, value, declare, scope, remove } 变量声明与赋值
+ * - { type: 'todo', reason, source } 无法翻译的语句
+ */
+function parseScriptletCode(code, jdbcVariables) {
+    const tokens = tokenize(code);
+    const parser = createExpressionParser(tokens, jdbcVariables);
+    const { peek, next, is, expect } = parser;
+    const fragments = [];
+    const isKeyword = (token, value) => token.type === 'identifier' && token.value === value;
+    const el = ast => printEl(ast);
+
+    function parseCondition() {
+        expect('(');
+        const condition = parser.parseExpression();
+        expect(')');
+        return condition;
+    }
+
+    // fragments[start] 之后还没有闭合的代码块数
+    function openBlocks(start) {
+        return fragments.slice(start).reduce((depth, fragment) =>
+            depth + (fragment.type === 'open' ? 1 : fragment.type === 'close' ? -1 : 0), 0);
+    }
+
+    /**
+     * 代码块的主体：{ 开始一个跨片段的代码块，否则是单条语句。
+     * 单条语句本身带花括号（for (...) { ... }）时解析到它的 "}"，是 if 时连同其后的 else 分支；
+     * 代码块在本片段内没有闭合时，主体标记为 braceless，随该代码块的 "}" 一起结束。
+     */
+    function parseBody(open) {
+        if (is(peek(), '{')) {
+            next();
+            fragments.push(open);
+            return;
+        }
+        if (peek().type === 'eof') throw unsupported('没有花括号的 if / for / else 之后缺少语句');
+        fragments.push(open);
+        const start = fragments.length;
+        parseStatement();
+        while (peek().type !== 'eof'
+            && (openBlocks(start) > 0 || (isKeyword(peek(), 'else') && fragments[start]?.kind === 'if'))) {
+            parseStatement();
+        }
+        if (openBlocks(start) > 0) {
+            open.braceless = true;
+            return;
+        }
+        fragments.push({ type: 'close' });
+    }
+
+    /**
+     * 尝试解析类型：String、List<Item>、java.util.Map<String, Object>、int[]。失败时恢复位置并返回 false。
+     */
+    function skipType() {
+        const start = parser.index;
+        while (isKeyword(peek(), 'final')) next();
+        if (peek().type !== 'identifier' || EL_RESERVED_WORDS.has(peek().value) || UNSUPPORTED_STATEMENTS.has(peek().value)) {
+            parser.index = start;
+            return false;
+        }
+        next();
+        while (is(peek(), '.') && peek(1).type === 'identifier') {
+            next();
+            next();
+        }
+        if (is(peek(), '<')) {
+            let depth = 0;
+            do {
+                const token = next();
+                if (is(token, '<')) depth++;
+                if (is(token, '>')) depth--;
+                if (token.type === 'eof' || is(token, ';') || is(token, '(')) {
+                    parser.index = start;
+                    return false;
+                }
+            } while (depth > 0);
+        }
+        while (is(peek(), '[') && is(peek(1), ']')) {
+            next();
+            next();
+        }
+        return true;
+    }
+
+    /**
+     * 局部变量声明：Type name [= value] {, name [= value]};
+     */
+    function tryParseDeclaration() {
+        const start = parser.index;
+        if (!skipType() || peek().type !== 'identifier' || !(is(peek(1), '=') || is(peek(1), ';') || is(peek(1), ','))) {
+            parser.index = start;
+            return false;
+        }
+        do {
+            const name = next().value;
+            if (EL_RESERVED_WORDS.has(name)) throw unsupported(`变量名 ${name} 是 EL 保留字`);
+            const value = is(peek(), '=') && next() ? parser.parseExpression() : literal(null);
+            fragments.push({ type: 'assign', name, value: el(value), ast: value, declare: true });
+        } while (is(peek(), ',') && next() && peek().type === 'identifier');
+        expect(';');
+        return true;
+    }
+
+    function parseFor() {
+        expect('(');
+        const start = parser.index;
+        // for (Type item : collection)
+        if (skipType() && peek().type === 'identifier' && is(peek(1), ':')) {
+            const item = next().value;
+            next();
+            const collection = parser.parseExpression();
+            expect(')');
+            return parseBody({ type: 'open', kind: 'loop', loop: { collection: el(collection), item }, declares: [item] });
+        }
+        // for (int i = begin; i < end; i++)
+        parser.index = start;
+        if (!skipType() || peek().type !== 'identifier' || !is(peek(1), '=')) {
+            throw unsupported('只支持 for-each 与按整数计数的 for 循环');
+        }
+        const item = next().value;
+        next();
+        const begin = parser.parseExpression();
+        expect(';');
+        const counter = next();
+        const comparison = next();
+        if (!isKeyword(counter, item) || !['<', '<='].includes(comparison.value) || comparison.type !== 'punctuator') {
+            throw unsupported('只支持 i < n 或 i <= n 形式的循环条件');
+        }
+        const limit = parser.parseExpression();
+        expect(';');
+        let step = 1;
+        if ((isKeyword(peek(), item) && is(peek(1), '++')) || (is(peek(), '++') && isKeyword(peek(1), item))) {
+            next();
+            next();
+        } else if (isKeyword(peek(), item) && is(peek(1), '+=') && peek(2).type === 'number' && peek(2).value > 0) {
+            next();
+            next();
+            step = next().value;
+        } else {
+            throw unsupported('只支持 i++ 或 i += 正整数 形式的循环步长');
+        }
+        expect(')');
+
+        const end = comparison.value === '<='
+            ? limit
+            : limit.type === 'Literal' && typeof limit.value === 'number'
+                ? literal(limit.value - 1)
+                : { type: 'Binary', operator: '-', left: limit, right: literal(1) };
+        const bound = node => node.type === 'Literal' && Number.isInteger(node.value) ? node.value : el(node);
+        const loop = { begin: bound(begin), end: bound(end), item };
+        if (step !== 1) loop.step = step;
+        return parseBody({ type: 'open', kind: 'loop', loop, declares: [item] });
+    }
+
+    /**
+     * out.print / request.setAttribute 等隐式对象上的语句；不是这类语句时返回 false。
+     */
+    function tryParseImplicitStatement() {
+        const object = peek();
+        const methodName = peek(2);
+        if (object.type !== 'identifier' || !is(peek(1), '.') || methodName.type !== 'identifier' || !is(peek(3), '(')) {
+            return false;
+        }
+        const name = methodName.value;
+        const parseCall = () => {
+            parser.index += 3;
+            return parser.parseArguments();
+        };
+        if (object.value === 'out' && ['print', 'println', 'write'].includes(name)) {
+            const args = parseCall();
+            if (args.length > 1) throw unsupported(`不支持带多个参数的 out.${name}()`);
+            fragments.push({ type: 'output', template: outputTemplate(args[0]) + (name === 'println' ? '\n' : '') });
+            expect(';');
+            return true;
+        }
+        if (BINDING_SCOPES[object.value] && (name === 'setAttribute' || name === 'removeAttribute')) {
+            const [key, value] = parseCall();
+            if (!key || key.type !== 'Literal' || typeof key.value !== 'string') {
+                throw unsupported(`${object.value}.${name}() 的属性名必须是字符串常量`);
+            }
+            const scope = BINDING_SCOPES[object.value];
+            if (name === 'removeAttribute') {
+                fragments.push({ type: 'assign', name: key.value, scope, remove: true });
+            } else {
+                if (!value) throw unsupported(`${object.value}.setAttribute() 缺少属性值`);
+                fragments.push({ type: 'assign', name: key.value, value: el(value), ast: value, scope });
+            }
+            expect(';');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 赋值语句：name = value; name += value; name++;
+     */
+    function tryParseAssignment() {
+        const first = peek();
+        const second = peek(1);
+        if (first.type === 'identifier' && second.type === 'punctuator' && ['=', '+=', '-=', '*=', '/=', '%='].includes(second.value)) {
+            next();
+            next();
+            const right = parser.parseExpression();
+            let value = right;
+            if (second.value !== '=') {
+                const operator = second.value[0];
+                value = { type: 'Binary', operator: operator === '+' && isStringNode(right) ? '+=' : operator, left: identifier(first.value), right };
+            }
+            fragments.push({ type: 'assign', name: first.value, value: el(value), ast: value });
+            expect(';');
+            return true;
+        }
+        const increment = (first.type === 'identifier' && (is(second, '++') || is(second, '--')))
+            ? { name: first.value, operator: second.value }
+            : ((is(first, '++') || is(first, '--')) && second.type === 'identifier') ? { name: second.value, operator: first.value } : null;
+        if (increment) {
+            next();
+            next();
+            const value = { type: 'Binary', operator: increment.operator[0], left: identifier(increment.name), right: literal(1) };
+            fragments.push({ type: 'assign', name: increment.name, value: el(value), ast: value });
+            expect(';');
+            return true;
+        }
+        return false;
+    }
+
+    function parseStatementUnsafe() {
+        const token = peek();
+        if (is(token, ';')) {
+            next();
+            return;
+        }
+        if (is(token, '{')) {
+            next();
+            fragments.push({ type: 'open', kind: 'block' });
+            return;
+        }
+        if (is(token, '}')) {
+            next();
+            fragments.push({ type: 'close' });
+            return;
+        }
+        if (isKeyword(token, 'if')) {
+            next();
+            return parseBody({ type: 'open', kind: 'if', condition: parseCondition() });
+        }
+        if (isKeyword(token, 'else')) {
+            next();
+            if (isKeyword(peek(), 'if')) {
+                next();
+                return parseBody({ type: 'open', kind: 'elseif', condition: parseCondition() });
+            }
+            return parseBody({ type: 'open', kind: 'else' });
+        }
+        if (isKeyword(token, 'for')) {
+            next();
+            return parseFor();
+        }
+        if (token.type === 'identifier' && UNSUPPORTED_STATEMENTS.has(token.value)) {
+            throw unsupported(`不支持 ${token.value} 语句`);
+        }
+        if (tryParseImplicitStatement() || tryParseDeclaration() || tryParseAssignment()) return;
+
+        // 其他表达式语句（方法调用等）：先翻译以得到具体原因
+        parser.parseExpression();
+        throw unsupported('不支持的 Java 语句');
+    }
+
+    /**
+     * 无法翻译的语句：跳到本条语句的结尾（顶层的 ";"），或代码块的开始 "{"（整个代码块转换为 TodoBlock）。
+     */
+    function recover(start, reason) {
+        parser.index = start;
+        let depth = 0;
+        for (;;) {
+            const token = peek();
+            if (token.type === 'eof' || (depth === 0 && is(token, '}') && parser.index > start)) {
+                fragments.push({ type: 'todo', reason, source: code.slice(tokens[start].start, token.start).trim() });
+                return;
+            }
+            next();
+            if (is(token, '(') || is(token, '[')) depth++;
+            if (is(token, ')') || is(token, ']')) depth--;
+            if (depth === 0 && is(token, ';')) {
+                fragments.push({ type: 'todo', reason, source: code.slice(tokens[start].start, token.end).trim() });
+                return;
+            }
+            if (depth === 0 && is(token, '{')) {
+                fragments.push({ type: 'open', kind: 'todo', reason, source: code.slice(tokens[start].start, token.start).trim() });
+                return;
+            }
+        }
+    }
+
+    function parseStatement() {
+        const start = parser.index;
+        const count = fragments.length;
+        try {
+            parseStatementUnsafe();
+        } catch (error) {
+            rethrowUnexpected(error);
+            fragments.length = count;
+            recover(start, error.message);
+            return;
+        }
+        // 记录语句的原始代码：代码块没有闭合或赋值无法翻译时用于 TodoBlock
+        const source = code.slice(tokens[start].start, tokens[parser.index - 1].end).trim();
+        fragments.slice(count).forEach(fragment => {
+            if ((fragment.type === 'open' || fragment.type === 'assign') && fragment.source === undefined) fragment.source = source;
+        });
+    }
+
+    while (peek().type !== 'eof') parseStatement();
+    return fragments;
+}
+
+/**
+ * out.print 的参数拼接为 JSP 文本：字符串常量原样保留（其中的 HTML 随后按 JSP 解析），其余部分写作 ${...}。
+ */
+function outputTemplate(argument) {
+    if (!argument) return '';
+    if (argument.type === 'Binary' && argument.operator === '+=') {
+        return outputTemplate(argument.left) + outputTemplate(argument.right);
+    }
+    if (argument.type === 'Literal' && typeof argument.value === 'string') return argument.value;
+    return printEl(argument);
+}
+
+// ---------------------------------------------------------------------------
+// 片段 -> 中间表示
+// ---------------------------------------------------------------------------
+
+function createTodoBlock(reason, source, children = []) {
+    return { tagName: 'TodoBlock', reason, source, attributes: {}, children, isComponent: false };
+}
+
+function isScriptletNode(node) {
+    return node && typeof node === 'object' && node.tagName === '#scriptlet';
+}
+
+function isBlankText(node) {
+    return node && node.tagName === '#text' && !String(node.text || '').trim();
+}
+
+function isEmptyBranch(children) {
+    return !children || children.every(isBlankText);
+}
+
+/**
+ * if / else if / else 链：只有一个分支时为 ConditionalBlock（可带 ElseBlock），否则为 ChooseBlock。
+ * placeholder 在 if 开始时已插入父节点，这里原地改写为最终结构；所有分支都为空（只包含赋值）时从父节点中移除。
+ */
+function finalizeChain(chain) {
+    const { placeholder, parent, branches, elseChildren } = chain;
+    if (branches.every(branch => isEmptyBranch(branch.children)) && isEmptyBranch(elseChildren)) {
+        parent.splice(parent.indexOf(placeholder), 1);
+        return;
+    }
+    const elseBlock = elseChildren ? [{ tagName: 'ElseBlock', attributes: {}, children: elseChildren, isComponent: false }] : [];
+    const conditional = branch => ({
+        tagName: 'ConditionalBlock',
+        condition: printEl(branch.condition),
+        attributes: {},
+        children: branch.children,
+        isComponent: false
+    });
+    if (branches.length === 1) {
+        const block = conditional(branches[0]);
+        block.children = [...block.children, ...elseBlock];
+        Object.assign(placeholder, block);
+    } else {
+        Object.assign(placeholder, {
+            tagName: 'ChooseBlock',
+            attributes: {},
+            children: [...branches.map(conditional), ...elseBlock],
+            isComponent: false
+        });
+    }
+}
+
+/**
+ * 把一组兄弟节点中的脚本片段与其间的 HTML 节点组装为控制流结构。
+ * 代码块跨越了 HTML 元素边界时，多余的 "}" 与没有闭合的代码块都标记为 TodoBlock。
+ */
+function structureSiblings(nodes, warnings, jdbcVariables) {
+    const root = { kind: 'root', children: [], declared: new Set(), output: '', pendingChain: null };
+    const stack = [root];
+    const chains = [];
+    const current = () => stack[stack.length - 1];
+
+    const todo = (reason, source, children) => {
+        warnings.push(`脚本片段无法翻译（${reason}）: ${source}`);
+        return createTodoBlock(reason, source, children);
+    };
+    const flushOutput = (frame = current()) => {
+        if (!frame.output) return;
+        frame.children.push(...parseJsp(frame.output).elements);
+        frame.output = '';
+    };
+    const pushNode = (node, frame = current()) => {
+        flushOutput(frame);
+        frame.pendingChain = null;
+        frame.children.push(node);
+    };
+    const openFrame = (frame) => {
+        stack.push({ declared: new Set(), output: '', pendingChain: null, ...frame });
+    };
+
+    /**
+     * 变量声明与赋值。React 阶段把 VariableBinding 提升为组件函数体（或循环回调体）中的语句，
+     * 因此分支内的赋值改写为 ${条件 ? 新值 : 原值} 并移到分支外，在循环中给循环外的变量赋值则无法翻译。
+     */
+    const assign = (fragment) => {
+        const { name } = fragment;
+        const binding = { tagName: 'VariableBinding', name, attributes: {}, children: [], isComponent: false };
+        if (fragment.scope) binding.scope = fragment.scope;
+        if (fragment.remove) {
+            binding.remove = true;
+            return pushNode(binding);
+        }
+
+        // 分支之外最近的代码块，以及进入当前分支的条件
+        let target = stack.length - 1;
+        let guard = null;
+        for (; stack[target].kind === 'branch'; target--) {
+            guard = guard ? and(stack[target].guard, guard) : stack[target].guard;
+        }
+        const isDeclared = stack.some(frame => frame.declared.has(name));
+        if (!fragment.declare) {
+            for (let i = target; i > 0 && !stack[i].declared.has(name); i--) {
+                if (stack[i].kind === 'loop') {
+                    return pushNode(todo('在循环中修改循环外的变量需要人工改写', fragment.source));
+                }
+            }
+        } else {
+            stack[target].declared.add(name);
+            // List items = (List) request.getAttribute("items")：直接引用同名的请求属性即可
+            const { ast } = fragment;
+            if (ast.type === 'Member' && !ast.computed && ast.property.value === name && ast.object.type === 'Identifier'
+                && ['requestScope', 'pageScope', 'applicationScope'].includes(ast.object.name)) {
+                return;
+            }
+        }
+
+        binding.value = guard
+            ? printEl({
+                type: 'Conditional',
+                test: guard,
+                consequent: fragment.ast,
+                alternate: fragment.declare && !isDeclared ? literal(null) : identifier(name)
+            })
+            : fragment.value;
+        return pushNode(binding, stack[target]);
+    };
+
+    const closePendingBlocks = () => {
+        while (current().pendingClose) {
+            current().pendingClose = false;
+            apply({ type: 'close' });
+        }
+    };
+
+    const apply = (fragment) => {
+        if (fragment.kind === 'elseif' || fragment.kind === 'else') current().pendingClose = false;
+        else closePendingBlocks();
+        const frame = current();
+        switch (fragment.type) {
+            case 'output':
+                frame.output += fragment.template;
+                frame.pendingChain = null;
+                return;
+            case 'todo':
+                return pushNode(todo(fragment.reason, fragment.source));
+            case 'assign':
+                return assign(fragment);
+            case 'close': {
+                if (stack.length === 1) {
+                    return pushNode(todo('多余的 "}"，对应的代码块不在同一个 HTML 元素内', '}'));
+                }
+                flushOutput(frame);
+                stack.pop();
+                const chain = frame.kind === 'branch' && !frame.isElse ? frame.chain : null;
+                current().pendingChain = chain;
+                if (current().braceless) {
+                    // 以这个代码块为主体、没有花括号的 if / for 随之结束；内层是 if 时等到确定之后没有 else
+                    if (chain) current().pendingClose = true;
+                    else apply(fragment);
+                }
+                return;
+            }
+            default:
+                break;
+        }
+
+        // 代码块开始
+        const depth = stack.length;
+        openBlock(fragment, frame);
+        if (fragment.braceless && stack.length > depth) current().braceless = true;
+    };
+
+    const openBlock = (fragment, frame) => {
+        switch (fragment.kind) {
+            case 'if': {
+                const chain = { placeholder: {}, parent: frame.children, branches: [{ condition: fragment.condition, children: [] }], elseChildren: null };
+                chains.push(chain);
+                pushNode(chain.placeholder);
+                return openFrame({ kind: 'branch', chain, children: chain.branches[0].children, guard: fragment.condition, source: fragment.source });
+            }
+            case 'elseif':
+            case 'else': {
+                const chain = frame.pendingChain;
+                if (!chain) {
+                    const block = todo('else 之前没有对应的 if，可能位于另一个 HTML 元素内', fragment.source);
+                    pushNode(block);
+                    return openFrame({ kind: 'todo', children: block.children });
+                }
+                flushOutput(frame);
+                frame.pendingChain = null;
+                // 进入该分支的条件：之前的分支都不成立
+                const previous = chain.branches.map(branch => not(branch.condition)).reduce(and);
+                if (fragment.kind === 'elseif') {
+                    const branch = { condition: fragment.condition, children: [] };
+                    chain.branches.push(branch);
+                    return openFrame({ kind: 'branch', chain, children: branch.children, guard: and(previous, fragment.condition), source: fragment.source });
+                }
+                chain.elseChildren = [];
+                return openFrame({ kind: 'branch', chain, isElse: true, children: chain.elseChildren, guard: previous, source: fragment.source });
+            }
+            case 'loop': {
+                const loop = { tagName: 'LoopBlock', ...fragment.loop, attributes: {}, children: [], isComponent: false };
+                pushNode(loop);
+                openFrame({ kind: 'loop', children: loop.children, declared: new Set(fragment.declares), source: fragment.source });
+                return;
+            }
+            case 'block':
+                flushOutput(frame);
+                return openFrame({ kind: 'block', children: frame.children, source: fragment.source });
+            case 'todo': {
+                const block = todo(fragment.reason, fragment.source);
+                pushNode(block);
+                return openFrame({ kind: 'todo', children: block.children, source: fragment.source });
+            }
+            default:
+                return pushNode(todo('无法识别的代码块', fragment.source || ''));
+        }
+    };
+
+    for (const node of nodes) {
+        if (!isScriptletNode(node)) {
+            if (!isBlankText(node)) closePendingBlocks();
+            const frame = current();
+            flushOutput(frame);
+            if (!isBlankText(node)) frame.pendingChain = null;
+            frame.children.push(node);
+            continue;
+        }
+        if (node.declaration) {
+            pushNode(todo('JSP 声明（<%! %>）中的成员变量与方法需要人工迁移', node.code));
+            continue;
+        }
+        let fragments;
+        try {
+            fragments = parseScriptletCode(node.code, jdbcVariables);
+        } catch (error) {
+            rethrowUnexpected(error);
+            fragments = [{ type: 'todo', reason: error.message, source: node.code }];
+        }
+        fragments.forEach(apply);
+    }
+
+    // 没有闭合的代码块（例如 <div><% if (a) { %></div><% } %>）在这组兄弟节点的结尾处结束，并标记 TODO
+    while (stack.length > 1) {
+        const frame = stack.pop();
+        flushOutput(frame);
+        // 没有花括号的主体随内层代码块结束，内层代码块已经标记
+        if (!frame.braceless) frame.children.push(todo('代码块没有在同一个 HTML 元素内闭合，已在元素结尾处结束', frame.source || ''));
+    }
+    flushOutput(root);
+    // 内层的链先完成：只包含赋值的内层 if 移除后，外层的分支才能判断为空
+    chains.reverse().forEach(finalizeChain);
+    return root.children;
+}
+
+/**
+ * 翻译单个节点自身（不含子节点）：<%= %> 表达式与属性、条件中的 <%= %> 片段。
+ */
+function translateNode(node, warnings, jdbcVariables) {
+    if (node.tagName === '#expression' && node.language === 'java') {
+        try {
+            const ast = translateJavaExpression(node.expression, jdbcVariables);
+            return { ...node, expression: printEl(ast), language: 'el' };
+        } catch (error) {
+            rethrowUnexpected(error);
+            warnings.push(`脚本表达式无法翻译（${error.message}）: <%= ${node.expression} %>`);
+            return createTodoBlock(error.message, `<%= ${node.expression} %>`);
+        }
+    }
+    for (const key of ['condition', 'value', 'collection']) {
+        if (typeof node[key] === 'string' && node[key].includes('<%=')) {
+            node[key] = translateInlineExpressions(node[key], jdbcVariables) ?? node[key];
+        }
+    }
+    if (node.attributes && typeof node.attributes === 'object' && !node.unresolved) {
+        for (const [name, value] of Object.entries(node.attributes)) {
+            if (typeof value === 'string' && value.includes('<%=')) {
+                node.attributes[name] = translateInlineExpressions(value, jdbcVariables) ?? value;
+            }
+        }
+    }
+    return node;
+}
+
+function convertChildren(elements, warnings, jdbcVariables) {
+    const converted = (elements || []).map(node => {
+        if (!node || typeof node !== 'object' || isScriptletNode(node)) return node;
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertChildren(node.children, warnings, jdbcVariables);
+        }
+        return translateNode(node, warnings, jdbcVariables);
+    });
+    if (!converted.some(isScriptletNode)) return converted;
+
+    return structureSiblings(converted, warnings, jdbcVariables);
+}
+
+/**
+ * 收集页面脚本片段中声明为 Connection / Statement / ResultSet 等 JDBC 类型的变量名。
+ */
+function collectJdbcVariables(elements, variables = new Set()) {
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') continue;
+        if (isScriptletNode(node)) {
+            for (const [, name] of String(node.code || '').matchAll(JDBC_DECLARATION)) variables.add(name);
+        }
+        if (Array.isArray(node.children)) collectJdbcVariables(node.children, variables);
+    }
+    return variables;
+}
+
+/**
+ * 递归翻译节点数组中的脚本片段（#scriptlet）与 Java 表达式（language 为 "java" 的 #expression）。
+ * @param {Array<object>} elements - 中间表示的节点数组。
+ * @param {string[]} [warnings] - 收集无法翻译的代码。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertScriptletNodes(elements, warnings = []) {
+    return convertChildren(elements, warnings, collectJdbcVariables(elements));
+}
@@ -0,0 +1,583 @@
+import fs from 'fs';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { splitUrl, isDynamic } from '../../utils/url.js';
+
+/**
+ * struts-config.xml 的导入与路由解析 (Struts Config)
+ * --------------------------------
+ * 读取 struts-config.xml 中的 action 映射、form-bean、全局 forward 与 input 页面，用于：
+ *
+ * - 把页面中的 Struts 地址解析为 React 路由与页面组件：
+ *   html:form 的 action、html:link 的 action / forward / page（以及 href="*.do"）、RouteOutlet 的 defaultRoute、frame / iframe 的 src
+ *   action 的路由为去掉 .do 的 action 路径（"/users/home.do" -> "/users/home"），
+ *   页面为该 action 最终转发到的 JSP（forward 属性 -> 名为 success 的 forward -> 唯一的 forward -> input，转发到其他 action 时继续解析），
+ *   转发到 Tiles 定义时记录定义名
+ * - 把 form-bean 生成为 TypeScript 接口（DynaActionForm 的 form-property 按 Java 类型生成成员）
+ *
+ * 没有加载任何 struts-config.xml 时不做解析，页面中的地址保持原样。
+ */
+
+// forward 链的最大深度（防止 action 互相转发导致无限解析）
+const MAX_FORWARD_DEPTH = 10;
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    // action 的 forward 属性与 <forward> 子元素同名，属性加前缀区分
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseAttributeValue: false,
+    isArray: (name) => ['form-bean', 'form-property', 'forward', 'action', 'action-mappings', 'form-beans', 'global-forwards'].includes(name)
+});
+
+function attributesOf(element) {
+    const result = {};
+    for (const [key, value] of Object.entries(element || {})) {
+        if (key.startsWith('@_')) result[key.slice(2)] = String(value);
+    }
+    return result;
+}
+
+function parseForward(element) {
+    const { name, path: forwardPath, redirect, module } = attributesOf(element);
+    const forward = { name, path: forwardPath || '' };
+    if (String(redirect).toLowerCase() === 'true') forward.redirect = true;
+    if (module) forward.module = module;
+    return forward;
+}
+
+/**
+ * 解析 struts-config.xml 内容。
+ * @param {string} xml - XML 文本。
+ * @returns {{formBeans: Array<object>, globalForwards: Array<object>, actions: Array<object>}}
+ *   formBeans: { name, type, extends?, dynamic, properties: [{ name, type, initial?, size? }] }
+ *   globalForwards: { name, path, redirect? }
+ *   actions: { path, type?, name?, scope?, input?, forward?, include?, parameter?, validate?, forwards: [...] }
+ */
+export function parseStrutsConfig(xml) {
+    const document = xmlParser.parse(xml);
+    const root = document['struts-config'];
+    if (!root || typeof root !== 'object') {
+        throw new Error('不是有效的 struts-config.xml：缺少 <struts-config> 根元素');
+    }
+
+    const formBeans = (root['form-beans'] || []).flatMap(group => group['form-bean'] || []).map(element => {
+        const { name, type = '', extends: parent } = attributesOf(element);
+        const bean = {
+            name,
+            type,
+            dynamic: /Dyna|LazyValidator/i.test(type) || (element['form-property'] || []).length > 0,
+            properties: (element['form-property'] || []).map(property => {
+                const { name: propertyName, type: propertyType = 'java.lang.String', initial, size } = attributesOf(property);
+                const entry = { name: propertyName, type: propertyType };
+                if (initial !== undefined) entry.initial = initial;
+                if (size !== undefined) entry.size = size;
+                return entry;
+            }).filter(property => property.name)
+        };
+        if (parent) bean.extends = parent;
+        return bean;
+    }).filter(bean => bean.name);
+
+    const globalForwards = (root['global-forwards'] || []).flatMap(group => group.forward || [])
+        .map(parseForward)
+        .filter(forward => forward.name);
+
+    const actions = (root['action-mappings'] || []).flatMap(group => group.action || []).map(element => {
+        const action = { ...attributesOf(element), forwards: (element.forward || []).map(parseForward).filter(forward => forward.name) };
+        return action;
+    }).filter(action => action.path);
+
+    return { formBeans, globalForwards, actions };
+}
+
+// ---------------------------------------------------------------------------
+// 路径处理
+// ---------------------------------------------------------------------------
+
+function withLeadingSlash(value) {
+    return value.startsWith('/') ? value : `/${value}`;
+}
+
+/**
+ * 地址中的路径 -> 绝对路径：相对路径（"list.do"）按 from（所在页面的路由）的目录解析，没有 from 时补全开头的 /。
+ */
+function absolutePath(value, from) {
+    if (value.startsWith('/') || !from) return withLeadingSlash(value);
+    return path.posix.normalize(path.posix.join(path.posix.dirname(withLeadingSlash(from)), value));
+}
+
+/**
+ * action 地址 -> action 路径（去掉 .do 后缀，补全开头的 /，相对地址按 from 的目录解析）。
+ */
+function actionPathOf(url, from) {
+    return absolutePath(splitUrl(url).path.replace(/\.do$/i, ''), from);
+}
+
+function isActionUrl(url) {
+    return /\.do$/i.test(splitUrl(url).path);
+}
+
+function isJspPath(value) {
+    return /\.jspx?$/i.test(splitUrl(value).path);
+}
+
+/**
+ * 通配符 action（Struts 1.2+，例如 path="/edit*"）-> 正则：* 匹配一段路径，** 匹配任意路径。
+ */
+function wildcardPattern(actionPath) {
+    const source = actionPath.split(/(\*\*|\*)/).map(part => {
+        if (part === '**') return '(.*)';
+        if (part === '*') return '([^/]*)';
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+function substituteWildcards(value, params) {
+    return value === undefined ? value : String(value).replace(/\{(\d)\}/g, (match, index) => params[Number(index)] ?? match);
+}
+
+// ---------------------------------------------------------------------------
+// 配置仓库
+// ---------------------------------------------------------------------------
+
+/**
+ * 创建 struts-config 仓库。
+ * @param {object} [context]
+ * @param {object} [context.definitions] - Tiles 定义仓库，用于识别转发到 Tiles 定义的 forward。
+ * @param {Function} [context.resolveComponentUrl] - 页面路径 -> { componentName, componentUrl }。
+ * @returns {object}
+ */
+export function createStrutsConfigStore(context = {}) {
+    // action 路径（含模块前缀）-> action；通配符 action 单独保存
+    const actions = new Map();
+    const wildcardActions = [];
+    const formBeans = new Map();
+    const globalForwards = new Map();
+    const sources = [];
+
+    function findAction(actionPath) {
+        const exact = actions.get(actionPath);
+        if (exact) return { action: exact, params: [] };
+        for (const { pattern, action } of wildcardActions) {
+            const match = pattern.exec(actionPath);
+            if (match) return { action, params: [match[0], ...match.slice(1)] };
+        }
+        return null;
+    }
+
+    /**
+     * action 最终显示的目标：forward 属性、include 属性、名为 success 的 forward、唯一的 forward、input。
+     */
+    function actionTarget(action, params) {
+        const direct = action.forward || action.include;
+        if (direct) return { path: substituteWildcards(direct, params) };
+        const success = action.forwards.find(forward => forward.name === 'success')
+            || (action.forwards.length === 1 ? action.forwards[0] : null);
+        if (success) return { ...success, path: substituteWildcards(success.path, params) };
+        if (action.input) return { path: substituteWildcards(action.input, params) };
+        return null;
+    }
+
+    function describePage(target, page) {
+        target.page = page;
+        if (context.resolveComponentUrl) {
+            const { componentName, componentUrl } = context.resolveComponentUrl(page);
+            Object.assign(target, { componentName, componentUrl });
+        }
+        return target;
+    }
+
+    /**
+     * 解析 forward 的路径：转发到 action 时沿 forward 链继续解析，转发到 JSP 时记录页面，否则视为 Tiles 定义名。
+     */
+    function followPath(target, forwardPath, depth, warnings) {
+        if (!forwardPath || isDynamic(forwardPath)) return target;
+        const { path: pathPart } = splitUrl(forwardPath);
+        const isPath = pathPart.startsWith('/');
+        if (isActionUrl(forwardPath) || (isPath && !isJspPath(forwardPath) && findAction(actionPathOf(forwardPath)))) {
+            if (depth >= MAX_FORWARD_DEPTH) {
+                warnings.push(`action "${target.action}" 的 forward 链超过 ${MAX_FORWARD_DEPTH} 层，已停止解析`);
+                return target;
+            }
+            const next = resolveActionPath(actionPathOf(forwardPath), depth + 1, warnings);
+            for (const key of ['page', 'componentName', 'componentUrl', 'definition']) {
+                if (next[key] !== undefined) target[key] = next[key];
+            }
+            return target;
+        }
+        if (isJspPath(forwardPath)) {
+            return describePage(target, pathPart);
+        }
+        if (!isPath && (!context.definitions || context.definitions.has(pathPart))) {
+            target.definition = pathPart;
+            return target;
+        }
+        warnings.push(`无法识别 forward 路径 "${forwardPath}"`);
+        return target;
+    }
+
+    function resolveActionPath(actionPath, depth, warnings) {
+        const target = { kind: 'action', path: actionPath, action: actionPath, resolved: true };
+        const found = findAction(actionPath);
+        if (!found) {
+            warnings.push(`struts-config.xml 中没有 action "${actionPath}"`);
+            target.resolved = false;
+            return target;
+        }
+        const { action, params } = found;
+        if (action.name) target.formBean = action.name;
+        if (action.input) target.input = substituteWildcards(action.input, params);
+        const forward = actionTarget(action, params);
+        if (!forward) {
+            // DispatchAction 等按请求参数选择 forward 的 action，无法静态确定页面
+            if (action.forwards.length > 1) {
+                warnings.push(`action "${actionPath}" 有多个 forward（${action.forwards.map(item => item.name).join('、')}），无法确定显示的页面`);
+            }
+            return target;
+        }
+        if (forward.redirect) target.redirect = true;
+        return followPath(target, forward.path, depth, warnings);
+    }
+
+    /**
+     * JSP 页面对应的路由：直接（非重定向）转发到该页面的第一个 action 的路径，没有时为去掉扩展名的页面路径。
+     */
+    function routeForPage(page) {
+        const sortedActions = [...actions.values()].filter(action => !action.path.includes('*'))
+            .sort((a, b) => a.path.localeCompare(b.path));
+        for (const action of sortedActions) {
+            const forward = actionTarget(action, []);
+            if (forward && !forward.redirect && withLeadingSlash(splitUrl(forward.path).path) === page) return action.path;
+        }
+        return page.replace(/\.jspx?$/i, '');
+    }
+
+    return {
+        /**
+         * 从 XML 文本加载配置，同名的 action、form-bean 与全局 forward 会被覆盖。
+         * @param {string} xml - struts-config.xml 内容。
+         * @param {object} [options]
+         * @param {string} [options.source] - 来源（文件路径等），用于列表展示。
+         * @param {string} [options.prefix] - 模块前缀（例如 "/admin"），加在该文件中所有 action 路径之前。
+         * @returns {{actions: number, formBeans: number, globalForwards: number}}
+         */
+        load(xml, { source = 'inline', prefix = '' } = {}) {
+            const parsed = parseStrutsConfig(xml);
+            const modulePrefix = prefix ? withLeadingSlash(prefix).replace(/\/$/, '') : '';
+            parsed.actions.forEach(action => {
+                const entry = { ...action, path: `${modulePrefix}${withLeadingSlash(action.path)}`, source };
+                actions.set(entry.path, entry);
+                const index = wildcardActions.findIndex(item => item.action.path === entry.path);
+                if (index >= 0) wildcardActions.splice(index, 1);
+                if (entry.path.includes('*')) wildcardActions.push({ pattern: wildcardPattern(entry.path), action: entry });
+            });
+            parsed.formBeans.forEach(bean => formBeans.set(bean.name, { ...bean, source }));
+            parsed.globalForwards.forEach(forward => globalForwards.set(forward.name, { ...forward, source }));
+            sources.push({ source, prefix: modulePrefix });
+            return { actions: parsed.actions.length, formBeans: parsed.formBeans.length, globalForwards: parsed.globalForwards.length };
+        },
+
+        isEmpty() {
+            return actions.size === 0 && globalForwards.size === 0;
+        },
+
+        /**
+         * 把页面中的 Struts 地址解析为路由与页面组件。
+         * @param {{action?: string, forward?: string, page?: string, from?: string}} reference - 前三者取其一：action 地址（可以带 .do）、全局 forward 名、页面路径。
+         *   from 为地址所在页面的路由：链接等浏览器解析的相对地址按它的目录解析，没有时相对于 context 根目录。
+         * @param {string[]} [warnings] - 收集无法解析的情况。
+         *   resolved 表示 struts-config.xml 中有对应的 action / forward；无法确定显示的页面时没有 page。
+     * @returns {{kind: string, source: string, path: string, resolved: boolean, action?: string, page?: string,
+         *   componentName?: string, componentUrl?: string, definition?: string, formBean?: string, input?: string, redirect?: boolean}}
+         *   path 为 React 路由（保留原地址中的查询串与锚点）。
+         */
+        resolve(reference, warnings = []) {
+            if (reference.action !== undefined) {
+                const source = reference.action;
+                const { suffix } = splitUrl(source);
+                const target = resolveActionPath(actionPathOf(source, reference.from), 0, warnings);
+                return { ...target, source, path: `${target.path}${suffix}` };
+            }
+            if (reference.forward !== undefined) {
+                const source = reference.forward;
+                const forward = globalForwards.get(source);
+                if (!forward) {
+                    warnings.push(`struts-config.xml 中没有全局 forward "${source}"`);
+                    return { kind: 'forward', source, path: '/', resolved: false };
+                }
+                if (isActionUrl(forward.path) || (!isJspPath(forward.path) && findAction(actionPathOf(forward.path)))) {
+                    const target = resolveActionPath(actionPathOf(forward.path), 0, warnings);
+                    return { ...target, kind: 'forward', source, path: `${target.path}${splitUrl(forward.path).suffix}` };
+                }
+                const target = followPath({ kind: 'forward', source, resolved: true }, forward.path, 0, warnings);
+                const { path: pagePath, suffix } = splitUrl(forward.path);
+                target.path = target.page ? `${routeForPage(target.page)}${suffix}` : pagePath;
+                if (forward.redirect) target.redirect = true;
+                return target;
+            }
+            const source = reference.page;
+            const { path: pagePath, suffix } = splitUrl(source);
+            if (isActionUrl(pagePath)) {
+                return this.resolve({ action: source, from: reference.from }, warnings);
+            }
+            const target = { kind: 'page', source, resolved: true };
+            if (isJspPath(pagePath)) {
+                describePage(target, absolutePath(pagePath, reference.from));
+                target.path = `${routeForPage(target.page)}${suffix}`;
+            } else {
+                target.path = `${absolutePath(pagePath, reference.from)}${suffix}`;
+            }
+            return target;
+        },
+
+        formBean(name) {
+            return formBeans.get(name) || null;
+        },
+
+        /**
+         * 所有非通配符 action 的路由（按路径排序）。
+         * @returns {Array<object>} - 与 resolve 的返回值相同。
+         */
+        routes() {
+            return [...actions.keys()].filter(actionPath => !actionPath.includes('*')).sort()
+                .map(actionPath => ({ ...resolveActionPath(actionPath, 0, []), source: actionPath }));
+        },
+
+        list() {
+            return {
+                sources: [...sources],
+                actions: [...actions.values()],
+                formBeans: [...formBeans.values()],
+                globalForwards: [...globalForwards.values()]
+            };
+        },
+
+        clear() {
+            actions.clear();
+            wildcardActions.length = 0;
+            formBeans.clear();
+            globalForwards.clear();
+            sources.length = 0;
+        }
+    };
+}
+
+/**
+ * 创建 struts-config 仓库，并加载环境变量 STRUTS_CONFIG（逗号分隔的 struts-config.xml 路径，
+ * 模块配置可以写成 "/admin=路径" 指定模块前缀）指定的文件。
+ * @param {object} [context] - 见 createStrutsConfigStore。
+ * @returns {object}
+ */
+export function createStrutsConfigStoreFromEnv(context = {}) {
+    const store = createStrutsConfigStore(context);
+    const entries = (process.env.STRUTS_CONFIG || '').split(',').map(item => item.trim()).filter(Boolean);
+    entries.forEach(entry => {
+        const match = entry.match(/^(\/[\w\-/]*)=(.+)$/);
+        const file = match ? match[2].trim() : entry;
+        try {
+            const counts = store.load(fs.readFileSync(path.resolve(file), 'utf8'), { source: file, prefix: match?.[1] });
+            console.log(`已加载 struts-config：${counts.actions} 个 action，${counts.formBeans} 个 form-bean (${file})`);
+        } catch (error) {
+            console.warn(`读取 struts-config 文件 ${file} 失败:`, error.message);
+        }
+    });
+    return store;
+}
+
+// ---------------------------------------------------------------------------
+// 中间表示中的地址解析
+// ---------------------------------------------------------------------------
+
+function attributeKey(attributes, name) {
+    return Object.keys(attributes || {}).find(key => key.toLowerCase() === name);
+}
+
+/**
+ * 节点上的 route 字段：解析结果中与节点相关的部分。
+ */
+function routeOf(target) {
+    const route = { source: target.source, kind: target.kind, path: target.path, resolved: target.resolved };
+    for (const key of ['page', 'componentName', 'componentUrl', 'definition', 'formBean', 'input', 'redirect']) {
+        if (target[key] !== undefined) route[key] = target[key];
+    }
+    return route;
+}
+
+/**
+ * 找出节点中需要解析的 Struts 地址。html:form / html:link 的 action、forward、page 相对于 context 根目录，
+ * href、src 与 defaultRoute 由浏览器解析，相对地址按所在页面的路由 from 解析。
+ * @returns {{reference: object, apply: Function}|null} - apply 把解析出的路由写回节点。
+ */
+function referenceOf(node, from) {
+    const attributes = node.attributes || {};
+    const tagName = String(node.tagName);
+
+    if (tagName === 'FormBlock') {
+        if (!node.action || isDynamic(node.action)) return null;
+        return { reference: { action: node.action }, apply: () => {} };
+    }
+    if (tagName === 'RouteOutlet') {
+        const defaultRoute = attributes.defaultRoute;
+        if (!defaultRoute || isDynamic(defaultRoute)) return null;
+        return { reference: { action: defaultRoute, from }, apply: target => { attributes.defaultRoute = target.path; } };
+    }
+    if (tagName === 'a') {
+        // html:link 的 action / forward / page 属性，或者指向 .do 的 href
+        for (const name of ['action', 'forward', 'page']) {
+            const key = attributeKey(attributes, name);
+            if (key === undefined || isDynamic(attributes[key])) continue;
+            const value = attributes[key];
+            return {
+                reference: { [name]: value },
+                apply: target => {
+                    delete attributes[key];
+                    attributes.href = target.path;
+                }
+            };
+        }
+        const href = attributeKey(attributes, 'href');
+        if (href !== undefined && isActionUrl(attributes[href]) && !isDynamic(splitUrl(attributes[href]).path)) {
+            return { reference: { action: attributes[href], from }, apply: target => { attributes[href] = target.path; } };
+        }
+        return null;
+    }
+    if (tagName === 'frame' || tagName === 'iframe') {
+        const src = attributeKey(attributes, 'src');
+        if (src === undefined || isDynamic(splitUrl(attributes[src]).path)) return null;
+        const value = attributes[src];
+        if (!isActionUrl(value) && !isJspPath(value)) return null;
+        return { reference: { ...(isActionUrl(value) ? { action: value } : { page: value }), from }, apply: target => { attributes[src] = target.path; } };
+    }
+    return null;
+}
+
+/**
+ * 按 struts-config 解析中间表示中的 Struts 地址（就地修改）：
+ * - FormBlock：记录 route（action 路由、form-bean、input 页面与成功后显示的页面），action 保持原样
+ * - <a> 的 action / forward / page 属性与 href="*.do"：改写为 href="路由"
+ * - RouteOutlet 的 defaultRoute、frame / iframe 的 src：改写为路由
+ * 解析过的节点都带有 route 字段（页面组件的 componentUrl 等）。
+ * @param {Array<object>} elements - 中间表示节点数组。
+ * @param {object} config - createStrutsConfigStore 返回的仓库。
+ * @param {string[]} [warnings] - 收集无法解析的地址。
+ * @param {string} [pagePath] - 页面相对于 web 根目录的路径，相对地址按该页面的路由解析。
+ * @returns {Array<object>} - 页面中解析过的地址（按出现顺序，同一地址只记录一次），记录为 meta.routes。
+ */
+export function resolveStrutsReferences(elements, config, warnings = [], pagePath) {
+    const routes = new Map();
+    if (!config || config.isEmpty()) return [];
+    const from = pagePath ? config.resolve({ page: pagePath }).path : undefined;
+
+    function visit(nodes) {
+        for (const node of nodes || []) {
+            if (!node || typeof node !== 'object' || typeof node.tagName !== 'string') continue;
+            const found = referenceOf(node, from);
+            if (found) {
+                const nodeWarnings = [];
+                const target = config.resolve(found.reference, nodeWarnings);
+                nodeWarnings.forEach(warning => warnings.push(`${warning}（<${node.tagName}>）`));
+                node.route = routeOf(target);
+                found.apply(target);
+                const key = `${target.kind}:${target.source}`;
+                if (!routes.has(key)) routes.set(key, routeOf(target));
+            }
+            if (Array.isArray(node.children)) visit(node.children);
+        }
+    }
+
+    visit(elements);
+    return [...routes.values()];
+}
+
+// ---------------------------------------------------------------------------
+// form-bean -> TypeScript 接口
+// ---------------------------------------------------------------------------
+
+const NUMBER_TYPES = new Set([
+    'int', 'long', 'short', 'byte', 'float', 'double',
+    'Integer', 'Long', 'Short', 'Byte', 'Float', 'Double', 'BigDecimal', 'BigInteger', 'Number'
+]);
+const BOOLEAN_TYPES = new Set(['boolean', 'Boolean']);
+const STRING_TYPES = new Set(['String', 'char', 'Character', 'Date', 'Timestamp']);
+
+/**
+ * Java 类型 -> TypeScript 类型，数组类型递归处理（"java.lang.String[]" -> "string[]"），FormFile 为 File。
+ */
+function javaTypeToTs(javaType) {
+    const type = String(javaType || '').trim();
+    if (type.endsWith('[]')) {
+        const element = javaTypeToTs(type.slice(0, -2));
+        return /[|&]/.test(element) ? `(${element})[]` : `${element}[]`;
+    }
+    const simpleName = type.split('.').pop();
+    if (STRING_TYPES.has(simpleName)) return 'string';
+    if (NUMBER_TYPES.has(simpleName)) return 'number';
+    if (BOOLEAN_TYPES.has(simpleName)) return 'boolean';
+    if (simpleName === 'FormFile') return 'File';
+    if (/^(List|ArrayList|Collection|Set|HashSet)$/.test(simpleName)) return 'unknown[]';
+    if (/^(Map|HashMap)$/.test(simpleName)) return 'Record<string, unknown>';
+    return 'unknown';
+}
+
+/**
+ * form-bean 名 -> 接口名，例如 "userForm" -> "UserForm"，"user-form" -> "UserForm"。
+ */
+export function formBeanInterfaceName(beanName) {
+    const name = String(beanName).split(/[^A-Za-z0-9_$]+/).filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    return /^[A-Za-z_$]/.test(name) ? name : `Form${name}`;
+}
+
+function memberName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function buildFormBeanInterface(bean, beans) {
+    const interfaceName = formBeanInterfaceName(bean.name);
+    const parent = bean.extends && beans.has(bean.extends) ? ` extends ${formBeanInterfaceName(bean.extends)}` : '';
+    const summary = [`form-bean "${bean.name}"（${bean.type || '未指定类型'}），由 ${bean.source} 生成。`];
+    let members;
+    if (bean.dynamic) {
+        members = bean.properties.map(property => {
+            const notes = [property.initial !== undefined ? `初始值: ${property.initial}` : '', property.size !== undefined ? `长度: ${property.size}` : '']
+                .filter(Boolean).join('，');
+            const comment = notes ? `  /** ${notes.replace(/\*\//g, '* /')} */\n` : '';
+            return `${comment}  ${memberName(property.name)}: ${javaTypeToTs(property.type)};`;
+        });
+    } else {
+        // ActionForm 子类的属性定义在 Java 类中，struts-config.xml 中没有
+        summary.push(`TODO: 属性定义在 ${bean.type} 中，需要按该类的 getter / setter 补全。`);
+        members = ['  [property: string]: unknown;'];
+    }
+    const code = `/**
+${summary.map(line => ` * ${line.replace(/\*\//g, '* /')}`).join('\n')}
+ */
+export interface ${interfaceName}${parent} {
+${members.join('\n')}
+}
+`;
+    return { interfaceName, type: bean.type, dynamic: bean.dynamic, code };
+}
+
+/**
+ * 把已加载的 form-bean 生成为 TypeScript 接口。
+ * @param {object} config - createStrutsConfigStore 返回的仓库。
+ * @returns {{interfaces: Object<string, {interfaceName: string, type: string, dynamic: boolean, code: string}>, code: string}}
+ *   interfaces 为 form-bean 名 -> 接口；code 为包含全部接口与 FormBeans 映射（form-bean 名 -> 接口）的 .ts 文件内容。
+ */
+export function buildFormBeanInterfaces(config) {
+    const beans = new Map(config.list().formBeans.map(bean => [bean.name, bean]));
+    const interfaces = {};
+    for (const bean of [...beans.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+        interfaces[bean.name] = buildFormBeanInterface(bean, beans);
+    }
+    const entries = Object.entries(interfaces);
+    const map = entries.map(([beanName, { interfaceName }]) => `  ${memberName(beanName)}: ${interfaceName};`);
+    const code = [
+        ...entries.map(([, item]) => item.code),
+        `/** form-bean 名 -> 接口 */\nexport interface FormBeans {\n${map.join('\n')}\n}\n`
+    ].join('\n');
+    return { interfaces, code };
+}
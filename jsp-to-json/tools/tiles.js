@@ -0,0 +1,390 @@
+import fs from 'fs';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { contentOf } from './parser.js';
+
+/**
+ * Struts Tiles 的本地转换 (Tiles Converter)
+ * --------------------------------
+ * 布局页面与使用布局的页面分别转换：
+ *
+ * 布局页面（layout）中：
+ * - <tiles:insert attribute="header"/>、<tiles:get name="header"/> -> SlotOutlet { name: "header" }
+ * - <tiles:getAsString name="title"/>                            -> SlotOutlet { name: "title", asString: true }
+ * - <tiles:importAttribute name="x"/>、<tiles:useAttribute>      -> SlotOutlet { name: "x", importOnly: true }
+ * 生成器把布局页面中的 SlotOutlet 收集为组件的 props（header、body、footer…）。
+ *
+ * 使用布局的页面中：
+ * - <tiles:insert definition="..."> / <tiles:insert page="layout.jsp"> 与其中的 <tiles:put>
+ *   -> 布局组件引用；页面/定义类型的 put 转为 SlotBlock 子节点，字符串类型的 put 转为 attributes。
+ *
+ * definition 名称通过 tiles-defs.xml（Tiles 1 的 <definition path> / <put>，
+ * 以及 Tiles 2 的 <definition template> / <put-attribute>）解析为具体的布局页面和 put 列表，支持 extends 继承。
+ */
+
+// 本模块能够处理的标签（小写）
+const TILES_TAGS = new Set([
+    'tiles:insert', 'tiles:put', 'tiles:get', 'tiles:getasstring',
+    'tiles:importattribute', 'tiles:useattribute', 'tiles:putlist', 'tiles:add'
+]);
+
+// 定义嵌套展开的最大深度（防止 put 互相引用导致无限展开）
+const MAX_DEFINITION_DEPTH = 10;
+
+/**
+ * 判断标签是否为可本地转换的 Tiles 标签。
+ * @param {string} tagName - 标签名（大小写不敏感）。
+ * @returns {boolean}
+ */
+export function isTilesTag(tagName) {
+    return TILES_TAGS.has(String(tagName).toLowerCase());
+}
+
+// ---------------------------------------------------------------------------
+// tiles-defs.xml
+// ---------------------------------------------------------------------------
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    isArray: (name) => ['definition', 'put', 'put-attribute', 'putList', 'put-list-attribute'].includes(name)
+});
+
+/**
+ * 解析 tiles-defs.xml 内容。
+ * @param {string} xml - XML 文本。
+ * @returns {Array<{name: string, path?: string, extends?: string, puts: Array<{name: string, value: string, type?: string}>}>}
+ */
+export function parseTilesDefinitions(xml) {
+    const document = xmlParser.parse(xml);
+    const root = document['tiles-definitions'];
+    if (!root) {
+        throw new Error('不是有效的 tiles-defs.xml：缺少 <tiles-definitions> 根元素');
+    }
+    return (root.definition || []).map(definition => {
+        const puts = [...(definition.put || []), ...(definition['put-attribute'] || [])].map(put => {
+            const entry = { name: put.name, value: put.value ?? put['#text'] ?? '' };
+            if (put.type) entry.type = put.type;
+            return entry;
+        });
+        const result = { name: definition.name, puts };
+        const layoutPath = definition.path || definition.template || definition.page;
+        if (layoutPath) result.path = layoutPath;
+        if (definition.extends) result.extends = definition.extends;
+        return result;
+    }).filter(definition => definition.name);
+}
+
+/**
+ * 创建 Tiles 定义仓库。
+ * @returns {object}
+ */
+export function createTilesDefinitionStore() {
+    const definitions = new Map();
+    const sources = new Map();
+
+    return {
+        /**
+         * 从 XML 文本加载定义，同名定义会被覆盖。
+         * @param {string} xml - tiles-defs.xml 内容。
+         * @param {string} [source] - 来源（文件路径等），用于列表展示。
+         * @returns {number} - 加载的定义数。
+         */
+        load(xml, source = 'inline') {
+            const parsed = parseTilesDefinitions(xml);
+            parsed.forEach(definition => {
+                definitions.set(definition.name, definition);
+                sources.set(definition.name, source);
+            });
+            return parsed.length;
+        },
+
+        has(name) {
+            return definitions.has(name);
+        },
+
+        /**
+         * 解析定义的继承链，返回布局页面与合并后的 put（子定义覆盖父定义）。
+         * @param {string} name - 定义名。
+         * @returns {{name: string, path: string|undefined, puts: Array<object>}|null}
+         */
+        resolve(name) {
+            const chain = [];
+            const visited = new Set();
+            let current = definitions.get(name);
+            while (current && !visited.has(current.name)) {
+                visited.add(current.name);
+                chain.unshift(current);
+                current = current.extends ? definitions.get(current.extends) : null;
+            }
+            if (chain.length === 0) return null;
+
+            const puts = new Map();
+            let layoutPath;
+            chain.forEach(definition => {
+                if (definition.path) layoutPath = definition.path;
+                definition.puts.forEach(put => puts.set(put.name, put));
+            });
+            return { name, path: layoutPath, puts: [...puts.values()] };
+        },
+
+        list() {
+            return [...definitions.values()].map(definition => ({ ...definition, source: sources.get(definition.name) }));
+        },
+
+        clear() {
+            definitions.clear();
+            sources.clear();
+        }
+    };
+}
+
+/**
+ * 创建定义仓库，并加载环境变量 TILES_DEFS（逗号分隔的 tiles-defs.xml 路径）指定的文件。
+ * @returns {object}
+ */
+export function createTilesDefinitionStoreFromEnv() {
+    const store = createTilesDefinitionStore();
+    const files = (process.env.TILES_DEFS || '').split(',').map(f => f.trim()).filter(Boolean);
+    files.forEach(file => {
+        try {
+            const count = store.load(fs.readFileSync(path.resolve(file), 'utf8'), file);
+            console.log(`已加载 ${count} 个 Tiles 定义 (${file})`);
+        } catch (error) {
+            console.warn(`读取 Tiles 定义文件 ${file} 失败:`, error.message);
+        }
+    });
+    return store;
+}
+
+// ---------------------------------------------------------------------------
+// 标签转换
+// ---------------------------------------------------------------------------
+
+function isPagePath(value) {
+    return /\.jsp$/i.test(String(value).trim());
+}
+
+/**
+ * 由节点的属性还原标签源码，用于无法转换的节点（交给后续流程作为 unresolved 处理）。
+ */
+function rebuildSource(node) {
+    const attributes = Object.entries(node.attributes || {}).map(([name, value]) => ` ${name}="${value}"`).join('');
+    return `<${node.tagName}${attributes}/>`;
+}
+
+function createSlotOutlet(name, extra = {}) {
+    return { tagName: 'SlotOutlet', name, ...extra, attributes: {}, children: [], isComponent: false };
+}
+
+/**
+ * 把一个 put 转换为布局组件的 prop：
+ * - 返回 { attribute: [name, value] } 表示字符串 prop
+ * - 返回 { slot: SlotBlock } 表示 JSX 插槽
+ */
+function convertPut(put, context, depth) {
+    const { definitions, resolveComponentUrl, warnings } = context;
+    const type = put.type ? put.type.toLowerCase() : null;
+
+    // 标签体形式的 put
+    if (put.children && put.children.length > 0) {
+        if (type === 'string') {
+            if (put.children.every(child => child.tagName === '#text')) {
+                return { attribute: [put.name, put.children.map(c => c.text || '').join('').trim()] };
+            }
+            // 标签体里有标记时不能压成字符串，否则会静默丢掉这些元素
+            warnings.push(`tiles:put "${put.name}" 声明为 string 类型但标签体包含标记，已按 JSX 插槽处理`);
+        }
+        return { slot: { tagName: 'SlotBlock', name: put.name, attributes: {}, children: put.children, isComponent: false } };
+    }
+
+    const value = String(put.value ?? '').trim();
+    if (!value) return null;
+
+    if (type === 'definition' || (!type && definitions.has(value))) {
+        const layout = insertDefinition(value, [], context, depth + 1);
+        return layout ? { slot: { tagName: 'SlotBlock', name: put.name, attributes: {}, children: [layout], isComponent: false } } : null;
+    }
+    if (type === 'page' || type === 'template' || (!type && isPagePath(value))) {
+        const { componentName, componentUrl } = resolveComponentUrl(value);
+        return {
+            slot: {
+                tagName: 'SlotBlock',
+                name: put.name,
+                attributes: {},
+                children: [{ tagName: componentName, attributes: {}, children: [], isComponent: true, componentUrl }],
+                isComponent: false
+            }
+        };
+    }
+    if (type && type !== 'string') {
+        warnings.push(`不支持的 tiles:put 类型 "${put.type}"（${put.name}），已按字符串处理`);
+    }
+    return { attribute: [put.name, value] };
+}
+
+/**
+ * 生成布局组件引用：layoutPath 对应的组件 + 由 put 得到的 attributes 与 SlotBlock。
+ */
+function insertLayout(layoutPath, puts, context, depth, extra = {}) {
+    const { componentName, componentUrl } = context.resolveComponentUrl(layoutPath);
+    const attributes = {};
+    const slots = [];
+    puts.forEach(put => {
+        const converted = convertPut(put, context, depth);
+        if (!converted) return;
+        if (converted.attribute) {
+            attributes[converted.attribute[0]] = converted.attribute[1];
+        } else {
+            slots.push(converted.slot);
+        }
+    });
+    return { tagName: componentName, attributes, children: slots, isComponent: true, componentUrl, ...extra };
+}
+
+/**
+ * 展开 definition：合并继承链上的 put，再用页面中内联的 put 覆盖。
+ * @returns {object|null} - 布局组件引用；定义不存在或没有布局页面时返回 null。
+ */
+function insertDefinition(name, inlinePuts, context, depth) {
+    if (depth > MAX_DEFINITION_DEPTH) {
+        context.warnings.push(`Tiles 定义 "${name}" 嵌套过深，已停止展开`);
+        return null;
+    }
+    const definition = context.definitions.resolve(name);
+    if (!definition) {
+        context.warnings.push(`未找到 Tiles 定义 "${name}"，请通过 TILES_DEFS 或 /tiles/definitions 加载 tiles-defs.xml`);
+        return null;
+    }
+    if (!definition.path) {
+        context.warnings.push(`Tiles 定义 "${name}" 没有指定布局页面 (path/template)`);
+        return null;
+    }
+    const puts = new Map(definition.puts.map(put => [put.name, put]));
+    inlinePuts.forEach(put => puts.set(put.name, put));
+    return insertLayout(definition.path, [...puts.values()], context, depth, { tiles: { definition: name } });
+}
+
+/**
+ * 收集 <tiles:insert> 的 <tiles:put> 子节点。
+ */
+function collectPuts(node) {
+    return contentOf(node)
+        .filter(child => String(child.tagName).toLowerCase() === 'tiles:put' && child.attributes?.name)
+        .map(child => {
+            const put = { name: child.attributes.name, value: child.attributes.value ?? child.attributes.content };
+            if (child.attributes.type) put.type = child.attributes.type;
+            if (put.value === undefined) put.children = contentOf(child);
+            return put;
+        });
+}
+
+/**
+ * 转换单个 Tiles 节点（其子节点已转换完毕），返回替换后的节点数组。
+ */
+function convertNode(node, parentTag, context) {
+    const tag = String(node.tagName).toLowerCase();
+    const attributes = node.attributes || {};
+    const { definitions, warnings } = context;
+    const ignore = String(attributes.ignore).toLowerCase() === 'true';
+
+    switch (tag) {
+        case 'tiles:insert': {
+            const puts = collectPuts(node);
+            const definitionName = attributes.definition || (attributes.name && definitions.has(attributes.name) ? attributes.name : null);
+            if (definitionName) {
+                const layout = insertDefinition(definitionName, puts, context, 0);
+                return layout ? [layout] : [{ ...node, unresolved: true, source: rebuildSource(node) }];
+            }
+            const layoutPath = attributes.page || attributes.template;
+            if (layoutPath) {
+                return [insertLayout(layoutPath, puts, context, 0)];
+            }
+            const slotName = attributes.attribute || attributes.name;
+            if (slotName) {
+                return [createSlotOutlet(slotName, ignore ? { ignore: true } : {})];
+            }
+            warnings.push('<tiles:insert> 缺少 definition/page/attribute 属性，已忽略');
+            return [];
+        }
+
+        case 'tiles:get':
+            if (!attributes.name) return [];
+            return [createSlotOutlet(attributes.name, ignore ? { ignore: true } : {})];
+
+        case 'tiles:getasstring':
+            if (!attributes.name) return [];
+            return [createSlotOutlet(attributes.name, { asString: true, ...(ignore ? { ignore: true } : {}) })];
+
+        case 'tiles:importattribute':
+            if (!attributes.name) {
+                warnings.push('<tiles:importAttribute> 未指定 name，无法确定要导入的属性，已忽略');
+                return [];
+            }
+            return [createSlotOutlet(attributes.name, { importOnly: true })];
+
+        case 'tiles:useattribute': {
+            const name = attributes.name || attributes.id;
+            if (!name) return [];
+            const result = [createSlotOutlet(name, { importOnly: true })];
+            if (attributes.id && attributes.id !== name) {
+                result.push({
+                    tagName: 'VariableBinding',
+                    name: attributes.id,
+                    value: `\${${name}}`,
+                    attributes: {},
+                    children: [],
+                    isComponent: false
+                });
+            }
+            return result;
+        }
+
+        case 'tiles:put':
+            // 由外层 <tiles:insert> 读取；其他位置的 put 没有意义
+            if (parentTag === 'tiles:insert') return [node];
+            warnings.push(`<tiles:put name="${attributes.name || ''}"> 不在 <tiles:insert> 中，已忽略`);
+            return [];
+
+        case 'tiles:putlist':
+        case 'tiles:add':
+            warnings.push(`暂不支持 <${node.tagName}>，已忽略`);
+            return [];
+
+        default:
+            return [node];
+    }
+}
+
+/**
+ * 递归改写节点数组中的 Tiles 标签（自底向上）。
+ * @param {Array<object>} elements - 本地解析器产出的节点数组。
+ * @param {object} options
+ * @param {object} options.definitions - createTilesDefinitionStore() 创建的定义仓库。
+ * @param {(pagePath: string) => {componentName: string, componentUrl: string}} options.resolveComponentUrl
+ * @param {string[]} [warnings] - 收集无法转换的情况。
+ * @returns {Array<object>} - 改写后的新数组。
+ */
+export function convertTilesNodes(elements, options, warnings = []) {
+    return convertChildren(elements, null, { ...options, warnings });
+}
+
+function convertChildren(elements, parentTag, context) {
+    const result = [];
+    for (const node of elements || []) {
+        if (!node || typeof node !== 'object') {
+            result.push(node);
+            continue;
+        }
+        const tag = String(node.tagName).toLowerCase();
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertChildren(node.children, tag, context);
+        }
+        if (isTilesTag(tag)) {
+            result.push(...convertNode(node, parentTag, context));
+        } else {
+            result.push(node);
+        }
+    }
+    return result;
+}
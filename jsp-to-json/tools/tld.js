@@ -0,0 +1,445 @@
+import fs from 'fs';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { reactEventName } from '../../json-to-react/tools/generator.js';
+import { contentOf } from './parser.js';
+
+/**
+ * 自定义标签库导入 (TLD Ingestion)
+ * --------------------------------
+ * 读取 .tld 文件中的标签定义（标签名、属性及是否必填、body-content），为每个标签生成转换规则：
+ * - 标签名能对应到 HTML 元素的标签（如 <ui:textField> -> <input type="text">）：
+ *   生成 promptRegistry 条目，提示词中附带 TLD 的属性说明，由 LLM 转换
+ * - 其余标签（如 <ui:dataGrid>）：本地转换为组件引用
+ *   { tagName: "UiDataGrid", isComponent: true, componentUrl: "@/components/taglib/ui/UiDataGrid.jsx" }，
+ *   并生成带 props 接口的 React 占位组件，由开发者补全实现
+ * 已有内置规则的标签（JSTL、Struts 等）保持内置规则不变。
+ */
+
+// 标签名（小写）-> 等价的 HTML 元素
+const HTML_EQUIVALENTS = {
+    input: { tagName: 'input' },
+    text: { tagName: 'input', type: 'text' },
+    textfield: { tagName: 'input', type: 'text' },
+    password: { tagName: 'input', type: 'password' },
+    hidden: { tagName: 'input', type: 'hidden' },
+    checkbox: { tagName: 'input', type: 'checkbox' },
+    radio: { tagName: 'input', type: 'radio' },
+    file: { tagName: 'input', type: 'file' },
+    textarea: { tagName: 'textarea' },
+    select: { tagName: 'select' },
+    combo: { tagName: 'select' },
+    combobox: { tagName: 'select' },
+    option: { tagName: 'option' },
+    button: { tagName: 'button', type: 'button' },
+    submit: { tagName: 'button', type: 'submit' },
+    reset: { tagName: 'button', type: 'reset' },
+    a: { tagName: 'a' },
+    link: { tagName: 'a' },
+    anchor: { tagName: 'a' },
+    img: { tagName: 'img' },
+    image: { tagName: 'img' },
+    form: { tagName: 'form' },
+    label: { tagName: 'label' }
+};
+
+// 生成的占位组件所在目录（componentUrl 与 batch 输出路径都基于此）
+const COMPONENT_BASE_URL = '@/components/taglib';
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: true,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['tag', 'tag-file', 'attribute', 'variable'].includes(name)
+});
+
+function textOf(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return String(value['#text'] ?? '').trim();
+    return String(value).trim();
+}
+
+function isTrue(value) {
+    return ['true', 'yes'].includes(textOf(value).toLowerCase());
+}
+
+/**
+ * 解析 .tld 内容，兼容 JSP 1.1（tagclass、bodycontent）与 JSP 1.2 及以后（tag-class、body-content）的写法。
+ * @param {string} xml - TLD 文本。
+ * @returns {{shortName: string, uri: string, description: string, tags: Array<object>}}
+ *   tags 的每一项为 { name, tagClass, bodyContent, description, dynamicAttributes, attributes: [{ name, required, rtexprvalue, type, description }] }；
+ *   <tag-file> 视为 body-content 为 scriptless 的标签。
+ */
+export function parseTld(xml) {
+    const document = xmlParser.parse(xml);
+    const root = document.taglib;
+    if (!root || typeof root !== 'object') {
+        throw new Error('不是有效的 TLD 文件：缺少 <taglib> 根元素');
+    }
+    const tags = (root.tag || []).map(tag => ({
+        name: textOf(tag.name),
+        tagClass: textOf(tag['tag-class'] ?? tag.tagclass),
+        bodyContent: (textOf(tag['body-content'] ?? tag.bodycontent) || 'JSP').toLowerCase(),
+        description: textOf(tag.description ?? tag.info),
+        dynamicAttributes: isTrue(tag['dynamic-attributes']),
+        attributes: (tag.attribute || []).map(attribute => ({
+            name: textOf(attribute.name),
+            required: isTrue(attribute.required),
+            rtexprvalue: isTrue(attribute.rtexprvalue),
+            type: textOf(attribute.type),
+            description: textOf(attribute.description)
+        })).filter(attribute => attribute.name)
+    }));
+    const tagFiles = (root['tag-file'] || []).map(tagFile => ({
+        name: textOf(tagFile.name),
+        tagClass: '',
+        bodyContent: 'scriptless',
+        description: textOf(tagFile.description) || `标签文件 ${textOf(tagFile.path)}`,
+        dynamicAttributes: false,
+        attributes: []
+    }));
+    return {
+        shortName: textOf(root['short-name'] ?? root.shortname),
+        uri: textOf(root.uri),
+        description: textOf(root.description ?? root.info),
+        tags: [...tags, ...tagFiles].filter(tag => /^[A-Za-z_][\w.-]*$/.test(tag.name))
+    };
+}
+
+function toPascalCase(name) {
+    return String(name).split(/[^A-Za-z0-9]+/).filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * 查找标签的等价 HTML 元素；equivalents 按标签名（大小写不敏感）覆盖内置对应关系，
+ * 值为 HTML 元素名，或 null / "" 表示强制生成组件。
+ */
+function resolveHtmlEquivalent(tagName, equivalents) {
+    const overrides = new Map(Object.entries(equivalents || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    const key = tagName.toLowerCase();
+    if (overrides.has(key)) {
+        const value = overrides.get(key);
+        return value ? { tagName: String(value).toLowerCase() } : null;
+    }
+    return HTML_EQUIVALENTS[key] || null;
+}
+
+/**
+ * 创建自定义标签库仓库，按前缀保存已导入的 TLD。
+ * @returns {object}
+ */
+export function createTaglibStore() {
+    const libraries = new Map();
+
+    return {
+        /**
+         * 从 TLD 文本加载标签库，同前缀的标签库会被替换。
+         * @param {string} xml - TLD 内容。
+         * @param {object} [options]
+         * @param {string} [options.prefix] - 页面中使用的前缀，默认为 TLD 的 short-name。
+         * @param {string} [options.source] - 来源（文件路径等），用于列表展示。
+         * @param {Record<string, string|null>} [options.equivalents] - 标签名 -> 等价 HTML 元素的覆盖。
+         * @param {(key: string) => boolean} [options.isBuiltinTag] - 判断标签（小写的 "前缀:标签名"）是否已有内置规则。
+         * @returns {object} - 标签库，tags 的每一项补充 key、rule（"prompt" | "component" | "builtin"）、
+         *   htmlTag / htmlType（rule 为 prompt 时）与 componentName / componentUrl（rule 为 component 时）。
+         */
+        load(xml, { prefix, source = 'inline', equivalents = {}, isBuiltinTag = () => false } = {}) {
+            const parsed = parseTld(xml);
+            const libraryPrefix = String(prefix || parsed.shortName || '').trim();
+            if (!/^[A-Za-z][\w-]*$/.test(libraryPrefix)) {
+                throw new Error(`无法确定标签库前缀：TLD 缺少有效的 <short-name>，请通过 prefix 指定（${source}）`);
+            }
+            const tags = parsed.tags.map(tag => {
+                const key = `${libraryPrefix}:${tag.name}`.toLowerCase();
+                if (isBuiltinTag(key)) {
+                    return { ...tag, key, rule: 'builtin' };
+                }
+                const equivalent = resolveHtmlEquivalent(tag.name, equivalents);
+                if (equivalent) {
+                    return { ...tag, key, rule: 'prompt', htmlTag: equivalent.tagName, ...(equivalent.type ? { htmlType: equivalent.type } : {}) };
+                }
+                const componentName = `${toPascalCase(libraryPrefix)}${toPascalCase(tag.name)}`;
+                return {
+                    ...tag,
+                    key,
+                    rule: 'component',
+                    componentName,
+                    componentUrl: `${COMPONENT_BASE_URL}/${libraryPrefix}/${componentName}.jsx`
+                };
+            });
+            const library = { prefix: libraryPrefix, shortName: parsed.shortName, uri: parsed.uri, description: parsed.description, source, tags };
+            libraries.set(libraryPrefix, library);
+            return library;
+        },
+
+        get(prefix) {
+            return libraries.get(prefix) || null;
+        },
+
+        /**
+         * 按标签名（大小写不敏感）查找标签定义。
+         * @param {string} tagName - 例如 "ui:dataGrid"。
+         * @returns {{library: object, tag: object}|null}
+         */
+        findTag(tagName) {
+            const key = String(tagName).toLowerCase();
+            for (const library of libraries.values()) {
+                const tag = library.tags.find(item => item.key === key);
+                if (tag) return { library, tag };
+            }
+            return null;
+        },
+
+        /**
+         * 判断标签是否由本仓库转换为占位组件。
+         * @param {string} tagName - 标签名（大小写不敏感）。
+         * @returns {boolean}
+         */
+        isComponentTag(tagName) {
+            return this.findTag(tagName)?.tag.rule === 'component';
+        },
+
+        /**
+         * 标签库 uri -> 前缀，供 taglib 指令把页面中的自定义前缀改写为导入时的前缀。
+         * @returns {Record<string, string>}
+         */
+        uriPrefixes() {
+            const result = {};
+            for (const library of libraries.values()) {
+                if (library.uri) result[library.uri] = library.prefix;
+            }
+            return result;
+        },
+
+        list() {
+            return [...libraries.values()];
+        },
+
+        remove(prefix) {
+            return libraries.delete(prefix);
+        },
+
+        clear() {
+            libraries.clear();
+        }
+    };
+}
+
+/**
+ * 创建标签库仓库，并加载环境变量 TAGLIB_TLDS（逗号分隔的 .tld 路径，可以写成 "前缀=路径" 指定前缀）指定的文件。
+ * @param {object} [options] - 传给 load 的选项（isBuiltinTag 等）。
+ * @returns {object}
+ */
+export function createTaglibStoreFromEnv(options = {}) {
+    const store = createTaglibStore();
+    const entries = (process.env.TAGLIB_TLDS || '').split(',').map(item => item.trim()).filter(Boolean);
+    entries.forEach(entry => {
+        const match = entry.match(/^([A-Za-z][\w-]*)=(.+)$/);
+        const file = match ? match[2].trim() : entry;
+        try {
+            const library = store.load(fs.readFileSync(path.resolve(file), 'utf8'), { ...options, prefix: match?.[1], source: file });
+            console.log(`已加载标签库 ${library.prefix}，共 ${library.tags.length} 个标签 (${file})`);
+        } catch (error) {
+            console.warn(`读取标签库描述文件 ${file} 失败:`, error.message);
+        }
+    });
+    return store;
+}
+
+// ---------------------------------------------------------------------------
+// 标签转换
+// ---------------------------------------------------------------------------
+
+function convertNode(node, { library, tag }, warnings) {
+    const attributes = { ...(node.attributes || {}) };
+    const declared = new Set(tag.attributes.map(attribute => attribute.name));
+    const missing = tag.attributes.filter(attribute => attribute.required && !(attribute.name in attributes));
+    if (missing.length > 0) {
+        warnings.push(`<${node.tagName}> 缺少必填属性 ${missing.map(attribute => attribute.name).join(', ')}`);
+    }
+    if (!tag.dynamicAttributes) {
+        const unknown = Object.keys(attributes).filter(name => !declared.has(name));
+        if (unknown.length > 0) {
+            warnings.push(`<${node.tagName}> 的属性 ${unknown.join(', ')} 未在 ${library.prefix} 标签库的 TLD 中声明`);
+        }
+    }
+    const children = contentOf(node);
+    if (tag.bodyContent === 'empty' && children.some(child => child.tagName !== '#text' || String(child.text || '').trim())) {
+        warnings.push(`<${node.tagName}> 的 body-content 为 empty，标签体已忽略`);
+    }
+    return {
+        tagName: tag.componentName,
+        attributes,
+        children: tag.bodyContent === 'empty' ? [] : children,
+        isComponent: true,
+        componentUrl: tag.componentUrl
+    };
+}
+
+/**
+ * 把 TLD 中没有等价 HTML 元素的自定义标签改写为占位组件引用。
+ * @param {Array<object>} elements - 本地解析器产出的节点。
+ * @param {object} store - createTaglibStore 创建的仓库。
+ * @param {string[]} [warnings]
+ * @returns {Array<object>}
+ */
+export function convertTaglibComponentNodes(elements, store, warnings = []) {
+    return (elements || []).map(node => {
+        if (!node || typeof node !== 'object') return node;
+        if (Array.isArray(node.children) && node.children.length > 0 && !node.unresolved) {
+            node.children = convertTaglibComponentNodes(node.children, store, warnings);
+        }
+        const found = typeof node.tagName === 'string' && node.tagName.includes(':') ? store.findTag(node.tagName) : null;
+        return found && found.tag.rule === 'component' ? convertNode(node, found, warnings) : node;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// 提示词与占位组件
+// ---------------------------------------------------------------------------
+
+/**
+ * 用中文描述 TLD 中的标签定义，写入提示词与占位组件的注释。
+ */
+function describeAttributes(tag) {
+    if (tag.attributes.length === 0) return '  （无属性）';
+    return tag.attributes.map(attribute => {
+        const notes = [attribute.required ? '必填' : '可选'];
+        if (attribute.rtexprvalue) notes.push('可以是表达式');
+        if (attribute.type) notes.push(`类型 ${attribute.type}`);
+        return `  - ${attribute.name}（${notes.join('，')}）${attribute.description ? `：${attribute.description}` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * 为有等价 HTML 元素的标签生成 promptRegistry 条目。
+ * 标签相关的信息都写在 systemPrompt 中，TLD 变化时提示词版本随之变化，旧的缓存条目会失效。
+ * @param {object} library - load 返回的标签库。
+ * @param {object} tag - rule 为 prompt 的标签。
+ * @returns {{systemPrompt: string, userPromptTemplate: (content: string) => string}}
+ */
+export function buildTaglibPrompt(library, tag) {
+    const target = tag.htmlType ? `<${tag.htmlTag} type="${tag.htmlType}">` : `<${tag.htmlTag}>`;
+    const systemPrompt = `你是一个精通JSP到JSON转换的专家级程序员。你的任务是把自定义标签 <${library.prefix}:${tag.name}> 转换为等价的 HTML 元素 ${target} 对应的JSON对象，并且只输出纯粹的JSON结果。
+
+该标签来自标签库 ${library.prefix}${library.uri ? `（uri: ${library.uri}）` : ''}，TLD 中的定义如下：
+- 实现类: ${tag.tagClass || '未知'}
+- body-content: ${tag.bodyContent}
+- 说明: ${tag.description || '无'}
+- 属性:
+${describeAttributes(tag)}`;
+
+    return {
+        systemPrompt,
+        userPromptTemplate: (content) => `
+**任务:** 将给定的JSP代码片段精确地转换为指定的JSON格式。
+
+**转换规则:**
+1.  **tagName**: 使用系统提示中给出的 HTML 元素名；如果给出了 type，写入 \`attributes.type\`。
+2.  **attributes**:
+    *   按 TLD 中的属性说明，把标签属性映射为该 HTML 元素语义相同的属性（例如 \`styleClass\` -> \`class\`、\`property\` -> \`name\`），无法对应的属性保留原名。
+    *   属性值中的 EL 表达式（\`\${...}\`）原样保留。
+    *   **特殊处理**: 如果属性名为 \`style\`，其值必须被解析成一个CSS-in-JS风格的JSON对象（例如 \`{"color":"red", "fontSize":"14px"}\`）。
+3.  **isComponent**: 始终为 \`false\`。
+4.  **children**: 标签体中的子标签递归转换后放入此数组；纯文本转换为 \`{"tagName":"#text","text":"..."}\`。没有标签体时为 \`[]\`。
+
+**输出要求:**
+- 严格按照规则输出JSON。
+- 不要输出任何介绍、解释、注释或markdown代码块标记。
+- 只输出纯粹的、可以直接被JavaScript的 \`JSON.parse()\` 方法解析的JSON对象字符串。
+
+---
+
+**输入 JSP 代码:**
+\`\`\`jsp
+${content}
+\`\`\`
+`
+    };
+}
+
+const NUMBER_TYPES = new Set(['int', 'long', 'short', 'byte', 'float', 'double', 'java.lang.Integer', 'java.lang.Long', 'java.lang.Short', 'java.lang.Byte', 'java.lang.Float', 'java.lang.Double', 'java.math.BigDecimal']);
+const BOOLEAN_TYPES = new Set(['boolean', 'java.lang.Boolean']);
+
+/**
+ * 属性的 TypeScript 类型。静态属性值在 IR 中总是字符串；
+ * 可以是表达式（rtexprvalue）的属性按 TLD 声明的类型放宽，未声明类型时为 any。
+ */
+function propType(attribute) {
+    if (attribute.name === 'style') return 'CSSProperties';
+    if (/^on[a-z]+$/i.test(attribute.name)) return '(...args: any[]) => void';
+    if (!attribute.rtexprvalue) return 'string';
+    const type = attribute.type.replace(/^java\.lang\.String$/, 'string');
+    if (type === 'string' || type === 'String') return 'string';
+    if (NUMBER_TYPES.has(type)) return 'number | string';
+    if (BOOLEAN_TYPES.has(type)) return 'boolean | string';
+    return 'any';
+}
+
+function propName(name) {
+    const reactName = /^on[a-z]+$/i.test(name) ? reactEventName(name) : name;
+    return /^[A-Za-z_$][\w$]*$/.test(reactName) ? reactName : JSON.stringify(reactName);
+}
+
+/**
+ * 生成占位组件的 TSX 源码：props 接口由 TLD 的属性生成（必填属性为必选 prop），
+ * body-content 不为 empty 时接收 children。
+ * @param {object} library - load 返回的标签库。
+ * @param {object} tag - rule 为 component 的标签。
+ * @returns {string}
+ */
+export function buildComponentStub(library, tag) {
+    const hasBody = tag.bodyContent !== 'empty';
+    const members = tag.attributes.map(attribute => {
+        const notes = [attribute.required ? '必填' : '', attribute.description].filter(Boolean).join('。');
+        const comment = notes ? `  /** ${notes.replace(/\*\//g, '* /')} */\n` : '';
+        return `${comment}  ${propName(attribute.name)}${attribute.required ? '' : '?'}: ${propType(attribute)};`;
+    });
+    if (tag.dynamicAttributes) members.push('  /** 动态属性（dynamic-attributes） */\n  [name: string]: any;');
+    if (hasBody) members.push('  children?: ReactNode;');
+
+    const types = [hasBody && 'ReactNode', tag.attributes.some(attribute => attribute.name === 'style') && 'CSSProperties'].filter(Boolean).sort();
+    const imports = types.length > 0 ? `import type { ${types.join(', ')} } from 'react';\n\n` : '';
+    const tagName = `${library.prefix}:${tag.name}`;
+    const summary = [
+        `<${tagName}> 的占位组件，由 ${library.source} 生成。`,
+        tag.description,
+        tag.tagClass ? `原实现类: ${tag.tagClass}` : ''
+    ].filter(Boolean).map(line => ` * ${line.replace(/\*\//g, '* /')}`).join('\n');
+    const body = hasBody
+        ? `    <div data-taglib="${tagName}">\n      {props.children}\n    </div>`
+        : `    <div data-taglib="${tagName}" />`;
+
+    return `${imports}export interface ${tag.componentName}Props {
+${members.join('\n')}
+}
+
+/**
+${summary}
+ */
+export default function ${tag.componentName}(props: ${tag.componentName}Props) {
+  // TODO: 按原标签的行为实现
+  return (
+${body}
+  );
+}
+`;
+}
+
+/**
+ * 生成标签库中所有组件类标签的占位组件。
+ * @param {object} library - load 返回的标签库。
+ * @returns {Array<{tagName: string, componentName: string, componentUrl: string, path: string, code: string}>}
+ *   path 为相对于输出根目录的 .tsx 路径，例如 "components/taglib/ui/UiDataGrid.tsx"。
+ */
+export function buildComponentStubs(library) {
+    return library.tags.filter(tag => tag.rule === 'component').map(tag => ({
+        tagName: `${library.prefix}:${tag.name}`,
+        componentName: tag.componentName,
+        componentUrl: tag.componentUrl,
+        path: tag.componentUrl.replace(/^@\//, '').replace(/\.jsx$/, '.tsx'),
+        code: buildComponentStub(library, tag)
+    }));
+}
@@ -1,27 +1,56 @@
-import OpenAI from "openai";
-import dotenv from 'dotenv';
-dotenv.config();
-
-// 初始化 OpenAI 客户端
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    baseURL: process.env.OPENAI_API_BASE
-});
+import path from 'path';
+import JSON5 from 'json5';
+import { createConversionCacheFromEnv, hashPromptVersion } from "../../utils/conversionCache.js";
+import { llm, runWithConcurrencyLimit, MAX_CONCURRENT } from "../../utils/common.js";
+import { normalizeStyle, normalizeStyleObject, parseStyleString } from "../../utils/css.js";
+import { parseJsp, collectUnresolvedNodes, replaceUnresolvedNode } from "./parser.js";
+import { convertJstlNodes, isJstlCoreTag } from "./jstl.js";
+import { convertBeanNodes, isBeanTag } from "./bean.js";
+import { convertHtmlFormNodes, isHtmlFormTag } from "./html.js";
+import { convertFmtNodes, isFmtTag } from "./fmt.js";
+import { convertTilesNodes, isTilesTag, createTilesDefinitionStoreFromEnv } from "./tiles.js";
+import { convertTaglibComponentNodes, createTaglibStoreFromEnv, buildTaglibPrompt } from "./tld.js";
+import { createRuleStoreFromEnv } from "./rules.js";
+import { createStrutsConfigStoreFromEnv } from "./struts.js";
+import { validateIr } from "./validator.js";
+
+// 片段与样式转换结果的持久化缓存（见 utils/conversionCache.js）
+export const conversionCache = createConversionCacheFromEnv();
+
+// Tiles 定义（tiles-defs.xml），用于把 <tiles:insert definition="..."> 解析为具体的布局页面
+export const tilesDefinitions = createTilesDefinitionStoreFromEnv();
+
+// struts-config.xml 中的 action 映射、form-bean 与全局 forward，用于把 Struts 地址解析为 React 路由与页面组件
+export const strutsConfig = createStrutsConfigStoreFromEnv({ definitions: tilesDefinitions, resolveComponentUrl });
 
-// --- 工具函数：解析 style 属性为对象 ---
-function parseStyle(styleString) {
-    if (!styleString) return {};
-    return styleString.split(";").reduce((acc, decl) => {
-        const [rawKey, rawValue] = decl.split(":");
-        if (!rawKey || !rawValue) return acc;
-        const key = rawKey.trim().replace(/-([a-z])/g, (_, c) => c.toUpperCase());
-        acc[key] = rawValue.trim();
-        return acc;
-    }, {});
+/**
+ * 根据 JSP 页面路径生成组件名与 componentUrl。
+ * - 以 / 开头的路径映射到 "@/pages" 下的同级目录
+ * - 相对路径映射为相对于当前页面的 "./目录/组件名.jsx"
+ * @param {string} pagePath - JSP 页面路径，例如 "/admin/user.jsp" 或 "header.jsp"
+ * @returns {{componentName: string, componentUrl: string}}
+ */
+export function resolveComponentUrl(pagePath) {
+    // 生成组件名（首字母大写，去掉扩展名）
+    const fileName = pagePath.split("/").pop().replace(/\.jsp$/i, "");
+    const componentName = fileName.charAt(0).toUpperCase() + fileName.slice(1);
+
+    // 生成 componentUrl
+    let componentUrl;
+    if (pagePath.startsWith("/")) {
+        const dir = pagePath.split("/").slice(0, -1).join("/");
+        componentUrl = `@/pages${dir}/${componentName}.jsx`;
+    } else {
+        // 相对路径保留目录（"inc/header.jsp" -> "./inc/Header.jsx"，"../header.jsp" -> "../Header.jsx"）
+        const dir = path.posix.dirname(path.posix.normalize(pagePath));
+        componentUrl = dir === '.' ? `./${componentName}.jsx`
+            : `${dir.startsWith('..') ? '' : './'}${dir}/${componentName}.jsx`;
+    }
+    return { componentName, componentUrl };
 }
 
 // --- 【新增】: 专门处理 jsp:include ---
-function convertJspInclude(snippet) {
+export function convertJspInclude(snippet) {
     snippet = snippet.replace(/\\"/g, '"');
     const attrRegex = /(\w+)="([^"]*)"/g;
     const attributes = {};
@@ -34,7 +63,7 @@ function convertJspInclude(snippet) {
         if (name === "page") {
             pageAttr = value;
         } else if (name === "style") {
-            attributes.style = parseStyle(value);
+            attributes.style = parseStyleString(value);
         } else {
             attributes[name] = value;
         }
@@ -44,18 +73,7 @@ function convertJspInclude(snippet) {
         return JSON.stringify({ error: "jsp:include 缺少 page 属性" });
     }
 
-    // 生成组件名（首字母大写，去掉扩展名）
-    const fileName = pageAttr.split("/").pop().replace(/\.jsp$/i, "");
-    const componentName = fileName.charAt(0).toUpperCase() + fileName.slice(1);
-
-    // 生成 componentUrl
-    let componentUrl;
-    if (pageAttr.startsWith("/")) {
-        const dir = pageAttr.split("/").slice(0, -1).join("/");
-        componentUrl = `@/pages${dir}/${componentName}.jsx`;
-    } else {
-        componentUrl = `./${componentName}.jsx`;
-    }
+    const { componentName, componentUrl } = resolveComponentUrl(pageAttr);
 
     return JSON.stringify({
         tagName: componentName,
@@ -66,14 +84,123 @@ function convertJspInclude(snippet) {
     });
 }
 
+/**
+ * 判断标签是否由本地代码转换（JSTL core、JSTL fmt、Struts bean、Struts html 表单标签、Tiles、导入的 TLD 中的组件类标签），
+ * 这些标签会被解析为普通节点后再改写。
+ * @param {string} tagName - 标签名
+ * @returns {boolean}
+ */
+function isLocalTaglibTag(tagName) {
+    return isJstlCoreTag(tagName) || isFmtTag(tagName) || isBeanTag(tagName) || isHtmlFormTag(tagName) || isTilesTag(tagName)
+        || taglibLibraries.isComponentTag(tagName);
+}
+
+/**
+ * 使用本地解析器解析 JSP，并将 JSTL core、JSTL fmt、Struts bean、Struts html 表单标签、导入的 TLD 中的组件类标签与 Tiles 标签改写为中间表示节点。
+ * 其余标签库标签仍标记为 unresolved，由调用方交给 convertJspSnippet 处理。
+ * @param {string} source - JSP 源码。
+ * @param {string[]} [warnings] - 收集本地转换中无法完整保留的情况。
+ * @returns {{elements: Array<object>, meta: object}}
+ */
+export function parseJspWithLocalConverters(source, warnings = []) {
+    const parsed = parseJsp(source, { isUnresolvedTag });
+    const localWarnings = [];
+    parsed.elements = convertJstlNodes(parsed.elements, { resolveComponentUrl }, localWarnings);
+    parsed.elements = convertBeanNodes(parsed.elements, localWarnings);
+    parsed.elements = convertFmtNodes(parsed.elements, localWarnings);
+    parsed.elements = convertHtmlFormNodes(parsed.elements, localWarnings);
+    parsed.elements = convertTaglibComponentNodes(parsed.elements, taglibLibraries, localWarnings);
+    // Tiles 最后处理：tiles:put 的标签体此时已经转换完毕
+    parsed.elements = convertTilesNodes(parsed.elements, { definitions: tilesDefinitions, resolveComponentUrl }, localWarnings);
+    localWarnings.forEach(warning => console.warn(`标签库本地转换警告: ${warning}`));
+    warnings.push(...localWarnings);
+    return parsed;
+}
+
+/**
+ * 本地转换 JSTL core / fmt / bean / html 表单 / Tiles 片段；片段内嵌的其他标签库标签（如 <html:link>）再递归交给 convertJspSnippet。
+ * @param {string} snippet - JSP 片段。
+ * @returns {Promise<string>} - 单个节点或节点数组的 JSON 字符串。
+ */
+async function convertTaglibSnippet(snippet) {
+    const warnings = [];
+    const { elements } = parseJspWithLocalConverters(snippet, warnings);
+    // 本地转换器无法处理的节点（例如未加载的 Tiles 定义）不再递归，以免无限循环
+    if (elements.length === 1 && elements[0].unresolved && isLocalTaglibTag(elements[0].tagName)) {
+        return JSON.stringify({ error: warnings.join('；') || `无法在本地转换 <${elements[0].tagName}>` });
+    }
+    const unresolved = collectUnresolvedNodes(elements).filter(({ node }) => !isLocalTaglibTag(node.tagName));
+    const tasks = unresolved.map(({ node, parent }) => async () => {
+        const result = await availableTools.convertJspSnippet({ content: node.source });
+        if (!replaceUnresolvedNode(parent, node, result)) {
+            console.warn(`节点 <${node.tagName}> 未能转换，已保留原始片段: ${result}`);
+        }
+    });
+    await runWithConcurrencyLimit(tasks, MAX_CONCURRENT);
+    return JSON.stringify(elements.length === 1 ? elements[0] : elements);
+}
+
+/**
+ * 本地转换器注册表：这些标签完全由代码转换，不调用 LLM，也不写入转换缓存。
+ * 键与 promptRegistry 相同（小写的标签名）。
+ */
+const localConverters = {
+    "jsp:include": async (snippet) => convertJspInclude(snippet),
+    "c:if": convertTaglibSnippet,
+    "c:choose": convertTaglibSnippet,
+    "c:when": convertTaglibSnippet,
+    "c:otherwise": convertTaglibSnippet,
+    "c:foreach": convertTaglibSnippet,
+    "c:fortokens": convertTaglibSnippet,
+    "c:set": convertTaglibSnippet,
+    "c:remove": convertTaglibSnippet,
+    "c:out": convertTaglibSnippet,
+    "c:url": convertTaglibSnippet,
+    "c:import": convertTaglibSnippet,
+    "c:catch": convertTaglibSnippet,
+    "fmt:message": convertTaglibSnippet,
+    "fmt:bundle": convertTaglibSnippet,
+    "fmt:setbundle": convertTaglibSnippet,
+    "fmt:formatdate": convertTaglibSnippet,
+    "fmt:formatnumber": convertTaglibSnippet,
+    "fmt:setlocale": convertTaglibSnippet,
+    "bean:write": convertTaglibSnippet,
+    "bean:message": convertTaglibSnippet,
+    "bean:define": convertTaglibSnippet,
+    "bean:size": convertTaglibSnippet,
+    "html:form": convertTaglibSnippet,
+    "html:text": convertTaglibSnippet,
+    "html:password": convertTaglibSnippet,
+    "html:textarea": convertTaglibSnippet,
+    "html:hidden": convertTaglibSnippet,
+    "html:checkbox": convertTaglibSnippet,
+    "html:multibox": convertTaglibSnippet,
+    "html:radio": convertTaglibSnippet,
+    "html:select": convertTaglibSnippet,
+    "html:option": convertTaglibSnippet,
+    "html:options": convertTaglibSnippet,
+    "html:optionscollection": convertTaglibSnippet,
+    "html:submit": convertTaglibSnippet,
+    "html:cancel": convertTaglibSnippet,
+    "html:reset": convertTaglibSnippet,
+    "html:button": convertTaglibSnippet,
+    "html:errors": convertTaglibSnippet,
+    "tiles:insert": convertTaglibSnippet,
+    "tiles:get": convertTaglibSnippet,
+    "tiles:getasstring": convertTaglibSnippet,
+    "tiles:importattribute": convertTaglibSnippet,
+    "tiles:useattribute": convertTaglibSnippet
+};
+
 /**
  * 提示词注册表 (Prompt Registry)
  * --------------------------------
  * 这里是所有不同 JSP 标签转换规则的核心。
- * - 键 (Key): 标签的唯一标识符 (例如: "jsp:include", "c:if", "html")。
+ * - 键 (Key): 标签的唯一标识符 (例如: "jsp:include", "logic", "html")。
  * - 值 (Value): 一个包含 systemPrompt 和 userPromptTemplate 的对象。
  *
- * 要支持一个新的标签，你只需要在这里添加一个新的条目即可。
+ * 要支持一个新的标签，你只需要在这里添加一个新的条目即可；
+ * 也可以不改代码，通过 /api/jsp-to-json/rules 在运行时注册（见 rules.js）。
  */
 const promptRegistry = {
     "jsp:include": {
@@ -115,23 +242,6 @@ const promptRegistry = {
 \`\`\`jsp
 ${content}
 \`\`\`
-`
-    },
-    "c:if": {
-        systemPrompt: `你是一个专门处理JSTL c:if 标签的专家。你的任务是将 c:if 标签及其内容转换为一个特定的JSON结构，用于表示条件渲染。`,
-        userPromptTemplate: (content) => `
-**任务:** 将 <c:if> 标签转换为JSON。
-
-**规则:**
-1.  **tagName**: 固定为 "ConditionalBlock"。
-2.  **condition**: 提取 \`test\` 属性中的EL表达式作为字符串。
-3.  **children**: 递归处理 \`<c:if>\` 内部的所有子节点。
-
----
-**现在，请转换以下JSP代码:**
-\`\`\`jsp
-${content}
-\`\`\`
 `
     },
     "html": {
@@ -268,6 +378,12 @@ ${content}
         *   \`<logic:greaterThan name="count" value="10">\` -> \`"count > 10"\`
     *   **children**: 递归处理条件标签内部的所有子节点。
 
+3.  **嵌套的 \`<bean:write>\` / \`<bean:message>\` / \`<fmt:message>\`**: 不能作为原始文本保留，必须转换为独立的子节点：
+    *   \`<bean:write name="item" property="name" />\` -> \`{"tagName":"#expression","expression":"\${item.name}","language":"el","bean":{"name":"item","property":"name"}}\`
+    *   \`<bean:message key="label.name" />\` -> \`{"tagName":"#message","key":"label.name"}\`
+    *   \`<fmt:message key="label.hello"><fmt:param value="\${user.name}"/></fmt:message>\` -> \`{"tagName":"#message","key":"label.hello","args":["\${user.name}"]}\`
+    *   此时父元素的文本也要拆分为 \`#text\` 子节点，不再使用 \`text\` 字段。
+
 **输出要求:**
 - 严格按照规则输出纯粹的、可被 \`JSON.parse()\` 解析的JSON对象字符串。
 - 绝不输出任何解释、注释或Markdown代码块标记。
@@ -283,7 +399,7 @@ ${content}
 \`\`\`
 输出 JSON:
 \`\`\`json
-{"tagName":"LoopBlock","collection":"userList","item":"item","children":[{"tagName":"p","attributes":{},"children":[],"isComponent":false,"text":"用户名: <bean:write name=\\"item\\" property=\\"name\\" />"}]}
+{"tagName":"LoopBlock","collection":"userList","item":"item","children":[{"tagName":"p","attributes":{},"children":[{"tagName":"#text","text":"用户名: "},{"tagName":"#expression","expression":"\${item.name}","language":"el","bean":{"name":"item","property":"name"}}],"isComponent":false}]}
 \`\`\`
 
 **示例 2: 条件标签**
@@ -314,6 +430,71 @@ ${content}
 
 **现在，请根据以上所有规则，转换以下JSP代码:**
 
+**输入 JSP 代码:**
+\`\`\`jsp
+${content}
+\`\`\`
+`
+    },
+    // --- Struts 2 标签库（uri="/struts-tags"，自定义前缀由 directives.js 统一改写为 s） ---
+    "s": {
+        systemPrompt: `你是一位精通 Struts 2 标签库与 OGNL 的专家，任务是把 Struts 2 的 's' 标签转换为与 JSTL 转换结果一致的 JSON 中间表示（IR）。`,
+        userPromptTemplate: (content) => `
+**任务:** 将给定的 Struts 2 's' 标签库代码片段，转换为表达其条件、循环、输出或表单意图的JSON对象。
+
+**OGNL 表达式改写为 EL（关键）:**
+*   \`%{expr}\` 去掉外层，按下列规则改写后写成 \`\${...}\`；\`test\`、\`value\` 等属性中不带 \`%{}\` 的 OGNL 同样处理。
+*   \`#session.user\` -> \`sessionScope.user\`，\`#request.msg\` -> \`requestScope.msg\`，\`#application.x\` -> \`applicationScope.x\`，\`#attr.x\` 与 \`#x\` -> \`x\`。
+*   \`#parameters.id\` -> \`paramValues.id\`，\`#parameters.id[0]\` -> \`param.id\`。
+*   \`top\` 表示迭代中的当前元素，改写为循环的 item 变量。
+*   其余写法（\`==\`、\`!=\`、\`&&\`、\`||\`、\`a.b\`、\`list.size()\`、\`list.isEmpty()\`）保持不变。
+
+**特定标签映射规则:**
+1.  \`<s:if test="...">\` / \`<s:elseif>\` / \`<s:else>\`:
+    *   单独的 \`<s:if>\` -> \`{"tagName":"ConditionalBlock","condition":"\${...}","children":[...]}\`。
+    *   后面紧跟 \`<s:elseif>\` / \`<s:else>\` 时，整组转换为 \`{"tagName":"ChooseBlock","children":[ConditionalBlock..., {"tagName":"ElseBlock","children":[...]}]}\`。
+2.  \`<s:iterator value="list" var="item" status="st">\` -> \`{"tagName":"LoopBlock","collection":"\${list}","item":"item","status":"st","children":[...]}\`；没有 var 时 item 为 "top"。
+    \`begin\`/\`end\`/\`step\` 原样保留为 LoopBlock 的同名字段。
+3.  \`<s:property value="user.name" default="-" escapeHtml="false"/>\` -> \`{"tagName":"#expression","expression":"\${user.name}","language":"el","default":"-","escapeXml":false}\`。
+4.  \`<s:text name="label.hello"><s:param>\${user.name}</s:param></s:text>\` -> \`{"tagName":"#message","key":"label.hello","args":["\${user.name}"]}\`。
+5.  \`<s:set var="total" value="order.total" scope="request"/>\` -> \`{"tagName":"VariableBinding","name":"total","value":"\${order.total}","scope":"request"}\`。
+6.  \`<s:url action="list" namespace="/user" var="u"><s:param name="id" value="%{id}"/></s:url>\` -> 带 var 时为 VariableBinding，其 children 为 \`{"tagName":"UrlValue","value":"/user/list","params":{"id":"\${id}"}}\`；没有 var 时直接输出 UrlValue。
+7.  \`<s:a href="%{u}">文本</s:a>\` -> \`{"tagName":"a","attributes":{"href":"\${u}"},...}\`。
+8.  表单标签：\`<s:form action="save">\` -> \`form\`（action 去掉 .action 后缀）；\`<s:textfield name="user.name" label="姓名"/>\` -> \`{"tagName":"input","attributes":{"type":"text","name":"user.name","property":"user.name"}}\`，
+    有 label 时在前面加 \`label\` 元素；\`s:password\`、\`s:hidden\`、\`s:textarea\`、\`s:checkbox\`、\`s:select\`（list 转为 LoopBlock 生成的 option）、\`s:submit\` 同理映射为对应的 HTML 元素。
+9.  \`<s:actionerror/>\`、\`<s:fielderror/>\`、\`<s:actionmessage/>\` -> \`{"tagName":"FormErrors","attributes":{"kind":"actionerror"},"children":[],"isComponent":false}\`（kind 为原标签名）。
+10. 所有普通 HTML 子节点与文本照常递归转换，文本转换为 \`#text\` 子节点。
+
+**输出要求:**
+- 严格按照规则输出纯粹的、可被 \`JSON.parse()\` 解析的JSON对象字符串。
+- 绝不输出任何解释、注释或Markdown代码块标记。
+
+---
+
+**示例 1: 条件分支**
+输入 JSP:
+\`\`\`jsp
+<s:if test="#session.user != null">欢迎</s:if><s:else><a href="login.jsp">登录</a></s:else>
+\`\`\`
+输出 JSON:
+\`\`\`json
+{"tagName":"ChooseBlock","children":[{"tagName":"ConditionalBlock","condition":"\${sessionScope.user != null}","children":[{"tagName":"#text","text":"欢迎"}]},{"tagName":"ElseBlock","children":[{"tagName":"a","attributes":{"href":"login.jsp"},"children":[],"isComponent":false,"text":"登录"}]}]}
+\`\`\`
+
+**示例 2: 循环与输出**
+输入 JSP:
+\`\`\`jsp
+<s:iterator value="users" var="u"><li><s:property value="#u.name"/></li></s:iterator>
+\`\`\`
+输出 JSON:
+\`\`\`json
+{"tagName":"LoopBlock","collection":"\${users}","item":"u","children":[{"tagName":"li","attributes":{},"children":[{"tagName":"#expression","expression":"\${u.name}","language":"el"}],"isComponent":false}]}
+\`\`\`
+
+---
+
+**现在，请根据以上所有规则，转换以下JSP代码:**
+
 **输入 JSP 代码:**
 \`\`\`jsp
 ${content}
@@ -364,6 +545,7 @@ ${content}
         *   **tagName**: 固定为 \`"RouteOutlet"\`。
         *   **isComponent**: \`true\`。
         *   **attributes.defaultRoute**: 将清理后的、无后缀的路径作为字符串值赋给此属性。
+        *   **attributes.name**: 必须保留 frame 的 \`name\` 属性（其他页面中 \`target\` 指向该名称的链接会改写为对该路由出口的导航）。
 
     *   **Case C: 空 \`src\`**
         *   如果 \`src=""\`，转换为一个占位的 \`<div>\`。
@@ -400,6 +582,70 @@ ${content}
     }
 };
 
+// --- 运行时规则（见 rules.js），同键时优先于上面的内置规则 ---
+
+// 运行时规则的 converter 字段可以引用的本地转换器
+const RULE_CONVERTERS = {
+    "jsp:include": localConverters["jsp:include"]
+};
+
+export const customRules = createRuleStoreFromEnv({
+    // 这些标签在本地解析阶段就被改写，不会交给 convertJspSnippet，规则不会生效
+    reservedKeyReason: (key) => (isLocalTaglibTag(key) ? "该标签由本地解析器转换" : null)
+});
+
+/**
+ * 由规则（或规则的某个版本）生成与 promptRegistry 条目相同形式的提示词；examples 追加在 systemPrompt 之后。
+ * userTemplate 保留原文，用于计算提示词版本。
+ */
+function buildRulePrompts(rule) {
+    const examples = (rule.examples || []).map((example, index) => {
+        const output = typeof example.output === "string" ? example.output : JSON.stringify(example.output);
+        return `**示例 ${index + 1}:**\n输入 JSP: ${example.input}\n输出 JSON: ${output}`;
+    });
+    return {
+        systemPrompt: examples.length > 0 ? `${rule.systemPrompt}\n\n${examples.join("\n\n")}` : rule.systemPrompt,
+        userTemplate: rule.userTemplate,
+        userPromptTemplate: (content) => rule.userTemplate.split("${content}").join(content)
+    };
+}
+
+/**
+ * 查找标签类型的提示词：启用的运行时规则优先，其次为 promptRegistry。
+ * @param {string} tagType - 小写的标签名或标签族。
+ * @returns {object|null}
+ */
+function findPromptRule(tagType) {
+    const rule = customRules.getActive(tagType);
+    if (rule) return rule.converter ? null : buildRulePrompts(rule);
+    return promptRegistry.hasOwnProperty(tagType) ? promptRegistry[tagType] : null;
+}
+
+/**
+ * 查找标签类型的本地转换器：启用的运行时规则优先，其次为 localConverters。
+ * @param {string} tagType - 小写的标签名。
+ * @returns {Function|null}
+ */
+function findLocalConverter(tagType) {
+    const rule = customRules.getActive(tagType);
+    if (rule) return rule.converter ? RULE_CONVERTERS[rule.converter] : null;
+    return localConverters.hasOwnProperty(tagType) ? localConverters[tagType] : null;
+}
+
+function hasRule(tagType) {
+    return Boolean(findLocalConverter(tagType) || findPromptRule(tagType));
+}
+
+/**
+ * 当前生效的全部规则键（内置、TLD 导入与启用的运行时规则）。
+ * @returns {string[]}
+ */
+export function listRuleKeys() {
+    const keys = new Set([...Object.keys(localConverters), ...Object.keys(promptRegistry)]);
+    customRules.list().forEach(rule => (rule.enabled ? keys.add(rule.key) : null));
+    return [...keys].filter(hasRule).sort();
+}
+
 
 /**
  * @description 从JSP代码片段中检测主要的标签类型
@@ -414,19 +660,25 @@ function detectMainTagType(code) {
     const trimmedCode = code.trim();
 
     // 匹配所有带前缀的标签 (如 <jsp:include>, <html:text>)
-    const prefixTagMatches = [...trimmedCode.matchAll(/<([a-zA-Z0-9]+:[a-zA-Z0-9]+)/g)];
+    const prefixTagMatches = [...trimmedCode.matchAll(/<([a-zA-Z][\w.-]*:[a-zA-Z][\w.-]*)/g)];
     for (const m of prefixTagMatches) {
         const fullTag = m[1].toLowerCase();
-        if (promptRegistry.hasOwnProperty(fullTag)) {
+        if (hasRule(fullTag)) {
             return fullTag;
         }
+        // 外层标签按其标签库的规则转换（例如 <html:link> 使用 "html" 规则），
+        // 不能选中内层由本地转换的标签，否则本地转换器会把外层标签再次交回这里，无限递归
+        const prefix = fullTag.split(":")[0];
+        if (TAGLIB_FAMILY_KEYS.has(prefix) && findPromptRule(prefix)) {
+            return prefix;
+        }
     }
 
     // 匹配所有无前缀的标签 (如 <font>, <table>)
     const standardTagMatches = [...trimmedCode.matchAll(/<([a-zA-Z0-9]+)/g)];
     for (const m of standardTagMatches) {
         const tagName = m[1].toLowerCase();
-        if (promptRegistry.hasOwnProperty(tagName)) {
+        if (findPromptRule(tagName)) {
             return tagName;
         }
     }
@@ -434,6 +686,88 @@ function detectMainTagType(code) {
     return null;
 }
 
+// 以标签库前缀作为键的规则（例如 "html" 对应 <html:*>、"s" 对应 <s:*>），不应与同名的普通 HTML 元素混淆
+const TAGLIB_FAMILY_KEYS = new Set(["html", "logic", "s"]);
+
+/**
+ * 判断本地解析器产出的某个标签节点是否需要交给 convertJspSnippet 处理。
+ * - 所有带前缀的标签库标签（如 html:link），JSTL core、fmt、bean、html 表单与 Tiles 标签除外（由 jstl.js / fmt.js / bean.js / html.js / tiles.js 在本地改写）
+ * - 在 promptRegistry 中有专门规则的普通标签（如 font、frameset）
+ * @param {string} tagName - 标签名
+ * @returns {boolean}
+ */
+export function isUnresolvedTag(tagName) {
+    if (isLocalTaglibTag(tagName)) return false;
+    if (tagName.includes(":")) return true;
+    const lowerName = tagName.toLowerCase();
+    return hasRule(lowerName) && !TAGLIB_FAMILY_KEYS.has(lowerName);
+}
+
+// --- 通过 TLD 导入的自定义标签库（见 tld.js） ---
+
+// 内置规则覆盖的标签库前缀：导入这些前缀的 TLD 时保留内置规则
+const BUILTIN_TAGLIB_PREFIXES = new Set(["jsp", "c", "fmt", "fn", "bean", "tiles", ...TAGLIB_FAMILY_KEYS]);
+
+// 由 TLD 生成的注册表条目：键 -> 所属标签库的前缀
+const taglibRuleKeys = new Map();
+
+function isBuiltinTaglibTag(key) {
+    if (BUILTIN_TAGLIB_PREFIXES.has(key.split(":")[0])) return true;
+    return !taglibRuleKeys.has(key) && (localConverters.hasOwnProperty(key) || promptRegistry.hasOwnProperty(key));
+}
+
+function unregisterTaglibRules(prefix) {
+    for (const [key, owner] of taglibRuleKeys) {
+        if (owner !== prefix) continue;
+        delete promptRegistry[key];
+        delete localConverters[key];
+        taglibRuleKeys.delete(key);
+    }
+}
+
+/**
+ * 把标签库的标签写入注册表：有等价 HTML 元素的标签写入 promptRegistry，组件类标签写入 localConverters。
+ */
+function registerTaglibRules(library) {
+    library.tags.forEach(tag => {
+        if (tag.rule === "prompt") {
+            promptRegistry[tag.key] = buildTaglibPrompt(library, tag);
+        } else if (tag.rule === "component") {
+            localConverters[tag.key] = convertTaglibSnippet;
+        } else {
+            return;
+        }
+        taglibRuleKeys.set(tag.key, library.prefix);
+    });
+}
+
+// 已导入的标签库，启动时加载环境变量 TAGLIB_TLDS 指定的 .tld 文件
+export const taglibLibraries = createTaglibStoreFromEnv({ isBuiltinTag: isBuiltinTaglibTag });
+taglibLibraries.list().forEach(registerTaglibRules);
+
+/**
+ * 导入 .tld 并注册其中标签的转换规则，同前缀的标签库会被替换。
+ * @param {string} xml - TLD 内容。
+ * @param {object} [options] - prefix、source、equivalents，见 tld.js 中的 load。
+ * @returns {object} - 标签库。
+ */
+export function loadTaglibLibrary(xml, options = {}) {
+    const library = taglibLibraries.load(xml, { ...options, isBuiltinTag: isBuiltinTaglibTag });
+    unregisterTaglibRules(library.prefix);
+    registerTaglibRules(library);
+    return library;
+}
+
+/**
+ * 删除标签库及其注册的转换规则。
+ * @param {string} prefix - 标签库前缀。
+ * @returns {boolean}
+ */
+export function removeTaglibLibrary(prefix) {
+    unregisterTaglibRules(prefix);
+    return taglibLibraries.remove(prefix);
+}
+
 /**
  * 提取指定标签的完整片段（包括子节点）
  */
@@ -482,6 +816,179 @@ ${context || "（无）"}
 请严格输出一个 JSON 对象，键是 React 驼峰属性，值是字符串或数字。`;
 }
 
+// 缓存中样式修复条目使用的标签类型
+const STYLE_CACHE_TAG_TYPE = "style";
+
+function currentModel() {
+    return process.env.OPENAI_MODEL || "qwen3-coder";
+}
+
+/**
+ * 计算某个标签类型当前提示词的版本号，提示词模板一旦修改版本号随之变化。
+ * @param {string} tagType - promptRegistry 或运行时规则的键，或 "style"。
+ * @returns {string|null} - 未知标签类型返回 null。
+ */
+export function getPromptVersion(tagType) {
+    if (tagType === STYLE_CACHE_TAG_TYPE) {
+        return hashPromptVersion(STYLE_FIX_SYSTEM_PROMPT, buildStyleFixUserPrompt.toString());
+    }
+    const prompts = findPromptRule(tagType);
+    if (!prompts) return null;
+    return hashPromptVersion(prompts.systemPrompt, prompts.userTemplate ?? prompts.userPromptTemplate.toString());
+}
+
+/**
+ * 判断 LLM 返回的转换结果是否可以写入缓存（必须是合法 JSON 且不是错误对象）。
+ */
+function isCacheableResult(result) {
+    try {
+        const parsed = JSON5.parse(result);
+        return parsed !== null && typeof parsed === 'object' && !parsed.error;
+    } catch (error) {
+        return false;
+    }
+}
+
+function styleCacheSnippet(style, context) {
+    return context ? `${style}\n${context}` : style;
+}
+
+/**
+ * 删除提示词版本已过期（对应的 promptRegistry 模板或运行时规则已修改、停用或删除）的缓存条目。
+ * @returns {number} - 删除的条目数。
+ */
+export function invalidateStaleConversionCache() {
+    return conversionCache.invalidate({
+        isStale: (entry) => entry.promptVersion !== getPromptVersion(entry.tagType)
+    });
+}
+
+/**
+ * 用已知正确的转换结果预热缓存。
+ * @param {Array<object>} entries - 每项为 { snippet, result } 或 { style, context?, result }，result 可以是对象或 JSON 字符串。
+ * @returns {{seeded: number, skipped: Array<{index: number, reason: string}>}}
+ */
+export function seedConversionCache(entries) {
+    const skipped = [];
+    let seeded = 0;
+
+    entries.forEach((entry, index) => {
+        const result = typeof entry.result === 'string' ? entry.result : JSON.stringify(entry.result);
+        if (!entry.result || !isCacheableResult(result)) {
+            skipped.push({ index, reason: "result 必须是合法的 JSON 对象或数组" });
+            return;
+        }
+
+        if (typeof entry.style === 'string') {
+            // 样式只有本地规则无法识别的声明才会交给 LLM，缓存键也只包含这部分
+            const { unknown } = normalizeStyle(entry.style);
+            if (unknown.length === 0) {
+                skipped.push({ index, reason: "该样式可以完全由本地规则处理，无需缓存" });
+                return;
+            }
+            conversionCache.set({
+                tagType: STYLE_CACHE_TAG_TYPE,
+                snippet: styleCacheSnippet(unknown.map(d => d.declaration).join('; '), entry.context),
+                promptVersion: getPromptVersion(STYLE_CACHE_TAG_TYPE),
+                model: currentModel()
+            }, result, { source: 'seed' });
+            seeded++;
+            return;
+        }
+
+        if (typeof entry.snippet !== 'string') {
+            skipped.push({ index, reason: "缺少 snippet 或 style" });
+            return;
+        }
+        const tagType = detectMainTagType(entry.snippet);
+        if (tagType && findLocalConverter(tagType)) {
+            skipped.push({ index, reason: `${tagType} 由本地代码转换，无需缓存` });
+            return;
+        }
+        const promptVersion = tagType && getPromptVersion(tagType);
+        if (!promptVersion) {
+            skipped.push({ index, reason: `未识别出受支持的标签类型: ${tagType || '无'}` });
+            return;
+        }
+        conversionCache.set({
+            tagType,
+            snippet: extractTagContent(entry.snippet, tagType) || entry.snippet,
+            promptVersion,
+            model: currentModel()
+        }, result, { source: 'seed' });
+        seeded++;
+    });
+
+    return { seeded, skipped };
+}
+
+/**
+ * 用给定的提示词调用 LLM 转换片段，去掉偶发的代码块包裹。
+ * @returns {Promise<string>} - 转换结果，出错时为包含 error 的 JSON 字符串。
+ */
+async function requestSnippetConversion(systemPrompt, userPrompt) {
+    try {
+        const response = await llm.createChatCompletion({
+            model: currentModel(),
+            messages: [
+                { "role": "system", "content": systemPrompt },
+                { "role": "user", "content": userPrompt }
+            ],
+            temperature: 0
+        });
+
+        let responseContent = response.choices[0].message.content;
+
+        // 后处理逻辑保持不变
+        if (responseContent.startsWith('```json')) {
+            responseContent = responseContent.substring(7, responseContent.length - 3).trim();
+        } else if (responseContent.startsWith('```')) {
+            responseContent = responseContent.substring(3, responseContent.length - 3).trim();
+        }
+
+        return responseContent;
+
+    } catch (error) {
+        console.error("Error calling OpenAI API:", error);
+        return JSON.stringify({ error: "Failed to process the request with OpenAI." });
+    }
+}
+
+/**
+ * 试运行运行时规则：用规则（或其历史版本）转换片段，不读写转换缓存，规则停用时同样可以试运行。
+ * @param {string} key - 规则的键。
+ * @param {string} content - JSP 片段。
+ * @param {object} [options]
+ * @param {number} [options.version] - 规则版本，缺省为当前版本。
+ * @returns {Promise<object>} - { key, version, detectedTagType, snippet, systemPrompt?, userPrompt?, result, parsed?, validation? }；
+ *   detectedTagType 与 key 不同时表示该片段在正式转换中不会使用这条规则。
+ */
+export async function testRule(key, content, { version } = {}) {
+    const rule = customRules.getVersion(key, version);
+    if (!rule) {
+        throw new Error(version === undefined ? `规则 ${key} 不存在` : `规则 ${key} 没有版本 ${version}`);
+    }
+    const ruleKey = String(key).toLowerCase();
+    const report = { key: ruleKey, version: rule.version, detectedTagType: detectMainTagType(content) };
+    if (rule.converter) {
+        report.result = await RULE_CONVERTERS[rule.converter](content);
+    } else {
+        const prompts = buildRulePrompts(rule);
+        report.snippet = extractTagContent(content, ruleKey) || content;
+        report.systemPrompt = prompts.systemPrompt;
+        report.userPrompt = prompts.userPromptTemplate(report.snippet);
+        report.result = await requestSnippetConversion(report.systemPrompt, report.userPrompt);
+    }
+    try {
+        report.parsed = JSON5.parse(report.result);
+        const elements = Array.isArray(report.parsed) ? report.parsed : [report.parsed];
+        report.validation = report.parsed && report.parsed.error ? { valid: false, errors: [{ path: '/', message: report.parsed.error }] } : validateIr({ elements });
+    } catch (error) {
+        report.validation = { valid: false, errors: [{ path: '/', message: `结果不是合法的 JSON: ${error.message}` }] };
+    }
+    return report;
+}
+
 // --- 【核心修改 1】: 重构工具函数，变为一个智能分发器 ---
 export const availableTools = {
     /**
@@ -505,51 +1012,35 @@ export const availableTools = {
         console.log(`检测到JSP标签类型: ${detectedTagType}`);
 
 
+        // 本地转换器（jsp:include、JSTL core）直接用代码转换整个片段
+        const localConverter = findLocalConverter(detectedTagType);
+        if (localConverter) {
+            return localConverter(content);
+        }
+
         // 提取该标签的完整内容
         const snippet = extractTagContent(content, detectedTagType) || content;
-                // --- 【改造点】: jsp:include 走本地代码转换 ---
-        if (detectedTagType === "jsp:include") {
-            return convertJspInclude(content);
-        }
 
         // 2. 从注册表中查找对应的提示词
-        const prompts = promptRegistry[detectedTagType];
+        const prompts = findPromptRule(detectedTagType);
         if (!prompts) {
             // 3. 如果标签不受支持，立即返回错误
             return JSON.stringify({
-                error: `Unsupported tag type: '${detectedTagType}'. This tool currently only supports: [${Object.keys(promptRegistry).join(', ')}]`
+                error: `Unsupported tag type: '${detectedTagType}'. This tool currently only supports: [${listRuleKeys().join(', ')}]`
             });
         }
 
-        // 4. 如果找到匹配的规则，则继续调用 OpenAI API
+        // 4. 先查缓存，未命中再调用 LLM
+        const cacheParts = {
+            tagType: detectedTagType,
+            snippet,
+            promptVersion: getPromptVersion(detectedTagType),
+            model: currentModel()
+        };
         const systemPrompt = prompts.systemPrompt;
         const userPrompt = prompts.userPromptTemplate(snippet);
 
-        try {
-            const response = await openai.chat.completions.create({
-                model: process.env.OPENAI_MODEL || "qwen3-coder",
-                messages: [
-                    { "role": "system", "content": systemPrompt },
-                    { "role": "user", "content": userPrompt }
-                ],
-                temperature: 0
-            });
-
-            let responseContent = response.choices[0].message.content;
-
-            // 后处理逻辑保持不变
-            if (responseContent.startsWith('```json')) {
-                responseContent = responseContent.substring(7, responseContent.length - 3).trim();
-            } else if (responseContent.startsWith('```')) {
-                responseContent = responseContent.substring(3, responseContent.length - 3).trim();
-            }
-
-            return responseContent;
-
-        } catch (error) {
-            console.error("Error calling OpenAI API:", error);
-            return JSON.stringify({ error: "Failed to process the request with OpenAI." });
-        }
+        return conversionCache.getOrCreate(cacheParts, () => requestSnippetConversion(systemPrompt, userPrompt), isCacheableResult);
     },
     /**
    * 使用大模型将任意 style 字符串修复为 React 可用的 JSON 样式对象
@@ -563,41 +1054,87 @@ export const availableTools = {
             return JSON.stringify({});
         }
 
-        try {
-            const resp = await openai.chat.completions.create({
-                model: process.env.OPENAI_MODEL || "qwen3-coder",
-                temperature: 0,
-                messages: [
-                    { role: "system", content: STYLE_FIX_SYSTEM_PROMPT },
-                    { role: "user", content: buildStyleFixUserPrompt(style, context) }
-                ],
-            });
-
-            let out = resp.choices[0]?.message?.content?.trim() || "{}";
-            // 兼容偶发代码块包裹
-            if (out.startsWith("```")) {
-                out = out.replace(/^```[a-zA-Z]*\n?/, "").replace(/```$/, "").trim();
-            }
-            // 简单校验：必须是以 { 开头以 } 结尾
-            if (!out.startsWith("{") || !out.endsWith("}")) {
-                // 兜底：返回空对象，避免影响主流程
+        // 机械规则全部在本地完成，只有无法识别的声明才交给 LLM
+        const { style: localStyle, unknown } = normalizeStyle(style);
+        if (unknown.length === 0) {
+            return JSON.stringify(localStyle);
+        }
+        const unknownCss = unknown.map(d => d.declaration).join('; ');
+        console.log(`本地规则无法识别的样式声明，交给 LLM 处理: ${unknownCss}`);
+
+        const cacheParts = {
+            tagType: STYLE_CACHE_TAG_TYPE,
+            snippet: styleCacheSnippet(unknownCss, context),
+            promptVersion: getPromptVersion(STYLE_CACHE_TAG_TYPE),
+            model: currentModel()
+        };
+        const llmStyle = await conversionCache.getOrCreate(cacheParts, async () => {
+            try {
+                const resp = await llm.createChatCompletion({
+                    model: currentModel(),
+                    temperature: 0,
+                    messages: [
+                        { role: "system", content: STYLE_FIX_SYSTEM_PROMPT },
+                        { role: "user", content: buildStyleFixUserPrompt(unknownCss, context) }
+                    ],
+                });
+
+                let out = resp.choices[0]?.message?.content?.trim() || "{}";
+                // 兼容偶发代码块包裹
+                if (out.startsWith("```")) {
+                    out = out.replace(/^```[a-zA-Z]*\n?/, "").replace(/```$/, "").trim();
+                }
+                // 简单校验：必须是以 { 开头以 } 结尾
+                if (!out.startsWith("{") || !out.endsWith("}")) {
+                    // 兜底：返回空对象，避免影响主流程
+                    return JSON.stringify({});
+                }
+                return out;
+            } catch (e) {
+                console.error("normalizeStyleWithLlm error:", e);
                 return JSON.stringify({});
             }
-            return out;
+        }, (out) => out !== "{}" && isCacheableResult(out));
+
+        let fixedUnknown = {};
+        try {
+            fixedUnknown = normalizeStyleObject(JSON5.parse(llmStyle));
         } catch (e) {
-            console.error("normalizeStyleWithLlm error:", e);
-            return JSON.stringify({});
+            console.warn("LLM 返回的样式无法解析，已忽略:", llmStyle);
         }
+        return JSON.stringify({ ...fixedUnknown, ...localStyle });
     }
 };
 
+const CONVERT_JSP_SNIPPET_DESCRIPTION = "当需要将一小段特定的标签片段转换为JSON结构时调用此工具。特别适用于处理JSP自定义标签（如 <jsp:include>），JSTL core 标签（如 <c:if>, <c:choose>, <c:forEach>, <c:set>, <c:out>, <c:url>）、JSTL fmt 标签（如 <fmt:message>, <fmt:formatDate>, <fmt:formatNumber>）、Struts bean 标签（如 <bean:write>, <bean:message>, <bean:define>）、Struts html 表单标签（如 <html:form>, <html:text>, <html:select>, <html:errors>）与 Tiles 标签（如 <tiles:insert>, <tiles:put>, <tiles:getAsString>），这些标签在本地转换，不调用LLM，Struts标签库（如 <html:link>, <logic:iterate>）、Struts 2 标签库（如 <s:if>, <s:iterator>, <s:property>），以及需要现代化的、已废弃的HTML标签（如 <font>, <frameset>）。";
+
+/**
+ * convertJspSnippet 的工具说明：内置说明 + 导入的标签库与启用的运行时规则。
+ * @returns {string}
+ */
+function describeConvertJspSnippet() {
+    const parts = [CONVERT_JSP_SNIPPET_DESCRIPTION];
+    const taglibTags = [...taglibRuleKeys.keys()].filter(key => !customRules.get(key));
+    if (taglibTags.length > 0) {
+        parts.push(`导入的自定义标签库标签：${taglibTags.map(key => `<${key}>`).join(', ')}。`);
+    }
+    const rules = customRules.list().filter(rule => rule.enabled);
+    if (rules.length > 0) {
+        parts.push(`运行时注册的规则：${rules.map(rule => `<${rule.key}>${rule.description ? `（${rule.description}）` : ''}`).join(', ')}。`);
+    }
+    return parts.join('');
+}
+
 // --- 【核心修改 2】: 简化提供给 OpenAI 的工具定义 ---
 export const tools = [
     {
         type: "function",
         function: {
             name: "convertJspSnippet", // 新的、更通用的函数名
-            description: "当需要将一小段特定的标签片段转换为JSON结构时调用此工具。特别适用于处理JSP自定义标签（如 <jsp:include>, <c:if>），Struts标签库（如 <html:text>, <logic:iterate>），以及需要现代化的、已废弃的HTML标签（如 <font>, <frameset>）。",
+            // 取值时生成，运行时规则与导入的标签库变化后立即反映在工具说明中
+            get description() {
+                return describeConvertJspSnippet();
+            },
             parameters: {
                 type: "object",
                 properties: {
@@ -614,7 +1151,7 @@ export const tools = [
         type: "function",
         function: {
             name: "normalizeStyleWithLlm",
-            description: "将不规范的 style 字符串清洗并转为 React 内联样式对象（JSON）。可处理旧 IE hack、大小写、缺失单位、连字符->驼峰，以及常见简写展开。",
+            description: "将不规范的 style 字符串清洗并转为 React 内联样式对象（JSON）。可处理旧 IE hack、大小写、缺失单位、连字符->驼峰，以及常见简写展开；常规声明在本地按规则处理，只有无法识别的声明才会调用大模型。",
             parameters: {
                 type: "object",
                 properties: {
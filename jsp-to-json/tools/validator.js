@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * 中间表示 (IR) 的 JSON Schema，同时通过 GET /api/jsp-to-json/schema 对外发布。
+ */
+export const irSchema = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '../schema/ir.schema.json'), 'utf8')
+);
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(irSchema);
+
+/**
+ * 使用 JSON Schema 校验中间表示。
+ * @param {object} ir - 已通过 JSON.parse 的中间表示。
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ *   errors 中的 path 为 JSON Pointer（例如 "/elements/0/children/2/collection"）。
+ */
+export function validateIr(ir) {
+    if (validate(ir)) {
+        return { valid: true, errors: [] };
+    }
+
+    const errors = [];
+    const seen = new Set();
+    for (const error of validate.errors) {
+        // if/then 组合本身产生的 "must match then schema" 不包含有用信息，具体错误已单独列出
+        if (error.keyword === 'if') continue;
+
+        let pointer = error.instancePath || '';
+        if (error.keyword === 'required') {
+            pointer += `/${error.params.missingProperty}`;
+        }
+        const message = error.keyword === 'const' || error.keyword === 'enum'
+            ? `${error.message}: ${JSON.stringify(error.params.allowedValue ?? error.params.allowedValues)}`
+            : error.message;
+
+        const key = `${pointer} ${message}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        errors.push({ path: pointer || '/', message });
+    }
+    return { valid: false, errors };
+}
+
+/**
+ * 将校验错误格式化为发给 LLM 的重试提示。
+ * @param {Array<{path: string, message: string}>} errors - validateIr 返回的错误列表。
+ * @param {number} [limit=20] - 最多列出的错误条数，避免提示过长。
+ * @returns {string}
+ */
+export function formatValidationErrors(errors, limit = 20) {
+    const lines = errors.slice(0, limit).map(e => `- ${e.path}: ${e.message}`);
+    if (errors.length > limit) {
+        lines.push(`- ……另有 ${errors.length - limit} 处错误`);
+    }
+    return lines.join('\n');
+}
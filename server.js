@@ -6,8 +6,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // 导入子模块路由
-import jspToJsonRouter from './jsp-to-json/index.js';
-import jsonToReactRouter from './json-to-react/index.js';
+import jspToJsonRouter, { convertJspToJson } from './jsp-to-json/index.js';
+import jsonToReactRouter, { generateReactFromJson } from './json-to-react/index.js';
+import batchRouter from './batch/index.js';
+import { resolveServerObjectRules } from './utils/serverObjects.js';
 
 // 配置环境变量
 dotenv.config();
@@ -32,12 +34,77 @@ app.get('/', (req, res) => {
 // 注意：这里我们不直接使用子模块的app实例，而是导出它们的路由
 app.use('/api/jsp-to-json', jspToJsonRouter);
 app.use('/api/json-to-react', jsonToReactRouter);
+app.use('/api/batch', batchRouter);
+
+// 一体化转换：JSP -> JSON中间表示 -> React，失败时标明出错的阶段
+app.post('/api/convert', async (req, res) => {
+  const { message, sessionId = `convert_${Date.now()}`, mode, reactMode, componentName, serverObjectRules, pagePath, routeTable = sessionId } = req.body;
+  if (!message) {
+    return res.status(400).json({ error: '消息不能为空' });
+  }
+  try {
+    resolveServerObjectRules(serverObjectRules);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const warnings = [];
+  let ir;
+  let toolCalls = null;
+  try {
+    console.log(`[convert] 阶段一: JSP -> JSON, sessionId: ${sessionId}`);
+    const jsonResult = await convertJspToJson({ message, sessionId: `${sessionId}_json`, warnings, mode, pagePath });
+    ir = jsonResult.reply;
+    toolCalls = jsonResult.toolCalls;
+  } catch (error) {
+    console.error("[convert] JSP -> JSON 阶段出错:", error);
+    return res.status(500).json({ stage: 'jsp-to-json', error: error.message, warnings, sessionId });
+  }
+
+  try {
+    console.log(`[convert] 阶段二: JSON -> React, sessionId: ${sessionId}`);
+    const reactResult = await generateReactFromJson({
+      message: ir,
+      sessionId: `${sessionId}_react`,
+      mode: reactMode,
+      componentName,
+      serverObjectRules,
+      // 页面路径是 JSP 时登记到路由表（默认以 sessionId 为路由表 ID）
+      pagePath: /\.jspx?$/i.test(pagePath || '') ? pagePath : undefined,
+      routeTable
+    });
+    warnings.push(...reactResult.warnings);
+
+    const responsePayload = {
+      success: reactResult.success,
+      ir: JSON.parse(ir),
+      reactCode: reactResult.reactCode,
+      toolCalls: {
+        jspToJson: toolCalls || [],
+        jsonToReact: reactResult.toolCalls || []
+      },
+      warnings,
+      sessionId
+    };
+    if (!reactResult.success) {
+      responsePayload.stage = 'json-to-react';
+      responsePayload.error = "代码生成失败，已达到最大重试次数。";
+      return res.status(500).json(responsePayload);
+    }
+    return res.json(responsePayload);
+  } catch (error) {
+    console.error("[convert] JSON -> React 阶段出错:", error);
+    return res.status(500).json({ stage: 'json-to-react', error: error.message, ir: JSON.parse(ir), warnings, sessionId });
+  }
+});
 
 // 启动服务器
 app.listen(port, () => {
   console.log(`主服务器已启动，监听端口 ${port}`);
   console.log(`JSP到JSON服务: http://localhost:${port}/api/jsp-to-json/chat`);
   console.log(`JSON到React服务: http://localhost:${port}/api/json-to-react/generate-react`);
+  console.log(`一体化转换服务: http://localhost:${port}/api/convert`);
+  console.log(`批量转换服务: http://localhost:${port}/api/batch/convert`);
 });
 
 process.on('SIGINT', () => {
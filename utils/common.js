@@ -1,24 +1,21 @@
-import OpenAI from "openai";
 import JSON5 from 'json5';
 import dotenv from 'dotenv';
+import { createSessionStoreFromEnv, trimMessages } from './sessionStore.js';
+import { createLlmProviderFromEnv } from './llmProvider.js';
 
 dotenv.config();
 
-// 初始化 OpenAI 客户端
-export const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    baseURL: process.env.OPENAI_API_BASE,
-    timeout: 1000000
-});
+// 初始化 LLM 提供方（由 LLM_PROVIDER 选择 openai / record / replay，见 llmProvider.js）
+export const llm = createLlmProviderFromEnv();
 
-// 存储用户会话
-export const sessions = {};
+// 存储用户会话（后端由 SESSION_STORE 等环境变量决定，见 sessionStore.js）
+const { store: sessionStore, ttlMs: sessionTtlMs, maxMessages: sessionMaxMessages } = createSessionStoreFromEnv();
 
 // --- JSON 修复工具 ---
 export async function fixJsonWithLlm(brokenJsonString) {
     console.log("启动 LLM 进行 JSON 修复...");
     try {
-        const response = await openai.chat.completions.create({
+        const response = await llm.createChatCompletion({
             model: process.env.OPENAI_MODEL || 'qwen3-coder',
             temperature: 0,
             messages: [
@@ -68,7 +65,7 @@ export async function normalizeToolCallsWithLlm(rawContent) {
                 const paramValue = paramMatch ? paramMatch[2].trim() : "";
 
                 const parsed = [{
-                    id: "call_" + Date.now() + "_" + i,
+                    id: `call_${i}`,
                     type: "function",
                     function: {
                         name: toolName,
@@ -83,7 +80,7 @@ export async function normalizeToolCallsWithLlm(rawContent) {
 
             // --- 如果正则解析失败，才走 LLM ---
             console.warn("正则解析失败，尝试使用 LLM 规范化...");
-            const response = await openai.chat.completions.create({
+            const response = await llm.createChatCompletion({
                 model: process.env.OPENAI_MODEL || 'qwen3-coder',
                 temperature: 0,
                 messages: [
@@ -124,7 +121,7 @@ export async function normalizeToolCallsWithLlm(rawContent) {
 }
 
 // --- 并发执行工具调用（带并发限制） ---
-const MAX_CONCURRENT = 2; // 每次最多并发执行 2 个工具
+export const MAX_CONCURRENT = 2; // 每次最多并发执行 2 个工具
 
 // 通用的并发限制执行器
 export async function runWithConcurrencyLimit(tasks, limit) {
@@ -143,9 +140,16 @@ export async function runWithConcurrencyLimit(tasks, limit) {
     return Promise.all(results);
 }
 
-export async function handleToolCalls(toolCalls, sessionId, availableTools) {
+/**
+ * 执行模型返回的工具调用并将结果写入会话。
+ * @param {Array} toolCalls - OpenAI 格式的 tool_calls。
+ * @param {string} sessionId - 会话ID。
+ * @param {object} availableTools - 工具名到实现函数的映射。
+ * @param {Function} [onEvent] - 进度回调 (event, data)，用于 SSE 推送 tool_call_start / tool_call_result。
+ * @returns {Promise<Array<{toolName: string, toolCallId: string, result?: any, error?: string}>>}
+ */
+export async function handleToolCalls(toolCalls, sessionId, availableTools, onEvent = () => {}) {
     if (!toolCalls || toolCalls.length === 0) return [];
-    if (!sessions[sessionId]) sessions[sessionId] = [];
 
     console.log(`开始执行 ${toolCalls.length} 个工具调用...`);
 
@@ -154,15 +158,17 @@ export async function handleToolCalls(toolCalls, sessionId, availableTools) {
         const functionCall = toolCall.function;
         const toolName = functionCall.name;
         const toolCallId = toolCall.id;
+        onEvent('tool_call_start', { toolName, toolCallId, arguments: functionCall.arguments });
 
         const toolToCall = availableTools[toolName];
         if (!toolToCall) {
             const errorResult = { error: `工具 '${toolName}' 不存在。` };
-            sessions[sessionId].push({
+            appendMessage(sessionId, {
                 role: "tool",
                 tool_call_id: toolCallId,
                 content: JSON.stringify(errorResult)
             });
+            onEvent('tool_call_result', { toolName, toolCallId, error: errorResult.error });
             return { toolName, toolCallId, error: errorResult.error };
         }
 
@@ -184,22 +190,24 @@ export async function handleToolCalls(toolCalls, sessionId, availableTools) {
             const result = await toolToCall(args);
             console.log(`${toolName} 工具执行结果:`, result);
 
-            sessions[sessionId].push({
+            appendMessage(sessionId, {
                 role: "tool",
                 tool_call_id: toolCallId,
                 content: JSON.stringify(result)
             });
 
+            onEvent('tool_call_result', { toolName, toolCallId, result });
             return { toolName, toolCallId, result };
 
         } catch (error) {
             console.error(`执行工具 ${toolName} 出错:`, error);
             const errMsg = { error: `执行工具时出错: ${error.message}` };
-            sessions[sessionId].push({
+            appendMessage(sessionId, {
                 role: "tool",
                 tool_call_id: toolCallId,
                 content: JSON.stringify(errMsg)
             });
+            onEvent('tool_call_result', { toolName, toolCallId, error: error.message });
             return { toolName, toolCallId, error: error.message };
         }
     });
@@ -212,25 +220,82 @@ export async function handleToolCalls(toolCalls, sessionId, availableTools) {
 }
 
 // 会话管理工具函数
+
+/**
+ * 读取会话记录，已过期的会话会被立即删除。
+ * @param {string} sessionId - 会话ID。
+ * @returns {object|undefined}
+ */
+function loadSessionRecord(sessionId) {
+    const record = sessionStore.get(sessionId);
+    if (!record) return undefined;
+    if (record.ttlMs > 0 && Date.now() - record.lastActivity > record.ttlMs) {
+        sessionStore.delete(sessionId);
+        return undefined;
+    }
+    return record;
+}
+
+/**
+ * 获取会话的消息列表。
+ * @param {string} sessionId - 会话ID。
+ * @returns {Array<object>|undefined}
+ */
 export function getSession(sessionId) {
-    return sessions[sessionId];
+    return loadSessionRecord(sessionId)?.messages;
+}
+
+/**
+ * 向会话追加消息，会话不存在时自动创建；超过 SESSION_MAX_MESSAGES 时裁剪最早的对话消息。
+ * @param {string} sessionId - 会话ID。
+ * @param {...object} messages - 要追加的消息。
+ */
+export function appendMessage(sessionId, ...messages) {
+    const now = Date.now();
+    const record = loadSessionRecord(sessionId) || { messages: [], createdAt: now, ttlMs: sessionTtlMs };
+    record.messages = trimMessages([...record.messages, ...messages], sessionMaxMessages);
+    record.lastActivity = now;
+    sessionStore.set(sessionId, record);
 }
 
 export function deleteSession(sessionId) {
-    if (sessions[sessionId]) {
-        delete sessions[sessionId];
-        return true;
-    }
-    return false;
+    return sessionStore.delete(sessionId);
 }
 
-export function initializeSession(sessionId, systemMessage) {
-    if (!sessions[sessionId]) {
-        sessions[sessionId] = [
-            {
-                role: "system",
-                content: systemMessage
-            }
-        ];
+/**
+ * 初始化会话（已存在时不做任何修改）。
+ * @param {string} sessionId - 会话ID。
+ * @param {string} systemMessage - 系统提示。
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - 该会话的存活时间，默认使用 SESSION_TTL_MS。
+ */
+export function initializeSession(sessionId, systemMessage, { ttlMs = sessionTtlMs } = {}) {
+    if (!loadSessionRecord(sessionId)) {
+        const now = Date.now();
+        sessionStore.set(sessionId, {
+            messages: [{ role: "system", content: systemMessage }],
+            createdAt: now,
+            lastActivity: now,
+            ttlMs
+        });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * 列出所有未过期的会话及其大小、最后活动时间。
+ * @returns {Array<{sessionId: string, messageCount: number, sizeBytes: number, createdAt: string, lastActivity: string, expiresAt: string|null}>}
+ */
+export function listSessions() {
+    const now = Date.now();
+    return sessionStore.list()
+        .filter(({ record }) => !(record.ttlMs > 0 && now - record.lastActivity > record.ttlMs))
+        .map(({ sessionId, record }) => ({
+            sessionId,
+            messageCount: record.messages.length,
+            sizeBytes: Buffer.byteLength(JSON.stringify(record.messages), 'utf8'),
+            createdAt: new Date(record.createdAt).toISOString(),
+            lastActivity: new Date(record.lastActivity).toISOString(),
+            expiresAt: record.ttlMs > 0 ? new Date(record.lastActivity + record.ttlMs).toISOString() : null
+        }))
+        .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+}
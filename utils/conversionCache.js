@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 片段转换结果的内容寻址缓存。
+ *
+ * 键由 (标签类型, 规范化后的片段, 提示词版本, 模型名) 计算 sha256 得到，
+ * 每个条目保存为 <dir>/<key>.json，启动时加载到内存索引中。
+ * 提示词或模型变化后键自然不同，旧条目不会再命中，可以通过 invalidate 清理。
+ */
+
+/**
+ * 计算字符串的短哈希，用作提示词版本号。
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function hashPromptVersion(...parts) {
+    return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 12);
+}
+
+// 原样保留的部分：脚本片段、<pre> / <textarea> 的内容、标签本身（属性值中的空白有意义）
+const VERBATIM_PATTERN = /<%[\s\S]*?%>|<(pre|textarea)\b[\s\S]*?<\/\1\s*>|<(?:[^<>"']|"[^"]*"|'[^']*')*>/gi;
+
+/**
+ * 规范化片段：去掉首尾空白、统一换行符，并去掉标签之外每行开头的缩进与行尾空白，
+ * 使仅有缩进或换行符差异的片段共享同一个缓存条目。
+ * 行内与标签之间的空白、属性值以及 <pre> 中的内容都会影响转换结果，保持不变。
+ * @param {string} snippet
+ * @returns {string}
+ */
+export function normalizeSnippet(snippet) {
+    const text = String(snippet).replace(/\r\n?/g, '\n').trim();
+    const stripIndentation = part => part.replace(/[ \t]+\n/g, '\n').replace(/\n[ \t]+/g, '\n');
+    let result = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(VERBATIM_PATTERN)) {
+        result += stripIndentation(text.slice(lastIndex, match.index)) + match[0];
+        lastIndex = match.index + match[0].length;
+    }
+    return result + stripIndentation(text.slice(lastIndex));
+}
+
+function computeKey({ tagType, snippet, promptVersion, model }) {
+    return crypto
+        .createHash('sha256')
+        .update([tagType, promptVersion, model, normalizeSnippet(snippet)].join('\u0000'))
+        .digest('hex');
+}
+
+/**
+ * 创建缓存实例。
+ * @param {object} options
+ * @param {string} options.dir - 缓存目录。
+ * @param {boolean} [options.enabled=true] - 关闭时 get 总是未命中、set 不写入。
+ * @returns {object}
+ */
+export function createConversionCache({ dir, enabled = true }) {
+    const entries = new Map();
+    // 正在计算中的条目，同一片段的并发请求共享一次 LLM 调用
+    const inflight = new Map();
+    const counters = { hits: 0, misses: 0, coalesced: 0, writes: 0 };
+
+    if (enabled) {
+        fs.mkdirSync(dir, { recursive: true });
+        for (const name of fs.readdirSync(dir)) {
+            if (!name.endsWith('.json')) continue;
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                entries.set(entry.key, entry);
+            } catch (error) {
+                console.warn(`读取缓存条目 ${name} 失败:`, error.message);
+            }
+        }
+        console.log(`转换缓存已加载 ${entries.size} 个条目 (${dir})`);
+    }
+
+    const removeEntry = (key) => {
+        entries.delete(key);
+        fs.rmSync(path.join(dir, `${key}.json`), { force: true });
+    };
+
+    return {
+        enabled,
+
+        /**
+         * 查询缓存。
+         * @param {{tagType: string, snippet: string, promptVersion: string, model: string}} parts
+         * @returns {string|undefined} - 命中时返回缓存的转换结果。
+         */
+        get(parts) {
+            if (!enabled) return undefined;
+            const entry = entries.get(computeKey(parts));
+            if (!entry) {
+                counters.misses++;
+                return undefined;
+            }
+            counters.hits++;
+            return entry.value;
+        },
+
+        /**
+         * 写入缓存。
+         * @param {{tagType: string, snippet: string, promptVersion: string, model: string}} parts
+         * @param {string} value - 转换结果（JSON 字符串）。
+         * @param {object} [extra] - 附加信息，例如 { source: 'seed' }。
+         * @returns {string|undefined} - 条目的键。
+         */
+        set(parts, value, extra = {}) {
+            if (!enabled) return undefined;
+            const key = computeKey(parts);
+            const entry = {
+                key,
+                tagType: parts.tagType,
+                promptVersion: parts.promptVersion,
+                model: parts.model,
+                snippet: normalizeSnippet(parts.snippet),
+                value,
+                createdAt: new Date().toISOString(),
+                ...extra
+            };
+            entries.set(key, entry);
+            fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(entry, null, 2), 'utf8');
+            counters.writes++;
+            return key;
+        },
+
+        /**
+         * 查询缓存，未命中时调用 create 计算并写入；同一键的并发调用只会执行一次 create。
+         * @param {{tagType: string, snippet: string, promptVersion: string, model: string}} parts
+         * @param {() => Promise<string>} create - 计算转换结果。
+         * @param {(value: string) => boolean} [isCacheable] - 结果是否可以写入缓存（例如排除错误结果）。
+         * @returns {Promise<string>}
+         */
+        async getOrCreate(parts, create, isCacheable = () => true) {
+            if (!enabled) return create();
+            const cached = this.get(parts);
+            if (cached !== undefined) return cached;
+
+            const key = computeKey(parts);
+            if (inflight.has(key)) {
+                counters.coalesced++;
+                return inflight.get(key);
+            }
+            const pending = (async () => {
+                const value = await create();
+                if (isCacheable(value)) {
+                    this.set(parts, value);
+                }
+                return value;
+            })().finally(() => inflight.delete(key));
+            inflight.set(key, pending);
+            return pending;
+        },
+
+        /**
+         * 删除条目。
+         * @param {object} [filter]
+         * @param {string} [filter.tagType] - 只删除该标签类型的条目。
+         * @param {Function} [filter.isStale] - (entry) => boolean，只删除判定为过期的条目。
+         * @returns {number} - 删除的条目数。
+         */
+        invalidate({ tagType, isStale } = {}) {
+            let removed = 0;
+            for (const entry of [...entries.values()]) {
+                if (tagType && entry.tagType !== tagType) continue;
+                if (isStale && !isStale(entry)) continue;
+                removeEntry(entry.key);
+                removed++;
+            }
+            return removed;
+        },
+
+        /**
+         * 命中率与各标签类型的条目数。
+         */
+        stats() {
+            const byTagType = {};
+            for (const entry of entries.values()) {
+                byTagType[entry.tagType] = (byTagType[entry.tagType] || 0) + 1;
+            }
+            const lookups = counters.hits + counters.misses;
+            return {
+                enabled,
+                entries: entries.size,
+                ...counters,
+                hitRate: lookups > 0 ? counters.hits / lookups : 0,
+                byTagType
+            };
+        }
+    };
+}
+
+/**
+ * 根据环境变量创建缓存：CONVERSION_CACHE=off 关闭，CONVERSION_CACHE_DIR 指定目录（默认 data/cache）。
+ * @returns {object}
+ */
+export function createConversionCacheFromEnv() {
+    return createConversionCache({
+        dir: path.resolve(process.env.CONVERSION_CACHE_DIR || path.join('data', 'cache')),
+        enabled: (process.env.CONVERSION_CACHE || 'on').toLowerCase() !== 'off'
+    });
+}
@@ -0,0 +1,289 @@
+// --- 内联样式解析与规范化 ---
+//
+// 实现 STYLE_FIX_SYSTEM_PROMPT 中的机械规则：去掉 _ / * 前缀与 \9、\0 hack，丢弃 !important，
+// 属性名转驼峰，长度类属性的纯数字补全 px，颜色小写化，展开 margin/padding 简写。
+// 无法识别的声明单独返回，由调用方决定保留原样还是交给 LLM 处理。
+
+// 已知的 CSS 属性（连字符形式），不在此列表且不带厂商前缀的属性视为无法识别
+const KNOWN_PROPERTIES = new Set(`
+align-content align-items align-self all animation animation-delay animation-direction animation-duration
+animation-fill-mode animation-iteration-count animation-name animation-play-state animation-timing-function
+appearance aspect-ratio backface-visibility background background-attachment background-blend-mode background-clip
+background-color background-image background-origin background-position background-position-x background-position-y
+background-repeat background-size border border-bottom border-bottom-color border-bottom-left-radius
+border-bottom-right-radius border-bottom-style border-bottom-width border-collapse border-color border-image
+border-left border-left-color border-left-style border-left-width border-radius border-right border-right-color
+border-right-style border-right-width border-spacing border-style border-top border-top-color border-top-left-radius
+border-top-right-radius border-top-style border-top-width border-width bottom box-shadow box-sizing caption-side
+clear clip clip-path color column-count column-gap columns content counter-increment counter-reset cursor direction
+display empty-cells filter flex flex-basis flex-direction flex-flow flex-grow flex-shrink flex-wrap float font
+font-family font-size font-stretch font-style font-variant font-weight gap grid grid-area grid-auto-columns
+grid-auto-flow grid-auto-rows grid-column grid-column-end grid-column-start grid-gap grid-row grid-row-end
+grid-row-start grid-template grid-template-areas grid-template-columns grid-template-rows height ime-mode inset
+justify-content justify-items justify-self left letter-spacing line-height list-style list-style-image
+list-style-position list-style-type margin margin-bottom margin-left margin-right margin-top max-height max-width
+min-height min-width mix-blend-mode object-fit object-position opacity order orphans outline outline-color
+outline-offset outline-style outline-width overflow overflow-wrap overflow-x overflow-y padding padding-bottom
+padding-left padding-right padding-top page-break-after page-break-before page-break-inside perspective
+pointer-events position quotes resize right row-gap scroll-behavior table-layout text-align text-decoration
+text-decoration-color text-decoration-line text-decoration-style text-indent text-overflow text-shadow
+text-transform top transform transform-origin transition transition-delay transition-duration transition-property
+transition-timing-function unicode-bidi user-select vertical-align visibility white-space widows width word-break
+word-spacing word-wrap writing-mode z-index zoom
+`.trim().split(/\s+/));
+
+// 纯数字时需要补全 px 的长度类属性（驼峰形式）
+const LENGTH_PROPERTIES = new Set([
+    'width', 'height', 'minWidth', 'minHeight', 'maxWidth', 'maxHeight',
+    'top', 'right', 'bottom', 'left', 'inset',
+    'margin', 'marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+    'padding', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderWidth', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'borderRadius', 'borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomLeftRadius', 'borderBottomRightRadius',
+    'borderSpacing', 'outlineWidth', 'outlineOffset', 'fontSize', 'letterSpacing', 'wordSpacing', 'textIndent',
+    'gap', 'rowGap', 'columnGap', 'gridGap', 'flexBasis', 'backgroundPositionX', 'backgroundPositionY',
+    // 简写中的纯数字同样是宽度，例如 border: 1 solid black
+    'border', 'borderTop', 'borderRight', 'borderBottom', 'borderLeft', 'outline'
+]);
+
+// 值中的颜色关键字需要小写化的属性
+const COLOR_PROPERTIES = new Set([
+    'color', 'backgroundColor', 'borderColor', 'borderTopColor', 'borderRightColor', 'borderBottomColor',
+    'borderLeftColor', 'outlineColor', 'textDecorationColor', 'background', 'border', 'borderTop', 'borderRight',
+    'borderBottom', 'borderLeft', 'outline'
+]);
+
+// 1~4 个值的简写，展开为上/右/下/左四个属性
+const BOX_SHORTHANDS = {
+    margin: ['marginTop', 'marginRight', 'marginBottom', 'marginLeft'],
+    padding: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+};
+
+const PROPERTY_NAME = /^-?[a-z][a-z0-9-]*$/;
+const UNITLESS_NUMBER = /^-?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * 按分隔符切分 CSS 文本，忽略引号与括号（如 url(http://...)、rgba(0,0,0,.5)）内部的分隔符。
+ * @param {string} text
+ * @param {(char: string) => boolean} isSeparator
+ * @param {number} [limit] - 最多切出的段数，最后一段保留剩余全部内容。
+ * @returns {string[]}
+ */
+function splitTopLevel(text, isSeparator, limit = Infinity) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            current += char;
+            if (char === '\\' && i + 1 < text.length) {
+                current += text[++i];
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && depth > 0) {
+            depth--;
+        } else if (depth === 0 && parts.length < limit - 1 && isSeparator(char)) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * 去掉 CSS 注释（引号内的内容不受影响）。
+ */
+function stripComments(text) {
+    return text.replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\/\*[\s\S]*?\*\//g, (match, quoted) => quoted || '');
+}
+
+/**
+ * 将 CSS 声明文本解析为声明列表。
+ * @param {string} cssText - 例如 "color:red; background:url(http://a/b.png) no-repeat"。
+ * @returns {Array<{property: string, value: string, important: boolean}>} - property 保持原样（可能带 hack 前缀）。
+ */
+export function parseCssDeclarations(cssText) {
+    if (typeof cssText !== 'string' || !cssText.trim()) {
+        return [];
+    }
+
+    const declarations = [];
+    for (const rawDeclaration of splitTopLevel(stripComments(cssText), char => char === ';')) {
+        if (!rawDeclaration.trim()) continue;
+        const [rawProperty, rawValue] = splitTopLevel(rawDeclaration, char => char === ':', 2);
+        if (rawValue === undefined) continue;
+
+        let value = rawValue.trim();
+        const important = /!\s*important\s*$/i.test(value);
+        if (important) {
+            value = value.replace(/!\s*important\s*$/i, '').trim();
+        }
+        const property = rawProperty.trim();
+        if (!property || !value) continue;
+        declarations.push({ property, value, important });
+    }
+    return declarations;
+}
+
+/**
+ * 连字符属性名转 React 驼峰形式：font-size -> fontSize，-webkit-transition -> WebkitTransition，-ms-filter -> msFilter。
+ * @param {string} property
+ * @returns {string}
+ */
+export function toCamelCaseProperty(property) {
+    if (property.startsWith('--')) return property;
+    const camel = property.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+    return property.startsWith('-ms-') ? `ms${camel.slice(2)}` : camel;
+}
+
+/**
+ * 驼峰属性名转连字符形式：fontSize -> font-size，WebkitTransition -> -webkit-transition，msFilter -> -ms-filter。
+ * @param {string} key
+ * @returns {string}
+ */
+export function toKebabCaseProperty(key) {
+    if (key.startsWith('--')) return key;
+    const kebab = key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    return key.startsWith('ms') && /^ms[A-Z]/.test(key) ? `-${kebab}` : kebab;
+}
+
+/**
+ * 对引号与 url() 之外的部分应用 transform。
+ */
+function mapOutsideLiterals(value, transform) {
+    return value.replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|url\([^)]*\))|([^"']+?(?=url\(|["']|$))/gi,
+        (match, literal, plain) => literal || transform(plain));
+}
+
+/**
+ * 规范化声明值：去掉 \9 / \0 hack，单位与十六进制颜色小写，颜色属性的关键字小写，长度类属性补全 px。
+ */
+function normalizeValue(key, value) {
+    let normalized = value.replace(/\s*\\(9|0)/g, '').trim();
+
+    normalized = mapOutsideLiterals(normalized, plain => {
+        let result = plain
+            .replace(/(\d)(px|em|rem|pt|pc|ex|ch|vh|vw|vmin|vmax|cm|mm|in|deg|s|ms)\b/gi, (_, digit, unit) => digit + unit.toLowerCase())
+            .replace(/#[0-9a-f]{3,8}\b/gi, hex => hex.toLowerCase());
+        if (COLOR_PROPERTIES.has(key)) {
+            result = result.replace(/\b[a-z]+\b/gi, word => word.toLowerCase());
+        }
+        return result;
+    });
+
+    if (LENGTH_PROPERTIES.has(key)) {
+        normalized = splitTopLevel(normalized, char => /\s/.test(char))
+            .filter(Boolean)
+            .map(token => (UNITLESS_NUMBER.test(token) && Number(token) !== 0 ? `${token}px` : token))
+            .join(' ');
+    }
+    return normalized;
+}
+
+/**
+ * 判断连字符形式的属性名是否可以本地处理。
+ */
+function isKnownProperty(property) {
+    if (property.startsWith('--')) return true;
+    if (/^-(webkit|moz|ms|o)-/.test(property)) return PROPERTY_NAME.test(property);
+    return KNOWN_PROPERTIES.has(property);
+}
+
+/**
+ * 规范化声明列表。
+ * @param {Array<{property: string, value: string}>} declarations - parseCssDeclarations 的结果。
+ * @param {object} [options]
+ * @param {boolean} [options.keepUnknown=false] - 无法识别的声明是否以驼峰属性名、原始值写入结果。
+ * @returns {{style: object, unknown: Array<{property: string, value: string, declaration: string}>}}
+ */
+export function normalizeCssDeclarations(declarations, { keepUnknown = false } = {}) {
+    const style = {};
+    const fromHack = new Set();
+    const unknown = [];
+
+    const assign = (key, value, isHack) => {
+        // 带 hack 前缀的声明只针对旧版 IE，不覆盖同名的标准声明
+        if (isHack && key in style && !fromHack.has(key)) return;
+        style[key] = value;
+        if (isHack) fromHack.add(key); else fromHack.delete(key);
+    };
+
+    for (const { property: rawProperty, value } of declarations) {
+        const isHack = /^[_*]/.test(rawProperty);
+        const property = rawProperty.replace(/^[_*]+/, '').toLowerCase();
+
+        if (!isKnownProperty(property)) {
+            unknown.push({ property: rawProperty, value, declaration: `${rawProperty}: ${value}` });
+            if (keepUnknown && PROPERTY_NAME.test(property)) {
+                assign(toCamelCaseProperty(property), value, isHack);
+            }
+            continue;
+        }
+
+        const key = toCamelCaseProperty(property);
+        const normalizedValue = typeof value === 'number' ? value : normalizeValue(key, value);
+
+        if (BOX_SHORTHANDS[key] && typeof normalizedValue === 'string') {
+            const parts = splitTopLevel(normalizedValue, char => /\s/.test(char)).filter(Boolean);
+            if (parts.length >= 1 && parts.length <= 4) {
+                const [top, right = top, bottom = top, left = right] = parts;
+                BOX_SHORTHANDS[key].forEach((longhand, index) => assign(longhand, [top, right, bottom, left][index], isHack));
+                continue;
+            }
+        }
+        assign(key, normalizedValue, isHack);
+    }
+
+    return { style, unknown };
+}
+
+/**
+ * 解析并规范化 CSS 声明文本。
+ * @param {string} cssText - 内联 style 字符串。
+ * @param {object} [options] - 同 normalizeCssDeclarations。
+ * @returns {{style: object, unknown: Array<{property: string, value: string, declaration: string}>}}
+ */
+export function normalizeStyle(cssText, options) {
+    return normalizeCssDeclarations(parseCssDeclarations(cssText), options);
+}
+
+/**
+ * 将 style 字符串解析为 CSS-in-JS 对象；无法识别的声明按原样保留，不调用 LLM。
+ * @param {string} cssText
+ * @returns {object}
+ */
+export function parseStyleString(cssText) {
+    return normalizeStyle(cssText, { keepUnknown: true }).style;
+}
+
+/**
+ * 对已经是对象形式的样式（例如 LLM 输出的 style）应用同样的规范化规则。
+ * @param {object} styleObject
+ * @returns {object}
+ */
+export function normalizeStyleObject(styleObject) {
+    if (!styleObject || typeof styleObject !== 'object') {
+        return {};
+    }
+    const declarations = Object.entries(styleObject)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => {
+            const hack = key.match(/^[_*]+/)?.[0] || '';
+            const property = /[A-Z]/.test(key) ? toKebabCaseProperty(key.slice(hack.length)) : key.slice(hack.length);
+            return { property: hack + property, value: typeof value === 'number' ? value : String(value) };
+        });
+    return normalizeCssDeclarations(declarations, { keepUnknown: true }).style;
+}
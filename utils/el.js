@@ -0,0 +1,576 @@
+// --- JSP EL 表达式解析与 JavaScript 翻译 ---
+//
+// parseEl 把 ${...} 表达式（或 LLM 生成的裸条件文本，如 user.role == 'admin'）解析为可以序列化进中间表示的 AST；
+// translateEl 把 AST 翻译为空值安全的 Babel 表达式：成员访问使用可选链，empty 使用 isEmpty 辅助函数，
+// 算术运算把 null 视为 0，隐式对象 param / sessionScope / requestScope 等按服务端对象规则表映射到浏览器中的等价物。
+// printEl 把 AST 序列化回 ${...} 文本，供其他来源（如脚本片段中的 Java 表达式）生成 EL。
+
+import * as t from '@babel/types';
+import generateModule from '@babel/generator';
+import { EL_SCOPE_OBJECTS, SERVER_OBJECT_PRESETS, contextVariableName } from './serverObjects.js';
+
+const generate = generateModule.default || generateModule;
+
+// 关键字运算符 -> 规范运算符
+const KEYWORD_OPERATORS = {
+    and: '&&', or: '||', not: '!',
+    eq: '==', ne: '!=', lt: '<', gt: '>', le: '<=', ge: '>=',
+    div: '/', mod: '%', empty: 'empty'
+};
+
+// 宽松写法：LLM 生成的条件中可能出现 === / !==，按 EL 的 == / != 处理
+const PUNCTUATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '+=', '<', '>', '!', '+', '-', '*', '/', '%', '?', ':', '.', ',', '(', ')', '[', ']'];
+const PUNCTUATOR_ALIASES = { '===': '==', '!==': '!=' };
+
+// 二元运算符优先级（数值越大越先结合），+= 为 EL 3.0 的字符串拼接运算符
+const BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '>': 4, '<=': 4, '>=': 4,
+    '+=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7
+};
+
+function syntaxError(message, position) {
+    return new Error(`EL 语法错误（位置 ${position}）: ${message}`);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        const start = i;
+        if (char === '"' || char === "'") {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\' && i + 1 < source.length) i++;
+                value += source[i++];
+            }
+            if (i >= source.length) throw syntaxError('字符串没有结束', start);
+            i++;
+            tokens.push({ type: 'string', value, start, end: i });
+            continue;
+        }
+        const number = source.slice(i).match(/^(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/);
+        if (number) {
+            i += number[0].length;
+            tokens.push({ type: 'number', value: Number(number[0]), start, end: i });
+            continue;
+        }
+        const identifier = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+        if (identifier) {
+            i += identifier[0].length;
+            tokens.push({ type: 'identifier', value: identifier[0], start, end: i });
+            continue;
+        }
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punctuator) throw syntaxError(`无法识别的字符 "${char}"`, start);
+        i += punctuator.length;
+        tokens.push({ type: 'punctuator', value: PUNCTUATOR_ALIASES[punctuator] || punctuator, start, end: i });
+    }
+    tokens.push({ type: 'eof', value: null, start: source.length, end: source.length });
+    return tokens;
+}
+
+/**
+ * 找到 source[start] 处的 "{" 对应的 "}"（跳过字符串字面量）。
+ */
+function findClosingBrace(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (char === '"' || char === "'") {
+            for (i++; i < source.length && source[i] !== char; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 去掉外层的 ${...} / #{...}；条件中出现多个 ${} 片段（例如 "${a} && ${b}"）时替换为括号。
+ */
+function unwrap(text) {
+    let source = String(text).trim();
+    let index = source.search(/[$#]\{/);
+    while (index !== -1) {
+        const close = findClosingBrace(source, index + 1);
+        if (close === -1) return source;
+        if (index === 0 && close === source.length - 1) return source.slice(2, -1);
+        // 相邻的 ${a}${b} 是文本模板而不是表达式
+        if (/^\s*[$#]\{/.test(source.slice(close + 1))) throw syntaxError('多个 ${} 片段之间缺少运算符', close + 1);
+        source = `${source.slice(0, index)}(${source.slice(index + 2, close)})${source.slice(close + 1)}`;
+        index = source.search(/[$#]\{/);
+    }
+    return source;
+}
+
+function createParser(tokens) {
+    let index = 0;
+    const peek = (offset = 0) => tokens[index + offset];
+    const next = () => tokens[index++];
+
+    function isOperator(token, value) {
+        if (token.type === 'punctuator') return token.value === value;
+        return token.type === 'identifier' && KEYWORD_OPERATORS[token.value] === value;
+    }
+
+    function expect(value) {
+        const token = next();
+        if (token.type !== 'punctuator' || token.value !== value) {
+            throw syntaxError(`缺少 "${value}"`, token.start);
+        }
+        return token;
+    }
+
+    function binaryOperatorOf(token) {
+        const value = token.type === 'identifier' ? KEYWORD_OPERATORS[token.value] : token.value;
+        return BINARY_PRECEDENCE[value] ? value : null;
+    }
+
+    function parseExpression() {
+        const test = parseBinary(1);
+        if (isOperator(peek(), '?')) {
+            next();
+            const consequent = parseExpression();
+            expect(':');
+            const alternate = parseExpression();
+            return { type: 'Conditional', test, consequent, alternate };
+        }
+        return test;
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const operator = binaryOperatorOf(peek());
+            if (!operator || BINARY_PRECEDENCE[operator] < minPrecedence) return left;
+            next();
+            const right = parseBinary(BINARY_PRECEDENCE[operator] + 1);
+            left = { type: 'Binary', operator, left, right };
+        }
+    }
+
+    function parseUnary() {
+        const token = peek();
+        for (const operator of ['!', '-', 'empty']) {
+            if (isOperator(token, operator)) {
+                next();
+                return { type: 'Unary', operator, argument: parseUnary() };
+            }
+        }
+        return parsePostfix(parsePrimary());
+    }
+
+    function parseArguments() {
+        expect('(');
+        const args = [];
+        if (!isOperator(peek(), ')')) {
+            do {
+                args.push(parseExpression());
+            } while (isOperator(peek(), ',') && next());
+        }
+        expect(')');
+        return args;
+    }
+
+    function parsePostfix(expression) {
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, '.')) {
+                next();
+                const property = next();
+                if (property.type !== 'identifier') throw syntaxError('"." 之后需要属性名', property.start);
+                expression = { type: 'Member', object: expression, property: { type: 'Literal', value: property.value }, computed: false };
+            } else if (isOperator(token, '[')) {
+                next();
+                const property = parseExpression();
+                expect(']');
+                expression = { type: 'Member', object: expression, property, computed: true };
+            } else if (isOperator(token, '(')) {
+                expression = { type: 'Call', callee: expression, arguments: parseArguments() };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    function parsePrimary() {
+        const token = next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'Literal', value: token.value };
+            case 'identifier': {
+                if (token.value === 'true' || token.value === 'false') return { type: 'Literal', value: token.value === 'true' };
+                if (token.value === 'null') return { type: 'Literal', value: null };
+                if (KEYWORD_OPERATORS[token.value]) throw syntaxError(`意外的运算符 "${token.value}"`, token.start);
+                // 带前缀的 EL 函数（fn:length(...)），前缀、冒号与函数名之间不能有空白
+                const colon = peek();
+                const name = peek(1);
+                if (isOperator(colon, ':') && colon.start === token.end && name.type === 'identifier'
+                    && name.start === colon.end && isOperator(peek(2), '(')) {
+                    index += 2;
+                    return { type: 'Call', callee: { type: 'Function', prefix: token.value, name: name.value }, arguments: parseArguments() };
+                }
+                return { type: 'Identifier', name: token.value };
+            }
+            case 'punctuator':
+                if (token.value === '(') {
+                    const expression = parseExpression();
+                    expect(')');
+                    return expression;
+                }
+                throw syntaxError(`意外的符号 "${token.value}"`, token.start);
+            default:
+                throw syntaxError('表达式不完整', token.start);
+        }
+    }
+
+    return {
+        parse() {
+            const expression = parseExpression();
+            const rest = peek();
+            if (rest.type !== 'eof') throw syntaxError(`多余的内容 "${rest.value}"`, rest.start);
+            return expression;
+        }
+    };
+}
+
+/**
+ * 解析 EL 表达式。
+ * @param {string} text - ${...} 表达式，或不带 ${} 的条件文本。
+ * @returns {object} - EL AST（Literal / Identifier / Member / Call / Function / Unary / Binary / Conditional）。
+ * @throws {Error} - 语法错误。
+ */
+export function parseEl(text) {
+    const source = unwrap(text);
+    if (!source.trim()) throw syntaxError('表达式为空', 0);
+    return createParser(tokenize(source)).parse();
+}
+
+/**
+ * 解析失败时返回 null 而不是抛出异常。
+ * @param {string} text
+ * @returns {object | null}
+ */
+export function tryParseEl(text) {
+    try {
+        return parseEl(text);
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// 翻译为 JavaScript
+// ---------------------------------------------------------------------------
+
+// 浏览器全局对象：成员访问不需要可选链
+export const BROWSER_GLOBALS = new Set(['window', 'document', 'sessionStorage', 'localStorage', 'Math', 'JSON', 'Number', 'String', 'Date']);
+
+// 在浏览器中没有等价物的隐式对象
+const UNSUPPORTED_IMPLICIT_OBJECTS = new Set(['header', 'headerValues', 'cookie', 'initParam']);
+
+/**
+ * null/undefined 转为空字符串后的字符串（字符串字面量保持原样）。
+ */
+function stringOf(expr) {
+    if (t.isStringLiteral(expr)) return expr;
+    return t.callExpression(t.identifier('String'), [t.logicalExpression('??', expr, t.stringLiteral(''))]);
+}
+
+/**
+ * EL 算术运算把 null 视为 0，字符串按数字计算。
+ */
+function numberOf(expr) {
+    if (t.isNumericLiteral(expr)) return expr;
+    return t.callExpression(t.identifier('Number'), [t.logicalExpression('??', expr, t.numericLiteral(0))]);
+}
+
+function method(object, name, args = []) {
+    return t.callExpression(t.memberExpression(object, t.identifier(name)), args);
+}
+
+// JSTL functions（fn:*）
+const EL_FUNCTIONS = {
+    length: ([value]) => t.callExpression(t.identifier('fnLength'), [value]),
+    contains: ([text, part]) => method(stringOf(text), 'includes', [stringOf(part)]),
+    containsIgnoreCase: ([text, part]) => method(method(stringOf(text), 'toLowerCase'), 'includes', [method(stringOf(part), 'toLowerCase')]),
+    startsWith: ([text, part]) => method(stringOf(text), 'startsWith', [stringOf(part)]),
+    endsWith: ([text, part]) => method(stringOf(text), 'endsWith', [stringOf(part)]),
+    indexOf: ([text, part]) => method(stringOf(text), 'indexOf', [stringOf(part)]),
+    toUpperCase: ([text]) => method(stringOf(text), 'toUpperCase'),
+    toLowerCase: ([text]) => method(stringOf(text), 'toLowerCase'),
+    trim: ([text]) => method(stringOf(text), 'trim'),
+    substring: ([text, ...range]) => method(stringOf(text), 'substring', range),
+    substringBefore: ([text, part]) => t.memberExpression(method(stringOf(text), 'split', [stringOf(part)]), t.numericLiteral(0), true),
+    replace: ([text, search, replacement]) => method(method(stringOf(text), 'split', [stringOf(search)]), 'join', [stringOf(replacement)]),
+    join: ([items, separator]) => method(t.logicalExpression('??', items, t.arrayExpression([])), 'join', [separator]),
+    // React 会转义文本内容
+    escapeXml: ([text]) => stringOf(text)
+};
+
+/**
+ * 在 Java 对象上调用的常见方法（EL 2.2 方法调用）及其 JavaScript 等价写法。
+ */
+const JAVA_METHODS = {
+    size: (object) => t.callExpression(t.identifier('fnLength'), [object]),
+    length: (object) => t.callExpression(t.identifier('fnLength'), [object]),
+    isEmpty: (object) => t.callExpression(t.identifier('isEmpty'), [object]),
+    equals: (object, [other]) => t.binaryExpression('==', object, other),
+    equalsIgnoreCase: (object, [other]) => t.binaryExpression('==',
+        method(stringOf(object), 'toLowerCase'), method(stringOf(other), 'toLowerCase')),
+    toString: (object) => stringOf(object),
+    get: (object, [key]) => t.optionalMemberExpression(object, key, true, true),
+    contains: (object, [item]) => method(t.logicalExpression('??', object, t.arrayExpression([])), 'includes', [item])
+};
+
+function literalKey(property) {
+    return property.type === 'Literal' && typeof property.value === 'string' ? property.value : null;
+}
+
+/**
+ * 按服务端对象规则生成读取表达式（规则见 utils/serverObjects.js）。
+ * @param {string} objectName - EL 中的隐式对象名，用于错误信息。
+ * @param {object} rule - 规则表中的规则。
+ * @param {object} key - 属性名表达式（Babel 节点）。
+ * @param {string|null} variable - 静态属性名；动态访问（sessionScope[x]）时为 null。
+ * @param {boolean} all - paramValues：读取参数的全部取值。
+ */
+function serverObjectExpression(objectName, rule, key, variable, all, onServerObject) {
+    switch (rule.target) {
+        case 'searchParams':
+            return method(t.identifier('searchParams'), all ? 'getAll' : 'get', [key]);
+        case 'sessionStorage':
+            // 值按 JSON 保存：无论是否继续访问成员都经 readSession 解析，集合、empty 与 fn:length 才能得到同一个值
+            return t.callExpression(t.identifier('readSession'), [key]);
+        case 'value':
+            return t.stringLiteral(rule.value);
+        case 'context': {
+            const name = contextVariableName(rule);
+            onServerObject(rule, name);
+            const computed = variable === null || !t.isValidIdentifier(variable);
+            return t.optionalMemberExpression(t.identifier(name), computed ? key : t.identifier(variable), computed, true);
+        }
+        default: {
+            // state / props：同名变量，字面量键与点号访问相同（requestScope['a-b'] 与 requestScope.aB 对应同一个变量）
+            if (variable === null) {
+                throw new Error(`无法翻译动态的作用域访问 ${objectName}[...]`);
+            }
+            const name = variable.replace(/[-.\s]+([A-Za-z0-9])/g, (_, char) => char.toUpperCase());
+            if (!t.isValidIdentifier(name)) {
+                throw new Error(`作用域属性名 "${variable}" 无法转换为变量名`);
+            }
+            onServerObject(rule, name);
+            return t.identifier(name);
+        }
+    }
+}
+
+/**
+ * 翻译隐式对象的属性访问（param.id、sessionScope.user 等）；不是隐式对象时返回 null。
+ */
+function translateImplicitMember(node, translate, serverObjects, onServerObject) {
+    if (node.object.type !== 'Identifier') {
+        if (node.object.type === 'Member' && node.object.object.type === 'Identifier'
+            && node.object.object.name === 'pageContext' && literalKey(node.property) === 'contextPath') {
+            return serverObjectExpression('pageContext', serverObjects['request.getContextPath'],
+                t.stringLiteral('contextPath'), 'contextPath', false, onServerObject);
+        }
+        return null;
+    }
+    const name = node.object.name;
+    const ruleKey = EL_SCOPE_OBJECTS[name];
+    if (ruleKey) {
+        const variable = node.computed ? literalKey(node.property) : node.property.value;
+        const key = node.computed ? translate(node.property) : t.stringLiteral(variable);
+        return serverObjectExpression(name, serverObjects[ruleKey], key, variable, name === 'paramValues', onServerObject);
+    }
+    if (UNSUPPORTED_IMPLICIT_OBJECTS.has(name) || name === 'pageContext') {
+        throw new Error(`隐式对象 ${name} 在浏览器中没有对应的值`);
+    }
+    return null;
+}
+
+/**
+ * 把 EL AST 翻译为空值安全的 Babel 表达式。
+ * - 成员访问使用可选链（a?.b?.[c]），isGlobal 返回 true 的根对象（如 sessionStorage）除外
+ * - empty x -> isEmpty(x)，fn:length(x) / x.size() -> fnLength(x)，其余 fn:* 转为字符串方法
+ * - == / != 保持宽松比较（与 EL 的类型转换一致），算术运算数转为 Number(x ?? 0)，a += b 拼接为 String(a ?? "") + String(b ?? "")
+ * - param / sessionScope / requestScope 等服务端对象按 serverObjects 规则表改写，默认规则下
+ *   param.x -> searchParams.get("x")，sessionScope.x -> readSession("x")（JSON.parse sessionStorage 中的值，无法解析时原样返回），
+ *   requestScope.x -> x
+ * @param {object} ast - parseEl 的结果。
+ * @param {object} [options]
+ * @param {(name: string) => boolean} [options.isGlobal] - 是否为浏览器全局对象，默认使用 BROWSER_GLOBALS。
+ * @param {Record<string, object>} [options.serverObjects] - resolveServerObjectRules 的结果，默认使用 default 规则表。
+ * @param {(rule: object, name: string) => void} [options.onServerObject] - 翻译结果引用了 props / state 变量或 context 时回调，
+ *   name 为变量名（context 规则时为 context 变量名）。
+ * @returns {object} - Babel 表达式节点。
+ * @throws {Error} - 表达式使用了无法翻译的隐式对象或函数。
+ */
+export function translateEl(ast, {
+    isGlobal = name => BROWSER_GLOBALS.has(name),
+    serverObjects = SERVER_OBJECT_PRESETS.default,
+    onServerObject = () => {}
+} = {}) {
+    function isGlobalRoot(node) {
+        return node.type === 'Identifier' && isGlobal(node.name);
+    }
+
+    function translate(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value === null ? t.nullLiteral() : t.valueToNode(node.value);
+
+            case 'Identifier':
+                if (UNSUPPORTED_IMPLICIT_OBJECTS.has(node.name)) {
+                    throw new Error(`隐式对象 ${node.name} 在浏览器中没有对应的值`);
+                }
+                return t.identifier(node.name);
+
+            case 'Member': {
+                const implicit = translateImplicitMember(node, translate, serverObjects, onServerObject);
+                if (implicit) return implicit;
+                const object = translate(node.object);
+                const property = node.computed ? translate(node.property) : t.identifier(node.property.value);
+                if (isGlobalRoot(node.object)) return t.memberExpression(object, property, node.computed);
+                return t.optionalMemberExpression(object, property, node.computed, true);
+            }
+
+            case 'Call': {
+                const args = node.arguments.map(translate);
+                const callee = node.callee;
+                if (callee.type === 'Function') {
+                    const fn = callee.prefix === 'fn' && EL_FUNCTIONS[callee.name];
+                    if (!fn) throw new Error(`不支持的 EL 函数 ${callee.prefix}:${callee.name}`);
+                    return fn(args);
+                }
+                if (callee.type === 'Identifier') {
+                    return t.callExpression(t.identifier(callee.name), args);
+                }
+                if (callee.type === 'Member' && !callee.computed) {
+                    const object = translate(callee.object);
+                    const name = callee.property.value;
+                    if (isGlobalRoot(callee.object)) return method(object, name, args);
+                    if (JAVA_METHODS[name]) return JAVA_METHODS[name](object, args);
+                    return t.optionalCallExpression(t.optionalMemberExpression(object, t.identifier(name), false, true), args, true);
+                }
+                throw new Error('无法翻译的函数调用');
+            }
+
+            case 'Unary': {
+                const argument = translate(node.argument);
+                if (node.operator === 'empty') return t.callExpression(t.identifier('isEmpty'), [argument]);
+                if (node.operator === '-') return t.unaryExpression('-', numberOf(argument));
+                return t.unaryExpression('!', argument);
+            }
+
+            case 'Binary': {
+                const left = translate(node.left);
+                const right = translate(node.right);
+                if (node.operator === '&&' || node.operator === '||') return t.logicalExpression(node.operator, left, right);
+                if (node.operator === '+=') return t.binaryExpression('+', stringOf(left), stringOf(right));
+                if (['+', '-', '*', '/', '%'].includes(node.operator)) {
+                    return t.binaryExpression(node.operator, numberOf(left), numberOf(right));
+                }
+                return t.binaryExpression(node.operator, left, right);
+            }
+
+            case 'Conditional':
+                return t.conditionalExpression(translate(node.test), translate(node.consequent), translate(node.alternate));
+
+            default:
+                throw new Error(`未知的 EL 节点类型 ${node.type}`);
+        }
+    }
+
+    return translate(ast);
+}
+
+/**
+ * 把 EL AST 翻译为 JavaScript 代码文本（用于交给 LLM 的中间表示）。
+ * @param {object} ast - parseEl 的结果。
+ * @param {object} [options] - 同 translateEl。
+ * @returns {string}
+ */
+export function translateElToCode(ast, options) {
+    return generate(translateEl(ast, options), { jsescOption: { minimal: true } }).code;
+}
+
+// ---------------------------------------------------------------------------
+// 序列化为 EL 文本
+// ---------------------------------------------------------------------------
+
+// 不能作为 a.b 形式属性名的保留字
+const EL_RESERVED_WORDS = new Set([...Object.keys(KEYWORD_OPERATORS), 'true', 'false', 'null', 'instanceof']);
+
+function isElIdentifier(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) && !EL_RESERVED_WORDS.has(name);
+}
+
+function printLiteral(value) {
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    return String(value);
+}
+
+function printNode(node) {
+    const wrap = (child) => ['Binary', 'Conditional', 'Unary'].includes(child.type) ? `(${printNode(child)})` : printNode(child);
+
+    switch (node.type) {
+        case 'Literal':
+            return printLiteral(node.value);
+        case 'Identifier':
+            return node.name;
+        case 'Member': {
+            const key = literalKey(node.property);
+            if (!node.computed && isElIdentifier(key)) return `${wrap(node.object)}.${key}`;
+            return `${wrap(node.object)}[${printNode(node.property)}]`;
+        }
+        case 'Call': {
+            const args = node.arguments.map(printNode).join(', ');
+            if (node.callee.type === 'Function') return `${node.callee.prefix}:${node.callee.name}(${args})`;
+            return `${wrap(node.callee)}(${args})`;
+        }
+        case 'Unary':
+            return node.operator === 'empty' ? `empty ${wrap(node.argument)}` : `${node.operator}${wrap(node.argument)}`;
+        case 'Binary': {
+            const precedence = BINARY_PRECEDENCE[node.operator];
+            // 左结合：右侧同优先级的子表达式需要括号
+            const side = (child, isRight) => child.type === 'Conditional'
+                || (child.type === 'Binary' && (BINARY_PRECEDENCE[child.operator] < precedence
+                    || (isRight && BINARY_PRECEDENCE[child.operator] === precedence)))
+                ? `(${printNode(child)})`
+                : printNode(child);
+            return `${side(node.left, false)} ${node.operator} ${side(node.right, true)}`;
+        }
+        case 'Conditional': {
+            const branch = (child) => child.type === 'Conditional' ? `(${printNode(child)})` : printNode(child);
+            return `${branch(node.test)} ? ${branch(node.consequent)} : ${branch(node.alternate)}`;
+        }
+        default:
+            throw new Error(`未知的 EL 节点类型 ${node.type}`);
+    }
+}
+
+/**
+ * 把 EL AST 序列化为 ${...} 文本，parseEl 可以重新解析出等价的 AST。
+ * @param {object} ast - EL AST。
+ * @returns {string}
+ */
+export function printEl(ast) {
+    return `\${${printNode(ast)}}`;
+}
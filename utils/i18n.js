@@ -0,0 +1,214 @@
+// --- 国际化资源：.properties 解析与 i18n 库配置 ---
+//
+// Struts / JSTL 的消息资源（ApplicationResources_zh_CN.properties 等）转换为前端 i18n 库使用的 JSON 语言包：
+// 每个语言一个扁平的 { key: message } 对象，{0}、{1}… 占位符改写为命名参数 arg0、arg1…，
+// 与生成器输出的 t('key', { arg0 }) / intl.formatMessage({ id }, { arg0 }) 对应。
+
+// 支持的前端 i18n 库
+export const I18N_LIBRARIES = ['react-i18next', 'react-intl'];
+
+const DEFAULT_I18N_LIBRARY = 'react-i18next';
+
+/**
+ * 校验 i18n 库名称，未指定时使用默认值。
+ * @param {string} [library] - "react-i18next" 或 "react-intl"。
+ * @returns {string}
+ */
+export function resolveI18nLibrary(library) {
+    if (!library) return DEFAULT_I18N_LIBRARY;
+    if (!I18N_LIBRARIES.includes(library)) {
+        throw new Error(`不支持的 i18n 库: ${library}，可选值: ${I18N_LIBRARIES.join(', ')}`);
+    }
+    return library;
+}
+
+/**
+ * 从环境变量读取 i18n 配置：
+ * - I18N_LIBRARY：前端 i18n 库，默认 react-i18next
+ * - I18N_DEFAULT_LOCALE：不带语言后缀的资源文件（ApplicationResources.properties）对应的语言，默认 en
+ * - I18N_BUNDLES：批处理时收集的资源文件基础名（逗号分隔），默认 ApplicationResources
+ */
+export function readI18nConfigFromEnv() {
+    return {
+        library: resolveI18nLibrary(process.env.I18N_LIBRARY),
+        defaultLocale: process.env.I18N_DEFAULT_LOCALE || 'en',
+        bundles: (process.env.I18N_BUNDLES || 'ApplicationResources').split(',').map(s => s.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * 解码 .properties 文件内容：Java 传统上使用 ISO-8859-1（非 ASCII 字符写作 \uXXXX），
+ * 但很多项目直接以 UTF-8 保存中文，这里优先按 UTF-8 解码，失败时回退到 ISO-8859-1。
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function decodePropertiesBuffer(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return buffer.toString('latin1');
+    }
+}
+
+const ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+function unescapeProperties(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (match, escape) => {
+        if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+        return ESCAPES[escape] ?? escape;
+    });
+}
+
+/**
+ * 按 java.util.Properties 的规则解析 .properties 文本：# 与 ! 注释、= / : / 空白分隔、
+ * 行尾反斜杠续行，以及 \uXXXX 等转义。
+ * @param {string} text - 文件内容。
+ * @returns {Object<string, string>} - 键值对（重复的键以后出现的为准）。
+ */
+export function parseProperties(text) {
+    const entries = {};
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].replace(/^[ \t\f]+/, '');
+        if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+        // 行尾奇数个反斜杠表示续行，下一行的前导空白被忽略
+        while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+            line = line.slice(0, -1) + lines[++i].replace(/^[ \t\f]+/, '');
+        }
+
+        const match = line.match(/^((?:\\[\s\S]|[^\\=: \t\f])*)[ \t\f]*(?:[=:][ \t\f]*)?([\s\S]*)$/);
+        const key = unescapeProperties(match[1]);
+        if (key) entries[key] = unescapeProperties(match[2]);
+    }
+    return entries;
+}
+
+/**
+ * 从资源文件名中解析基础名与语言：ApplicationResources_zh_CN.properties -> { basename: "ApplicationResources", locale: "zh-CN" }。
+ * @param {string} fileName - 文件名（可以带目录）。
+ * @param {string} defaultLocale - 不带语言后缀时使用的语言。
+ * @returns {{basename: string, locale: string} | null} - 不是 .properties 文件时返回 null。
+ */
+export function parsePropertiesFileName(fileName, defaultLocale) {
+    const name = String(fileName).split(/[\\/]/).pop();
+    const match = name.match(/^(.+?)(?:_([a-z]{2,3})(?:_([A-Z]{2}|\d{3}))?)?\.properties$/);
+    if (!match) return null;
+    const [, basename, language, region] = match;
+    return { basename, locale: language ? [language, region].filter(Boolean).join('-') : defaultLocale };
+}
+
+/**
+ * 把 java.text.MessageFormat 风格的消息拆分为文本与参数片段。
+ * Struts 默认会转义单引号，因此这里只把 '' 视为单引号、'{...}' 视为被引用的字面量，其余单引号原样保留。
+ * @returns {Array<string | {index: number, type?: string, style?: string}>}
+ */
+function parseMessageFormat(message) {
+    const segments = [];
+    let text = '';
+    let i = 0;
+
+    while (i < message.length) {
+        const char = message[i];
+        if (char === "'" && message[i + 1] === "'") {
+            text += "'";
+            i += 2;
+        } else if (char === "'" && message[i + 1] === '{') {
+            const end = message.indexOf("'", i + 1);
+            const close = end === -1 ? message.length : end;
+            text += message.slice(i + 1, close);
+            i = close + 1;
+        } else if (char === '{') {
+            // 找到配对的右括号（choice 格式中可能嵌套）
+            let depth = 0;
+            let end = i;
+            for (; end < message.length; end++) {
+                if (message[end] === '{') depth++;
+                if (message[end] === '}' && --depth === 0) break;
+            }
+            const argument = message.slice(i + 1, end).match(/^\s*(\d+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/);
+            if (argument) {
+                if (text) segments.push(text);
+                text = '';
+                segments.push({ index: Number(argument[1]), type: argument[2], style: argument[3]?.trim() });
+            } else {
+                text += message.slice(i, end + 1);
+            }
+            i = end + 1;
+        } else {
+            text += char;
+            i++;
+        }
+    }
+    if (text) segments.push(text);
+    return segments;
+}
+
+// ICU MessageFormat 可以直接使用的格式样式
+const ICU_STYLES = {
+    number: new Set(['integer', 'percent', 'currency']),
+    date: new Set(['short', 'medium', 'long', 'full']),
+    time: new Set(['short', 'medium', 'long', 'full'])
+};
+
+/**
+ * 把 MessageFormat 消息改写为指定 i18n 库的格式：
+ * - react-i18next：{0} -> {{arg0}}（格式类型被忽略）
+ * - react-intl：{0} -> {arg0}，{0,number,integer} -> {arg0, number, integer}，文本中的单引号与花括号按 ICU 规则转义
+ * @param {string} message - .properties 中的原始消息（已解除 \uXXXX 等转义）。
+ * @param {string} library - i18n 库名称。
+ * @returns {string}
+ */
+export function convertMessageFormat(message, library) {
+    return parseMessageFormat(message).map(segment => {
+        if (typeof segment === 'string') {
+            return library === 'react-intl'
+                ? segment.replace(/'/g, "''").replace(/[{}]/g, "'$&'")
+                : segment;
+        }
+        const name = `arg${segment.index}`;
+        if (library !== 'react-intl') return `{{${name}}}`;
+        const type = segment.type?.toLowerCase();
+        if (!ICU_STYLES[type]) return `{${name}}`;
+        return ICU_STYLES[type].has(segment.style) ? `{${name}, ${type}, ${segment.style}}` : `{${name}, ${type}}`;
+    }).join('');
+}
+
+/**
+ * 把一组 .properties 文件合并为按语言划分的 JSON 语言包。同一语言中不同文件定义了不同值的键记为冲突（后者覆盖前者）。
+ * @param {Array<{name: string, content: string}>} files - 文件名与内容。
+ * @param {object} [options]
+ * @param {string} [options.library] - i18n 库名称。
+ * @param {string} [options.defaultLocale="en"] - 不带语言后缀的文件对应的语言。
+ * @returns {{locales: Object<string, Object<string, string>>, conflicts: Array<object>, skipped: string[]}}
+ */
+export function buildLocaleMessages(files, { library, defaultLocale = 'en' } = {}) {
+    const resolvedLibrary = resolveI18nLibrary(library);
+    const locales = {};
+    const sources = {};
+    const conflicts = [];
+    const skipped = [];
+
+    for (const file of files) {
+        const parsedName = parsePropertiesFileName(file.name, defaultLocale);
+        if (!parsedName) {
+            skipped.push(file.name);
+            continue;
+        }
+        const { locale } = parsedName;
+        locales[locale] ??= {};
+        sources[locale] ??= {};
+
+        for (const [key, value] of Object.entries(parseProperties(file.content))) {
+            const message = convertMessageFormat(value, resolvedLibrary);
+            const previous = locales[locale][key];
+            if (previous !== undefined && previous !== message) {
+                conflicts.push({ locale, key, files: [sources[locale][key], file.name] });
+            }
+            locales[locale][key] = message;
+            sources[locale][key] = file.name;
+        }
+    }
+    return { locales, conflicts, skipped };
+}
@@ -0,0 +1,187 @@
+import OpenAI from "openai";
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * LLM 提供方。
+ *
+ * 所有模块都通过 provider.createChatCompletion(params) 调用模型，params 与
+ * OpenAI Chat Completions 的请求体一致（支持 tools、response_format、stream）：
+ * - 非流式请求返回完整的 completion 对象；
+ * - stream: true 时返回可 for await 遍历的 chunk 序列。
+ *
+ * 通过环境变量 LLM_PROVIDER 选择后端：
+ * - openai（默认）: 直接调用 OPENAI_API_BASE 指向的 OpenAI 兼容接口
+ * - record: 调用真实接口，并把每一对请求/响应写入 LLM_RECORDINGS_DIR
+ * - replay: 完全离线，只从 LLM_RECORDINGS_DIR 读取录制结果，缺失时报错
+ */
+
+const RECORDING_VERSION = 1;
+
+/**
+ * 生成请求的规范化形式。
+ * 工具调用是并发执行的，连续的 tool 消息写入会话的先后顺序取决于完成顺序，
+ * 因此计算录制键时按 tool_call_id 对其排序，使录制与回放得到相同的键。
+ * @param {object} params - 请求体。
+ * @returns {object}
+ */
+function canonicalizeRequest(params) {
+    if (!Array.isArray(params.messages)) return params;
+
+    const messages = [];
+    let toolRun = [];
+    const flushToolRun = () => {
+        toolRun.sort((a, b) => String(a.tool_call_id).localeCompare(String(b.tool_call_id)));
+        messages.push(...toolRun);
+        toolRun = [];
+    };
+    for (const message of params.messages) {
+        if (message.role === 'tool') {
+            toolRun.push(message);
+            continue;
+        }
+        flushToolRun();
+        messages.push(message);
+    }
+    flushToolRun();
+    return { ...params, messages };
+}
+
+/**
+ * 键有序的 JSON 序列化，保证相同请求得到相同的字符串。
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 计算请求的录制键（规范化请求体的 sha256）。
+ * @param {object} params - 请求体。
+ * @returns {string}
+ */
+export function getRecordingKey(params) {
+    return crypto.createHash('sha256').update(stableStringify(canonicalizeRequest(params))).digest('hex');
+}
+
+/**
+ * 直连 OpenAI 兼容接口的提供方。
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.baseURL]
+ * @param {number} [options.timeout]
+ * @returns {{name: string, createChatCompletion: Function}}
+ */
+export function createOpenAiProvider({ apiKey, baseURL, timeout = 1000000 }) {
+    const client = new OpenAI({ apiKey, baseURL, timeout });
+    return {
+        name: 'openai',
+        createChatCompletion: (params) => client.chat.completions.create(params)
+    };
+}
+
+/**
+ * 录制提供方：把请求转发给 inner，并将请求与响应（流式请求为全部 chunk）写入 dir。
+ * @param {object} inner - 实际调用模型的提供方。
+ * @param {string} dir - 录制目录。
+ * @returns {{name: string, createChatCompletion: Function}}
+ */
+export function createRecordingProvider(inner, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const save = (key, recording) => {
+        const file = path.join(dir, `${key}.json`);
+        fs.writeFileSync(file, JSON.stringify({ version: RECORDING_VERSION, key, ...recording }, null, 2), 'utf8');
+        console.log(`[llm] 已录制 ${file}`);
+    };
+
+    return {
+        name: 'record',
+        async createChatCompletion(params) {
+            const key = getRecordingKey(params);
+            const response = await inner.createChatCompletion(params);
+            if (!params.stream) {
+                save(key, { request: params, response });
+                return response;
+            }
+
+            // 流式响应：边转发边收集，流结束后写入
+            return (async function* () {
+                const chunks = [];
+                for await (const chunk of response) {
+                    chunks.push(chunk);
+                    yield chunk;
+                }
+                save(key, { request: params, chunks });
+            })();
+        }
+    };
+}
+
+/**
+ * 回放提供方：只从 dir 读取录制结果，不访问网络。
+ * @param {string} dir - 录制目录。
+ * @returns {{name: string, createChatCompletion: Function}}
+ */
+export function createReplayProvider(dir) {
+    return {
+        name: 'replay',
+        async createChatCompletion(params) {
+            const key = getRecordingKey(params);
+            const file = path.join(dir, `${key}.json`);
+            let recording;
+            try {
+                recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`未找到回放记录 ${file}，请先使用 LLM_PROVIDER=record 录制该请求。`);
+                }
+                throw error;
+            }
+
+            if (!params.stream) {
+                return recording.response;
+            }
+            const chunks = recording.chunks || [];
+            return (async function* () {
+                yield* chunks;
+            })();
+        }
+    };
+}
+
+/**
+ * 根据环境变量创建提供方。
+ * @returns {{name: string, createChatCompletion: Function}}
+ */
+export function createLlmProviderFromEnv() {
+    const backend = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    const recordingsDir = path.resolve(process.env.LLM_RECORDINGS_DIR || 'recordings');
+    const createLive = () => createOpenAiProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_API_BASE
+    });
+
+    switch (backend) {
+        case 'openai':
+            return createLive();
+        case 'record':
+            console.log(`[llm] 录制模式，记录保存在 ${recordingsDir}`);
+            return createRecordingProvider(createLive(), recordingsDir);
+        case 'replay':
+            console.log(`[llm] 回放模式，从 ${recordingsDir} 读取记录`);
+            return createReplayProvider(recordingsDir);
+        default:
+            throw new Error(`未知的 LLM_PROVIDER: ${backend}（可选值: openai, record, replay）`);
+    }
+}
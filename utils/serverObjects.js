@@ -0,0 +1,159 @@
+// --- 服务端对象改写规则 ---
+//
+// JSP 页面通过 request / session / application / pageContext 读取服务端状态，
+// 中间表示统一保存为 EL 形式（param.x、sessionScope.x、pageContext.request.contextPath 等），
+// 生成 React 代码时再按规则表决定每类服务端状态在前端的来源。不同应用可以选择不同的规则表。
+
+// 规则表的键：服务端对象的读取方法 -> 对应的 EL 写法
+export const SERVER_OBJECTS = {
+    'request.getParameter': 'param / paramValues',
+    'request.getAttribute': 'requestScope',
+    'session.getAttribute': 'sessionScope',
+    'application.getAttribute': 'applicationScope',
+    'pageContext.getAttribute': 'pageScope',
+    'request.getContextPath': 'pageContext.request.contextPath'
+};
+
+// EL 隐式对象 -> 规则表的键
+export const EL_SCOPE_OBJECTS = {
+    param: 'request.getParameter',
+    paramValues: 'request.getParameter',
+    requestScope: 'request.getAttribute',
+    sessionScope: 'session.getAttribute',
+    applicationScope: 'application.getAttribute',
+    pageScope: 'pageContext.getAttribute'
+};
+
+/**
+ * 支持的改写目标：
+ * - searchParams：searchParams.get("x") / getAll("x")（useSearchParams），只适用于 request.getParameter
+ * - sessionStorage：readSession("x")，按 JSON 解析 sessionStorage.getItem("x")，无法解析时返回原字符串
+ * - state：同名变量，由组件声明为 state
+ * - props：同名变量，作为组件的 prop 传入
+ * - context：从 React context 取值，如 sessionContext?.x（useContext(SessionContext)），需要 context 与 from
+ * - value：常量 value，只适用于 request.getContextPath
+ * request.getContextPath 使用 value 以外的目标时，键名为 contextPath。
+ */
+export const SERVER_OBJECT_TARGETS = ['searchParams', 'sessionStorage', 'state', 'props', 'context', 'value'];
+
+const DEFAULT_RULES = {
+    'request.getParameter': { target: 'searchParams' },
+    'request.getAttribute': { target: 'state' },
+    'session.getAttribute': { target: 'sessionStorage' },
+    'application.getAttribute': { target: 'state' },
+    'pageContext.getAttribute': { target: 'state' },
+    // React 应用中路径已相对于应用根目录
+    'request.getContextPath': { target: 'value', value: '' }
+};
+
+// 预置的规则表
+export const SERVER_OBJECT_PRESETS = {
+    // 查询参数 -> useSearchParams，会话属性 -> sessionStorage，其余作用域属性 -> state
+    default: DEFAULT_RULES,
+    // 请求与应用级属性由父组件（或路由 loader）通过 props 传入
+    props: {
+        ...DEFAULT_RULES,
+        'request.getAttribute': { target: 'props' },
+        'application.getAttribute': { target: 'props' }
+    },
+    // 会话与应用级状态由应用根部的 Provider 提供
+    context: {
+        ...DEFAULT_RULES,
+        'session.getAttribute': { target: 'context', context: 'SessionContext', from: '@/contexts/SessionContext' },
+        'application.getAttribute': { target: 'context', context: 'AppContext', from: '@/contexts/AppContext' }
+    }
+};
+
+const DEFAULT_PRESET = 'default';
+
+function validateRule(key, rule) {
+    if (!rule || typeof rule !== 'object' || !SERVER_OBJECT_TARGETS.includes(rule.target)) {
+        throw new Error(`服务端对象规则 ${key} 的 target 无效，可选值: ${SERVER_OBJECT_TARGETS.join(', ')}`);
+    }
+    if (rule.target === 'searchParams' && key !== 'request.getParameter') {
+        throw new Error(`服务端对象规则 ${key} 不能使用 searchParams，它只适用于 request.getParameter`);
+    }
+    if (rule.target === 'value' && (key !== 'request.getContextPath' || typeof rule.value !== 'string')) {
+        throw new Error(`服务端对象规则 ${key} 不能使用 value，它只适用于 request.getContextPath 且必须提供字符串 value`);
+    }
+    if (rule.target === 'context') {
+        if (!/^[A-Z][A-Za-z0-9_$]*$/.test(rule.context || '') || typeof rule.from !== 'string' || !rule.from) {
+            throw new Error(`服务端对象规则 ${key} 使用 context 时必须提供 context（组件名形式的标识符）与 from（导入路径）`);
+        }
+    }
+    return rule;
+}
+
+/**
+ * 解析请求中选择的规则表。
+ * @param {string|object} [selection] - 预置规则表名称，或 { preset, rules }（rules 按键覆盖预置规则）；
+ *   未指定时使用环境变量 SERVER_OBJECT_RULES，再缺省时使用 default。
+ * @returns {Record<string, object>} - 键为 SERVER_OBJECTS 中的方法，值为 { target, ... }。
+ * @throws {Error} - 规则表名称或规则无效。
+ */
+export function resolveServerObjectRules(selection = readServerObjectRulesFromEnv()) {
+    const { preset = DEFAULT_PRESET, rules = {} } = typeof selection === 'string' ? { preset: selection } : (selection || {});
+    const base = SERVER_OBJECT_PRESETS[preset];
+    if (!base) {
+        throw new Error(`未知的服务端对象规则表: ${preset}，可选值: ${Object.keys(SERVER_OBJECT_PRESETS).join(', ')}`);
+    }
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('服务端对象规则 rules 必须是对象');
+    }
+    for (const key of Object.keys(rules)) {
+        if (!SERVER_OBJECTS[key]) {
+            throw new Error(`未知的服务端对象: ${key}，可选值: ${Object.keys(SERVER_OBJECTS).join(', ')}`);
+        }
+    }
+    const resolved = { ...base, ...rules };
+    for (const [key, rule] of Object.entries(resolved)) {
+        validateRule(key, rule);
+    }
+    return resolved;
+}
+
+/**
+ * 从环境变量 SERVER_OBJECT_RULES 读取默认规则表：预置规则表名称，或 { preset, rules } 形式的 JSON。
+ * @returns {string|object|undefined}
+ */
+export function readServerObjectRulesFromEnv() {
+    const value = (process.env.SERVER_OBJECT_RULES || '').trim();
+    if (!value) return undefined;
+    if (!value.startsWith('{')) return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`环境变量 SERVER_OBJECT_RULES 不是合法的 JSON: ${error.message}`);
+    }
+}
+
+/**
+ * context 规则在组件中使用的变量名（SessionContext -> sessionContext）。
+ * @param {object} rule
+ * @returns {string}
+ */
+export function contextVariableName(rule) {
+    return rule.context.charAt(0).toLowerCase() + rule.context.slice(1);
+}
+
+/**
+ * 用中文描述规则表，供 llm 模式写入提示词。
+ * @param {Record<string, object>} rules - resolveServerObjectRules 的结果。
+ * @returns {string}
+ */
+export function describeServerObjectRules(rules) {
+    const describe = (rule) => {
+        switch (rule.target) {
+            case 'searchParams': return 'useSearchParams() 返回的 searchParams.get(键)';
+            case 'sessionStorage': return 'readSession(键)（按 JSON 解析 sessionStorage.getItem(键)，无法解析时返回原字符串）';
+            case 'state': return '同名的 useState 变量';
+            case 'props': return '同名的组件 prop';
+            case 'context': return `useContext(${rule.context})（从 "${rule.from}" 导入）返回对象的同名属性`;
+            case 'value': return `常量 ${JSON.stringify(rule.value)}`;
+            default: return rule.target;
+        }
+    };
+    return Object.entries(rules)
+        .map(([key, rule]) => `- ${key}（EL: ${SERVER_OBJECTS[key]}）-> ${describe(rule)}`)
+        .join('\n');
+}
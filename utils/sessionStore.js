@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 会话存储。
+ *
+ * 每条会话记录的结构为 { messages, createdAt, lastActivity, ttlMs }，
+ * 所有后端都实现同一组同步接口：get / set / delete / has / list / evictExpired。
+ * 后端通过环境变量选择：
+ * - SESSION_STORE: "memory"（默认）或 "file"
+ * - SESSION_DIR: file 后端的存储目录，默认 "data/sessions"
+ * - SESSION_TTL_MS: 会话默认存活时间（自最后一次活动起算），默认 24 小时，0 表示永不过期
+ * - SESSION_MAX_MESSAGES: 每个会话最多保留的消息条数（不含开头的 system 消息），默认 200，0 表示不限制
+ * - SESSION_EVICT_INTERVAL_MS: 后台清理过期会话的间隔，默认 10 分钟
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_MESSAGES = 200;
+const DEFAULT_EVICT_INTERVAL_MS = 10 * 60 * 1000;
+
+function readIntEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * 判断会话记录是否已过期。
+ * @param {object} record - 会话记录。
+ * @param {number} now - 当前时间戳。
+ * @returns {boolean}
+ */
+function isExpired(record, now) {
+    return record.ttlMs > 0 && now - record.lastActivity > record.ttlMs;
+}
+
+/**
+ * 裁剪消息列表：保留开头的 system 消息，从最早的对话消息开始丢弃，
+ * 直到不超过 maxMessages 条。裁剪后若开头是 tool 消息（其对应的 assistant tool_calls 已被丢弃），
+ * 则一并丢弃，避免向模型发送孤立的工具结果。
+ * @param {Array<object>} messages - 原消息列表。
+ * @param {number} maxMessages - 最多保留的非 system 消息条数，0 表示不限制。
+ * @returns {Array<object>} - 裁剪后的新列表。
+ */
+export function trimMessages(messages, maxMessages) {
+    if (!maxMessages || maxMessages <= 0) return messages;
+
+    let systemCount = 0;
+    while (systemCount < messages.length && messages[systemCount].role === 'system') {
+        systemCount++;
+    }
+    const conversation = messages.slice(systemCount);
+    if (conversation.length <= maxMessages) return messages;
+
+    let start = conversation.length - maxMessages;
+    while (start < conversation.length && conversation[start].role === 'tool') {
+        start++;
+    }
+    return [...messages.slice(0, systemCount), ...conversation.slice(start)];
+}
+
+/**
+ * 内存后端：进程重启后数据丢失。
+ * @returns {object} - 会话存储。
+ */
+export function createMemorySessionStore() {
+    const records = new Map();
+
+    return {
+        get(sessionId) {
+            return records.get(sessionId);
+        },
+        set(sessionId, record) {
+            records.set(sessionId, record);
+        },
+        delete(sessionId) {
+            return records.delete(sessionId);
+        },
+        has(sessionId) {
+            return records.has(sessionId);
+        },
+        list() {
+            return [...records.entries()].map(([sessionId, record]) => ({ sessionId, record }));
+        },
+        evictExpired(now = Date.now()) {
+            let evicted = 0;
+            for (const [sessionId, record] of records) {
+                if (isExpired(record, now)) {
+                    records.delete(sessionId);
+                    evicted++;
+                }
+            }
+            return evicted;
+        }
+    };
+}
+
+/**
+ * 文件后端：每个会话一个 JSON 文件，进程重启（包括 npm run dev 热重载）后仍可恢复。
+ * @param {string} dir - 存储目录。
+ * @returns {object} - 会话存储。
+ */
+export function createFileSessionStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileOf = (sessionId) => path.join(dir, `${encodeURIComponent(sessionId)}.json`);
+
+    const readRecord = (file) => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`读取会话文件 ${file} 失败:`, error.message);
+            }
+            return undefined;
+        }
+    };
+
+    const listFiles = () => fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+
+    return {
+        get(sessionId) {
+            return readRecord(fileOf(sessionId));
+        },
+        set(sessionId, record) {
+            // 先写临时文件再重命名，避免进程中断时留下半截 JSON
+            const file = fileOf(sessionId);
+            const tempFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(record), 'utf8');
+            fs.renameSync(tempFile, file);
+        },
+        delete(sessionId) {
+            try {
+                fs.unlinkSync(fileOf(sessionId));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        has(sessionId) {
+            return fs.existsSync(fileOf(sessionId));
+        },
+        list() {
+            return listFiles()
+                .map(name => ({
+                    sessionId: decodeURIComponent(name.slice(0, -'.json'.length)),
+                    record: readRecord(path.join(dir, name))
+                }))
+                .filter(entry => entry.record);
+        },
+        evictExpired(now = Date.now()) {
+            let evicted = 0;
+            for (const { sessionId, record } of this.list()) {
+                if (isExpired(record, now) && this.delete(sessionId)) {
+                    evicted++;
+                }
+            }
+            return evicted;
+        }
+    };
+}
+
+/**
+ * 根据环境变量创建会话存储，并启动后台清理定时器。
+ * @returns {{store: object, ttlMs: number, maxMessages: number}}
+ */
+export function createSessionStoreFromEnv() {
+    const backend = (process.env.SESSION_STORE || 'memory').toLowerCase();
+    let store;
+    if (backend === 'file') {
+        store = createFileSessionStore(path.resolve(process.env.SESSION_DIR || path.join('data', 'sessions')));
+    } else if (backend === 'memory') {
+        store = createMemorySessionStore();
+    } else {
+        throw new Error(`未知的 SESSION_STORE: ${backend}（可选值: memory, file）`);
+    }
+
+    const ttlMs = readIntEnv('SESSION_TTL_MS', DEFAULT_TTL_MS);
+    const maxMessages = readIntEnv('SESSION_MAX_MESSAGES', DEFAULT_MAX_MESSAGES);
+    const evictIntervalMs = readIntEnv('SESSION_EVICT_INTERVAL_MS', DEFAULT_EVICT_INTERVAL_MS);
+
+    if (evictIntervalMs > 0) {
+        // unref: 定时器不阻止进程退出
+        setInterval(() => {
+            try {
+                const evicted = store.evictExpired();
+                if (evicted > 0) {
+                    console.log(`已清理 ${evicted} 个过期会话`);
+                }
+            } catch (error) {
+                console.error("清理过期会话出错:", error);
+            }
+        }, evictIntervalMs).unref();
+    }
+
+    console.log(`会话存储: ${backend}，TTL ${ttlMs}ms，最多保留 ${maxMessages} 条消息`);
+    return { store, ttlMs, maxMessages };
+}
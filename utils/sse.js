@@ -0,0 +1,51 @@
+// --- Server-Sent Events 辅助函数 ---
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * 将响应切换为 SSE 流。
+ * 返回的 send(event, data) 可以直接作为转换流程的 onEvent 回调使用；
+ * 客户端断开后 send 变为空操作，转换流程照常完成（结果仍会写入会话）。
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{send: (event: string, data: object) => void, close: () => void}}
+ */
+export function openSseStream(req, res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // 关闭 nginx 等反向代理的缓冲，保证事件实时到达
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let eventId = 0;
+
+    // 注释行心跳，防止长时间的 LLM 调用期间连接被代理判定为空闲而断开
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        res.end();
+    };
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    const send = (event, data) => {
+        if (closed) return;
+        eventId++;
+        res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+    };
+
+    return { send, close };
+}
@@ -0,0 +1,55 @@
+// --- JSP 页面中的地址 ---
+//
+// Struts 地址解析（jsp-to-json/tools/struts.js）、frame 导航改写（jsp-to-json/tools/frames.js）
+// 与路由表生成（json-to-react/tools/routes.js）共用的地址判断，保证三处对同一个地址的结论一致。
+
+// 地址开头的 context path 表达式：<%=request.getContextPath()%>、${pageContext.request.contextPath}
+export const CONTEXT_PATH_PATTERN = /^(?:<%=[^%]*getContextPath\(\)[^%]*%>|\$\{[^}]*contextPath[^}]*\})/i;
+
+/**
+ * 去掉地址开头的 context path 表达式。
+ * @param {string} url
+ * @returns {string}
+ */
+export function stripContextPath(url) {
+    return String(url ?? '').trim().replace(CONTEXT_PATH_PATTERN, '');
+}
+
+/**
+ * 拆分地址：去掉开头的 context path 表达式，分离查询串与锚点。
+ * 例如 "<%=request.getContextPath()%>/users/home.do?id=1" -> { path: "/users/home.do", suffix: "?id=1" }
+ * @param {string} url
+ * @returns {{path: string, suffix: string}}
+ */
+export function splitUrl(url) {
+    const [, pathPart, suffix] = /^([^?#]*)(.*)$/s.exec(stripContextPath(url));
+    return { path: pathPart, suffix };
+}
+
+/**
+ * 是否包含运行时才能确定的部分：JSP 表达式（<%= %>、${}）或模板占位符（{{ }}）。
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isDynamic(value) {
+    return /<%|\$\{|\{\{/.test(String(value ?? ''));
+}
+
+/**
+ * 是否为外部地址：带协议（http:、mailto:、javascript: 等）或以 // 开头。
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isExternalUrl(url) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(String(url ?? '').trim());
+}
+
+/**
+ * 是否为应用内路由的地址：非空，不是锚点或外部地址，去掉 context path 后不含动态表达式。
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isRouteUrl(url) {
+    const value = String(url ?? '').trim();
+    return value !== '' && !value.startsWith('#') && !isExternalUrl(value) && !isDynamic(stripContextPath(value));
+}